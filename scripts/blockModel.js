@@ -25,7 +25,11 @@
  * @param {number} params.nx - Number of cells in X
  * @param {number} params.ny - Number of cells in Y
  * @param {number} params.nz - Number of cells in Z
+ * @param {number} [params.bearing=0] - Grid bearing in degrees (see getGridRotationMatrix)
+ * @param {number} [params.dip=0] - Grid dip in degrees
+ * @param {number} [params.plunge=0] - Grid plunge in degrees
  * @returns {Array} Array of block objects in standard format
+ * (centroids in world coordinates, I/J/K in grid space)
  */
 function generateRegularGrid(params) {
     const {
@@ -35,6 +39,9 @@ function generateRegularGrid(params) {
     } = params;
     
     const blocks = [];
+    const rotation = isGridRotated(params)
+        ? getGridRotationMatrix(params.bearing, params.dip, params.plunge)
+        : null;
     
     // Validate parameters
     if (xInc <= 0 || yInc <= 0 || zInc <= 0) {
@@ -55,11 +62,14 @@ function generateRegularGrid(params) {
                 const y = ymOrig + (j + 0.5) * yInc;
                 const z = zmOrig - (k + 0.5) * zInc;
                 
+                // Rotated grids: rotate the centroid about the model origin
+                const world = rotation ? gridToWorld(rotation, params, x, y, z) : { x, y, z };
+                
                 // Create standard block object
                 const block = {
-                    x: x,
-                    y: y,
-                    z: z,
+                    x: world.x,
+                    y: world.y,
+                    z: world.z,
                     i: i,
                     j: j,
                     k: k,
@@ -79,6 +89,313 @@ function generateRegularGrid(params) {
     return blocks;
 }
 
+/**
+ * Rock type rules for reblocking
+ *   majority   - the rock type with the largest tonnage in the parent cell
+ *   proportion - the most abundant non-waste rock type when non-waste rock makes up at least
+ *                the ore proportion of the parent tonnage, else the waste rock type (dilution rule)
+ */
+const REBLOCK_ROCK_TYPE_RULES = ['majority', 'proportion'];
+
+/**
+ * Regularize a block model into larger parent cells
+ * Each parent cell is made of fx * fy * fz child cells. Grades (Cu, Au, grade and pattern
+ * attributes, recovery) are tonnage-weighted averages, economic values (econValue, processValue,
+ * wasteValue and each of econScenarios) are summed and density
+ * is the parent tonnage over the parent volume. Zone, oxidation and fault block take the value
+ * with the largest tonnage. Every parent gets the volume proportion of each rock type
+ * (proportions, exported as PROP_<ROCKTYPE> columns). Sub-blocks are weighted by their own
+ * volume. Parents that hold only air stay air.
+ * @param {Array} blocks - Blocks on the child grid (sub-blocks allowed)
+ * @param {Object} gridParams - Child grid parameters (see generateRegularGrid)
+ * @param {Object} factors - Child cells per parent cell { x, y, z }
+ * @param {Object} [options] - Reblocking options
+ * @param {string} [options.rockTypeRule='majority'] - Rock type rule (see REBLOCK_ROCK_TYPE_RULES)
+ * @param {number} [options.oreProportion=0.5] - Non-waste tonnage fraction needed by the proportion rule
+ * @param {Array} [options.gradeAttributes] - Grade attributes to average (defaults to getGradeAttributeDefinitions())
+ * @returns {Object} { blocks, gridParams } Parent blocks (centroids in world coordinates) and parent grid
+ * @throws {Error} If the factors do not divide the grid or an option is invalid
+ */
+function reblockModel(blocks, gridParams, factors, options = {}) {
+    const {
+        rockTypeRule = 'majority',
+        oreProportion = 0.5,
+        gradeAttributes = getGradeAttributeDefinitions()
+    } = options;
+    const fx = factors.x;
+    const fy = factors.y;
+    const fz = factors.z;
+    
+    if (![fx, fy, fz].every(factor => Number.isInteger(factor) && factor >= 1)) {
+        throw new Error('Reblocking factors must be positive integers');
+    }
+    if (gridParams.nx % fx !== 0 || gridParams.ny % fy !== 0 || gridParams.nz % fz !== 0) {
+        throw new Error('Cell counts must be divisible by the reblocking factors');
+    }
+    if (!REBLOCK_ROCK_TYPE_RULES.includes(rockTypeRule)) {
+        throw new Error('Unknown reblocking rock type rule');
+    }
+    if (!(oreProportion >= 0 && oreProportion <= 1)) {
+        throw new Error('Ore proportion must be between 0 and 1');
+    }
+    
+    const parentParams = {
+        ...gridParams,
+        xInc: gridParams.xInc * fx,
+        yInc: gridParams.yInc * fy,
+        zInc: gridParams.zInc * fz,
+        nx: gridParams.nx / fx,
+        ny: gridParams.ny / fy,
+        nz: gridParams.nz / fz
+    };
+    const { xmOrig, ymOrig, zmOrig, xInc, yInc, zInc, ny, nz } = parentParams;
+    const parentVolume = xInc * yInc * zInc;
+    const childVolume = gridParams.xInc * gridParams.yInc * gridParams.zInc;
+    const gradeFields = ['gradeCu', 'gradeAu', 'recovery'].concat(gradeAttributes.map(attribute => attribute.field));
+    const valueFields = ['econValue', 'processValue', 'wasteValue'];
+    const categoryFields = ['zone', 'oxidation', 'faultBlock'];
+    const wasteRockType = getPatternMaterialLookup().Waste.rockType;
+    
+    // Accumulate children into their parent cells
+    const parents = new Map();
+    blocks.forEach(block => {
+        const i = Math.floor(block.i / fx);
+        const j = Math.floor(block.j / fy);
+        const k = Math.floor(block.k / fz);
+        const index = (i * ny + j) * nz + k;
+        let parent = parents.get(index);
+        if (!parent) {
+            parent = { i, j, k, tonnage: 0, values: {}, scenarios: null, rockVolume: {}, rockTonnage: {}, grades: {}, categories: {} };
+            parents.set(index, parent);
+        }
+        
+        const volume = block.dX !== undefined ? block.dX * block.dY * block.dZ : childVolume;
+        const tonnage = volume * (block.density || 0);
+        const rockType = block.rockType || 'Waste';
+        parent.tonnage += tonnage;
+        parent.rockVolume[rockType] = (parent.rockVolume[rockType] || 0) + volume;
+        parent.rockTonnage[rockType] = (parent.rockTonnage[rockType] || 0) + tonnage;
+        
+        valueFields.forEach(field => {
+            const value = block[field];
+            if (value !== undefined && value !== null) {
+                parent.values[field] = (parent.values[field] || 0) + value;
+            }
+        });
+        if (block.econScenarios) {
+            parent.scenarios = parent.scenarios || {};
+            Object.keys(block.econScenarios).forEach(name => {
+                parent.scenarios[name] = (parent.scenarios[name] || 0) + block.econScenarios[name];
+            });
+        }
+        gradeFields.forEach(field => {
+            const value = block[field];
+            if (value !== undefined && value !== null) {
+                parent.grades[field] = (parent.grades[field] || 0) + value * tonnage;
+            }
+        });
+        categoryFields.forEach(field => {
+            const value = block[field];
+            if (value !== undefined && value !== null) {
+                const weights = parent.categories[field] || (parent.categories[field] = new Map());
+                weights.set(value, (weights.get(value) || 0) + tonnage);
+            }
+        });
+    });
+    
+    // Key with the largest weight (ties keep the first seen)
+    const largest = entries => entries.reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+    
+    const rotation = isGridRotated(parentParams)
+        ? getGridRotationMatrix(parentParams.bearing, parentParams.dip, parentParams.plunge)
+        : null;
+    const parentBlocks = [];
+    
+    Array.from(parents.keys()).sort((a, b) => a - b).forEach(index => {
+        const parent = parents.get(index);
+        const x = xmOrig + (parent.i + 0.5) * xInc;
+        const y = ymOrig + (parent.j + 0.5) * yInc;
+        const z = zmOrig - (parent.k + 0.5) * zInc;
+        const world = rotation ? gridToWorld(rotation, parentParams, x, y, z) : { x, y, z };
+        
+        // Rock type from tonnage (volume for all-air parents)
+        let rockType;
+        const rockEntries = Object.entries(parent.tonnage > 0 ? parent.rockTonnage : parent.rockVolume);
+        if (rockTypeRule === 'proportion' && parent.tonnage > 0) {
+            const oreEntries = rockEntries.filter(([name, tonnage]) => name !== wasteRockType && tonnage > 0);
+            const oreTonnage = oreEntries.reduce((sum, entry) => sum + entry[1], 0);
+            rockType = oreEntries.length > 0 && oreTonnage / parent.tonnage >= oreProportion
+                ? largest(oreEntries)
+                : wasteRockType;
+        } else {
+            rockType = largest(rockEntries);
+        }
+        
+        const proportions = {};
+        Object.keys(parent.rockVolume).forEach(name => {
+            proportions[name] = parent.rockVolume[name] / parentVolume;
+        });
+        
+        const block = {
+            x: world.x,
+            y: world.y,
+            z: world.z,
+            i: parent.i,
+            j: parent.j,
+            k: parent.k,
+            rockType: rockType,
+            density: parent.tonnage / parentVolume,
+            zone: undefined,
+            gradeAu: undefined,
+            gradeCu: undefined,
+            econValue: parent.values.econValue
+        };
+        valueFields.forEach(field => {
+            if (parent.values[field] !== undefined) {
+                block[field] = parent.values[field];
+            }
+        });
+        if (parent.scenarios) {
+            block.econScenarios = parent.scenarios;
+        }
+        gradeFields.forEach(field => {
+            if (parent.grades[field] !== undefined) {
+                block[field] = parent.tonnage > 0 ? parent.grades[field] / parent.tonnage : 0;
+            }
+        });
+        categoryFields.forEach(field => {
+            if (parent.categories[field]) {
+                block[field] = largest(Array.from(parent.categories[field].entries()));
+            }
+        });
+        block.proportions = proportions;
+        
+        parentBlocks.push(block);
+    });
+    
+    return { blocks: parentBlocks, gridParams: parentParams };
+}
+
+/**
+ * Check whether grid parameters describe a rotated grid
+ * @param {Object} params - Grid parameters
+ * @returns {boolean} True if bearing, dip or plunge is non-zero
+ */
+function isGridRotated(params) {
+    return !!params && (
+        (params.bearing || 0) !== 0 ||
+        (params.dip || 0) !== 0 ||
+        (params.plunge || 0) !== 0
+    );
+}
+
+/**
+ * Build the grid-to-world rotation matrix
+ * Rotations are applied about the model origin in this order:
+ * 1. Dip: about the grid Y axis, positive tilts the grid +X axis downward
+ * 2. Plunge: about the grid X axis, positive tilts the grid +Y axis downward
+ * 3. Bearing: about the vertical axis, clockwise from north (azimuth of the grid +Y axis)
+ * All angles zero gives an axis-aligned grid.
+ * 
+ * @param {number} bearing - Bearing in degrees
+ * @param {number} dip - Dip in degrees
+ * @param {number} plunge - Plunge in degrees
+ * @returns {Array} 3x3 rotation matrix (array of rows)
+ */
+function getGridRotationMatrix(bearing = 0, dip = 0, plunge = 0) {
+    const b = bearing * Math.PI / 180;
+    const d = dip * Math.PI / 180;
+    const p = plunge * Math.PI / 180;
+    
+    const bearingMatrix = [
+        [Math.cos(b), Math.sin(b), 0],
+        [-Math.sin(b), Math.cos(b), 0],
+        [0, 0, 1]
+    ];
+    const plungeMatrix = [
+        [1, 0, 0],
+        [0, Math.cos(p), Math.sin(p)],
+        [0, -Math.sin(p), Math.cos(p)]
+    ];
+    const dipMatrix = [
+        [Math.cos(d), 0, Math.sin(d)],
+        [0, 1, 0],
+        [-Math.sin(d), 0, Math.cos(d)]
+    ];
+    
+    const multiply = (a, c) => a.map(row =>
+        [0, 1, 2].map(col => row[0] * c[0][col] + row[1] * c[1][col] + row[2] * c[2][col])
+    );
+    
+    return multiply(multiply(bearingMatrix, plungeMatrix), dipMatrix);
+}
+
+/**
+ * Rotate an unrotated grid position into world coordinates about the model origin
+ * @param {Array} rotation - Matrix from getGridRotationMatrix()
+ * @param {Object} params - Grid parameters (xmOrig, ymOrig, zmOrig)
+ * @param {number} x - X position in the unrotated grid
+ * @param {number} y - Y position in the unrotated grid
+ * @param {number} z - Z position in the unrotated grid
+ * @returns {Object} World coordinates {x, y, z}
+ */
+function gridToWorld(rotation, params, x, y, z) {
+    const u = x - params.xmOrig;
+    const v = y - params.ymOrig;
+    const w = z - params.zmOrig;
+    
+    return {
+        x: params.xmOrig + rotation[0][0] * u + rotation[0][1] * v + rotation[0][2] * w,
+        y: params.ymOrig + rotation[1][0] * u + rotation[1][1] * v + rotation[1][2] * w,
+        z: params.zmOrig + rotation[2][0] * u + rotation[2][1] * v + rotation[2][2] * w
+    };
+}
+
+/**
+ * Move blocks generated in an unrotated grid into the rotated world position
+ * Patterns are applied before rotation so ore bodies stay aligned with the grid axes
+ * @param {Array} blocks - Blocks with centroids in the unrotated grid
+ * @param {Object} params - Grid parameters including bearing, dip and plunge
+ * @returns {Array} Blocks with world centroids (I/J/K unchanged)
+ */
+function rotateBlocksToWorld(blocks, params) {
+    if (!isGridRotated(params)) {
+        return blocks;
+    }
+    
+    const rotation = getGridRotationMatrix(params.bearing, params.dip, params.plunge);
+    return blocks.map(block => ({
+        ...block,
+        ...gridToWorld(rotation, params, block.x, block.y, block.z)
+    }));
+}
+
+/**
+ * Build a grid definition file so other packages can reconstruct the model
+ * @param {Object} params - Grid parameters (origin, increments, counts, rotation)
+ * @returns {string} Plain text KEY=VALUE definition
+ */
+function gridParamsToDefinition(params) {
+    const lines = [
+        '# Block model grid definition',
+        '# Centroids in the CSV are world coordinates; I, J, K are grid indices',
+        '# Rotation about the origin: DIP (about grid Y), then PLUNGE (about grid X), then BEARING (about Z, clockwise from north)',
+        `XMORIG=${formatCoordinate(params.xmOrig)}`,
+        `YMORIG=${formatCoordinate(params.ymOrig)}`,
+        `ZMORIG=${formatCoordinate(params.zmOrig)}`,
+        `XINC=${formatNumber(params.xInc)}`,
+        `YINC=${formatNumber(params.yInc)}`,
+        `ZINC=${formatNumber(params.zInc)}`,
+        `NX=${params.nx}`,
+        `NY=${params.ny}`,
+        `NZ=${params.nz}`,
+        `BEARING=${formatNumber(params.bearing || 0)}`,
+        `DIP=${formatNumber(params.dip || 0)}`,
+        `PLUNGE=${formatNumber(params.plunge || 0)}`
+    ];
+    return lines.join('\n');
+}
+
 /**
  * Format coordinate value (4 decimal places, standard for mining)
  * @param {number} value - Coordinate value
@@ -103,6 +420,101 @@ function formatNumber(value) {
     return value.toFixed(4);
 }
 
+/**
+ * Format text value as a CSV field
+ * Values with commas, quotes or line breaks are quoted, with quotes doubled (RFC 4180).
+ * @param {string} value - Text value
+ * @returns {string} CSV field
+ */
+function formatCsvText(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV column name of a rock type proportion
+ * @param {string} rockType - Rock type name
+ * @returns {string} Column name (e.g. PROP_ORE_HIGH)
+ */
+function getProportionColumn(rockType) {
+    return 'PROP_' + rockType.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+/**
+ * CSV column name of an economic scenario (see applyEconomicParameters)
+ * @param {string} name - Scenario name
+ * @returns {string} Column name (e.g. P1_CU_+5)
+ */
+function getScenarioColumn(name) {
+    return name.trim().toUpperCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Built-in CSV columns, in the standard style and as MiningMath names without the type character
+ * (economic scenario columns must not repeat them)
+ */
+const RESERVED_CSV_COLUMNS = [
+    'X', 'Y', 'Z', 'I', 'J', 'K', 'DX', 'DY', 'DZ', 'ROCKTYPE', 'DENSITY', 'ZONE', 'FAULT_BLOCK',
+    'OXIDATION', 'RECOVERY', 'GRADE_CU', 'GRADE_AU', 'ECON_VALUE', 'VALUE_PROCESS1', 'VALUE_WASTE',
+    'SLOPE', 'RESCAT', 'PIT', 'CU', 'AU', 'VALUE', 'PROCESS1', 'WASTE'
+];
+
+/**
+ * Prefixes of generated CSV columns (grade attributes, estimates and rock type proportions)
+ */
+const RESERVED_CSV_PREFIXES = ['GRADE_', 'PROP_'];
+
+/**
+ * Block fields of grade estimates: the estimated field, then _OK (ordinary kriging) or
+ * _ID<power> (inverse distance), e.g. gradeCu_OK (see estimateBlockGrades)
+ */
+const ESTIMATE_FIELD_PATTERN = /^(grade[A-Za-z0-9]+)_(OK|ID\d)$/;
+
+/**
+ * Estimate fields present in a model, in order of appearance
+ * @param {Array} blocks - Blocks
+ * @returns {Array} Estimate field names (e.g. ['gradeCu_OK', 'gradeCu_ID2'])
+ */
+function getEstimateFields(blocks) {
+    const fields = [];
+    blocks.forEach(block => {
+        for (const key in block) {
+            if (ESTIMATE_FIELD_PATTERN.test(key) && !fields.includes(key)) {
+                fields.push(key);
+            }
+        }
+    });
+    return fields;
+}
+
+/**
+ * Field estimated by an estimate field
+ * @param {string} estimateField - Estimate field (e.g. gradeCu_OK)
+ * @returns {string} Estimated field (e.g. gradeCu)
+ */
+function getEstimatedField(estimateField) {
+    return estimateField.replace(ESTIMATE_FIELD_PATTERN, '$1');
+}
+
+/**
+ * CSV column name of an estimate field
+ * @param {string} estimateField - Estimate field (e.g. gradeCu_OK)
+ * @returns {string} Column name (e.g. GRADE_CU_OK)
+ */
+function getEstimateColumn(estimateField) {
+    return estimateField.replace(ESTIMATE_FIELD_PATTERN, (match, field, suffix) =>
+        `GRADE_${field.slice(5).toUpperCase()}_${suffix}`);
+}
+
+/**
+ * CSV header styles
+ *   standard   - short uppercase names (GRADE_CU, DENSITY, ECON_VALUE, ...)
+ *   miningmath - MiningMath field prefixes: @ grades and proportions (@CU), % density (%Density),
+ *                $ economic values ($Value, $Process1, $Waste and the scenario names) and
+ *                / slope (/Slope)
+ */
+const CSV_HEADER_STYLES = ['standard', 'miningmath'];
+
 /**
  * Convert blocks array to CSV string following MiningMath formatting rules
  * 
@@ -111,6 +523,18 @@ function formatNumber(value) {
  * @param {number} [options.cellSizeX] - Cell size in X direction (for dX field)
  * @param {number} [options.cellSizeY] - Cell size in Y direction (for dY field)
  * @param {number} [options.cellSizeZ] - Cell size in Z direction (for dZ field)
+ * @param {Array} [options.gradeAttributes] - Extra grade attributes (defaults to getGradeAttributeDefinitions())
+ * @param {string} [options.headerStyle='standard'] - Header style (see CSV_HEADER_STYLES)
+ * @param {Function} [options.slopeAngle] - Slope angle of a block; adds a SLOPE column (see getBlockSlopeAngle)
+ * Faulted models (blocks with a faultBlock id) export a FAULT_BLOCK column and weathered models
+ * (blocks with an oxidation zone) export OXIDATION and RECOVERY
+ * Estimated models export one column per estimate after the grades (see getEstimateColumn)
+ * Reblocked models (blocks with rock type proportions) export a PROP_<ROCKTYPE> column per rock type
+ * Models valued with economic parameters and process columns export VALUE_PROCESS1 and VALUE_WASTE
+ * after ECON_VALUE, then one column per economic scenario (see getScenarioColumn); classified models
+ * (blocks with a resource category) export RESCAT and pit-optimized models (blocks with a pit shell)
+ * export a PIT column last
+ * Sub-blocks (blocks with their own dX, dY, dZ) always export their dimensions
  * @returns {string} CSV text with headers
  */
 function blocksToCsv(blocks, options = {}) {
@@ -122,9 +546,16 @@ function blocksToCsv(blocks, options = {}) {
         filterAirBlocks = true,
         cellSizeX = undefined,
         cellSizeY = undefined,
-        cellSizeZ = undefined
+        cellSizeZ = undefined,
+        gradeAttributes = getGradeAttributeDefinitions(),
+        headerStyle = 'standard',
+        slopeAngle = null
     } = options;
     
+    if (!CSV_HEADER_STYLES.includes(headerStyle)) {
+        throw new Error('Unknown CSV header style');
+    }
+    
     if (!blocks || blocks.length === 0) {
         return '';
     }
@@ -141,9 +572,40 @@ function blocksToCsv(blocks, options = {}) {
     
     // Determine which fields are present in the data
     const hasZone = includeZone && filteredBlocks.some(b => b.zone !== undefined && b.zone !== null);
+    const hasFaultBlock = filteredBlocks.some(b => b.faultBlock !== undefined);
+    const hasOxidation = filteredBlocks.some(b => b.oxidation !== undefined);
+    const hasProcessValues = includeEconValue && filteredBlocks.some(b => b.processValue !== undefined);
+    const hasResCat = filteredBlocks.some(b => b.resCat !== undefined);
+    const hasPit = filteredBlocks.some(b => b.pit !== undefined);
+    const scenarioNames = [];
+    if (includeEconValue) {
+        filteredBlocks.forEach(b => {
+            if (b.econScenarios) {
+                Object.keys(b.econScenarios).forEach(name => {
+                    if (!scenarioNames.includes(name)) {
+                        scenarioNames.push(name);
+                    }
+                });
+            }
+        });
+    }
     const hasGradeAu = includeGrades && filteredBlocks.some(b => b.gradeAu !== undefined && b.gradeAu !== null);
     const hasGradeCu = includeGrades && filteredBlocks.some(b => b.gradeCu !== undefined && b.gradeCu !== null);
     const hasEconValue = includeEconValue && filteredBlocks.some(b => b.econValue !== undefined && b.econValue !== null);
+    const presentAttributes = includeGrades
+        ? gradeAttributes.filter(attribute => filteredBlocks.some(b => b[attribute.field] !== undefined && b[attribute.field] !== null))
+        : [];
+    const estimateFields = includeGrades ? getEstimateFields(filteredBlocks) : [];
+    const proportionRockTypes = [];
+    filteredBlocks.forEach(b => {
+        if (b.proportions) {
+            Object.keys(b.proportions).forEach(name => {
+                if (!proportionRockTypes.includes(name)) {
+                    proportionRockTypes.push(name);
+                }
+            });
+        }
+    });
     
     // Build header row (short names, uppercase, no spaces)
     const headers = ['X', 'Y', 'Z'];
@@ -152,8 +614,9 @@ function blocksToCsv(blocks, options = {}) {
         headers.push('I', 'J', 'K');
     }
     
-    // Add block dimensions if provided
-    const includeDimensions = cellSizeX !== undefined && cellSizeY !== undefined && cellSizeZ !== undefined;
+    // Add block dimensions if provided (or if the model contains sub-blocks)
+    const includeDimensions = (cellSizeX !== undefined && cellSizeY !== undefined && cellSizeZ !== undefined) ||
+        filteredBlocks.some(b => b.dX !== undefined);
     if (includeDimensions) {
         headers.push('dX', 'dY', 'dZ');
     }
@@ -164,6 +627,14 @@ function blocksToCsv(blocks, options = {}) {
         headers.push('ZONE');
     }
     
+    if (hasFaultBlock) {
+        headers.push('FAULT_BLOCK');
+    }
+    
+    if (hasOxidation) {
+        headers.push('OXIDATION', 'RECOVERY');
+    }
+    
     if (hasGradeCu) {
         headers.push('GRADE_CU');
     }
@@ -172,10 +643,65 @@ function blocksToCsv(blocks, options = {}) {
         headers.push('GRADE_AU');
     }
     
+    // MiningMath names of generated columns are kept by position, so a generated name can never
+    // replace the name of a built-in column
+    const generatedHeaders = new Map();
+    presentAttributes.forEach(attribute => {
+        generatedHeaders.set(headers.length, '@' + attribute.column.replace(/^GRADE_/, ''));
+        headers.push(attribute.column);
+    });
+    
+    estimateFields.forEach(field => {
+        generatedHeaders.set(headers.length, '@' + getEstimateColumn(field).replace(/^GRADE_/, ''));
+        headers.push(getEstimateColumn(field));
+    });
+    
+    proportionRockTypes.forEach(name => {
+        generatedHeaders.set(headers.length, '@' + getProportionColumn(name));
+        headers.push(getProportionColumn(name));
+    });
+    
     if (hasEconValue) {
         headers.push('ECON_VALUE');
     }
     
+    if (hasProcessValues) {
+        headers.push('VALUE_PROCESS1', 'VALUE_WASTE');
+    }
+    
+    scenarioNames.forEach(name => {
+        generatedHeaders.set(headers.length, '$' + name.trim());
+        headers.push(getScenarioColumn(name));
+    });
+    
+    if (slopeAngle) {
+        headers.push('SLOPE');
+    }
+    
+    if (hasResCat) {
+        headers.push('RESCAT');
+    }
+    
+    if (hasPit) {
+        headers.push('PIT');
+    }
+    
+    // MiningMath reads the field type from the first character of the header
+    if (headerStyle === 'miningmath') {
+        const miningMathHeaders = {
+            DENSITY: '%Density',
+            GRADE_CU: '@CU',
+            GRADE_AU: '@AU',
+            ECON_VALUE: '$Value',
+            VALUE_PROCESS1: '$Process1',
+            VALUE_WASTE: '$Waste',
+            SLOPE: '/Slope'
+        };
+        headers.forEach((header, n) => {
+            headers[n] = generatedHeaders.has(n) ? generatedHeaders.get(n) : miningMathHeaders[header] || header;
+        });
+    }
+    
     // Build CSV content using chunked approach to avoid string length limits
     // JavaScript strings have a maximum length of ~2^28-1 characters
     // For very large models, we need to build the CSV in chunks
@@ -200,19 +726,27 @@ function blocksToCsv(blocks, options = {}) {
             // Add block dimensions if provided
             if (includeDimensions) {
                 row.push(
-                    formatNumber(cellSizeX),
-                    formatNumber(cellSizeY),
-                    formatNumber(cellSizeZ)
+                    formatNumber(block.dX !== undefined ? block.dX : cellSizeX),
+                    formatNumber(block.dY !== undefined ? block.dY : cellSizeY),
+                    formatNumber(block.dZ !== undefined ? block.dZ : cellSizeZ)
                 );
             }
             
             row.push(
-                block.rockType || 'Waste',
+                formatCsvText(block.rockType || 'Waste'),
                 formatNumber(block.density)
             );
             
             if (hasZone) {
-                row.push(block.zone !== undefined && block.zone !== null ? String(block.zone) : '');
+                row.push(formatCsvText(block.zone));
+            }
+            
+            if (hasFaultBlock) {
+                row.push(block.faultBlock !== undefined ? block.faultBlock : '');
+            }
+            
+            if (hasOxidation) {
+                row.push(block.oxidation !== undefined ? block.oxidation : '', formatNumber(block.recovery));
             }
             
             if (hasGradeCu) {
@@ -223,10 +757,44 @@ function blocksToCsv(blocks, options = {}) {
                 row.push(block.gradeAu !== undefined && block.gradeAu !== null ? formatNumber(block.gradeAu) : '0.0000');
             }
             
+            presentAttributes.forEach(attribute => {
+                const value = block[attribute.field];
+                row.push(value !== undefined && value !== null ? formatNumber(value) : '0.0000');
+            });
+            
+            // Blocks outside the search are left blank
+            estimateFields.forEach(field => {
+                row.push(block[field] !== undefined ? formatNumber(block[field]) : '');
+            });
+            
+            proportionRockTypes.forEach(name => {
+                row.push(formatNumber(block.proportions ? block.proportions[name] || 0 : 0));
+            });
+            
             if (hasEconValue) {
                 row.push(block.econValue !== undefined && block.econValue !== null ? formatNumber(block.econValue) : '0.0000');
             }
             
+            if (hasProcessValues) {
+                row.push(formatNumber(block.processValue), formatNumber(block.wasteValue));
+            }
+            
+            scenarioNames.forEach(name => {
+                row.push(formatNumber(block.econScenarios ? block.econScenarios[name] : undefined));
+            });
+            
+            if (slopeAngle) {
+                row.push(formatNumber(slopeAngle(block)));
+            }
+            
+            if (hasResCat) {
+                row.push(block.resCat !== undefined ? block.resCat : 3);
+            }
+            
+            if (hasPit) {
+                row.push(block.pit !== undefined ? block.pit : 0);
+            }
+            
             return row.join(',');
         });
         
@@ -262,10 +830,10 @@ function convertLegacyBlock(legacyBlock) {
 /**
  * Apply material properties to blocks based on rock type
  * @param {Array} blocks - Array of blocks
- * @param {Object} materialDefinitions - Material property definitions
+ * @param {Object} materialDefinitions - Material property definitions (defaults to the active material library)
  * @returns {Array} Blocks with properties applied
  */
-function applyMaterialProperties(blocks, materialDefinitions) {
+function applyMaterialProperties(blocks, materialDefinitions = materialLibrary) {
     return blocks.map(block => {
         const material = materialDefinitions[block.rockType];
         if (material) {
@@ -287,10 +855,11 @@ function applyMaterialProperties(blocks, materialDefinitions) {
 // ============================================================================
 
 /**
- * Material definitions with properties (standard format)
+ * Default material definitions with properties (standard format)
  * Uses rockType, gradeCu, gradeAu, econValue
+ * Patterns read materials through the active library (see getPatternMaterial), not this table
  */
-const MATERIALS = {
+const DEFAULT_MATERIALS = {
     'Waste': { 
         color: 0x808080, 
         density: 2.5, 
@@ -343,6 +912,23 @@ const MATERIALS = {
         econValue: 350.0,
         zone: 'Zone2'
     },
+    // Scenario event materials (see scenario.js)
+    'Dyke': {
+        color: 0x2f4f3f,  // Dark green for post-mineral dyke
+        density: 2.9,
+        gradeCu: 0,       // Barren
+        gradeAu: 0,
+        econValue: -15.0,
+        zone: 'DYKE'
+    },
+    'Oxide_Ore': {
+        color: 0xc8a040,  // Ochre for oxidized ore
+        density: 2.6,
+        gradeCu: 0.2,     // Cu partly leached
+        gradeAu: 0.8,     // Au retained in the oxide cap
+        econValue: 20.0,
+        zone: 'OXIDE'
+    },
     // Salt Dome / Petroleum Geology Materials
     'Salt': {
         color: 0xffffff,  // White for salt
@@ -385,66 +971,739 @@ const MATERIALS = {
         gradeCu: 0,
         gradeAu: 0,
         econValue: -10.0
+    },
+    // Coal Seam Materials (see generateCoalSeams)
+    'Coal': {
+        color: 0x2b2b2b,  // Near-black for coal
+        density: 1.45,    // Relative density rises with ash (1.3-1.6 typical)
+        gradeCu: 0,       // No metal grades (quality is in ash, CV, sulphur, moisture)
+        gradeAu: 0,
+        econValue: 35.0
+    },
+    'Parting': {
+        color: 0x6b5d4f,  // Brown-gray for carbonaceous mudstone partings
+        density: 2.1,
+        gradeCu: 0,
+        gradeAu: 0,
+        econValue: -12.0
+    },
+    // Kimberlite Pipe Materials (see generateKimberlitePipes)
+    'CraterFacies': {
+        color: 0x9acd32,  // Yellow-green for reworked volcaniclastic crater infill
+        density: 2.2,
+        gradeCu: 0,       // No metal grades (diamond grade is in CPHT)
+        gradeAu: 0,
+        econValue: 15.0
+    },
+    'DiatremeFacies': {
+        color: 0x2e8b57,  // Sea green for tuffisitic kimberlite breccia
+        density: 2.45,
+        gradeCu: 0,
+        gradeAu: 0,
+        econValue: 60.0
+    },
+    'HypabyssalKimberlite': {
+        color: 0x1f4e5f,  // Dark blue-green for coherent root-zone kimberlite
+        density: 2.75,
+        gradeCu: 0,
+        gradeAu: 0,
+        econValue: 50.0
     }
 };
 
 // ============================================================================
-// Material Pattern Functions (Updated to Standard Format)
+// Material Library (User-Defined Rock Types)
 // ============================================================================
 
 /**
- * Apply uniform material pattern (single material)
- * @param {Array} blocks - Array of block objects
- * @returns {Array} Blocks with material assigned
+ * Pattern classes assigned by the built-in patterns (one per default material)
+ * A library material takes over a class through its role, e.g. { role: 'Ore_Low' } for "Oxide"
  */
-function applyUniformPattern(blocks) {
-    return blocks.map(block => {
-        const material = MATERIALS['Ore_Med'];
-        return {
-            ...block,
-            rockType: 'Ore_Med',
-            density: material.density,
-            gradeCu: material.gradeCu,
-            gradeAu: material.gradeAu,
-            econValue: material.econValue,
-            zone: material.zone
-        };
+const MATERIAL_ROLES = Object.keys(DEFAULT_MATERIALS);
+
+/**
+ * Maximum length of a material name
+ */
+const MAX_MATERIAL_NAME_LENGTH = 40;
+
+/**
+ * Active material library keyed by rock type name
+ * Entries have the DEFAULT_MATERIALS properties plus an optional role
+ */
+let materialLibrary = cloneMaterialLibrary(DEFAULT_MATERIALS);
+
+/**
+ * Pattern class lookup built from the active library (rebuilt when the library changes)
+ */
+let patternMaterialLookup = null;
+
+/**
+ * Copy a material library so callers cannot modify the active one
+ * @param {Object} library - Material library keyed by rock type
+ * @returns {Object} Copied library
+ */
+function cloneMaterialLibrary(library) {
+    const copy = {};
+    Object.keys(library).forEach(name => {
+        copy[name] = { ...library[name] };
     });
+    return copy;
 }
 
 /**
- * Apply layered material pattern (horizontal layers with random tilt)
- * @param {Array} blocks - Array of block objects
- * @param {number} cellsX - Number of cells in X direction
- * @param {number} cellsY - Number of cells in Y direction
- * @param {number} cellsZ - Number of cells in Z direction
- * @returns {Array} Blocks with material assigned
+ * Get the active material library
+ * @returns {Object} Copy of the material library keyed by rock type
  */
-function applyLayeredPattern(blocks, cellsX, cellsY, cellsZ) {
-    // Calculate model bounds for tilt calculation
-    let minX = Infinity, maxX = -Infinity;
-    let minY = Infinity, maxY = -Infinity;
-    let minZ = Infinity, maxZ = -Infinity;
-    
-    blocks.forEach(block => {
-        minX = Math.min(minX, block.x);
-        maxX = Math.max(maxX, block.x);
-        minY = Math.min(minY, block.y);
-        maxY = Math.max(maxY, block.y);
-        minZ = Math.min(minZ, block.z);
-        maxZ = Math.max(maxZ, block.z);
-    });
-    
-    const centerX = (minX + maxX) / 2;
-    const centerY = (minY + maxY) / 2;
-    const depthRange = maxZ - minZ; // Should be negative to positive (e.g., -2.5 to 0)
+function getMaterialLibrary() {
+    return cloneMaterialLibrary(materialLibrary);
+}
+
+/**
+ * Replace the active material library
+ * @param {Object} library - Material library keyed by rock type
+ * @returns {Object} Copy of the new library
+ * @throws {Error} If the library is invalid (see validateMaterialLibrary)
+ */
+function setMaterialLibrary(library) {
+    validateMaterialLibrary(library);
+    materialLibrary = cloneMaterialLibrary(library);
+    patternMaterialLookup = null;
+    return getMaterialLibrary();
+}
+
+/**
+ * Restore the default material library
+ * @returns {Object} Copy of the default library
+ */
+function resetMaterialLibrary() {
+    return setMaterialLibrary(DEFAULT_MATERIALS);
+}
+
+/**
+ * Validate a material library
+ * Names end up in CSV exports, so only letters, digits, spaces, '-' and '_' are allowed
+ * @param {Object} library - Material library keyed by rock type
+ * @throws {Error} If a name, property or role is invalid
+ */
+function validateMaterialLibrary(library) {
+    if (!library || typeof library !== 'object' || Array.isArray(library)) {
+        throw new Error('Material library must be an object keyed by rock type');
+    }
     
-    // Generate random tilt angles (in radians)
-    const tiltX = (Math.random() - 0.5) * 0.3; // ±15 degrees
-    const tiltY = (Math.random() - 0.5) * 0.3; // ±15 degrees
+    const names = Object.keys(library);
+    if (names.length === 0) {
+        throw new Error('Material library must contain at least one material');
+    }
     
-    // Calculate tilt offsets at model center
-    const tiltOffsetX = Math.tan(tiltX) * depthRange;
+    const roleHolders = {};
+    names.forEach(name => {
+        const material = library[name];
+        if (!/^[A-Za-z0-9_\- ]+$/.test(name) || name.trim() !== name || name.length > MAX_MATERIAL_NAME_LENGTH) {
+            throw new Error(`Invalid material name "${name}"`);
+        }
+        if (!material || typeof material !== 'object') {
+            throw new Error(`Material "${name}" has no properties`);
+        }
+        if (!Number.isInteger(material.color) || material.color < 0 || material.color > 0xffffff) {
+            throw new Error(`Material "${name}" has an invalid color`);
+        }
+        if (!Number.isFinite(material.density) || material.density <= 0) {
+            throw new Error(`Material "${name}" must have a positive density`);
+        }
+        ['gradeCu', 'gradeAu'].forEach(field => {
+            if (!Number.isFinite(material[field]) || material[field] < 0) {
+                throw new Error(`Material "${name}" has an invalid ${field}`);
+            }
+        });
+        if (!Number.isFinite(material.econValue)) {
+            throw new Error(`Material "${name}" has an invalid econValue`);
+        }
+        if (material.zone !== undefined && typeof material.zone !== 'string') {
+            throw new Error(`Material "${name}" has an invalid zone`);
+        }
+        
+        if (material.role !== undefined) {
+            if (!MATERIAL_ROLES.includes(material.role)) {
+                throw new Error(`Material "${name}" has an unknown pattern class "${material.role}"`);
+            }
+            // A material named after a pattern class can only stand in for that class
+            if (MATERIAL_ROLES.includes(name) && material.role !== name) {
+                throw new Error(`Material "${name}" can only be used for its own pattern class`);
+            }
+            if (roleHolders[material.role]) {
+                throw new Error(`Pattern class "${material.role}" is assigned to both "${roleHolders[material.role]}" and "${name}"`);
+            }
+            roleHolders[material.role] = name;
+        }
+    });
+}
+
+/**
+ * Build the pattern class lookup from the active library
+ * A class is held by the material with that role, else by the material of the same name,
+ * else it falls back to the default definition
+ * @returns {Object} Map of pattern class to { rockType, material }
+ */
+function getPatternMaterialLookup() {
+    if (patternMaterialLookup) {
+        return patternMaterialLookup;
+    }
+    
+    const lookup = {};
+    const names = Object.keys(materialLibrary);
+    MATERIAL_ROLES.forEach(role => {
+        const holder = names.find(name => materialLibrary[name].role === role) ||
+            (materialLibrary[role] && materialLibrary[role].role === undefined ? role : null);
+        lookup[role] = holder
+            ? { rockType: holder, material: materialLibrary[holder] }
+            : { rockType: role, material: DEFAULT_MATERIALS[role] };
+    });
+    
+    patternMaterialLookup = lookup;
+    return lookup;
+}
+
+/**
+ * Get the material properties used for a pattern class
+ * @param {string} role - Pattern class (e.g. 'Ore_Low')
+ * @returns {Object} Material properties from the active library
+ */
+function getPatternMaterial(role) {
+    const entry = getPatternMaterialLookup()[role];
+    return entry ? entry.material : getPatternMaterialLookup().Waste.material;
+}
+
+/**
+ * Rename pattern classes to the library rock types that stand in for them
+ * Called on pattern output; grades and values computed by the pattern are kept
+ * @param {Array} blocks - Array of block objects with pattern class rock types
+ * @returns {Array} Blocks with library rock types
+ */
+function assignLibraryRockTypes(blocks) {
+    const lookup = getPatternMaterialLookup();
+    const isRenamed = MATERIAL_ROLES.some(role => lookup[role].rockType !== role);
+    if (!isRenamed) {
+        return blocks;
+    }
+    
+    return blocks.map(block => {
+        const entry = lookup[block.rockType];
+        return entry && entry.rockType !== block.rockType ? { ...block, rockType: entry.rockType } : block;
+    });
+}
+
+/**
+ * Hash a string (djb2)
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Short signature of the active library (used in cache keys)
+ * @returns {string} Hash of the library contents
+ */
+function getMaterialLibrarySignature() {
+    return hashString(JSON.stringify(materialLibrary)).toString(36);
+}
+
+/**
+ * Parse a material color from '#rrggbb', '0xrrggbb' or a number
+ * @param {string|number} value - Color value
+ * @returns {number} Hex color value (NaN if invalid)
+ */
+function parseMaterialColor(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const match = /^(?:#|0x)([0-9a-f]{6})$/i.exec(String(value).trim());
+    return match ? parseInt(match[1], 16) : NaN;
+}
+
+/**
+ * Format a material color as '#rrggbb'
+ * @param {number} color - Hex color value
+ * @returns {string} CSS color string
+ */
+function formatMaterialColor(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+}
+
+/**
+ * Export a material library as JSON
+ * @param {Object} library - Material library keyed by rock type (defaults to the active library)
+ * @returns {string} JSON text ({ version, materials })
+ */
+function materialLibraryToJson(library = materialLibrary) {
+    const materials = {};
+    Object.keys(library).forEach(name => {
+        const material = library[name];
+        materials[name] = {
+            color: formatMaterialColor(material.color),
+            density: material.density,
+            gradeCu: material.gradeCu,
+            gradeAu: material.gradeAu,
+            econValue: material.econValue
+        };
+        if (material.zone !== undefined) {
+            materials[name].zone = material.zone;
+        }
+        if (material.role !== undefined) {
+            materials[name].role = material.role;
+        }
+    });
+    return JSON.stringify({ version: 1, materials: materials }, null, 2);
+}
+
+/**
+ * Parse a material library from JSON
+ * Accepts the materialLibraryToJson format or a plain object keyed by rock type
+ * @param {string} text - JSON text
+ * @returns {Object} Validated material library
+ * @throws {Error} If the JSON or a material is invalid
+ */
+function parseMaterialLibraryJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Material library is not valid JSON');
+    }
+    
+    const source = data && data.materials ? data.materials : data;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        throw new Error('Material library must be an object keyed by rock type');
+    }
+    
+    const library = {};
+    Object.keys(source).forEach(name => {
+        const material = source[name] || {};
+        library[name] = {
+            color: parseMaterialColor(material.color),
+            density: Number(material.density),
+            gradeCu: Number(material.gradeCu || 0),
+            gradeAu: Number(material.gradeAu || 0),
+            econValue: Number(material.econValue || 0)
+        };
+        if (material.zone !== undefined && material.zone !== null && material.zone !== '') {
+            library[name].zone = String(material.zone);
+        }
+        if (material.role !== undefined && material.role !== null && material.role !== '') {
+            library[name].role = String(material.role);
+        }
+    });
+    
+    validateMaterialLibrary(library);
+    return library;
+}
+
+// ============================================================================
+// Grade Attributes (Multi-Element Grades)
+// ============================================================================
+
+/**
+ * Attributes written by the patterns themselves (salt dome reservoir properties, coal quality,
+ * kimberlite diamond grade and value, stockwork vein fraction)
+ * Each entry: name, block field, CSV column and unit
+ */
+const PATTERN_GRADE_ATTRIBUTES = [
+    { name: 'OilSat', field: 'oilSaturation', column: 'OIL_SAT', unit: '%' },
+    { name: 'GasSat', field: 'gasSaturation', column: 'GAS_SAT', unit: '%' },
+    { name: 'Porosity', field: 'porosity', column: 'POROSITY', unit: 'frac' },
+    { name: 'Ash', field: 'ash', column: 'ASH', unit: '%' },
+    { name: 'CV', field: 'calorificValue', column: 'CV', unit: 'MJ/kg' },
+    { name: 'Sulphur', field: 'sulphur', column: 'SULPHUR', unit: '%' },
+    { name: 'Moisture', field: 'moisture', column: 'MOISTURE', unit: '%' },
+    { name: 'CPHT', field: 'cpht', column: 'CPHT', unit: 'cpht' },
+    { name: 'DiamondValue', field: 'diamondValue', column: 'DIAMOND_VALUE', unit: '$/ct' },
+    { name: 'VeinFrac', field: 'veinFraction', column: 'VEIN_FRAC', unit: 'frac' }
+];
+
+/**
+ * Block fields a configured attribute can be correlated to
+ */
+const GRADE_ATTRIBUTE_PRIMARY_FIELDS = ['gradeCu', 'gradeAu'].concat(PATTERN_GRADE_ATTRIBUTES.map(attribute => attribute.field));
+
+/**
+ * Typical settings for common elements (mean and CV of a lognormal distribution,
+ * correlation is between normal scores of the attribute and its primary grade)
+ */
+const GRADE_ATTRIBUTE_PRESETS = {
+    Ag: { unit: 'g/t', mean: 8, cv: 1.2, primary: 'gradeAu', correlation: 0.7 },
+    Zn: { unit: '%', mean: 1.2, cv: 1.0, primary: 'gradeCu', correlation: 0.3 },
+    Pb: { unit: '%', mean: 0.6, cv: 1.1, primary: 'gradeCu', correlation: 0.25 },
+    Mo: { unit: 'ppm', mean: 120, cv: 1.3, primary: 'gradeCu', correlation: 0.5 },
+    Fe: { unit: '%', mean: 6, cv: 0.4, primary: 'gradeCu', correlation: 0.4 },
+    S: { unit: '%', mean: 2.5, cv: 0.6, primary: 'gradeCu', correlation: 0.6 },
+    As: { unit: 'ppm', mean: 60, cv: 1.5, primary: 'gradeAu', correlation: 0.5 }
+};
+
+/**
+ * Maximum number of configured grade attributes
+ */
+const MAX_GRADE_ATTRIBUTES = 12;
+
+/**
+ * Active grade attributes (configured in the Grade Attributes section)
+ */
+let gradeAttributes = [];
+
+/**
+ * Create a grade attribute, using the preset settings when the name has one
+ * @param {string} name - Attribute name (e.g. 'Ag')
+ * @returns {Object} Grade attribute { name, unit, mean, cv, primary, correlation }
+ */
+function createGradeAttribute(name) {
+    const preset = GRADE_ATTRIBUTE_PRESETS[name] || { unit: '%', mean: 1, cv: 1, primary: 'gradeCu', correlation: 0.5 };
+    return { name: name, ...preset };
+}
+
+/**
+ * Block field of a configured attribute (e.g. 'Ag' -> 'gradeAg')
+ * @param {Object} attribute - Grade attribute
+ * @returns {string} Block field name
+ */
+function getGradeAttributeField(attribute) {
+    return `grade${attribute.name}`;
+}
+
+/**
+ * CSV column of a configured attribute (e.g. 'Ag' -> 'GRADE_AG')
+ * @param {Object} attribute - Grade attribute
+ * @returns {string} CSV column name
+ */
+function getGradeAttributeColumn(attribute) {
+    return `GRADE_${attribute.name.toUpperCase()}`;
+}
+
+/**
+ * Get a copy of the active grade attributes
+ * @returns {Array} Grade attributes
+ */
+function getGradeAttributes() {
+    return gradeAttributes.map(attribute => ({ ...attribute }));
+}
+
+/**
+ * Replace the active grade attributes
+ * @param {Array} attributes - Grade attributes
+ * @throws {Error} If an attribute is invalid
+ */
+function setGradeAttributes(attributes) {
+    validateGradeAttributes(attributes);
+    gradeAttributes = attributes.map(attribute => ({ ...attribute }));
+}
+
+/**
+ * Validate a list of grade attributes
+ * @param {Array} attributes - Grade attributes
+ * @throws {Error} If an attribute is invalid
+ */
+function validateGradeAttributes(attributes) {
+    if (!Array.isArray(attributes)) {
+        throw new Error('Grade attributes must be a list');
+    }
+    if (attributes.length > MAX_GRADE_ATTRIBUTES) {
+        throw new Error(`At most ${MAX_GRADE_ATTRIBUTES} grade attributes are supported`);
+    }
+    
+    const reserved = ['CU', 'AU'].concat(PATTERN_GRADE_ATTRIBUTES.map(attribute => attribute.name.toUpperCase()));
+    const columns = new Set();
+    attributes.forEach(attribute => {
+        const name = attribute && attribute.name;
+        if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9]{0,11}$/.test(name)) {
+            throw new Error(`Invalid grade attribute name "${name}"`);
+        }
+        if (reserved.includes(name.toUpperCase())) {
+            throw new Error(`Grade attribute "${name}" is a built-in field`);
+        }
+        const column = getGradeAttributeColumn(attribute);
+        if (columns.has(column)) {
+            throw new Error(`Grade attribute "${name}" is defined more than once`);
+        }
+        columns.add(column);
+        
+        if (typeof attribute.unit !== 'string' || attribute.unit.length > 12) {
+            throw new Error(`Grade attribute "${name}" has an invalid unit`);
+        }
+        if (!(attribute.mean > 0) || !isFinite(attribute.mean)) {
+            throw new Error(`Grade attribute "${name}" must have a positive mean`);
+        }
+        if (!(attribute.cv > 0) || !isFinite(attribute.cv)) {
+            throw new Error(`Grade attribute "${name}" must have a positive coefficient of variation`);
+        }
+        if (!GRADE_ATTRIBUTE_PRIMARY_FIELDS.includes(attribute.primary)) {
+            throw new Error(`Grade attribute "${name}" has an invalid primary grade`);
+        }
+        if (!(attribute.correlation >= -1 && attribute.correlation <= 1)) {
+            throw new Error(`Grade attribute "${name}" correlation must be between -1 and 1`);
+        }
+    });
+}
+
+/**
+ * All grade attributes a block may carry besides gradeCu and gradeAu
+ * (pattern attributes first, then the configured ones)
+ * @param {Array} attributes - Configured grade attributes (defaults to the active list)
+ * @returns {Array} Definitions { name, field, column, unit }
+ */
+function getGradeAttributeDefinitions(attributes = gradeAttributes) {
+    return PATTERN_GRADE_ATTRIBUTES.map(attribute => ({ ...attribute })).concat(attributes.map(attribute => ({
+        name: attribute.name,
+        field: getGradeAttributeField(attribute),
+        column: getGradeAttributeColumn(attribute),
+        unit: attribute.unit
+    })));
+}
+
+/**
+ * Short signature of the active grade attributes (used in cache keys)
+ * @returns {string} Hash of the attribute settings
+ */
+function getGradeAttributesSignature() {
+    return hashString(JSON.stringify(gradeAttributes)).toString(36);
+}
+
+/**
+ * Normal scores with tied values sharing their mid rank
+ * (waste blocks all have the same primary grade and must not be ordered by position)
+ * @param {Array} values - Values to transform
+ * @returns {Float64Array} Normal scores
+ */
+function tiedNormalScores(values) {
+    const n = values.length;
+    const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => values[a] - values[b]);
+    const scores = new Float64Array(n);
+    
+    let start = 0;
+    while (start < n) {
+        let end = start + 1;
+        while (end < n && values[order[end]] === values[order[start]]) {
+            end++;
+        }
+        const score = inverseNormalCdf(((start + end - 1) / 2 + 0.5) / n);
+        for (let r = start; r < end; r++) {
+            scores[order[r]] = score;
+        }
+        start = end;
+    }
+    return scores;
+}
+
+/**
+ * Add the configured grade attributes to blocks
+ * Each attribute is lognormal (mean, cv) and its normal score has (approximately) the
+ * requested correlation with the normal score of its primary grade:
+ *   y = r * y_primary + sqrt(1 - r^2) * e,   e ~ N(0, 1)
+ * y is normal-scored again before the lognormal back-transform.
+ * Every attribute draws from its own stream (model seed + attribute name), so adding
+ * or removing an attribute does not change the others.
+ * @param {Array} blocks - Blocks with primary grades assigned
+ * @param {Array} attributes - Grade attributes (defaults to the active list)
+ * @param {number} seed - Model seed (see createSeededRandom)
+ * @returns {Array} Blocks with one field per attribute (see getGradeAttributeField)
+ */
+function applyGradeAttributes(blocks, attributes = gradeAttributes, seed = null) {
+    if (!attributes || attributes.length === 0 || blocks.length === 0) {
+        return blocks;
+    }
+    
+    const baseSeed = normalizeSeed(seed);
+    const primaryScores = {};
+    const columns = attributes.map(attribute => {
+        if (!primaryScores[attribute.primary]) {
+            // Ties shrink the score variance; rescale to unit variance so the correlation is honoured
+            const scores = tiedNormalScores(blocks.map(block => Number(block[attribute.primary]) || 0));
+            let variance = 0;
+            scores.forEach(score => {
+                variance += score * score;
+            });
+            const std = Math.sqrt(variance / scores.length);
+            primaryScores[attribute.primary] = std > 0 ? scores.map(score => score / std) : scores;
+        }
+        const scores = primaryScores[attribute.primary];
+        const random = createSeededRandom(baseSeed !== null ? (baseSeed ^ hashString(attribute.name)) >>> 0 : null);
+        const r = attribute.correlation;
+        const independent = Math.sqrt(1 - r * r);
+        
+        const mixed = new Float64Array(blocks.length);
+        for (let i = 0; i < blocks.length; i++) {
+            mixed[i] = r * scores[i] + independent * randomNormal(random);
+        }
+        
+        // Normal-score the mixture so the back-transform honours the target mean and CV exactly
+        const values = normalScoreTransform(mixed).map(y => lognormalBackTransform(y, attribute.mean, attribute.cv));
+        return { field: getGradeAttributeField(attribute), values: values };
+    });
+    
+    return blocks.map((block, index) => {
+        const result = { ...block };
+        columns.forEach(column => {
+            result[column.field] = column.values[index];
+        });
+        return result;
+    });
+}
+
+// ============================================================================
+// Seeded Random Numbers
+// ============================================================================
+
+/**
+ * Largest accepted model seed (seeds are unsigned 32-bit integers)
+ */
+const MAX_RANDOM_SEED = 4294967295;
+
+/**
+ * Create a new model seed
+ * Patterns never call Math.random() directly; all randomness is derived from a seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+function createRandomSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * (MAX_RANDOM_SEED + 1));
+}
+
+/**
+ * Normalize a model seed to an unsigned 32-bit integer
+ * Also accepts the { timeSeed, randomComponent } objects stored by older gallery saves
+ * @param {number|Object} seed - Model seed
+ * @returns {number|null} Unsigned 32-bit seed, or null when no seed is given
+ */
+function normalizeSeed(seed) {
+    if (seed === null || seed === undefined) {
+        return null;
+    }
+    
+    if (typeof seed === 'object') {
+        const timeSeed = Math.floor(seed.timeSeed || 0);
+        const randomComponent = Math.floor((seed.randomComponent || 0) * 1000);
+        return (timeSeed * 10007 + randomComponent) >>> 0;
+    }
+    
+    const value = Number(seed);
+    if (!Number.isInteger(value) || value < 0 || value > MAX_RANDOM_SEED) {
+        throw new Error(`Seed must be an integer between 0 and ${MAX_RANDOM_SEED}`);
+    }
+    return value;
+}
+
+/**
+ * Create a seeded uniform random number generator (xoshiro128**)
+ * The 128-bit state is expanded from the seed with splitmix32, so adjacent seeds give unrelated streams.
+ * Without a seed a new one is drawn and the sequence is not reproducible.
+ * @param {number|Object} seed - Model seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    const normalized = normalizeSeed(seed);
+    let splitState = normalized !== null ? normalized : createRandomSeed();
+    
+    const splitMix32 = () => {
+        splitState = (splitState + 0x9E3779B9) | 0;
+        let z = splitState;
+        z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+        z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+        return z ^ (z >>> 16);
+    };
+    
+    let s0 = splitMix32();
+    let s1 = splitMix32();
+    let s2 = splitMix32();
+    let s3 = splitMix32();
+    const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+    
+    return () => {
+        const result = Math.imul(rotl(Math.imul(s1, 5), 7), 9);
+        const t = s1 << 9;
+        s2 ^= s0;
+        s3 ^= s1;
+        s1 ^= s2;
+        s0 ^= s3;
+        s2 ^= t;
+        s3 = rotl(s3, 11);
+        return (result >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a uniform value in [min, max)
+ * @param {Function} random - Generator from createSeededRandom
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Random value
+ */
+function randomBetween(random, min, max) {
+    return min + random() * (max - min);
+}
+
+// ============================================================================
+// Material Pattern Functions (Updated to Standard Format)
+// ============================================================================
+
+/**
+ * Apply uniform material pattern (single material)
+ * @param {Array} blocks - Array of block objects
+ * @returns {Array} Blocks with material assigned
+ */
+function applyUniformPattern(blocks) {
+    return blocks.map(block => {
+        const material = getPatternMaterial('Ore_Med');
+        return {
+            ...block,
+            rockType: 'Ore_Med',
+            density: material.density,
+            gradeCu: material.gradeCu,
+            gradeAu: material.gradeAu,
+            econValue: material.econValue,
+            zone: material.zone
+        };
+    });
+}
+
+/**
+ * Apply layered material pattern (horizontal layers with random tilt)
+ * @param {Array} blocks - Array of block objects
+ * @param {number} cellsX - Number of cells in X direction
+ * @param {number} cellsY - Number of cells in Y direction
+ * @param {number} cellsZ - Number of cells in Z direction
+ * @param {number} seed - Model seed
+ * @returns {Array} Blocks with material assigned
+ */
+function applyLayeredPattern(blocks, cellsX, cellsY, cellsZ, seed = null) {
+    // Calculate model bounds for tilt calculation
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    let minZ = Infinity, maxZ = -Infinity;
+    
+    blocks.forEach(block => {
+        minX = Math.min(minX, block.x);
+        maxX = Math.max(maxX, block.x);
+        minY = Math.min(minY, block.y);
+        maxY = Math.max(maxY, block.y);
+        minZ = Math.min(minZ, block.z);
+        maxZ = Math.max(maxZ, block.z);
+    });
+    
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    const depthRange = maxZ - minZ; // Should be negative to positive (e.g., -2.5 to 0)
+    
+    // Generate random tilt angles (in radians)
+    const random = createSeededRandom(seed);
+    const tiltX = randomBetween(random, -0.15, 0.15); // ±15 degrees
+    const tiltY = randomBetween(random, -0.15, 0.15); // ±15 degrees
+    
+    // Calculate tilt offsets at model center
+    const tiltOffsetX = Math.tan(tiltX) * depthRange;
     const tiltOffsetY = Math.tan(tiltY) * depthRange;
     
     return blocks.map(block => {
@@ -469,7 +1728,7 @@ function applyLayeredPattern(blocks, cellsX, cellsY, cellsZ) {
             rockType = 'Ore_High';
         }
         
-        const material = MATERIALS[rockType];
+        const material = getPatternMaterial(rockType);
         return {
             ...block,
             rockType: rockType,
@@ -488,6 +1747,7 @@ function applyLayeredPattern(blocks, cellsX, cellsY, cellsZ) {
  * @param {number} cellsX - Number of cells in X direction
  * @param {number} cellsY - Number of cells in Y direction
  * @param {number} cellsZ - Number of cells in Z direction
+ * @param {number} seed - Model seed
  * @returns {Array} Blocks with material assigned
  */
 function applyGradientPattern(blocks, cellsX, cellsY, cellsZ, seed = null) {
@@ -512,40 +1772,28 @@ function applyGradientPattern(blocks, cellsX, cellsY, cellsZ, seed = null) {
     const modelCenterY = (minY + maxY) / 2;
     const modelCenterZ = (minZ + maxZ) / 2;
     
-    // Use provided seed or generate new random values
-    const timeSeed = seed ? seed.timeSeed : (Date.now() % 1000000);
-    const randomComponent = seed ? seed.randomComponent : (Math.random() * 10000);
-    
-    // Randomization helper function
-    const rand = (seed, min, max) => {
-        const combinedSeed = (seed * 9301 + 49297 + timeSeed + randomComponent) % 233280;
-        const hash = combinedSeed / 233280;
-        return min + hash * (max - min);
-    };
-    
-    // Seeds for randomization
-    const seed1 = (Math.floor((minX + minY) * 100) + timeSeed) % 10000;
-    const seed2 = (Math.floor((minY + minZ) * 100) + timeSeed * 3) % 10000;
-    const seed3 = (Math.floor((minZ + minX) * 100) + timeSeed * 7) % 10000;
+    // Random choices are drawn in a fixed order from the model seed
+    const random = createSeededRandom(seed);
+    const rand = (min, max) => randomBetween(random, min, max);
     
     // Randomize center position (offset from model center by up to 20% of model size)
-    const centerOffsetX = rand(seed1, -0.2, 0.2) * modelSizeX;
-    const centerOffsetY = rand(seed2, -0.2, 0.2) * modelSizeY;
-    const centerOffsetZ = rand(seed3, -0.2, 0.2) * modelSizeZ;
+    const centerOffsetX = rand(-0.2, 0.2) * modelSizeX;
+    const centerOffsetY = rand(-0.2, 0.2) * modelSizeY;
+    const centerOffsetZ = rand(-0.2, 0.2) * modelSizeZ;
     
     const centerX = modelCenterX + centerOffsetX;
     const centerY = modelCenterY + centerOffsetY;
     const centerZ = modelCenterZ + centerOffsetZ;
     
     // Randomize gradient direction (which axis has more influence)
-    const gradientDirX = rand(seed1 * 2, 0.5, 1.5);
-    const gradientDirY = rand(seed2 * 2, 0.5, 1.5);
-    const gradientDirZ = rand(seed3 * 2, 0.5, 1.5);
+    const gradientDirX = rand(0.5, 1.5);
+    const gradientDirY = rand(0.5, 1.5);
+    const gradientDirZ = rand(0.5, 1.5);
     
     // Randomize thresholds for different rock types
-    const thresholdHigh = rand(seed1 * 3, 0.25, 0.35);  // 0.25-0.35
-    const thresholdMed = rand(seed2 * 3, 0.55, 0.65);  // 0.55-0.65
-    const thresholdLow = rand(seed3 * 3, 0.75, 0.85);  // 0.75-0.85
+    const thresholdHigh = rand(0.25, 0.35);  // 0.25-0.35
+    const thresholdMed = rand(0.55, 0.65);  // 0.55-0.65
+    const thresholdLow = rand(0.75, 0.85);  // 0.75-0.85
     
     return blocks.map(block => {
         // Calculate weighted distance from randomized center using COORDINATES (not indices)
@@ -567,7 +1815,7 @@ function applyGradientPattern(blocks, cellsX, cellsY, cellsZ, seed = null) {
             rockType = 'Waste';
         }
         
-        const material = MATERIALS[rockType];
+        const material = getPatternMaterial(rockType);
         return {
             ...block,
             rockType: rockType,
@@ -589,7 +1837,7 @@ function applyCheckerboardPattern(blocks) {
     return blocks.map(block => {
         const isEven = (block.i + block.j + block.k) % 2 === 0;
         const rockType = isEven ? 'Ore_Med' : 'Waste';
-        const material = MATERIALS[rockType];
+        const material = getPatternMaterial(rockType);
         
         return {
             ...block,
@@ -606,23 +1854,25 @@ function applyCheckerboardPattern(blocks) {
 /**
  * Apply random material pattern
  * @param {Array} blocks - Array of block objects
+ * @param {number} seed - Model seed
  * @returns {Array} Blocks with material assigned
  */
-function applyRandomPattern(blocks) {
+function applyRandomPattern(blocks, seed = null) {
     const rockTypes = ['Waste', 'Ore_Low', 'Ore_Med', 'Ore_High'];
+    const random = createSeededRandom(seed);
     
     return blocks.map(block => {
-        const randomIndex = Math.floor(Math.random() * rockTypes.length);
+        const randomIndex = Math.floor(random() * rockTypes.length);
         const rockType = rockTypes[randomIndex];
-        const material = MATERIALS[rockType];
+        const material = getPatternMaterial(rockType);
         
         return {
             ...block,
             rockType: rockType,
-            density: material.density + (Math.random() - 0.5) * 0.2,
-            gradeCu: material.gradeCu * (0.8 + Math.random() * 0.4),
-            gradeAu: material.gradeAu * (0.8 + Math.random() * 0.4),
-            econValue: material.econValue * (0.8 + Math.random() * 0.4),
+            density: material.density + randomBetween(random, -0.1, 0.1),
+            gradeCu: material.gradeCu * randomBetween(random, 0.8, 1.2),
+            gradeAu: material.gradeAu * randomBetween(random, 0.8, 1.2),
+            econValue: material.econValue * randomBetween(random, 0.8, 1.2),
             zone: material.zone
         };
     });
@@ -654,7 +1904,7 @@ function applyOreHorizonPattern(blocks, cellsX, cellsY, cellsZ) {
     return blocks.map(block => {
         const isInHorizon = block.z >= horizonMin && block.z <= horizonMax;
         const rockType = isInHorizon ? 'Ore' : 'Waste';
-        const material = MATERIALS[rockType];
+        const material = getPatternMaterial(rockType);
         
         return {
             ...block,
@@ -674,6 +1924,7 @@ function applyOreHorizonPattern(blocks, cellsX, cellsY, cellsZ) {
  * @param {number} cellsX - Number of cells in X direction
  * @param {number} cellsY - Number of cells in Y direction
  * @param {number} cellsZ - Number of cells in Z direction
+ * @param {number} seed - Model seed
  * @returns {Array} Blocks with material assigned
  */
 function applyInclinedVeinPattern(blocks, cellsX, cellsY, cellsZ, seed = null) {
@@ -695,36 +1946,24 @@ function applyInclinedVeinPattern(blocks, cellsX, cellsY, cellsZ, seed = null) {
     const modelSizeY = maxY - minY;
     const modelSizeZ = maxZ - minZ;
     
-    // Use provided seed or generate new random values
-    const timeSeed = seed ? seed.timeSeed : (Date.now() % 1000000);
-    const randomComponent = seed ? seed.randomComponent : (Math.random() * 10000);
-    
-    // Randomization helper function
-    const rand = (seed, min, max) => {
-        const combinedSeed = (seed * 9301 + 49297 + timeSeed + randomComponent) % 233280;
-        const hash = combinedSeed / 233280;
-        return min + hash * (max - min);
-    };
-    
-    // Seeds for randomization
-    const seed1 = (Math.floor((minX + minY) * 100) + timeSeed) % 10000;
-    const seed2 = (Math.floor((minY + minZ) * 100) + timeSeed * 3) % 10000;
-    const seed3 = (Math.floor((minZ + minX) * 100) + timeSeed * 7) % 10000;
+    // Random choices are drawn in a fixed order from the model seed
+    const random = createSeededRandom(seed);
+    const rand = (min, max) => randomBetween(random, min, max);
     
     // Randomize plane center position (offset from model center by up to 30%)
-    const centerOffsetX = rand(seed1, -0.3, 0.3);
-    const centerOffsetY = rand(seed2, -0.3, 0.3);
-    const centerOffsetZ = rand(seed3, -0.3, 0.3);
+    const centerOffsetX = rand(-0.3, 0.3);
+    const centerOffsetY = rand(-0.3, 0.3);
+    const centerOffsetZ = rand(-0.3, 0.3);
     
     const centerX = (minX + maxX) / 2 + centerOffsetX * modelSizeX;
     const centerY = (minY + maxY) / 2 + centerOffsetY * modelSizeY;
     const centerZ = (minZ + maxZ) / 2 + centerOffsetZ * modelSizeZ;
     
     // Randomize strike angle (0-360 degrees, full rotation)
-    const randomStrikeAngle = rand(seed1 * 2, 0, 360) * Math.PI / 180;
+    const randomStrikeAngle = rand(0, 360) * Math.PI / 180;
     
     // Randomize dip angle (30-75 degrees, typical for vein deposits)
-    const randomDipAngle = rand(seed2 * 2, 30, 75) * Math.PI / 180;
+    const randomDipAngle = rand(30, 75) * Math.PI / 180;
     
     // Normal vector for plane using randomized strike and dip
     const nx = Math.sin(randomStrikeAngle) * Math.sin(randomDipAngle);
@@ -742,7 +1981,7 @@ function applyInclinedVeinPattern(blocks, cellsX, cellsY, cellsZ, seed = null) {
     
     // Randomize vein thickness (1.5-3.5 cell widths)
     const avgCellSize = ((maxX - minX) / cellsX + (maxY - minY) / cellsY + (maxZ - minZ) / cellsZ) / 3;
-    const veinThickness = avgCellSize * rand(seed3, 1.5, 3.5);
+    const veinThickness = avgCellSize * rand(1.5, 3.5);
     
     return blocks.map(block => {
         // Calculate distance from block to plane
@@ -751,7 +1990,7 @@ function applyInclinedVeinPattern(blocks, cellsX, cellsY, cellsZ, seed = null) {
         
         const isInVein = distance < veinThickness;
         const rockType = isInVein ? 'Ore' : 'Waste';
-        const material = MATERIALS[rockType];
+        const material = getPatternMaterial(rockType);
         
         // Optionally vary grade based on distance from plane center
         let gradeCu = material.gradeCu;
@@ -865,6 +2104,7 @@ function simpleNoise3D(x, y, z, scale) {
  * @param {number} cellsX - Number of cells in X direction
  * @param {number} cellsY - Number of cells in Y direction
  * @param {number} cellsZ - Number of cells in Z direction
+ * @param {number} seed - Model seed
  * @returns {Array} Blocks with material assigned
  */
 function applyRandomClustersPattern(blocks, cellsX, cellsY, cellsZ, seed = null) {
@@ -887,13 +2127,12 @@ function applyRandomClustersPattern(blocks, cellsX, cellsY, cellsZ, seed = null)
     const yRange = maxY - minY || 1;
     const zRange = maxZ - minZ || 1;
     
-    // Use provided seed or generate new random values
-    // Generate random seed offsets for this generation
-    // This ensures different cluster patterns each time
-    const seedBase = seed ? (seed.timeSeed + seed.randomComponent) : Date.now();
-    const seedOffsetX = seed ? ((seedBase * 1.1) % 10000) : (Math.random() * 10000);
-    const seedOffsetY = seed ? ((seedBase * 1.3) % 10000) : (Math.random() * 10000);
-    const seedOffsetZ = seed ? ((seedBase * 1.7) % 10000) : (Math.random() * 10000);
+    // Random noise-space offsets drawn from the model seed
+    // This gives a different cluster pattern for each seed
+    const random = createSeededRandom(seed);
+    const seedOffsetX = randomBetween(random, 0, 10000);
+    const seedOffsetY = randomBetween(random, 0, 10000);
+    const seedOffsetZ = randomBetween(random, 0, 10000);
     
     // Use multiple octaves for better cluster distribution
     // Base scale - creates larger clusters (lower = larger clusters)
@@ -936,7 +2175,7 @@ function applyRandomClustersPattern(blocks, cellsX, cellsY, cellsZ, seed = null)
             rockType = 'Waste';
         }
         
-        const material = MATERIALS[rockType];
+        const material = getPatternMaterial(rockType);
         
         // Vary grades based on noise value for more realistic distribution
         const gradeVariation = 0.8 + (noiseValue * 0.4); // 0.8 to 1.2 multiplier
@@ -966,18 +2205,23 @@ function applyRandomClustersPattern(blocks, cellsX, cellsY, cellsZ, seed = null)
  */
 function generateEllipsoidOreBody(blocks, params = {}) {
     // Calculate model bounds for default center
+    // (sub-blocking passes the parent grid bounds so the body does not move)
     let minX = Infinity, maxX = -Infinity;
     let minY = Infinity, maxY = -Infinity;
     let minZ = Infinity, maxZ = -Infinity;
     
-    blocks.forEach(block => {
-        minX = Math.min(minX, block.x);
-        maxX = Math.max(maxX, block.x);
-        minY = Math.min(minY, block.y);
-        maxY = Math.max(maxY, block.y);
-        minZ = Math.min(minZ, block.z);
-        maxZ = Math.max(maxZ, block.z);
-    });
+    if (params.bounds) {
+        ({ minX, maxX, minY, maxY, minZ, maxZ } = params.bounds);
+    } else {
+        blocks.forEach(block => {
+            minX = Math.min(minX, block.x);
+            maxX = Math.max(maxX, block.x);
+            minY = Math.min(minY, block.y);
+            maxY = Math.max(maxY, block.y);
+            minZ = Math.min(minZ, block.z);
+            maxZ = Math.max(maxZ, block.z);
+        });
+    }
     
     const modelSizeX = maxX - minX;
     const modelSizeY = maxY - minY;
@@ -1018,61 +2262,49 @@ function generateEllipsoidOreBody(blocks, params = {}) {
     
     const avgCellSize = (avgCellSizeX + avgCellSizeY + avgCellSizeZ) / 3;
     
-    // Use provided seed or generate new random values
-    const timeSeed = (params && params.seed) ? params.seed.timeSeed : (Date.now() % 1000000);
-    const randomComponent = (params && params.seed) ? params.seed.randomComponent : (Math.random() * 10000);
-    
-    // Randomization helper function
-    const rand = (seed, min, max) => {
-        const combinedSeed = (seed * 9301 + 49297 + timeSeed + randomComponent) % 233280;
-        const hash = combinedSeed / 233280;
-        return min + hash * (max - min);
-    };
-    
-    // Seeds for randomization
-    const seed1 = (Math.floor((minX + minY) * 100) + timeSeed) % 10000;
-    const seed2 = (Math.floor((minY + minZ) * 100) + timeSeed * 3) % 10000;
-    const seed3 = (Math.floor((minZ + minX) * 100) + timeSeed * 7) % 10000;
+    // Random choices are drawn in a fixed order from the model seed
+    const random = createSeededRandom(params.seed);
+    const rand = (min, max) => randomBetween(random, min, max);
     
     // Randomize center position (40-60% of range to keep it near center but varied)
     const randomCenterX = params.centerX !== undefined ? params.centerX : 
-        minX + modelSizeX * (0.4 + rand(seed1, 0, 0.2));
+        minX + modelSizeX * (0.4 + rand(0, 0.2));
     const randomCenterY = params.centerY !== undefined ? params.centerY : 
-        minY + modelSizeY * (0.4 + rand(seed2, 0, 0.2));
+        minY + modelSizeY * (0.4 + rand(0, 0.2));
     const randomCenterZ = params.centerZ !== undefined ? params.centerZ : 
-        minZ + modelSizeZ * (0.4 + rand(seed3, 0, 0.2));
+        minZ + modelSizeZ * (0.4 + rand(0, 0.2));
     
     // Randomize radii (15-25% of model size for each axis)
     const randomRadiusX = params.radiusX !== undefined ? params.radiusX : 
-        modelSizeX * rand(seed1 * 2, 0.15, 0.25);
+        modelSizeX * rand(0.15, 0.25);
     const randomRadiusY = params.radiusY !== undefined ? params.radiusY : 
-        modelSizeY * rand(seed2 * 2, 0.15, 0.25);
+        modelSizeY * rand(0.15, 0.25);
     const randomRadiusZ = params.radiusZ !== undefined ? params.radiusZ : 
-        modelSizeZ * rand(seed3 * 2, 0.15, 0.25);
+        modelSizeZ * rand(0.15, 0.25);
     
     // Randomize plunge angle (0-60 degrees) and azimuth (0-360 degrees)
     const randomPlungeAngle = params.plungeAngle !== undefined ? params.plungeAngle : 
-        rand(seed1 * 5, 0, 60);
+        rand(0, 60);
     const randomPlungeAzimuth = params.plungeAzimuth !== undefined ? params.plungeAzimuth : 
-        rand(seed2 * 5, 0, 360);
+        rand(0, 360);
     
     // Randomize grades (typical ranges for massive sulfide/skarn deposits)
     const randomMaxGradeCu = params.maxGradeCu !== undefined ? params.maxGradeCu : 
-        rand(seed1 * 7, 0.8, 1.8);  // 0.8-1.8% Cu
+        rand(0.8, 1.8);  // 0.8-1.8% Cu
     const randomMaxGradeAu = params.maxGradeAu !== undefined ? params.maxGradeAu : 
-        rand(seed2 * 7, 1.5, 4.0);  // 1.5-4.0 g/t Au
+        rand(1.5, 4.0);  // 1.5-4.0 g/t Au
     
     // Randomize grade decay (0.2-0.5, lower = sharper falloff)
     const randomGradeDecay = params.gradeDecay !== undefined ? params.gradeDecay : 
-        rand(seed3, 0.2, 0.5);
+        rand(0.2, 0.5);
     
     // Randomize Cu:Au ratio (30:1 to 80:1)
     const randomCuAuRatio = params.cuAuRatio !== undefined ? params.cuAuRatio : 
-        rand(seed1 * 11, 30, 80);
+        rand(30, 80);
     
     // Randomize grade variation (0.05-0.15)
     const randomGradeVariation = params.gradeVariation !== undefined ? params.gradeVariation : 
-        rand(seed2 * 11, 0.05, 0.15);
+        rand(0.05, 0.15);
     
     // Default parameters (now randomized)
     const centerX = randomCenterX;
@@ -1192,35 +2424,54 @@ function generateEllipsoidOreBody(blocks, params = {}) {
  */
 function generateVeinOreBody(blocks, params = {}) {
     // Calculate model bounds for default vein position
+    // (sub-blocking passes the parent grid bounds so the body does not move)
     let minX = Infinity, maxX = -Infinity;
     let minY = Infinity, maxY = -Infinity;
     let minZ = Infinity, maxZ = -Infinity;
     
-    blocks.forEach(block => {
-        minX = Math.min(minX, block.x);
-        maxX = Math.max(maxX, block.x);
-        minY = Math.min(minY, block.y);
-        maxY = Math.max(maxY, block.y);
-        minZ = Math.min(minZ, block.z);
-        maxZ = Math.max(maxZ, block.z);
-    });
+    if (params.bounds) {
+        ({ minX, maxX, minY, maxY, minZ, maxZ } = params.bounds);
+    } else {
+        blocks.forEach(block => {
+            minX = Math.min(minX, block.x);
+            maxX = Math.max(maxX, block.x);
+            minY = Math.min(minY, block.y);
+            maxY = Math.max(maxY, block.y);
+            minZ = Math.min(minZ, block.z);
+            maxZ = Math.max(maxZ, block.z);
+        });
+    }
     
     const modelSizeX = maxX - minX;
     const modelSizeY = maxY - minY;
     const modelSizeZ = maxZ - minZ;
     
+    // Seeded variation of the defaults; without a seed the fixed defaults below are used
+    // (all values are drawn up front so overrides do not shift the random sequence)
+    const random = params.seed !== undefined && params.seed !== null ? createSeededRandom(params.seed) : null;
+    const vary = (fixed, min, max) => random ? randomBetween(random, min, max) : fixed;
+    const defaultStrike = vary(45, 0, 180);
+    const defaultDip = vary(45, 35, 75);
+    const defaultDipDirection = defaultStrike + vary(45, 30, 60);
+    const defaultOffsetX = vary(0, -0.1, 0.1);
+    const defaultOffsetY = vary(0, -0.1, 0.1);
+    const defaultOffsetZ = vary(0, -0.1, 0.1);
+    const defaultWidth = vary(0.05, 0.04, 0.07);
+    const defaultGradeCu = vary(1.2, 0.9, 1.5);
+    const defaultGradeAu = vary(2.5, 1.8, 3.2);
+    
     // Default parameters
-    const strike = params.strike !== undefined ? params.strike * Math.PI / 180 : Math.PI / 4; // 45 degrees
-    const dip = params.dip !== undefined ? params.dip * Math.PI / 180 : Math.PI / 4; // 45 degrees
-    const dipDirection = params.dipDirection !== undefined ? params.dipDirection * Math.PI / 180 : Math.PI / 2; // 90 degrees
-    const veinX = params.veinX !== undefined ? params.veinX : (minX + maxX) / 2;
-    const veinY = params.veinY !== undefined ? params.veinY : (minY + maxY) / 2;
-    const veinZ = params.veinZ !== undefined ? params.veinZ : (minZ + maxZ) / 2;
+    const strike = (params.strike !== undefined ? params.strike : defaultStrike) * Math.PI / 180; // 45 degrees without a seed
+    const dip = (params.dip !== undefined ? params.dip : defaultDip) * Math.PI / 180; // 45 degrees without a seed
+    const dipDirection = (params.dipDirection !== undefined ? params.dipDirection : defaultDipDirection) * Math.PI / 180; // 90 degrees without a seed
+    const veinX = params.veinX !== undefined ? params.veinX : (minX + maxX) / 2 + defaultOffsetX * modelSizeX;
+    const veinY = params.veinY !== undefined ? params.veinY : (minY + maxY) / 2 + defaultOffsetY * modelSizeY;
+    const veinZ = params.veinZ !== undefined ? params.veinZ : (minZ + maxZ) / 2 + defaultOffsetZ * modelSizeZ;
     const strikeLength = params.strikeLength !== undefined ? params.strikeLength : (maxX - minX) * 0.8;
     const dipLength = params.dipLength !== undefined ? params.dipLength : (maxZ - minZ) * 0.8;
-    const width = params.width !== undefined ? params.width : Math.min(maxX - minX, maxY - minY) * 0.05;
-    const maxGradeCu = params.maxGradeCu !== undefined ? params.maxGradeCu : 1.2;  // Typical porphyry: 0.3-1.5% Cu
-    const maxGradeAu = params.maxGradeAu !== undefined ? params.maxGradeAu : 2.5;  // Typical porphyry: 0.5-5 g/t Au
+    const width = params.width !== undefined ? params.width : Math.min(maxX - minX, maxY - minY) * defaultWidth;
+    const maxGradeCu = params.maxGradeCu !== undefined ? params.maxGradeCu : defaultGradeCu;  // Typical porphyry: 0.3-1.5% Cu
+    const maxGradeAu = params.maxGradeAu !== undefined ? params.maxGradeAu : defaultGradeAu;  // Typical porphyry: 0.5-5 g/t Au
     const numVeins = params.numVeins !== undefined ? params.numVeins : 1;
     const veinSpacing = params.veinSpacing !== undefined ? params.veinSpacing : width * 3;
     
@@ -1344,6 +2595,48 @@ function generateVeinOreBody(blocks, params = {}) {
     });
 }
 
+/**
+ * Estimate the average cell size from block spacing
+ * Falls back to 1% of the model size when adjacent blocks cannot be found
+ * @param {Array} blocks - Array of block objects
+ * @param {number} modelSizeX - Centroid extent in X
+ * @param {number} modelSizeY - Centroid extent in Y
+ * @param {number} modelSizeZ - Centroid extent in Z
+ * @returns {number} Average cell size
+ */
+function estimateAverageCellSize(blocks, modelSizeX, modelSizeY, modelSizeZ) {
+    let avgCellSizeX = modelSizeX / 100; // Default fallback
+    let avgCellSizeY = modelSizeY / 100;
+    let avgCellSizeZ = modelSizeZ / 100;
+    
+    // Try to find actual cell size from block spacing
+    if (blocks.length > 1) {
+        const sortedByX = [...blocks].sort((a, b) => a.x - b.x);
+        const sortedByY = [...blocks].sort((a, b) => a.y - b.y);
+        const sortedByZ = [...blocks].sort((a, b) => a.z - b.z);
+        
+        let minDiffX = Infinity, minDiffY = Infinity, minDiffZ = Infinity;
+        for (let i = 1; i < Math.min(100, sortedByX.length); i++) {
+            const diff = Math.abs(sortedByX[i].x - sortedByX[i-1].x);
+            if (diff > 0.0001 && diff < minDiffX) minDiffX = diff;
+        }
+        for (let i = 1; i < Math.min(100, sortedByY.length); i++) {
+            const diff = Math.abs(sortedByY[i].y - sortedByY[i-1].y);
+            if (diff > 0.0001 && diff < minDiffY) minDiffY = diff;
+        }
+        for (let i = 1; i < Math.min(100, sortedByZ.length); i++) {
+            const diff = Math.abs(sortedByZ[i].z - sortedByZ[i-1].z);
+            if (diff > 0.0001 && diff < minDiffZ) minDiffZ = diff;
+        }
+        
+        if (minDiffX < Infinity) avgCellSizeX = minDiffX;
+        if (minDiffY < Infinity) avgCellSizeY = minDiffY;
+        if (minDiffZ < Infinity) avgCellSizeZ = minDiffZ;
+    }
+    
+    return (avgCellSizeX + avgCellSizeY + avgCellSizeZ) / 3;
+}
+
 /**
  * Algorithm 3: Porphyry-Style Zoning (Improved)
  * Creates realistic zoned ore bodies with ellipsoidal shapes, irregular boundaries, and structural controls
@@ -1358,85 +2651,48 @@ function generateVeinOreBody(blocks, params = {}) {
  */
 function generatePorphyryOreBody(blocks, params = {}) {
     // Calculate model bounds for default center
+    // (sub-blocking passes the parent grid bounds so the body does not move)
     let minX = Infinity, maxX = -Infinity;
     let minY = Infinity, maxY = -Infinity;
     let minZ = Infinity, maxZ = -Infinity;
     
-    blocks.forEach(block => {
-        minX = Math.min(minX, block.x);
-        maxX = Math.max(maxX, block.x);
-        minY = Math.min(minY, block.y);
-        maxY = Math.max(maxY, block.y);
-        minZ = Math.min(minZ, block.z);
-        maxZ = Math.max(maxZ, block.z);
-    });
+    if (params.bounds) {
+        ({ minX, maxX, minY, maxY, minZ, maxZ } = params.bounds);
+    } else {
+        blocks.forEach(block => {
+            minX = Math.min(minX, block.x);
+            maxX = Math.max(maxX, block.x);
+            minY = Math.min(minY, block.y);
+            maxY = Math.max(maxY, block.y);
+            minZ = Math.min(minZ, block.z);
+            maxZ = Math.max(maxZ, block.z);
+        });
+    }
     
     const modelSizeX = maxX - minX;
     const modelSizeY = maxY - minY;
     const modelSizeZ = maxZ - minZ;
     
-    // Use provided seed or generate new random values
-    // This makes each Generate button press produce a different ore body (unless seed is provided)
-    const timeSeed = (params && params.seed) ? params.seed.timeSeed : (Date.now() % 1000000);
-    const randomComponent = (params && params.seed) ? params.seed.randomComponent : (Math.random() * 10000);
+    // Random choices are drawn in a fixed order from the model seed
+    // Without a seed each Generate button press produces a different ore body
+    const random = createSeededRandom(params.seed);
+    const rand = (min, max) => randomBetween(random, min, max);
     
     // Randomize center position if not provided (closer to center but still randomized)
-    // Combine model bounds with time-based seed for variation
-    const centerSeed = ((minX + minY + minZ) * 100 + timeSeed + randomComponent) % 10000;
     // Randomize within 40-60% of range (closer to center) to ensure body stays within bounds
-    const randomCenterX = minX + (maxX - minX) * (0.4 + (centerSeed % 20) / 100); // 40-60% of range
-    const randomCenterY = minY + (maxY - minY) * (0.4 + ((centerSeed * 7) % 20) / 100);
-    const randomCenterZ = minZ + (maxZ - minZ) * (0.35 + ((centerSeed * 13) % 30) / 100); // 35-65% of range (slightly more vertical variation)
+    const randomCenterX = minX + (maxX - minX) * rand(0.4, 0.6); // 40-60% of range
+    const randomCenterY = minY + (maxY - minY) * rand(0.4, 0.6);
+    const randomCenterZ = minZ + (maxZ - minZ) * rand(0.35, 0.65); // 35-65% of range (slightly more vertical variation)
     
     // Default parameters with randomization
     const centerX = params.centerX !== undefined ? params.centerX : randomCenterX;
     const centerY = params.centerY !== undefined ? params.centerY : randomCenterY;
     const centerZ = params.centerZ !== undefined ? params.centerZ : randomCenterZ;
     
-    // Randomization helper function (now includes time-based variation)
-    const rand = (seed, min, max) => {
-        // Combine seed with time-based component for variation
-        const combinedSeed = (seed * 9301 + 49297 + timeSeed + randomComponent) % 233280;
-        const hash = combinedSeed / 233280;
-        return min + hash * (max - min);
-    };
-    
-    // Seeds now include time-based component for variation
-    const seed1 = (Math.floor((minX + minY) * 100) + timeSeed) % 10000;
-    const seed2 = (Math.floor((minY + minZ) * 100) + timeSeed * 3) % 10000;
-    const seed3 = (Math.floor((minZ + minX) * 100) + timeSeed * 7) % 10000;
-    
     // Calculate average cell size from blocks (for scaling minimum sizes)
-    let avgCellSizeX = modelSizeX / 100; // Default fallback
-    let avgCellSizeY = modelSizeY / 100;
-    let avgCellSizeZ = modelSizeZ / 100;
-    
-    // Try to find actual cell size from block spacing
-    if (blocks.length > 1) {
-        const sortedByX = [...blocks].sort((a, b) => a.x - b.x);
-        const sortedByY = [...blocks].sort((a, b) => a.y - b.y);
-        const sortedByZ = [...blocks].sort((a, b) => a.z - b.z);
-        
-        let minDiffX = Infinity, minDiffY = Infinity, minDiffZ = Infinity;
-        for (let i = 1; i < Math.min(100, sortedByX.length); i++) {
-            const diff = Math.abs(sortedByX[i].x - sortedByX[i-1].x);
-            if (diff > 0.0001 && diff < minDiffX) minDiffX = diff;
-        }
-        for (let i = 1; i < Math.min(100, sortedByY.length); i++) {
-            const diff = Math.abs(sortedByY[i].y - sortedByY[i-1].y);
-            if (diff > 0.0001 && diff < minDiffY) minDiffY = diff;
-        }
-        for (let i = 1; i < Math.min(100, sortedByZ.length); i++) {
-            const diff = Math.abs(sortedByZ[i].z - sortedByZ[i-1].z);
-            if (diff > 0.0001 && diff < minDiffZ) minDiffZ = diff;
-        }
-        
-        if (minDiffX < Infinity) avgCellSizeX = minDiffX;
-        if (minDiffY < Infinity) avgCellSizeY = minDiffY;
-        if (minDiffZ < Infinity) avgCellSizeZ = minDiffZ;
-    }
-    
-    const avgCellSize = (avgCellSizeX + avgCellSizeY + avgCellSizeZ) / 3;
+    // Sub-blocking passes the parent grid estimate so radii match the parent model
+    const avgCellSize = params.avgCellSize !== undefined ? params.avgCellSize :
+        estimateAverageCellSize(blocks, modelSizeX, modelSizeY, modelSizeZ);
     
     // Minimum absolute sizes (scaled with cell size) to ensure body is always visible
     // Use 5-15 cell widths as minimum, ensuring meaningful ore bodies even in small models
@@ -1447,18 +2703,18 @@ function generatePorphyryOreBody(blocks, params = {}) {
     // Ellipsoidal radii (different for each axis - more realistic than spherical)
     // Core: more vertical (taller than wide), typical of porphyry intrusions
     // Randomize radii within reasonable ranges, but enforce minimums
-    const coreRadiusXBase = rand(seed1, 0.08, 0.16); // 8-16% of model size
-    const coreRadiusYBase = rand(seed1 * 3, 0.08, 0.16);
-    const coreRadiusZBase = rand(seed1 * 7, 0.15, 0.25); // Taller core: 15-25%
+    const coreRadiusXBase = rand(0.08, 0.16); // 8-16% of model size
+    const coreRadiusYBase = rand(0.08, 0.16);
+    const coreRadiusZBase = rand(0.15, 0.25); // Taller core: 15-25%
     const coreRadiusX = params.coreRadiusX !== undefined ? params.coreRadiusX : Math.max(MIN_CORE_RADIUS, modelSizeX * coreRadiusXBase);
     const coreRadiusY = params.coreRadiusY !== undefined ? params.coreRadiusY : Math.max(MIN_CORE_RADIUS, modelSizeY * coreRadiusYBase);
     const coreRadiusZ = params.coreRadiusZ !== undefined ? params.coreRadiusZ : Math.max(MIN_CORE_RADIUS * 1.5, modelSizeZ * coreRadiusZBase); // Core is taller
     
     // Shell: intermediate shape
     // Ensure shell is always larger than core
-    const shellRadiusXBase = rand(seed2, 0.20, 0.30); // 20-30% of model size
-    const shellRadiusYBase = rand(seed2 * 3, 0.20, 0.30);
-    const shellRadiusZBase = rand(seed2 * 7, 0.25, 0.35);
+    const shellRadiusXBase = rand(0.20, 0.30); // 20-30% of model size
+    const shellRadiusYBase = rand(0.20, 0.30);
+    const shellRadiusZBase = rand(0.25, 0.35);
     const shellRadiusX = params.shellRadiusX !== undefined ? params.shellRadiusX : Math.max(MIN_SHELL_RADIUS, Math.max(coreRadiusX * 1.5, modelSizeX * shellRadiusXBase));
     const shellRadiusY = params.shellRadiusY !== undefined ? params.shellRadiusY : Math.max(MIN_SHELL_RADIUS, Math.max(coreRadiusY * 1.5, modelSizeY * shellRadiusYBase));
     const shellRadiusZ = params.shellRadiusZ !== undefined ? params.shellRadiusZ : Math.max(MIN_SHELL_RADIUS, Math.max(coreRadiusZ * 1.3, modelSizeZ * shellRadiusZBase));
@@ -1466,38 +2722,38 @@ function generatePorphyryOreBody(blocks, params = {}) {
     // Halo: more horizontal (wider than tall), typical of distal alteration
     // Keep radii smaller to ensure body stays within bounds (center is 40-60%, so max radius should be ~40%)
     // Ensure halo is always larger than shell
-    const haloRadiusXBase = rand(seed3, 0.30, 0.40); // 30-40% of model size (reduced to fit within bounds)
-    const haloRadiusYBase = rand(seed3 * 3, 0.30, 0.40);
-    const haloRadiusZBase = rand(seed3 * 7, 0.25, 0.35); // Flatter halo: 25-35% (reduced)
+    const haloRadiusXBase = rand(0.30, 0.40); // 30-40% of model size (reduced to fit within bounds)
+    const haloRadiusYBase = rand(0.30, 0.40);
+    const haloRadiusZBase = rand(0.25, 0.35); // Flatter halo: 25-35% (reduced)
     const haloRadiusX = params.haloRadiusX !== undefined ? params.haloRadiusX : Math.max(MIN_HALO_RADIUS, Math.max(shellRadiusX * 1.3, modelSizeX * haloRadiusXBase));
     const haloRadiusY = params.haloRadiusY !== undefined ? params.haloRadiusY : Math.max(MIN_HALO_RADIUS, Math.max(shellRadiusY * 1.3, modelSizeY * haloRadiusYBase));
     const haloRadiusZ = params.haloRadiusZ !== undefined ? params.haloRadiusZ : Math.max(MIN_HALO_RADIUS, Math.max(shellRadiusZ * 1.1, modelSizeZ * haloRadiusZBase)); // Halo is flatter
     
     // Randomize grades within realistic porphyry ranges
-    const coreGradeCu = params.coreGradeCu !== undefined ? params.coreGradeCu : rand(seed1 * 11, 0.8, 1.6); // 0.8-1.6% Cu
-    const coreGradeAu = params.coreGradeAu !== undefined ? params.coreGradeAu : rand(seed1 * 13, 2.0, 4.0); // 2.0-4.0 g/t Au
-    const shellGradeCu = params.shellGradeCu !== undefined ? params.shellGradeCu : rand(seed2 * 11, 0.4, 0.8); // 0.4-0.8% Cu
-    const shellGradeAu = params.shellGradeAu !== undefined ? params.shellGradeAu : rand(seed2 * 13, 1.0, 2.0); // 1.0-2.0 g/t Au
-    const haloGradeCu = params.haloGradeCu !== undefined ? params.haloGradeCu : rand(seed3 * 11, 0.2, 0.4); // 0.2-0.4% Cu
-    const haloGradeAu = params.haloGradeAu !== undefined ? params.haloGradeAu : rand(seed3 * 13, 0.4, 0.8); // 0.4-0.8 g/t Au
+    const coreGradeCu = params.coreGradeCu !== undefined ? params.coreGradeCu : rand(0.8, 1.6); // 0.8-1.6% Cu
+    const coreGradeAu = params.coreGradeAu !== undefined ? params.coreGradeAu : rand(2.0, 4.0); // 2.0-4.0 g/t Au
+    const shellGradeCu = params.shellGradeCu !== undefined ? params.shellGradeCu : rand(0.4, 0.8); // 0.4-0.8% Cu
+    const shellGradeAu = params.shellGradeAu !== undefined ? params.shellGradeAu : rand(1.0, 2.0); // 1.0-2.0 g/t Au
+    const haloGradeCu = params.haloGradeCu !== undefined ? params.haloGradeCu : rand(0.2, 0.4); // 0.2-0.4% Cu
+    const haloGradeAu = params.haloGradeAu !== undefined ? params.haloGradeAu : rand(0.4, 0.8); // 0.4-0.8 g/t Au
     
     // Randomize gradients
-    const verticalGradient = params.verticalGradient !== undefined ? params.verticalGradient : rand(seed1 * 17, 0.05, 0.15);
-    const horizontalGradient = params.horizontalGradient !== undefined ? params.horizontalGradient : rand(seed2 * 17, 0.3, 0.7);
+    const verticalGradient = params.verticalGradient !== undefined ? params.verticalGradient : rand(0.05, 0.15);
+    const horizontalGradient = params.horizontalGradient !== undefined ? params.horizontalGradient : rand(0.3, 0.7);
     
     // Randomize enrichment parameters
-    const enrichmentDepth = params.enrichmentDepth !== undefined ? params.enrichmentDepth : rand(seed1 * 19, 50, 150);
-    const enrichmentFactor = params.enrichmentFactor !== undefined ? params.enrichmentFactor : rand(seed2 * 19, 1.5, 2.5);
+    const enrichmentDepth = params.enrichmentDepth !== undefined ? params.enrichmentDepth : rand(50, 150);
+    const enrichmentFactor = params.enrichmentFactor !== undefined ? params.enrichmentFactor : rand(1.5, 2.5);
     
     // Randomize boundary and local variation
-    const boundaryIrregularity = params.boundaryIrregularity !== undefined ? params.boundaryIrregularity : rand(seed3 * 17, 0.10, 0.25);
-    const localVariation = params.localVariation !== undefined ? params.localVariation : rand(seed1 * 23, 0.10, 0.20);
+    const boundaryIrregularity = params.boundaryIrregularity !== undefined ? params.boundaryIrregularity : rand(0.10, 0.25);
+    const localVariation = params.localVariation !== undefined ? params.localVariation : rand(0.10, 0.20);
     
     // Structural controls (optional fault/fracture influence)
-    const structuralInfluence = params.structuralInfluence !== undefined ? params.structuralInfluence : rand(seed2 * 23, 0.05, 0.20);
-    const faultStrikeDeg = params.faultStrike !== undefined ? params.faultStrike : rand(seed3 * 19, 0, 360);
+    const structuralInfluence = params.structuralInfluence !== undefined ? params.structuralInfluence : rand(0.05, 0.20);
+    const faultStrikeDeg = params.faultStrike !== undefined ? params.faultStrike : rand(0, 360);
     const faultStrike = faultStrikeDeg * Math.PI / 180;
-    const faultDipDeg = params.faultDip !== undefined ? params.faultDip : rand(seed1 * 29, 15, 60);
+    const faultDipDeg = params.faultDip !== undefined ? params.faultDip : rand(15, 60);
     const faultDip = faultDipDeg * Math.PI / 180;
     
     // Find ground surface
@@ -1662,15 +2918,17 @@ function generatePorphyryOreBody(blocks, params = {}) {
 /**
  * Salt Dome Reservoir Pattern (Petroleum Geology Demonstration)
  * Models a salt dome structure with oil/gas traps
- * Field mapping for petroleum:
- *   - gradeCu = Oil Saturation (%)
- *   - gradeAu = Gas Saturation (%)
- *   - density = Porosity (%)
+ * Reservoir fields (see PATTERN_GRADE_ATTRIBUTES):
+ *   - oilSaturation = Oil Saturation (%)
+ *   - gasSaturation = Gas Saturation (%)
+ *   - porosity = Porosity (fraction)
  *   - rockType = Material type (Salt, CapRock, OilSand, WaterSand, Shale)
+ *   - gradeCu / gradeAu are 0 (no metal grades)
  * @param {Array} blocks - Array of block objects
  * @param {number} cellsX - Number of cells in X direction
  * @param {number} cellsY - Number of cells in Y direction
  * @param {number} cellsZ - Number of cells in Z direction
+ * @param {number} seed - Model seed
  * @returns {Array} Blocks with material assigned
  */
 function generateSaltDomeReservoir(blocks, cellsX, cellsY, cellsZ, seed = null) {
@@ -1692,51 +2950,55 @@ function generateSaltDomeReservoir(blocks, cellsX, cellsY, cellsZ, seed = null)
     const modelSizeY = maxY - minY;
     const modelSizeZ = maxZ - minZ;
     
-    // Use provided seed or generate new random values
-    const timeSeed = seed ? seed.timeSeed : (Date.now() % 1000000);
-    const randomComponent = seed ? seed.randomComponent : (Math.random() * 10000);
-    
-    // Randomization helper function (deterministic based on seed)
-    const rand = (seed, min, max) => {
-        const combinedSeed = (seed * 9301 + 49297 + timeSeed + randomComponent) % 233280;
-        const hash = combinedSeed / 233280;
-        return min + hash * (max - min);
-    };
-    
-    const seed1 = (Math.floor((minX + minY) * 100) + timeSeed) % 10000;
-    const seed2 = (Math.floor((minY + minZ) * 100) + timeSeed * 3) % 10000;
-    const seed3 = (Math.floor((minZ + minX) * 100) + timeSeed * 7) % 10000;
+    // Random choices are drawn in a fixed order from the model seed
+    const random = createSeededRandom(seed);
+    const rand = (min, max) => randomBetween(random, min, max);
     
     // Salt dome center (randomized but near center, similar to porphyry)
-    const centerSeed = ((minX + minY + minZ) * 100 + timeSeed + randomComponent) % 10000;
-    const centerX = minX + (maxX - minX) * rand(centerSeed, 0.4, 0.6); // 40-60% of range
-    const centerY = minY + (maxY - minY) * rand(centerSeed * 7, 0.4, 0.6);
+    const centerX = minX + (maxX - minX) * rand(0.4, 0.6); // 40-60% of range
+    const centerY = minY + (maxY - minY) * rand(0.4, 0.6);
     
     // Randomize dome vertical position and height
-    const domeTopZBase = rand(seed1, 0.05, 0.15); // 5-15% from top
-    const domeBaseZBase = rand(seed1 * 3, 0.25, 0.40); // 25-40% from bottom
+    const domeTopZBase = rand(0.05, 0.15); // 5-15% from top
+    const domeBaseZBase = rand(0.25, 0.40); // 25-40% from bottom
     const domeTopZ = maxZ - modelSizeZ * domeTopZBase;
     const domeBaseZ = minZ + modelSizeZ * domeBaseZBase;
     const domeHeight = domeTopZ - domeBaseZ;
     
     // Salt dome dimensions (elliptical in plan, randomized)
-    const domeRadiusXBase = rand(seed2, 0.12, 0.22); // 12-22% of model
-    const domeRadiusYBase = rand(seed2 * 3, 0.12, 0.22);
+    const domeRadiusXBase = rand(0.12, 0.22); // 12-22% of model
+    const domeRadiusYBase = rand(0.12, 0.22);
     const domeRadiusX = modelSizeX * domeRadiusXBase;
     const domeRadiusY = modelSizeY * domeRadiusYBase;
     
     // Cap rock thickness (randomized)
-    const capRockThickness = modelSizeZ * rand(seed2 * 5, 0.03, 0.08); // 3-8% of model height
+    const capRockThickness = modelSizeZ * rand(0.03, 0.08); // 3-8% of model height
     
     // Oil trap zone (around salt dome, above oil-water contact)
-    const trapWidth = modelSizeX * rand(seed3, 0.20, 0.35); // 20-35% of model width
-    const oilWaterContactBase = rand(seed3 * 3, 0.15, 0.30); // 15-30% from dome base
+    const trapWidth = modelSizeX * rand(0.20, 0.35); // 20-35% of model width
+    const oilWaterContactBase = rand(0.15, 0.30); // 15-30% from dome base
     const oilWaterContact = domeBaseZ + modelSizeZ * oilWaterContactBase;
     
     // Gas cap (above oil)
-    const gasOilContactBase = rand(seed3 * 7, 0.10, 0.25); // 10-25% from dome top
+    const gasOilContactBase = rand(0.10, 0.25); // 10-25% from dome top
     const gasOilContact = domeTopZ - modelSizeZ * gasOilContactBase;
     
+    // Zone properties (shared by every block in the zone)
+    const saltPorosity = rand(0.005, 0.015); // Salt has very low porosity (0.5-1.5%)
+    const saltDensity = rand(2.15, 2.25); // Salt density (2.15-2.25 tonnes/m³)
+    const capRockPorosity = rand(0.03, 0.07); // Very low porosity (3-7%)
+    const capRockDensity = rand(2.5, 2.7); // Dense cap rock (2.5-2.7 tonnes/m³)
+    const gasBasePorosity = rand(0.18, 0.25);
+    const gasBaseSaturation = rand(55, 70);
+    const gasPorosityGain = rand(0.08, 0.12);
+    const gasSaturationGain = rand(25, 35);
+    const oilBasePorosity = rand(0.16, 0.22);
+    const oilBaseSaturation = rand(45, 60);
+    const oilPorosityGain = rand(0.10, 0.14);
+    const oilSaturationGain = rand(35, 45);
+    const solutionGasBase = rand(3, 8);
+    const solutionGasGain = rand(3, 7);
+    
     return blocks.map(block => {
         // Calculate distance from dome center (horizontal)
         const dx = block.x - centerX;
@@ -1764,15 +3026,15 @@ function generateSaltDomeReservoir(blocks, cellsX, cellsY, cellsZ, seed = null)
         if (normalizedDist < domeRadiusAtZ && block.z >= domeBaseZ && block.z <= domeTopZ) {
             // Inside salt dome
             rockType = 'Salt';
-            porosity = rand(seed1 * 11, 0.005, 0.015); // Salt has very low porosity (0.5-1.5%)
-            density = rand(seed1 * 13, 2.15, 2.25); // Salt density (2.15-2.25 tonnes/m³)
+            porosity = saltPorosity;
+            density = saltDensity;
             oilSaturation = 0;
             gasSaturation = 0;
         } else if (normalizedDist < domeRadiusAtZ && block.z > domeTopZ && block.z <= domeTopZ + capRockThickness) {
             // Cap rock (impermeable layer on top of salt)
             rockType = 'CapRock';
-            porosity = rand(seed2 * 11, 0.03, 0.07); // Very low porosity (3-7%)
-            density = rand(seed2 * 13, 2.5, 2.7); // Dense cap rock (2.5-2.7 tonnes/m³)
+            porosity = capRockPorosity;
+            density = capRockDensity;
             oilSaturation = 0;
             gasSaturation = 0;
         } else if (normalizedDist < domeRadiusAtZ + (trapWidth / Math.max(domeRadiusX, domeRadiusY)) && 
@@ -1786,40 +3048,30 @@ function generateSaltDomeReservoir(blocks, cellsX, cellsY, cellsZ, seed = null)
             if (block.z > gasOilContact) {
                 // Gas cap zone
                 rockType = 'GasSand';
-                // Randomize base porosity and saturation ranges
-                const basePorosity = rand(seed1 * 19, 0.18, 0.25);
-                const baseGasSat = rand(seed1 * 23, 55, 70);
-                porosity = basePorosity + trapFactor * rand(seed1 * 27, 0.08, 0.12); // 18-30% porosity
+                porosity = gasBasePorosity + trapFactor * gasPorosityGain; // 18-30% porosity
                 density = 2.1; // Lower density with gas
                 oilSaturation = 0;
-                gasSaturation = baseGasSat + trapFactor * rand(seed1 * 29, 25, 35); // 55-90% gas saturation
+                gasSaturation = gasBaseSaturation + trapFactor * gasSaturationGain; // 55-90% gas saturation
             } else {
                 // Oil zone
                 rockType = 'OilSand';
-                // Randomize base porosity and saturation ranges
-                const basePorosity = rand(seed2 * 19, 0.16, 0.22);
-                const baseOilSat = rand(seed2 * 23, 45, 60);
-                porosity = basePorosity + trapFactor * rand(seed2 * 27, 0.10, 0.14); // 16-30% porosity
+                porosity = oilBasePorosity + trapFactor * oilPorosityGain; // 16-30% porosity
                 density = 2.2; // Slightly higher with oil
-                oilSaturation = baseOilSat + trapFactor * rand(seed2 * 29, 35, 45); // 45-90% oil saturation
-                gasSaturation = rand(seed2 * 31, 3, 8) + trapFactor * rand(seed2 * 33, 3, 7); // 3-15% gas saturation (solution gas)
+                oilSaturation = oilBaseSaturation + trapFactor * oilSaturationGain; // 45-90% oil saturation
+                gasSaturation = solutionGasBase + trapFactor * solutionGasGain; // 3-15% gas saturation (solution gas)
             }
         } else if (block.z < oilWaterContact && block.z > domeBaseZ) {
             // Water zone (below oil-water contact)
             rockType = 'WaterSand';
-            // Use deterministic randomization for consistency
-            const waterSeed = Math.floor((block.x + block.y + block.z) * 100) % 10000;
-            porosity = rand(waterSeed, 0.15, 0.25); // 15-25% porosity
+            porosity = rand(0.15, 0.25); // 15-25% porosity
             density = 2.3; // Higher with water
             oilSaturation = 0;
             gasSaturation = 0;
         } else {
             // Surrounding shale/rock
             rockType = 'Shale';
-            // Use deterministic randomization for consistency
-            const shaleSeed = Math.floor((block.x + block.y + block.z) * 100) % 10000;
-            porosity = rand(shaleSeed, 0.10, 0.15); // 10-15% porosity
-            density = rand(shaleSeed * 3, 2.4, 2.6); // 2.4-2.6 tonnes/m³
+            porosity = rand(0.10, 0.15); // 10-15% porosity
+            density = rand(2.4, 2.6); // 2.4-2.6 tonnes/m³
             oilSaturation = 0;
             gasSaturation = 0;
         }
@@ -1860,16 +3112,736 @@ function generateSaltDomeReservoir(blocks, cellsX, cellsY, cellsZ, seed = null)
             ...block,
             rockType: rockType,
             density: density,
-            gradeCu: oilSaturation, // Using gradeCu field for oil saturation
-            gradeAu: gasSaturation, // Using gradeAu field for gas saturation
-            // Note: porosity could be stored in a custom field, but we'll use density as a proxy
-            // In a real implementation, you'd add a porosity field
+            gradeCu: 0,
+            gradeAu: 0,
+            oilSaturation: oilSaturation,
+            gasSaturation: gasSaturation,
+            porosity: porosity,
             econValue: econValue,
             zone: rockType // Use rockType as zone identifier
         };
     });
 }
 
+/**
+ * Calorific value of coal from its ash and moisture (as received)
+ * Uses a dry ash-free value of 34 MJ/kg (bituminous coal)
+ * @param {number} ash - Ash (%)
+ * @param {number} moisture - Moisture (%)
+ * @returns {number} Calorific value (MJ/kg)
+ */
+function coalCalorificValue(ash, moisture) {
+    return Math.max(0, 34 * (1 - (ash + moisture) / 100));
+}
+
+/**
+ * Coal Seam / Stratiform Pattern (Sedimentary Coal Measures)
+ * Models several undulating seams separated by interburden. Seam thickness varies laterally,
+ * seams pinch out where the thickness noise is low, and split seams open a parting that
+ * thickens away from the split line.
+ * Coal quality fields (see PATTERN_GRADE_ATTRIBUTES):
+ *   - ash = Ash (%)
+ *   - calorificValue = Calorific value (MJ/kg, as received)
+ *   - sulphur = Total sulphur (%)
+ *   - moisture = Moisture (%)
+ *   - rockType = Material type (Coal, Parting, Waste)
+ *   - zone = Seam name (SEAM_A, SEAM_B, ...; split leaves SEAM_B1 and SEAM_B2, partings
+ *     SEAM_B_PARTING) or OVERBURDEN, INTERBURDEN, UNDERBURDEN
+ *   - gradeCu / gradeAu are 0 (no metal grades)
+ * @param {Array} blocks - Array of block objects
+ * @param {number} cellsX - Number of cells in X direction
+ * @param {number} cellsY - Number of cells in Y direction
+ * @param {number} cellsZ - Number of cells in Z direction
+ * @param {number} seed - Model seed
+ * @returns {Array} Blocks with material assigned
+ */
+function generateCoalSeams(blocks, cellsX, cellsY, cellsZ, seed = null) {
+    // Calculate model bounds
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    let minZ = Infinity, maxZ = -Infinity;
+    
+    blocks.forEach(block => {
+        minX = Math.min(minX, block.x);
+        maxX = Math.max(maxX, block.x);
+        minY = Math.min(minY, block.y);
+        maxY = Math.max(maxY, block.y);
+        minZ = Math.min(minZ, block.z);
+        maxZ = Math.max(maxZ, block.z);
+    });
+    
+    const modelSizeX = maxX - minX || 1;
+    const modelSizeY = maxY - minY || 1;
+    const modelSizeZ = maxZ - minZ || 1;
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    const horizontalSize = Math.max(modelSizeX, modelSizeY);
+    
+    // Random choices are drawn in a fixed order from the model seed
+    const random = createSeededRandom(seed);
+    const rand = (min, max) => randomBetween(random, min, max);
+    
+    // Regional structure shared by all seams (gentle dip plus broad undulation)
+    const dipX = rand(-0.05, 0.05); // Gradient in m/m (about ±3 degrees)
+    const dipY = rand(-0.05, 0.05);
+    const undulationAmplitude = modelSizeZ * rand(0.03, 0.06);
+    const undulationWavelength = horizontalSize * rand(0.5, 0.9);
+    const undulationOffset = rand(0, 1000);
+    
+    // Seams from the top down (3-4 seams spread over 15-85% of the model height)
+    const seamCount = random() < 0.5 ? 3 : 4;
+    const seamSpacing = 0.7 / seamCount;
+    const seams = [];
+    for (let s = 0; s < seamCount; s++) {
+        seams.push({
+            name: `SEAM_${String.fromCharCode(65 + s)}`,
+            depth: 0.15 + seamSpacing * (s + rand(0.3, 0.7)), // Roof depth (fraction of model height)
+            thickness: modelSizeZ * rand(0.03, 0.07), // Mean coal thickness
+            noiseOffset: rand(0, 1000),
+            pinchThreshold: rand(0.3, 0.4), // Thickness noise below which the seam pinches out
+            split: random() < 0.5,
+            splitAzimuth: rand(0, Math.PI * 2),
+            splitOffset: horizontalSize * rand(-0.2, 0.2), // Split line position from the model center
+            splitLength: horizontalSize * rand(0.2, 0.4), // Distance over which the parting reaches full thickness
+            partingRatio: rand(0.8, 1.5), // Full parting thickness relative to the mean coal thickness
+            upperLeafRatio: rand(0.35, 0.65), // Share of the coal in the upper leaf
+            ash: rand(8, 20),
+            sulphur: rand(0.4, 1.5),
+            moisture: rand(4, 12)
+        });
+    }
+    if (!seams.some(seam => seam.split)) {
+        seams[Math.floor(random() * seamCount)].split = true; // Always show at least one split
+    }
+    
+    const partingAsh = rand(60, 80);
+    const hostAsh = rand(85, 92);
+    const hostSulphur = rand(0.05, 0.2);
+    const hostMoisture = rand(2, 5);
+    
+    const smoothstep = (edge0, edge1, value) => {
+        const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+        return t * t * (3 - 2 * t);
+    };
+    
+    // Seam geometry per block column (every block in a column shares it)
+    const columnCache = new Map();
+    const getColumn = (x, y) => {
+        const key = `${x},${y}`;
+        let column = columnCache.get(key);
+        if (column) {
+            return column;
+        }
+        
+        const u = (x - minX) / undulationWavelength;
+        const v = (y - minY) / undulationWavelength;
+        const regional = (simpleNoise3D(u, v, undulationOffset, 1) - 0.5) * 2 * undulationAmplitude +
+            (x - centerX) * dipX + (y - centerY) * dipY;
+        
+        column = seams.map(seam => {
+            const su = (x - minX) / (horizontalSize * 0.3);
+            const sv = (y - minY) / (horizontalSize * 0.3);
+            const thicknessNoise = simpleNoise3D(su, sv, seam.noiseOffset, 1);
+            const pinchNoise = simpleNoise3D(su * 0.5, sv * 0.5, seam.noiseOffset + 100, 1);
+            const roughness = simpleNoise3D(su * 2, sv * 2, seam.noiseOffset + 200, 1) - 0.5;
+            
+            // Thickness varies ±40% and tapers to zero where the seam pinches out
+            const pinch = smoothstep(seam.pinchThreshold, seam.pinchThreshold + 0.08, pinchNoise);
+            const coal = seam.thickness * (0.6 + 0.8 * thicknessNoise) * pinch;
+            
+            // Parting opens beyond the split line and thickens away from it
+            let parting = 0;
+            if (seam.split && coal > 0) {
+                const distance = (x - centerX) * Math.sin(seam.splitAzimuth) +
+                    (y - centerY) * Math.cos(seam.splitAzimuth) - seam.splitOffset;
+                parting = seam.thickness * seam.partingRatio * Math.max(0, Math.min(1, distance / seam.splitLength));
+            }
+            
+            const roof = maxZ - modelSizeZ * seam.depth + regional + roughness * seam.thickness * 0.5;
+            const upper = coal * seam.upperLeafRatio;
+            return {
+                roof: roof,
+                upperBase: roof - upper,
+                partingBase: roof - upper - parting,
+                floor: roof - coal - parting,
+                pinch: pinch,
+                split: parting > 0
+            };
+        });
+        columnCache.set(key, column);
+        return column;
+    };
+    
+    const host = getPatternMaterial('Waste');
+    const partingMaterial = getPatternMaterial('Parting');
+    
+    return blocks.map(block => {
+        const column = getColumn(block.x, block.y);
+        
+        let rockType = 'Waste';
+        let zone = 'INTERBURDEN';
+        let ash = hostAsh;
+        let sulphur = hostSulphur;
+        let moisture = hostMoisture;
+        
+        if (block.z > column[0].roof) {
+            zone = 'OVERBURDEN';
+        } else if (block.z <= column[seamCount - 1].floor) {
+            zone = 'UNDERBURDEN';
+        }
+        
+        // First seam containing the block wins where undulating seams touch
+        for (let s = 0; s < seamCount; s++) {
+            const seam = seams[s];
+            const geometry = column[s];
+            if (block.z > geometry.roof || block.z <= geometry.floor) {
+                continue;
+            }
+            
+            // Quality noise within the seam
+            const qualityNoise = simpleNoise3D(
+                (block.x - minX) / (horizontalSize * 0.2),
+                (block.y - minY) / (horizontalSize * 0.2),
+                seam.noiseOffset + 300,
+                1
+            );
+            
+            if (geometry.split && block.z <= geometry.upperBase && block.z > geometry.partingBase) {
+                rockType = 'Parting';
+                zone = `${seam.name}_PARTING`;
+                ash = partingAsh * (0.9 + 0.2 * qualityNoise);
+                sulphur = seam.sulphur * 0.5;
+                moisture = seam.moisture * 0.5;
+            } else {
+                rockType = 'Coal';
+                zone = geometry.split
+                    ? `${seam.name}${block.z > geometry.upperBase ? 1 : 2}`
+                    : seam.name;
+                // Ash rises towards pinch-outs (roof and floor dilution in thin coal)
+                ash = seam.ash * (0.8 + 0.4 * qualityNoise) + 15 * (1 - geometry.pinch);
+                sulphur = seam.sulphur * (0.7 + 0.6 * qualityNoise);
+                moisture = seam.moisture * (0.9 + 0.2 * qualityNoise);
+            }
+            break;
+        }
+        
+        const calorificValue = coalCalorificValue(ash, moisture);
+        
+        // Coal and partings: relative density from ash; economic value from energy content
+        let density = host.density;
+        let econValue = host.econValue;
+        if (rockType === 'Coal') {
+            density = 1.25 + 0.011 * ash;
+            econValue = calorificValue * 3 - 40; // Revenue (about 3 per MJ/kg) minus mining and washing cost
+        } else if (rockType === 'Parting') {
+            density = 1.25 + 0.011 * ash;
+            econValue = partingMaterial.econValue;
+        }
+        
+        return {
+            ...block,
+            rockType: rockType,
+            density: density,
+            gradeCu: 0,
+            gradeAu: 0,
+            ash: ash,
+            calorificValue: calorificValue,
+            sulphur: sulphur,
+            moisture: moisture,
+            econValue: econValue,
+            zone: zone
+        };
+    });
+}
+
+/**
+ * Maximum number of kimberlite pipes in one model
+ */
+const MAX_KIMBERLITE_PIPES = 5;
+
+/**
+ * Default kimberlite pipe parameters
+ *   pipeCount     - number of pipes
+ *   radius        - pipe radius at the model top (fraction of the shorter horizontal model size)
+ *   wallDip       - dip of the diatreme walls in degrees (the pipe narrows with depth)
+ *   craterDepth   - base of the crater facies (fraction of the model height, 0 = top)
+ *   diatremeDepth - base of the diatreme facies (fraction of the model height)
+ *   rootDepth     - base of the hypabyssal root zone (fraction of the model height)
+ *   *Cpht         - mean grade of each facies in carats per hundred tonnes
+ *   *Value        - mean diamond value of each facies per carat
+ */
+const DEFAULT_KIMBERLITE_PARAMS = {
+    pipeCount: 1,
+    radius: 0.2,
+    wallDip: 80,
+    craterDepth: 0.15,
+    diatremeDepth: 0.6,
+    rootDepth: 0.9,
+    craterCpht: 40,
+    diatremeCpht: 80,
+    rootCpht: 60,
+    craterValue: 120,
+    diatremeValue: 150,
+    rootValue: 180
+};
+
+/**
+ * Kimberlite Pipe Pattern (Diamond Deposits)
+ * Models carrot-shaped pipes: crater facies at the top, a diatreme whose walls narrow with
+ * depth, and a hypabyssal root zone that tapers irregularly towards the feeder. Facies
+ * contacts and pipe walls are roughened with noise; pipes may be elliptical and lean.
+ * Diamond fields (see PATTERN_GRADE_ATTRIBUTES):
+ *   - cpht = Grade (carats per hundred tonnes), varies by facies and pipe
+ *   - diamondValue = Diamond value (per carat), varies by facies
+ *   - rockType = Material type (CraterFacies, DiatremeFacies, HypabyssalKimberlite, Waste)
+ *   - zone = CRATER, DIATREME, ROOT or COUNTRY_ROCK
+ *   - gradeCu / gradeAu are 0 (no metal grades)
+ * @param {Array} blocks - Array of block objects
+ * @param {number} cellsX - Number of cells in X direction
+ * @param {number} cellsY - Number of cells in Y direction
+ * @param {number} cellsZ - Number of cells in Z direction
+ * @param {number} seed - Model seed
+ * @param {Object} params - Pipe parameters (see DEFAULT_KIMBERLITE_PARAMS)
+ * @returns {Array} Blocks with material assigned
+ */
+function generateKimberlitePipes(blocks, cellsX, cellsY, cellsZ, seed = null, params = {}) {
+    const pipeParams = { ...DEFAULT_KIMBERLITE_PARAMS, ...params };
+    
+    if (!Number.isInteger(pipeParams.pipeCount) || pipeParams.pipeCount < 1 || pipeParams.pipeCount > MAX_KIMBERLITE_PIPES) {
+        throw new Error(`Kimberlite pipe count must be 1-${MAX_KIMBERLITE_PIPES}`);
+    }
+    if (!(pipeParams.radius > 0 && pipeParams.radius <= 1)) {
+        throw new Error('Kimberlite pipe radius must be greater than 0 and at most 1');
+    }
+    if (!(pipeParams.wallDip >= 45 && pipeParams.wallDip <= 90)) {
+        throw new Error('Kimberlite wall dip must be 45-90');
+    }
+    if (!(pipeParams.craterDepth >= 0 && pipeParams.craterDepth <= pipeParams.diatremeDepth &&
+        pipeParams.diatremeDepth <= pipeParams.rootDepth && pipeParams.rootDepth > 0 && pipeParams.rootDepth <= 1)) {
+        throw new Error('Kimberlite facies depths must increase from crater to root and lie between 0 and 1');
+    }
+    ['craterCpht', 'diatremeCpht', 'rootCpht', 'craterValue', 'diatremeValue', 'rootValue'].forEach(key => {
+        if (!(pipeParams[key] >= 0) || !isFinite(pipeParams[key])) {
+            throw new Error('Kimberlite grades and diamond values must not be negative');
+        }
+    });
+    
+    // Calculate model bounds
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    let minZ = Infinity, maxZ = -Infinity;
+    
+    blocks.forEach(block => {
+        minX = Math.min(minX, block.x);
+        maxX = Math.max(maxX, block.x);
+        minY = Math.min(minY, block.y);
+        maxY = Math.max(maxY, block.y);
+        minZ = Math.min(minZ, block.z);
+        maxZ = Math.max(maxZ, block.z);
+    });
+    
+    // Facies depths are measured from the top of the top blocks
+    const cellSizeZ = cellsZ > 1 ? (maxZ - minZ) / (cellsZ - 1) : 1;
+    const top = maxZ + cellSizeZ / 2;
+    const modelHeight = maxZ - minZ + cellSizeZ;
+    const modelSizeX = maxX - minX || 1;
+    const modelSizeY = maxY - minY || 1;
+    const craterBase = pipeParams.craterDepth * modelHeight;
+    const diatremeBase = pipeParams.diatremeDepth * modelHeight;
+    const rootBase = pipeParams.rootDepth * modelHeight;
+    const wallTaper = 1 / Math.tan(pipeParams.wallDip * Math.PI / 180); // Radius lost per metre of depth
+    
+    // Random choices are drawn in a fixed order from the model seed
+    const random = createSeededRandom(seed);
+    const rand = (min, max) => randomBetween(random, min, max);
+    
+    const pipes = [];
+    for (let p = 0; p < pipeParams.pipeCount; p++) {
+        // A single pipe stays near the center; several pipes spread over the model
+        const spread = pipeParams.pipeCount === 1 ? 0.15 : 0.35;
+        pipes.push({
+            centerX: minX + modelSizeX * rand(0.5 - spread, 0.5 + spread),
+            centerY: minY + modelSizeY * rand(0.5 - spread, 0.5 + spread),
+            radius: pipeParams.radius * Math.min(modelSizeX, modelSizeY) * (p === 0 ? 1 : rand(0.5, 0.9)),
+            elongation: rand(1.0, 1.4), // Long axis / short axis
+            azimuth: rand(0, Math.PI),
+            leanX: rand(-0.1, 0.1), // Horizontal axis offset per metre of depth
+            leanY: rand(-0.1, 0.1),
+            gradeFactor: rand(0.7, 1.3), // Pipes differ in grade
+            noiseOffset: rand(0, 1000)
+        });
+    }
+    const contactRoughness = modelHeight * rand(0.02, 0.05);
+    
+    const facies = {
+        CRATER: { rockType: 'CraterFacies', cpht: pipeParams.craterCpht, value: pipeParams.craterValue },
+        DIATREME: { rockType: 'DiatremeFacies', cpht: pipeParams.diatremeCpht, value: pipeParams.diatremeValue },
+        ROOT: { rockType: 'HypabyssalKimberlite', cpht: pipeParams.rootCpht, value: pipeParams.rootValue }
+    };
+    const countryRock = getPatternMaterial('Waste');
+    const noiseScale = 1.0 / Math.max(modelSizeX, modelSizeY, modelHeight, 1.0);
+    
+    return blocks.map(block => {
+        const depth = top - block.z;
+        let zone = null;
+        let pipe = null;
+        
+        // First pipe containing the block wins where pipes coalesce
+        for (const candidate of pipes) {
+            if (depth > rootBase + contactRoughness) {
+                break;
+            }
+            
+            const wobble = simpleNoise3D(
+                block.x * noiseScale * 4,
+                block.y * noiseScale * 4,
+                block.z * noiseScale * 4 + candidate.noiseOffset,
+                1.0
+            ) - 0.5;
+            
+            // Irregular facies contacts
+            const contactOffset = wobble * 2 * contactRoughness;
+            const craterContact = craterBase + contactOffset;
+            const diatremeContact = diatremeBase + contactOffset;
+            const rootContact = rootBase + contactOffset;
+            if (depth > rootContact) {
+                continue;
+            }
+            
+            // Pipe radius: diatreme walls taper linearly; the root zone narrows to a feeder
+            const diatremeRadius = Math.max(candidate.radius * 0.2, candidate.radius - depth * wallTaper);
+            let radius = diatremeRadius;
+            if (depth > diatremeContact) {
+                const baseRadius = Math.max(candidate.radius * 0.2, candidate.radius - diatremeBase * wallTaper);
+                const t = rootBase > diatremeBase ? Math.min(1, (depth - diatremeBase) / (rootBase - diatremeBase)) : 1;
+                radius = baseRadius * (0.6 - 0.45 * t);
+            }
+            radius *= 1 + wobble * 0.5;
+            
+            // Elliptical cross-section around the (leaning) pipe axis
+            const dx = block.x - (candidate.centerX + candidate.leanX * depth);
+            const dy = block.y - (candidate.centerY + candidate.leanY * depth);
+            const along = dx * Math.cos(candidate.azimuth) + dy * Math.sin(candidate.azimuth);
+            const across = -dx * Math.sin(candidate.azimuth) + dy * Math.cos(candidate.azimuth);
+            const distance = Math.sqrt(Math.pow(along / candidate.elongation, 2) + across * across);
+            if (distance > radius) {
+                continue;
+            }
+            
+            pipe = candidate;
+            zone = depth <= craterContact ? 'CRATER' : depth <= diatremeContact ? 'DIATREME' : 'ROOT';
+            break;
+        }
+        
+        if (!zone) {
+            return {
+                ...block,
+                rockType: 'Waste',
+                density: countryRock.density,
+                gradeCu: 0,
+                gradeAu: 0,
+                cpht: 0,
+                diamondValue: 0,
+                econValue: countryRock.econValue,
+                zone: 'COUNTRY_ROCK'
+            };
+        }
+        
+        // Grade and diamond value vary around the facies means
+        const gradeNoise = simpleNoise3D(block.x * noiseScale * 8, block.y * noiseScale * 8, block.z * noiseScale * 8 + pipe.noiseOffset + 100, 1.0);
+        const valueNoise = simpleNoise3D(block.x * noiseScale * 3, block.y * noiseScale * 3, block.z * noiseScale * 3 + pipe.noiseOffset + 200, 1.0);
+        const faciesParams = facies[zone];
+        const cpht = faciesParams.cpht * pipe.gradeFactor * (0.5 + gradeNoise);
+        const diamondValue = faciesParams.value * (0.85 + 0.3 * valueNoise);
+        const material = getPatternMaterial(faciesParams.rockType);
+        
+        return {
+            ...block,
+            rockType: faciesParams.rockType,
+            density: material.density,
+            gradeCu: 0,
+            gradeAu: 0,
+            cpht: cpht,
+            diamondValue: diamondValue,
+            econValue: cpht / 100 * diamondValue - 30, // Diamond revenue per tonne minus mining and processing cost
+            zone: zone
+        };
+    });
+}
+
+/**
+ * Maximum number of stockwork orientation sets
+ */
+const MAX_STOCKWORK_SETS = 3;
+
+/**
+ * Maximum number of stockwork veins
+ */
+const MAX_STOCKWORK_VEINS = 5000;
+
+/**
+ * Default stockwork parameters
+ *   veinCount - number of vein segments
+ *   length    - mean vein diameter in metres (each vein is a disc, 0.5-1.5 x the mean)
+ *   aperture  - mean vein thickness in metres (0.5-1.5 x the mean)
+ *   veinCu    - mean Cu grade of the vein fill (%); each vein varies lognormally
+ *   veinAu    - mean Au grade of the vein fill (g/t)
+ *   sets      - orientation sets: mean dip direction and dip of the veins in degrees and the
+ *               Fisher concentration kappa (high kappa = sheeted veins, low kappa = random stockwork)
+ */
+const DEFAULT_STOCKWORK_PARAMS = {
+    veinCount: 1000,
+    length: 12,
+    aperture: 0.2,
+    veinCu: 5,
+    veinAu: 8,
+    sets: [
+        { dipDirection: 90, dip: 70, kappa: 20 },
+        { dipDirection: 0, dip: 45, kappa: 10 }
+    ]
+};
+
+/**
+ * Draw a unit vector from a Fisher distribution
+ * @param {Object} mean - Mean unit vector { x, y, z }
+ * @param {number} kappa - Concentration (0 = uniform on the sphere)
+ * @param {Function} random - Random number generator
+ * @returns {Object} Unit vector { x, y, z }
+ */
+function sampleFisherVector(mean, kappa, random) {
+    // Angle from the mean: cos(theta) = 1 + ln(1 - U (1 - e^(-2 kappa))) / kappa
+    const u = random();
+    const cosTheta = kappa > 1e-6
+        ? 1 + Math.log(1 - u * (1 - Math.exp(-2 * kappa))) / kappa
+        : 1 - 2 * u;
+    const sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta));
+    const phi = random() * Math.PI * 2;
+    
+    // Orthonormal basis around the mean
+    const helper = Math.abs(mean.z) < 0.9 ? { x: 0, y: 0, z: 1 } : { x: 1, y: 0, z: 0 };
+    let ux = helper.y * mean.z - helper.z * mean.y;
+    let uy = helper.z * mean.x - helper.x * mean.z;
+    let uz = helper.x * mean.y - helper.y * mean.x;
+    const uLength = Math.sqrt(ux * ux + uy * uy + uz * uz);
+    ux /= uLength;
+    uy /= uLength;
+    uz /= uLength;
+    const vx = mean.y * uz - mean.z * uy;
+    const vy = mean.z * ux - mean.x * uz;
+    const vz = mean.x * uy - mean.y * ux;
+    
+    const a = sinTheta * Math.cos(phi);
+    const b = sinTheta * Math.sin(phi);
+    return {
+        x: cosTheta * mean.x + a * ux + b * vx,
+        y: cosTheta * mean.y + a * uy + b * vy,
+        z: cosTheta * mean.z + a * uz + b * vz
+    };
+}
+
+/**
+ * Stockwork / Sheeted Vein Pattern
+ * Scatters short disc-shaped vein segments through an ellipsoidal envelope. Vein poles are
+ * drawn from Fisher distributions around one or more orientation sets. Each block's grade is
+ * the vein volume fraction in the block times the vein grade (plus a low wallrock background),
+ * which gives the skewed, nugget-heavy grade distributions of vein-hosted deposits.
+ * Fields:
+ *   - veinFraction = Vein volume fraction of the block (see PATTERN_GRADE_ATTRIBUTES)
+ *   - gradeCu / gradeAu = Vein grade x vein fraction + background
+ *   - rockType = Ore_High, Ore_Med, Ore_Low or Waste (same cutoffs as the ore body patterns)
+ *   - zone = STOCKWORK where the block holds vein
+ * @param {Array} blocks - Array of block objects (complete regular grid)
+ * @param {number} cellsX - Number of cells in X direction
+ * @param {number} cellsY - Number of cells in Y direction
+ * @param {number} cellsZ - Number of cells in Z direction
+ * @param {number} seed - Model seed
+ * @param {Object} params - Stockwork parameters (see DEFAULT_STOCKWORK_PARAMS)
+ * @returns {Array} Blocks with material assigned
+ */
+function generateStockwork(blocks, cellsX, cellsY, cellsZ, seed = null, params = {}) {
+    const stockworkParams = { ...DEFAULT_STOCKWORK_PARAMS, ...params };
+    const sets = stockworkParams.sets;
+    
+    if (!Number.isInteger(stockworkParams.veinCount) || stockworkParams.veinCount < 1 ||
+        stockworkParams.veinCount > MAX_STOCKWORK_VEINS) {
+        throw new Error(`Stockwork vein count must be 1-${MAX_STOCKWORK_VEINS}`);
+    }
+    if (!(stockworkParams.length > 0) || !(stockworkParams.aperture > 0) || !isFinite(stockworkParams.length) ||
+        !isFinite(stockworkParams.aperture)) {
+        throw new Error('Stockwork vein length and aperture must be greater than 0');
+    }
+    if (!(stockworkParams.veinCu >= 0) || !(stockworkParams.veinAu >= 0)) {
+        throw new Error('Stockwork vein grades must not be negative');
+    }
+    if (!Array.isArray(sets) || sets.length < 1 || sets.length > MAX_STOCKWORK_SETS) {
+        throw new Error(`Stockwork needs 1-${MAX_STOCKWORK_SETS} orientation sets`);
+    }
+    sets.forEach((set, index) => {
+        if (!set || !(set.dipDirection >= 0 && set.dipDirection < 360) || !(set.dip >= 0 && set.dip <= 90)) {
+            throw new Error(`Stockwork set ${index + 1} dip direction must be 0-360 and dip 0-90`);
+        }
+        if (!(set.kappa >= 0) || !isFinite(set.kappa)) {
+            throw new Error(`Stockwork set ${index + 1} kappa must not be negative`);
+        }
+    });
+    if (blocks.length !== cellsX * cellsY * cellsZ) {
+        throw new Error('Stockwork requires a complete regular grid');
+    }
+    
+    // Node spacing from the block centroids
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    let minZ = Infinity, maxZ = -Infinity;
+    blocks.forEach(block => {
+        minX = Math.min(minX, block.x);
+        maxX = Math.max(maxX, block.x);
+        minY = Math.min(minY, block.y);
+        maxY = Math.max(maxY, block.y);
+        minZ = Math.min(minZ, block.z);
+        maxZ = Math.max(maxZ, block.z);
+    });
+    const spacing = {
+        x: cellsX > 1 ? (maxX - minX) / (cellsX - 1) : 1,
+        y: cellsY > 1 ? (maxY - minY) / (cellsY - 1) : 1,
+        z: cellsZ > 1 ? (maxZ - minZ) / (cellsZ - 1) : 1
+    };
+    const blockVolume = spacing.x * spacing.y * spacing.z;
+    const modelSizeX = maxX - minX + spacing.x;
+    const modelSizeY = maxY - minY + spacing.y;
+    const modelSizeZ = maxZ - minZ + spacing.z;
+    
+    // Random choices are drawn in a fixed order from the model seed
+    const random = createSeededRandom(seed);
+    const rand = (min, max) => randomBetween(random, min, max);
+    
+    // Ellipsoidal stockwork envelope near the model center
+    const envelope = {
+        x: (minX + maxX) / 2 + modelSizeX * rand(-0.1, 0.1),
+        y: (minY + maxY) / 2 + modelSizeY * rand(-0.1, 0.1),
+        z: (minZ + maxZ) / 2 + modelSizeZ * rand(-0.1, 0.1),
+        rx: modelSizeX * rand(0.3, 0.4),
+        ry: modelSizeY * rand(0.3, 0.4),
+        rz: modelSizeZ * rand(0.3, 0.4)
+    };
+    const backgroundCu = rand(0.01, 0.03);
+    const backgroundAu = rand(0.01, 0.03);
+    
+    // Mean pole (upward normal) of each set
+    const setPoles = sets.map(set => {
+        const dipDirection = set.dipDirection * Math.PI / 180;
+        const dip = set.dip * Math.PI / 180;
+        return {
+            x: Math.sin(dip) * Math.sin(dipDirection),
+            y: Math.sin(dip) * Math.cos(dipDirection),
+            z: Math.cos(dip)
+        };
+    });
+    
+    // Vein volume and metal per block, accumulated from area samples on each vein disc
+    const veinVolume = new Float64Array(blocks.length);
+    const metalCu = new Float64Array(blocks.length);
+    const metalAu = new Float64Array(blocks.length);
+    const minSpacing = Math.min(spacing.x, spacing.y, spacing.z);
+    const gradeSigma = Math.sqrt(Math.log(1 + 0.8 * 0.8)); // Vein-to-vein grade CV of 0.8
+    
+    for (let v = 0; v < stockworkParams.veinCount; v++) {
+        // Uniform position inside the envelope (rejection sampling on the unit ball)
+        let px, py, pz;
+        do {
+            px = rand(-1, 1);
+            py = rand(-1, 1);
+            pz = rand(-1, 1);
+        } while (px * px + py * py + pz * pz > 1);
+        const center = {
+            x: envelope.x + px * envelope.rx,
+            y: envelope.y + py * envelope.ry,
+            z: envelope.z + pz * envelope.rz
+        };
+        
+        const setIndex = Math.floor(random() * sets.length);
+        const normal = sampleFisherVector(setPoles[setIndex], sets[setIndex].kappa, random);
+        const radius = stockworkParams.length * rand(0.5, 1.5) / 2;
+        const aperture = stockworkParams.aperture * rand(0.5, 1.5);
+        
+        // Lognormal vein grade factor (mean 1)
+        const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        const gradeFactor = Math.exp(gradeSigma * gaussian - gradeSigma * gradeSigma / 2);
+        
+        // In-plane axes of the disc
+        const helper = Math.abs(normal.z) < 0.9 ? { x: 0, y: 0, z: 1 } : { x: 1, y: 0, z: 0 };
+        let e1x = helper.y * normal.z - helper.z * normal.y;
+        let e1y = helper.z * normal.x - helper.x * normal.z;
+        let e1z = helper.x * normal.y - helper.y * normal.x;
+        const e1Length = Math.sqrt(e1x * e1x + e1y * e1y + e1z * e1z);
+        e1x /= e1Length;
+        e1y /= e1Length;
+        e1z /= e1Length;
+        const e2x = normal.y * e1z - normal.z * e1y;
+        const e2y = normal.z * e1x - normal.x * e1z;
+        const e2z = normal.x * e1y - normal.y * e1x;
+        
+        // Sample spacing: a third of the smallest block side, at most 40 samples across the disc
+        const step = Math.max(minSpacing / 3, radius / 20);
+        const sampleVolume = step * step * aperture;
+        const samples = Math.ceil(radius / step);
+        for (let a = -samples; a <= samples; a++) {
+            for (let b = -samples; b <= samples; b++) {
+                const da = a * step;
+                const db = b * step;
+                if (da * da + db * db > radius * radius) {
+                    continue;
+                }
+                
+                const i = Math.round((center.x + da * e1x + db * e2x - minX) / spacing.x);
+                const j = Math.round((center.y + da * e1y + db * e2y - minY) / spacing.y);
+                const k = Math.round((maxZ - (center.z + da * e1z + db * e2z)) / spacing.z);
+                if (i < 0 || i >= cellsX || j < 0 || j >= cellsY || k < 0 || k >= cellsZ) {
+                    continue;
+                }
+                
+                const index = (i * cellsY + j) * cellsZ + k;
+                veinVolume[index] += sampleVolume;
+                metalCu[index] += sampleVolume * stockworkParams.veinCu * gradeFactor;
+                metalAu[index] += sampleVolume * stockworkParams.veinAu * gradeFactor;
+            }
+        }
+    }
+    
+    return blocks.map(block => {
+        const index = (block.i * cellsY + block.j) * cellsZ + block.k;
+        
+        // Overlapping veins cannot fill more than the block
+        const scale = veinVolume[index] > blockVolume ? blockVolume / veinVolume[index] : 1;
+        const veinFraction = veinVolume[index] * scale / blockVolume;
+        const gradeCu = backgroundCu * (1 - veinFraction) + metalCu[index] * scale / blockVolume;
+        const gradeAu = backgroundAu * (1 - veinFraction) + metalAu[index] * scale / blockVolume;
+        
+        // Same cutoffs as the ore body generators
+        let rockType;
+        if (gradeCu >= 1.0 || gradeAu >= 2.5) {
+            rockType = 'Ore_High';
+        } else if (gradeCu >= 0.5 || gradeAu >= 1.0) {
+            rockType = 'Ore_Med';
+        } else if (gradeCu >= 0.3 || gradeAu >= 0.5) {
+            rockType = 'Ore_Low';
+        } else {
+            rockType = 'Waste';
+        }
+        
+        const material = getPatternMaterial(rockType);
+        return {
+            ...block,
+            rockType: rockType,
+            density: material.density,
+            gradeCu: gradeCu,
+            gradeAu: gradeAu,
+            veinFraction: veinFraction,
+            econValue: rockType === 'Waste' ? material.econValue : (gradeCu * 20 + gradeAu * 50) - 10, // Revenue minus processing cost
+            zone: veinFraction > 0 ? 'STOCKWORK' : material.zone
+        };
+    });
+}
+
 /**
  * Apply material pattern to blocks
  * @param {Array} blocks - Array of block objects
@@ -1877,20 +3849,33 @@ function generateSaltDomeReservoir(blocks, cellsX, cellsY, cellsZ, seed = null)
  * @param {number} cellsX - Number of cells in X direction
  * @param {number} cellsY - Number of cells in Y direction
  * @param {number} cellsZ - Number of cells in Z direction
+ * @param {number} seed - Model seed (see createSeededRandom)
+ * @param {Object} options - Pattern-specific options (options.sgs for sequential Gaussian simulation, options.kimberlite
+ * for kimberlite pipes, options.stockwork for stockworks, options.scenario for scenarios)
  * @returns {Array} Blocks with material assigned
  */
-function applyMaterialPattern(blocks, patternType, cellsX, cellsY, cellsZ, seed = null) {
+function applyMaterialPattern(blocks, patternType, cellsX, cellsY, cellsZ, seed = null, options = {}) {
+    // Patterns assign the default pattern classes; the material library may rename them
+    return assignLibraryRockTypes(applyPatternClasses(blocks, patternType, cellsX, cellsY, cellsZ, seed, options));
+}
+
+/**
+ * Run a pattern generator (rock types are the default pattern classes, see MATERIAL_ROLES)
+ * Parameters are the same as applyMaterialPattern
+ * @returns {Array} Blocks with material assigned
+ */
+function applyPatternClasses(blocks, patternType, cellsX, cellsY, cellsZ, seed = null, options = {}) {
     switch (patternType) {
         case 'uniform':
             return applyUniformPattern(blocks);
         case 'layered':
-            return applyLayeredPattern(blocks, cellsX, cellsY, cellsZ);
+            return applyLayeredPattern(blocks, cellsX, cellsY, cellsZ, seed);
         case 'gradient':
             return applyGradientPattern(blocks, cellsX, cellsY, cellsZ, seed);
         case 'checkerboard':
             return applyCheckerboardPattern(blocks);
         case 'random':
-            return applyRandomPattern(blocks);
+            return applyRandomPattern(blocks, seed);
         case 'ore_horizon':
             return applyOreHorizonPattern(blocks, cellsX, cellsY, cellsZ);
         case 'inclined_vein':
@@ -1898,18 +3883,227 @@ function applyMaterialPattern(blocks, patternType, cellsX, cellsY, cellsZ, seed
         case 'random_clusters':
             return applyRandomClustersPattern(blocks, cellsX, cellsY, cellsZ, seed);
         case 'ellipsoid_ore':
-            return generateEllipsoidOreBody(blocks, seed ? { seed: seed } : {});
+            return generateEllipsoidOreBody(blocks, { seed: seed });
         case 'vein_ore':
-            return generateVeinOreBody(blocks);
+            return generateVeinOreBody(blocks, { seed: seed });
         case 'porphyry_ore':
-            return generatePorphyryOreBody(blocks, seed ? { seed: seed } : {});
+            return generatePorphyryOreBody(blocks, { seed: seed });
         case 'salt_dome':
             return generateSaltDomeReservoir(blocks, cellsX, cellsY, cellsZ, seed);
+        case 'coal_seams':
+            return generateCoalSeams(blocks, cellsX, cellsY, cellsZ, seed);
+        case 'kimberlite_pipe':
+            return generateKimberlitePipes(blocks, cellsX, cellsY, cellsZ, seed, options.kimberlite);
+        case 'stockwork':
+            return generateStockwork(blocks, cellsX, cellsY, cellsZ, seed, options.stockwork);
+        case 'sgs':
+            return applySgsPattern(blocks, cellsX, cellsY, cellsZ, seed, options.sgs);
+        case 'scenario':
+            return applyScenario(blocks, cellsX, cellsY, cellsZ, seed, options.scenario, options);
         default:
             return applyUniformPattern(blocks);
     }
 }
 
+// ============================================================================
+// Sub-Blocking (Octree Refinement)
+// ============================================================================
+
+/**
+ * Patterns that can be re-evaluated at arbitrary centroids.
+ * Sub-blocking only refines contacts for these; other patterns are grid-based.
+ */
+const SUB_BLOCK_PATTERNS = ['ellipsoid_ore', 'vein_ore', 'porphyry_ore'];
+
+/**
+ * Maximum number of octree subdivision levels (level 3 = 1/8 of the parent cell size)
+ */
+const MAX_SUB_BLOCK_LEVEL = 3;
+
+/**
+ * Re-evaluate an ore body pattern for a set of blocks
+ * @param {Array} blocks - Array of block objects
+ * @param {string} patternType - Type of pattern to evaluate
+ * @param {Object} patternParams - Parameters passed to the pattern generator
+ * @returns {Array} Blocks with material assigned
+ */
+function evaluateSubBlockPattern(blocks, patternType, patternParams) {
+    switch (patternType) {
+        case 'ellipsoid_ore':
+            return assignLibraryRockTypes(generateEllipsoidOreBody(blocks, patternParams));
+        case 'vein_ore':
+            return assignLibraryRockTypes(generateVeinOreBody(blocks, patternParams));
+        case 'porphyry_ore':
+            return assignLibraryRockTypes(generatePorphyryOreBody(blocks, patternParams));
+        default:
+            return blocks;
+    }
+}
+
+/**
+ * Split a cell into its 8 octree children
+ * Children keep the parent I, J, K indices and carry their own dX, dY, dZ
+ * Child index bits: 1 = +X, 2 = +Y, 4 = +Z
+ * @param {Object} cell - Cell with x, y, z, i, j, k, dX, dY, dZ
+ * @returns {Array} Array of 8 child blocks with default material
+ */
+function splitBlockIntoOctants(cell) {
+    const children = [];
+    const halfX = cell.dX / 2;
+    const halfY = cell.dY / 2;
+    const halfZ = cell.dZ / 2;
+    
+    for (let c = 0; c < 8; c++) {
+        children.push({
+            x: cell.x + ((c & 1) ? 0.5 : -0.5) * halfX,
+            y: cell.y + ((c & 2) ? 0.5 : -0.5) * halfY,
+            z: cell.z + ((c & 4) ? 0.5 : -0.5) * halfZ,
+            i: cell.i,
+            j: cell.j,
+            k: cell.k,
+            dX: halfX,
+            dY: halfY,
+            dZ: halfZ,
+            rockType: 'Waste',
+            density: 2.5,
+            zone: undefined,
+            gradeAu: undefined,
+            gradeCu: undefined,
+            econValue: undefined
+        });
+    }
+    
+    return children;
+}
+
+/**
+ * Refine a regular block model into sub-blocks along material contacts
+ * Parent cells that touch a block of a different rock type are split into 8 children
+ * and the ore body pattern is re-evaluated at the child centroids. Children are split
+ * again (up to maxLevel) while they still sit on a contact. Cells whose children all
+ * share one rock type are kept whole.
+ * 
+ * The pattern is re-evaluated with the parent model bounds and seed so the ore body
+ * does not move between levels.
+ * 
+ * @param {Array} blocks - Blocks from applyMaterialPattern() (in generateRegularGrid order)
+ * @param {Object} gridParams - Grid parameters used for generateRegularGrid()
+ * @param {string} patternType - Pattern used to generate the blocks
+ * @param {number} seed - Model seed used for the parent pattern
+ * @param {Object} options - Sub-blocking options
+ * @param {number} options.maxLevel - Number of subdivision levels (1 to MAX_SUB_BLOCK_LEVEL)
+ * @returns {Array} Blocks and sub-blocks, all with dX, dY, dZ set
+ */
+function generateSubBlocks(blocks, gridParams, patternType, seed = null, options = {}) {
+    const maxLevel = options.maxLevel !== undefined ? options.maxLevel : 2;
+    const { xInc, yInc, zInc, nx, ny, nz } = gridParams;
+    
+    if (!Number.isInteger(maxLevel) || maxLevel < 1 || maxLevel > MAX_SUB_BLOCK_LEVEL) {
+        throw new Error(`Sub-block level must be an integer between 1 and ${MAX_SUB_BLOCK_LEVEL}`);
+    }
+    if (blocks.length !== nx * ny * nz) {
+        throw new Error('Sub-blocking requires a complete regular grid');
+    }
+    
+    const withParentSize = block => ({ ...block, dX: xInc, dY: yInc, dZ: zInc });
+    
+    if (!SUB_BLOCK_PATTERNS.includes(patternType)) {
+        return blocks.map(withParentSize);
+    }
+    
+    // Parent model bounds and cell size, so child evaluation matches the parent pattern
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    let minZ = Infinity, maxZ = -Infinity;
+    blocks.forEach(block => {
+        minX = Math.min(minX, block.x);
+        maxX = Math.max(maxX, block.x);
+        minY = Math.min(minY, block.y);
+        maxY = Math.max(maxY, block.y);
+        minZ = Math.min(minZ, block.z);
+        maxZ = Math.max(maxZ, block.z);
+    });
+    
+    const patternParams = {
+        bounds: { minX, maxX, minY, maxY, minZ, maxZ },
+        avgCellSize: estimateAverageCellSize(blocks, maxX - minX, maxY - minY, maxZ - minZ)
+    };
+    if (seed !== null && seed !== undefined) {
+        patternParams.seed = seed;
+    }
+    
+    // Blocks are generated with I outer, J middle, K inner
+    const indexOf = (i, j, k) => (i * ny + j) * nz + k;
+    const neighbourOffsets = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+    
+    const isOnContact = block => neighbourOffsets.some(([di, dj, dk]) => {
+        const ni = block.i + di;
+        const nj = block.j + dj;
+        const nk = block.k + dk;
+        if (ni < 0 || ni >= nx || nj < 0 || nj >= ny || nk < 0 || nk >= nz) {
+            return false;
+        }
+        return blocks[indexOf(ni, nj, nk)].rockType !== block.rockType;
+    });
+    
+    // Each parent index maps to the list of blocks that replace it
+    const output = blocks.map(block => [withParentSize(block)]);
+    let candidates = [];
+    blocks.forEach((block, index) => {
+        if (isOnContact(block)) {
+            candidates.push({ cell: output[index][0], parentIndex: index });
+            output[index] = [];
+        }
+    });
+    
+    for (let level = 1; level <= maxLevel && candidates.length > 0; level++) {
+        const unevaluated = [];
+        candidates.forEach(candidate => {
+            unevaluated.push(...splitBlockIntoOctants(candidate.cell));
+        });
+        const children = evaluateSubBlockPattern(unevaluated, patternType, patternParams);
+        
+        const nextCandidates = [];
+        candidates.forEach((candidate, n) => {
+            const octants = children.slice(n * 8, n * 8 + 8);
+            const uniform = octants.every(child => child.rockType === octants[0].rockType);
+            
+            if (uniform) {
+                output[candidate.parentIndex].push(candidate.cell);
+                return;
+            }
+            
+            octants.forEach((child, c) => {
+                const onContact = [1, 2, 4].some(bit => octants[c ^ bit].rockType !== child.rockType);
+                if (onContact && level < maxLevel) {
+                    nextCandidates.push({ cell: child, parentIndex: candidate.parentIndex });
+                } else {
+                    output[candidate.parentIndex].push(child);
+                }
+            });
+        });
+        
+        candidates = nextCandidates;
+    }
+    
+    return output.flat();
+}
+
+/**
+ * Get the volume of a block, using sub-block dimensions when present
+ * @param {Object} block - Block object
+ * @param {number} cellSizeX - Parent cell size in X
+ * @param {number} cellSizeY - Parent cell size in Y
+ * @param {number} cellSizeZ - Parent cell size in Z
+ * @returns {number} Block volume (m³)
+ */
+function getBlockVolume(block, cellSizeX, cellSizeY, cellSizeZ) {
+    const dX = block.dX !== undefined ? block.dX : cellSizeX;
+    const dY = block.dY !== undefined ? block.dY : cellSizeY;
+    const dZ = block.dZ !== undefined ? block.dZ : cellSizeZ;
+    return dX * dY * dZ;
+}
+
 // ============================================================================
 // Legacy Compatibility Functions
 // ============================================================================
@@ -1962,5 +4156,7 @@ function exportBlocksToCSV(blocks) {
  */
 function getMaterialColor(rockTypeOrMaterial) {
     // Support both legacy 'material' and standard 'rockType'
-    return MATERIALS[rockTypeOrMaterial]?.color || 0x808080;
+    // Library materials take precedence; rock types removed from the library keep their default color
+    const material = materialLibrary[rockTypeOrMaterial] || DEFAULT_MATERIALS[rockTypeOrMaterial];
+    return material?.color || 0x808080;
 }
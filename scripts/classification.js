@@ -0,0 +1,295 @@
+/**
+ * Resource Classification
+ * Measured, Indicated and Inferred categories (RESCAT) from the distance or spacing of drillholes
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Classification Parameters
+// ============================================================================
+
+/**
+ * Resource categories by RESCAT code
+ */
+const RESOURCE_CATEGORIES = [
+    { code: 1, name: 'Measured' },
+    { code: 2, name: 'Indicated' },
+    { code: 3, name: 'Inferred' }
+];
+
+/**
+ * Classification methods
+ *   distance - distance from the block centroid to the nearest drillhole
+ *   spacing  - local drill spacing, √2 × the mean distance to the four nearest drillholes
+ *              (equal to the pattern spacing at the centre of a square pattern)
+ */
+const CLASSIFICATION_METHODS = ['distance', 'spacing'];
+
+/**
+ * Default classification parameters
+ *   drillSpacing  - spacing of the synthetic drill pattern (m)
+ *   infillExtent  - central fraction of the model extent drilled at half the spacing (0 = no infill)
+ *   holeDepth     - drilled fraction of the model height below the collars
+ *   jitter        - random collar offset as a fraction of the spacing
+ *   measured      - maximum distance or spacing (m) of Measured blocks
+ *   indicated     - maximum distance or spacing (m) of Indicated blocks; other blocks are Inferred
+ */
+const DEFAULT_CLASSIFICATION_PARAMS = {
+    method: 'distance',
+    drillSpacing: 50,
+    infillExtent: 0.4,
+    holeDepth: 0.8,
+    jitter: 0.2,
+    measured: 15,
+    indicated: 35
+};
+
+/**
+ * Maximum number of drillholes of a synthetic pattern
+ */
+const MAX_PATTERN_HOLES = 10000;
+
+/**
+ * Validate classification parameters
+ * @param {Object} params - Classification parameters
+ * @throws {Error} If the parameters are invalid
+ */
+function validateClassificationParams(params) {
+    if (!CLASSIFICATION_METHODS.includes(params.method)) {
+        throw new Error(`Unknown classification method: ${params.method}`);
+    }
+    if (!(params.drillSpacing > 0)) {
+        throw new Error('Drill spacing must be positive');
+    }
+    if (!(params.infillExtent >= 0 && params.infillExtent <= 1)) {
+        throw new Error('Infill extent must be between 0 and 1');
+    }
+    if (!(params.holeDepth > 0 && params.holeDepth <= 1)) {
+        throw new Error('Hole depth must be between 0 and 1');
+    }
+    if (!(params.jitter >= 0 && params.jitter <= 0.5)) {
+        throw new Error('Collar jitter must be between 0 and 0.5');
+    }
+    if (!(params.measured > 0) || !(params.indicated >= params.measured)) {
+        throw new Error('The Indicated limit must not be below the Measured limit');
+    }
+}
+
+// ============================================================================
+// Drill Pattern
+// ============================================================================
+
+/**
+ * Build a synthetic pattern of vertical drillholes over the model
+ * Holes are collared on a square grid (half spacing inside the infill area) at the ground surface
+ * or the model top and drilled holeDepth of the model height.
+ * @param {Object} params - Classification parameters (see DEFAULT_CLASSIFICATION_PARAMS)
+ * @param {Object} gridParams - Grid parameters (world extent of the model)
+ * @param {number|string|null} [seed=null] - Seed of the collar jitter
+ * @param {Object|null} [surface=null] - Ground surface (see buildTopographySurface)
+ * @returns {Array} Drillholes [{ id, path: [{ x, y, z }, ...] }]
+ * @throws {Error} If the parameters are invalid or the pattern has too many holes
+ */
+function buildDrillPattern(params, gridParams, seed = null, surface = null) {
+    validateClassificationParams(params);
+    const bounds = getGridWorldBounds(gridParams);
+    const depth = params.holeDepth * (bounds.maxZ - bounds.minZ);
+    const step = params.drillSpacing / 2;
+    const columns = Math.floor((bounds.maxX - bounds.minX) / step);
+    const rows = Math.floor((bounds.maxY - bounds.minY) / step);
+    if ((columns + 1) * (rows + 1) / 4 > MAX_PATTERN_HOLES) {
+        throw new Error(`The drill pattern needs more than ${MAX_PATTERN_HOLES} holes; use a wider spacing`);
+    }
+    
+    // Centre the pattern and the infill area on the model
+    const originX = (bounds.minX + bounds.maxX - columns * step) / 2;
+    const originY = (bounds.minY + bounds.maxY - rows * step) / 2;
+    const infillHalfX = params.infillExtent * (bounds.maxX - bounds.minX) / 2;
+    const infillHalfY = params.infillExtent * (bounds.maxY - bounds.minY) / 2;
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerY = (bounds.minY + bounds.maxY) / 2;
+    const random = createSeededRandom(seed);
+    
+    const holes = [];
+    for (let r = 0; r <= rows; r++) {
+        for (let c = 0; c <= columns; c++) {
+            let x = originX + c * step;
+            let y = originY + r * step;
+            const onPattern = c % 2 === 0 && r % 2 === 0;
+            const inInfill = Math.abs(x - centerX) <= infillHalfX && Math.abs(y - centerY) <= infillHalfY;
+            if (!onPattern && !inInfill) {
+                continue;
+            }
+            
+            x += (random() - 0.5) * 2 * params.jitter * step;
+            y += (random() - 0.5) * 2 * params.jitter * step;
+            const collar = surface ? Math.min(bounds.maxZ, getSurfaceElevation(surface, x, y)) : bounds.maxZ;
+            holes.push({
+                id: `DH${String(holes.length + 1).padStart(3, '0')}`,
+                path: [{ x, y, z: collar }, { x, y, z: collar - depth }]
+            });
+        }
+    }
+    return holes;
+}
+
+// ============================================================================
+// Classification
+// ============================================================================
+
+/**
+ * Distance from a point to a line segment
+ * @param {number} x - Point X
+ * @param {number} y - Point Y
+ * @param {number} z - Point Z
+ * @param {Object} a - Segment start { x, y, z }
+ * @param {Object} b - Segment end { x, y, z }
+ * @returns {number} Distance
+ */
+function distanceToSegment(x, y, z, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y, dz = b.z - a.z;
+    const lengthSq = dx * dx + dy * dy + dz * dz;
+    const s = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy + (z - a.z) * dz) / lengthSq))
+        : 0;
+    const px = a.x + s * dx - x, py = a.y + s * dy - y, pz = a.z + s * dz - z;
+    return Math.sqrt(px * px + py * py + pz * pz);
+}
+
+/**
+ * Classify the blocks of a model as Measured (1), Indicated (2) or Inferred (3)
+ * Holes are polylines, so deviated holes can be classified as well as the synthetic pattern.
+ * Only holes within the search radius (the Indicated limit, or 2√2 × the limit for the spacing
+ * method) are considered; blocks without them are Inferred. Air blocks are left unchanged.
+ * @param {Array} blocks - Blocks in world coordinates
+ * @param {Array} holes - Drillholes [{ id, path: [{ x, y, z }, ...] }] (see buildDrillPattern)
+ * @param {Object} params - Classification parameters (see DEFAULT_CLASSIFICATION_PARAMS)
+ * @returns {Array} Blocks with resCat
+ */
+function classifyResources(blocks, holes, params) {
+    validateClassificationParams(params);
+    const neighbours = params.method === 'spacing' ? 4 : 1;
+    const radius = params.method === 'spacing' ? 2 * Math.SQRT2 * params.indicated : params.indicated;
+    
+    // Bucket the holes by the plan extent of their segments (bucket size = search radius)
+    const buckets = new Map();
+    const bucketKey = (bx, by) => `${bx},${by}`;
+    holes.forEach((hole, h) => {
+        const xs = hole.path.map(point => point.x);
+        const ys = hole.path.map(point => point.y);
+        for (let bx = Math.floor(Math.min(...xs) / radius); bx <= Math.floor(Math.max(...xs) / radius); bx++) {
+            for (let by = Math.floor(Math.min(...ys) / radius); by <= Math.floor(Math.max(...ys) / radius); by++) {
+                const key = bucketKey(bx, by);
+                if (!buckets.has(key)) {
+                    buckets.set(key, []);
+                }
+                buckets.get(key).push(h);
+            }
+        }
+    });
+    
+    const visited = new Int32Array(holes.length).fill(-1);
+    return blocks.map((block, n) => {
+        if (isAirBlock(block)) {
+            return block;
+        }
+        
+        // Nearest hole distances within the search radius, in increasing order
+        const nearest = [];
+        const bx = Math.floor(block.x / radius), by = Math.floor(block.y / radius);
+        for (let ox = -1; ox <= 1; ox++) {
+            for (let oy = -1; oy <= 1; oy++) {
+                (buckets.get(bucketKey(bx + ox, by + oy)) || []).forEach(h => {
+                    if (visited[h] === n) {
+                        return;
+                    }
+                    visited[h] = n;
+                    const path = holes[h].path;
+                    let distance = Infinity;
+                    for (let p = 1; p < path.length; p++) {
+                        distance = Math.min(distance, distanceToSegment(block.x, block.y, block.z, path[p - 1], path[p]));
+                    }
+                    if (distance <= radius && (nearest.length < neighbours || distance < nearest[nearest.length - 1])) {
+                        let slot = Math.min(nearest.length, neighbours - 1);
+                        while (slot > 0 && nearest[slot - 1] > distance) {
+                            nearest[slot] = nearest[slot - 1];
+                            slot--;
+                        }
+                        nearest[slot] = distance;
+                    }
+                });
+            }
+        }
+        
+        let resCat = 3;
+        if (nearest.length === neighbours) {
+            const measure = params.method === 'spacing'
+                ? Math.SQRT2 * nearest.reduce((sum, distance) => sum + distance, 0) / neighbours
+                : nearest[0];
+            resCat = measure <= params.measured ? 1 : (measure <= params.indicated ? 2 : 3);
+        }
+        return { ...block, resCat: resCat };
+    });
+}
+
+// ============================================================================
+// Resource Report
+// ============================================================================
+
+/**
+ * Tonnage and grade per resource category
+ * Grades are tonnage-weighted; air blocks and unclassified blocks are ignored.
+ * @param {Array} blocks - Classified blocks (sub-blocks allowed)
+ * @param {Object} gridParams - Grid parameters (cell increments)
+ * @returns {Array} One row per category with blocks: { code, name, blocks, tonnes, gradeCu, gradeAu }
+ */
+function summarizeResourceCategories(blocks, gridParams) {
+    const rows = RESOURCE_CATEGORIES.map(category => ({
+        code: category.code,
+        name: category.name,
+        blocks: 0,
+        tonnes: 0,
+        gradeCu: 0,
+        gradeAu: 0
+    }));
+    
+    blocks.forEach(block => {
+        const row = rows[block.resCat - 1];
+        if (!row || isAirBlock(block)) {
+            return;
+        }
+        const tonnes = getBlockVolume(block, gridParams.xInc, gridParams.yInc, gridParams.zInc) * block.density;
+        row.blocks++;
+        row.tonnes += tonnes;
+        row.gradeCu += tonnes * (block.gradeCu || 0);
+        row.gradeAu += tonnes * (block.gradeAu || 0);
+    });
+    
+    return rows.filter(row => row.blocks > 0).map(row => ({
+        ...row,
+        gradeCu: row.tonnes > 0 ? row.gradeCu / row.tonnes : 0,
+        gradeAu: row.tonnes > 0 ? row.gradeAu / row.tonnes : 0
+    }));
+}
+
+/**
+ * Convert a resource report to CSV
+ * @param {Array} rows - Report rows (see summarizeResourceCategories)
+ * @returns {string} CSV text with headers
+ */
+function resourceCategoriesToCsv(rows) {
+    const lines = ['RESCAT,CATEGORY,BLOCKS,TONNES,GRADE_CU,GRADE_AU'];
+    rows.forEach(row => {
+        lines.push([
+            row.code,
+            row.name,
+            row.blocks,
+            formatNumber(row.tonnes),
+            formatNumber(row.gradeCu),
+            formatNumber(row.gradeAu)
+        ].join(','));
+    });
+    return lines.join('\n');
+}
@@ -0,0 +1,300 @@
+/**
+ * Datamine Export
+ * Block models as Datamine binary (.dm) files in the single precision page format
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// File Format
+// ============================================================================
+
+/**
+ * Single precision .dm layout (little-endian, 4-byte words, 512-word pages)
+ *   Header page  - words 0-1 file name, 2-3 database name, 4-13 description, 14 date,
+ *                  15 number of field words, 16 last page, 17 records in the last page,
+ *                  then 7 words per field word: name (2 words), type ('A' or 'N'),
+ *                  stored position (0 for implicit fields), word number in the field,
+ *                  reserved, default value
+ *   Data pages   - records of the stored words, packed in the first 508 words of a page
+ * Text is space-padded ASCII (4 characters per word); numbers are 32-bit floats.
+ */
+const DATAMINE_PAGE_WORDS = 512;
+const DATAMINE_RECORD_WORDS = 508;
+const DATAMINE_HEADER_WORDS = 18;
+const DATAMINE_DESCRIPTOR_WORDS = 7;
+
+/**
+ * Most field words a header page can describe
+ */
+const MAX_DATAMINE_FIELD_WORDS = Math.floor((DATAMINE_PAGE_WORDS - DATAMINE_HEADER_WORDS) / DATAMINE_DESCRIPTOR_WORDS);
+
+/**
+ * Datamine absent value of numeric fields
+ */
+const DATAMINE_ABSENT = -1e30;
+
+/**
+ * Longest alphanumeric field (characters)
+ */
+const MAX_DATAMINE_TEXT_LENGTH = 40;
+
+/**
+ * Datamine field name of an export column (at most 8 characters)
+ * Long names drop the GRADE_ prefix and underscores and are cut to 8 characters; a digit
+ * replaces the last character of names already used.
+ * @param {string} column - Export column name (e.g. ECON_VALUE)
+ * @param {Set} used - Names already used in the file (the new name is added)
+ * @returns {string} Field name (e.g. ECONVALU)
+ */
+function getDatamineFieldName(column, used) {
+    let name = column.toUpperCase();
+    if (name.length > 8) {
+        name = name.replace(/^GRADE_/, '');
+    }
+    if (name.length > 8) {
+        name = name.replace(/_/g, '');
+    }
+    name = name.slice(0, 8);
+    for (let n = 1; used.has(name); n++) {
+        name = name.slice(0, 8 - String(n).length) + n;
+    }
+    used.add(name);
+    return name;
+}
+
+// ============================================================================
+// Fields
+// ============================================================================
+
+/**
+ * Fields of a Datamine block model
+ * XC, YC, ZC, XINC, YINC, ZINC, XMORIG, YMORIG, ZMORIG, NX, NY, NZ and IJK, then the block
+ * attributes in the order of the CSV export. The origin is the lower corner of the model, K counts
+ * upwards and IJK = (K × NY + J) × NX + I. The origin, cell counts and (without sub-blocks) the
+ * increments are implicit fields, stored once in the header.
+ * @param {Array} blocks - Exported blocks
+ * @param {Object} gridParams - Grid parameters
+ * @param {Object} options - { gradeAttributes }
+ * @returns {Array} Fields [{ name, type, implicit, value, words }]; value is a constant for
+ *                  implicit fields and a function of the block record otherwise
+ */
+function getDatamineFields(blocks, gridParams, options) {
+    const { xInc, yInc, zInc, nx, ny, nz } = gridParams;
+    const gradeAttributes = options.gradeAttributes || [];
+    const hasSubBlocks = blocks.some(b => b.dX !== undefined);
+    const used = new Set();
+    const fields = [];
+    const numeric = (column, value) => fields.push({ name: getDatamineFieldName(column, used), type: 'N', implicit: false, value: value });
+    const implicit = (column, value) => fields.push({ name: getDatamineFieldName(column, used), type: 'N', implicit: true, value: value });
+    const text = (column, value) => {
+        const length = blocks.reduce((max, b) => Math.max(max, String(value({ block: b })).length), 1);
+        const words = Math.ceil(Math.min(MAX_DATAMINE_TEXT_LENGTH, length) / 4);
+        fields.push({ name: getDatamineFieldName(column, used), type: 'A', implicit: false, value: value, words: words });
+    };
+    
+    numeric('XC', r => r.xc);
+    numeric('YC', r => r.yc);
+    numeric('ZC', r => r.zc);
+    if (hasSubBlocks) {
+        numeric('XINC', r => r.block.dX !== undefined ? r.block.dX : xInc);
+        numeric('YINC', r => r.block.dY !== undefined ? r.block.dY : yInc);
+        numeric('ZINC', r => r.block.dZ !== undefined ? r.block.dZ : zInc);
+    } else {
+        implicit('XINC', xInc);
+        implicit('YINC', yInc);
+        implicit('ZINC', zInc);
+    }
+    implicit('XMORIG', gridParams.xmOrig);
+    implicit('YMORIG', gridParams.ymOrig);
+    implicit('ZMORIG', gridParams.zmOrig - nz * zInc);
+    implicit('NX', nx);
+    implicit('NY', ny);
+    implicit('NZ', nz);
+    numeric('IJK', r => r.ijk);
+    
+    // Block attributes (present in at least one block, as in blocksToCsv)
+    const present = field => blocks.some(b => b[field] !== undefined && b[field] !== null);
+    const blockValue = field => r => r.block[field] !== undefined && r.block[field] !== null ? r.block[field] : DATAMINE_ABSENT;
+    text('ROCKTYPE', r => r.block.rockType || 'Waste');
+    numeric('DENSITY', blockValue('density'));
+    if (present('zone')) {
+        text('ZONE', r => r.block.zone !== undefined && r.block.zone !== null ? String(r.block.zone) : '');
+    }
+    if (present('faultBlock')) {
+        numeric('FAULT_BLOCK', blockValue('faultBlock'));
+    }
+    if (present('oxidation')) {
+        text('OXIDATION', r => r.block.oxidation || '');
+        numeric('RECOVERY', blockValue('recovery'));
+    }
+    ['gradeCu', 'gradeAu'].forEach(field => {
+        if (present(field)) {
+            numeric(field === 'gradeCu' ? 'GRADE_CU' : 'GRADE_AU', blockValue(field));
+        }
+    });
+    gradeAttributes.filter(attribute => present(attribute.field)).forEach(attribute => {
+        numeric(attribute.column, blockValue(attribute.field));
+    });
+    getEstimateFields(blocks).forEach(field => {
+        numeric(getEstimateColumn(field), blockValue(field));
+    });
+    const proportionRockTypes = [];
+    const scenarioNames = [];
+    blocks.forEach(b => {
+        Object.keys(b.proportions || {}).forEach(name => {
+            if (!proportionRockTypes.includes(name)) {
+                proportionRockTypes.push(name);
+            }
+        });
+        Object.keys(b.econScenarios || {}).forEach(name => {
+            if (!scenarioNames.includes(name)) {
+                scenarioNames.push(name);
+            }
+        });
+    });
+    proportionRockTypes.forEach(name => {
+        numeric(getProportionColumn(name), r => r.block.proportions ? r.block.proportions[name] || 0 : 0);
+    });
+    if (present('econValue')) {
+        numeric('ECON_VALUE', blockValue('econValue'));
+    }
+    if (present('processValue')) {
+        numeric('VALUE_PROCESS1', blockValue('processValue'));
+        numeric('VALUE_WASTE', blockValue('wasteValue'));
+    }
+    scenarioNames.forEach(name => {
+        numeric(getScenarioColumn(name), r => r.block.econScenarios && r.block.econScenarios[name] !== undefined
+            ? r.block.econScenarios[name]
+            : DATAMINE_ABSENT);
+    });
+    if (present('resCat')) {
+        numeric('RESCAT', r => r.block.resCat !== undefined ? r.block.resCat : 3);
+    }
+    if (present('pit')) {
+        numeric('PIT', r => r.block.pit !== undefined ? r.block.pit : 0);
+    }
+    return fields;
+}
+
+// ============================================================================
+// Writer
+// ============================================================================
+
+/**
+ * Write space-padded ASCII text into consecutive words
+ * @param {DataView} view - Output view
+ * @param {number} offset - Byte offset
+ * @param {string} text - Text (characters outside ASCII become ?)
+ * @param {number} length - Field length in bytes
+ */
+function writeDatamineText(view, offset, text, length) {
+    for (let c = 0; c < length; c++) {
+        const code = c < text.length ? text.charCodeAt(c) : 32;
+        view.setUint8(offset + c, code < 128 ? code : 63);
+    }
+}
+
+/**
+ * Convert blocks to a Datamine binary block model (.dm)
+ * Air blocks are left out and records are sorted on IJK, as Datamine expects of block models.
+ * Coordinates are written in the grid frame (rotated grids are not rotated back; the rotation is
+ * kept in the grid definition). Numbers are single precision, so coordinates far from zero lose
+ * their decimals. Missing numeric values are written as the Datamine absent value.
+ * @param {Array} blocks - Blocks in world coordinates (sub-blocks allowed)
+ * @param {Object} gridParams - Grid parameters (origin, increments, counts and rotation)
+ * @param {Object} [options={}] - Export options
+ * @param {string} [options.fileName='MODEL'] - File name stored in the header (8 characters)
+ * @param {string} [options.description] - Description stored in the header (40 characters)
+ * @param {Array} [options.gradeAttributes] - Extra grade attributes (defaults to getGradeAttributeDefinitions())
+ * @returns {ArrayBuffer} File contents
+ * @throws {Error} If there are no rock blocks or too many fields for the header page
+ */
+function blocksToDatamine(blocks, gridParams, options = {}) {
+    const {
+        fileName = 'MODEL',
+        description = 'Block Model Generator',
+        gradeAttributes = getGradeAttributeDefinitions()
+    } = options;
+    
+    const exported = blocks.filter(block => !isAirBlock(block));
+    if (exported.length === 0) {
+        throw new Error('The model has no rock blocks to export');
+    }
+    
+    // Records in grid coordinates, sorted on IJK (sub-blocks follow their parent cell)
+    const { xmOrig, ymOrig, zmOrig, nx, ny, nz } = gridParams;
+    const rotation = isGridRotated(gridParams)
+        ? getGridRotationMatrix(gridParams.bearing, gridParams.dip, gridParams.plunge)
+        : null;
+    const records = exported.map(block => {
+        const u = block.x - xmOrig, v = block.y - ymOrig, w = block.z - zmOrig;
+        return {
+            block: block,
+            xc: xmOrig + (rotation ? rotation[0][0] * u + rotation[1][0] * v + rotation[2][0] * w : u),
+            yc: ymOrig + (rotation ? rotation[0][1] * u + rotation[1][1] * v + rotation[2][1] * w : v),
+            zc: zmOrig + (rotation ? rotation[0][2] * u + rotation[1][2] * v + rotation[2][2] * w : w),
+            ijk: ((nz - 1 - block.k) * ny + block.j) * nx + block.i
+        };
+    });
+    records.sort((a, b) => a.ijk - b.ijk);
+    
+    const fields = getDatamineFields(exported, gridParams, { gradeAttributes });
+    const fieldWords = fields.reduce((sum, field) => sum + (field.words || 1), 0);
+    if (fieldWords > MAX_DATAMINE_FIELD_WORDS) {
+        throw new Error(`Datamine files hold at most ${MAX_DATAMINE_FIELD_WORDS} field words; the model needs ${fieldWords}`);
+    }
+    const storedWords = fields.filter(field => !field.implicit).reduce((sum, field) => sum + (field.words || 1), 0);
+    const recordsPerPage = Math.floor(DATAMINE_RECORD_WORDS / storedWords);
+    const dataPages = Math.ceil(records.length / recordsPerPage);
+    const pageBytes = DATAMINE_PAGE_WORDS * 4;
+    const buffer = new ArrayBuffer((dataPages + 1) * pageBytes);
+    const view = new DataView(buffer);
+    
+    // Header page
+    writeDatamineText(view, 0, fileName.toUpperCase().slice(0, 8), 8);
+    writeDatamineText(view, 8, '', 8);
+    writeDatamineText(view, 16, description.slice(0, 40), 40);
+    view.setFloat32(56, 0, true);
+    view.setFloat32(60, fieldWords, true);
+    view.setFloat32(64, dataPages + 1, true);
+    view.setFloat32(68, records.length - (dataPages - 1) * recordsPerPage, true);
+    
+    let descriptor = DATAMINE_HEADER_WORDS * 4;
+    let position = 1;
+    fields.forEach(field => {
+        const words = field.words || 1;
+        for (let word = 1; word <= words; word++) {
+            writeDatamineText(view, descriptor, field.name, 8);
+            writeDatamineText(view, descriptor + 8, field.type, 4);
+            view.setFloat32(descriptor + 12, field.implicit ? 0 : position++, true);
+            view.setFloat32(descriptor + 16, word, true);
+            view.setFloat32(descriptor + 20, 0, true);
+            if (field.type === 'A') {
+                writeDatamineText(view, descriptor + 24, '', 4);
+            } else {
+                view.setFloat32(descriptor + 24, field.implicit ? field.value : DATAMINE_ABSENT, true);
+            }
+            descriptor += DATAMINE_DESCRIPTOR_WORDS * 4;
+        }
+    });
+    
+    // Data pages
+    const stored = fields.filter(field => !field.implicit);
+    records.forEach((record, n) => {
+        let offset = (1 + Math.floor(n / recordsPerPage)) * pageBytes + (n % recordsPerPage) * storedWords * 4;
+        stored.forEach(field => {
+            if (field.type === 'A') {
+                writeDatamineText(view, offset, String(field.value(record)).slice(0, field.words * 4), field.words * 4);
+                offset += field.words * 4;
+            } else {
+                const value = field.value(record);
+                view.setFloat32(offset, isFinite(value) ? value : DATAMINE_ABSENT, true);
+                offset += 4;
+            }
+        });
+    });
+    
+    return buffer;
+}
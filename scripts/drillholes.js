@@ -0,0 +1,402 @@
+/**
+ * Drillhole Simulation
+ * Synthetic drillholes sampled from the block model, with collar, survey, assay and lithology tables
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Drillhole Parameters
+// ============================================================================
+
+/**
+ * Collar patterns
+ *   grid   - square grid of collars at the given spacing, centred on the model
+ *   random - holeCount collars scattered uniformly over the model
+ */
+const DRILLHOLE_PATTERNS = ['grid', 'random'];
+
+/**
+ * Default drillhole parameters
+ *   spacing         - collar spacing of the grid pattern (m)
+ *   holeCount       - number of holes of the random pattern
+ *   azimuth, dip    - collar direction (azimuth clockwise from north, dip in degrees below horizontal)
+ *   length          - hole length (m)
+ *   deviation       - random drift of azimuth and dip (standard deviation in degrees per 100 m)
+ *   surveyInterval  - distance between downhole surveys (m)
+ *   sampleLength    - assay sample length (m)
+ *   assayError      - relative assay error (coefficient of variation of a lognormal error)
+ */
+const DEFAULT_DRILLHOLE_PARAMS = {
+    pattern: 'grid',
+    spacing: 50,
+    holeCount: 30,
+    azimuth: 0,
+    dip: 60,
+    length: 200,
+    deviation: 2,
+    surveyInterval: 30,
+    sampleLength: 2,
+    assayError: 0.1
+};
+
+/**
+ * Block fields assayed by default and their assay table columns
+ */
+const DEFAULT_ASSAY_FIELDS = [
+    { field: 'gradeCu', column: 'CU' },
+    { field: 'gradeAu', column: 'AU' }
+];
+
+/**
+ * Maximum number of drillholes and of assay samples over all holes
+ */
+const MAX_DRILLHOLES = 2000;
+const MAX_DRILLHOLE_SAMPLES = 500000;
+
+/**
+ * Validate drillhole parameters
+ * @param {Object} params - Drillhole parameters
+ * @throws {Error} If the parameters are invalid
+ */
+function validateDrillholeParams(params) {
+    if (!DRILLHOLE_PATTERNS.includes(params.pattern)) {
+        throw new Error(`Unknown collar pattern: ${params.pattern}`);
+    }
+    if (params.pattern === 'grid' && !(params.spacing > 0)) {
+        throw new Error('Collar spacing must be positive');
+    }
+    if (params.pattern === 'random' && !(Number.isInteger(params.holeCount) && params.holeCount >= 1 && params.holeCount <= MAX_DRILLHOLES)) {
+        throw new Error(`Hole count must be between 1 and ${MAX_DRILLHOLES}`);
+    }
+    if (!isFinite(params.azimuth) || !(params.dip > 0 && params.dip <= 90)) {
+        throw new Error('Dip must be between 0 and 90 degrees below horizontal');
+    }
+    if (!(params.length > 0) || !(params.surveyInterval > 0) || !(params.sampleLength > 0)) {
+        throw new Error('Hole length, survey interval and sample length must be positive');
+    }
+    if (!(params.deviation >= 0) || !(params.assayError >= 0)) {
+        throw new Error('Deviation and assay error must not be negative');
+    }
+}
+
+// ============================================================================
+// Collars and Surveys
+// ============================================================================
+
+/**
+ * Unit vector of a drilling direction
+ * @param {number} azimuth - Azimuth in degrees clockwise from north
+ * @param {number} dip - Dip in degrees below horizontal
+ * @returns {Object} Direction { x, y, z }
+ */
+function getDrillDirection(azimuth, dip) {
+    const a = azimuth * Math.PI / 180;
+    const d = dip * Math.PI / 180;
+    return { x: Math.cos(d) * Math.sin(a), y: Math.cos(d) * Math.cos(a), z: -Math.sin(d) };
+}
+
+/**
+ * Lay out drillhole collars over the model
+ * Collars sit on the ground surface, or on the model top without a surface.
+ * @param {Object} params - Drillhole parameters (see DEFAULT_DRILLHOLE_PARAMS)
+ * @param {Object} gridParams - Grid parameters (world extent of the model)
+ * @param {Function} random - Generator from createSeededRandom
+ * @param {Object|null} [surface=null] - Ground surface (see buildTopographySurface)
+ * @returns {Array} Collars [{ id, x, y, z }]
+ * @throws {Error} If the pattern has too many holes
+ */
+function buildDrillholeCollars(params, gridParams, random, surface = null) {
+    const bounds = getGridWorldBounds(gridParams);
+    const points = [];
+    
+    if (params.pattern === 'grid') {
+        const columns = Math.floor((bounds.maxX - bounds.minX) / params.spacing);
+        const rows = Math.floor((bounds.maxY - bounds.minY) / params.spacing);
+        if ((columns + 1) * (rows + 1) > MAX_DRILLHOLES) {
+            throw new Error(`The collar grid needs more than ${MAX_DRILLHOLES} holes; use a wider spacing`);
+        }
+        const originX = (bounds.minX + bounds.maxX - columns * params.spacing) / 2;
+        const originY = (bounds.minY + bounds.maxY - rows * params.spacing) / 2;
+        for (let r = 0; r <= rows; r++) {
+            for (let c = 0; c <= columns; c++) {
+                points.push({ x: originX + c * params.spacing, y: originY + r * params.spacing });
+            }
+        }
+    } else {
+        for (let n = 0; n < params.holeCount; n++) {
+            points.push({
+                x: randomBetween(random, bounds.minX, bounds.maxX),
+                y: randomBetween(random, bounds.minY, bounds.maxY)
+            });
+        }
+    }
+    
+    return points.map((point, n) => ({
+        id: `DH${String(n + 1).padStart(3, '0')}`,
+        x: point.x,
+        y: point.y,
+        z: surface ? Math.min(bounds.maxZ, getSurfaceElevation(surface, point.x, point.y)) : bounds.maxZ
+    }));
+}
+
+/**
+ * Downhole surveys of one hole
+ * Azimuth and dip drift as a random walk; the last survey is at the end of the hole.
+ * @param {Object} params - Drillhole parameters
+ * @param {Function} random - Generator from createSeededRandom
+ * @returns {Array} Surveys [{ depth, azimuth, dip }]
+ */
+function simulateSurveys(params, random) {
+    const surveys = [{ depth: 0, azimuth: params.azimuth, dip: params.dip }];
+    let depth = 0;
+    while (depth < params.length) {
+        const step = Math.min(params.surveyInterval, params.length - depth);
+        const sigma = params.deviation * step / 100;
+        const last = surveys[surveys.length - 1];
+        depth += step;
+        surveys.push({
+            depth: depth,
+            azimuth: ((last.azimuth + sigma * randomNormal(random)) % 360 + 360) % 360,
+            dip: Math.max(1, Math.min(90, last.dip + sigma * randomNormal(random)))
+        });
+    }
+    return surveys;
+}
+
+/**
+ * Positions of the survey stations (balanced tangential desurveying)
+ * Each interval follows the mean direction of the surveys at its ends.
+ * @param {Object} collar - Collar { x, y, z }
+ * @param {Array} surveys - Surveys [{ depth, azimuth, dip }]
+ * @returns {Array} Station positions [{ x, y, z }], one per survey
+ */
+function desurveyDrillhole(collar, surveys) {
+    const path = [{ x: collar.x, y: collar.y, z: collar.z }];
+    for (let s = 1; s < surveys.length; s++) {
+        const half = (surveys[s].depth - surveys[s - 1].depth) / 2;
+        const a = getDrillDirection(surveys[s - 1].azimuth, surveys[s - 1].dip);
+        const b = getDrillDirection(surveys[s].azimuth, surveys[s].dip);
+        const last = path[s - 1];
+        path.push({
+            x: last.x + half * (a.x + b.x),
+            y: last.y + half * (a.y + b.y),
+            z: last.z + half * (a.z + b.z)
+        });
+    }
+    return path;
+}
+
+/**
+ * Position at a downhole depth
+ * @param {Array} surveys - Surveys [{ depth, azimuth, dip }]
+ * @param {Array} path - Station positions (see desurveyDrillhole)
+ * @param {number} depth - Downhole depth
+ * @returns {Object} Position { x, y, z }
+ */
+function getDrillholePosition(surveys, path, depth) {
+    let s = 1;
+    while (s < surveys.length - 1 && surveys[s].depth < depth) {
+        s++;
+    }
+    const span = surveys[s].depth - surveys[s - 1].depth;
+    const f = span > 0 ? Math.max(0, Math.min(1, (depth - surveys[s - 1].depth) / span)) : 0;
+    return {
+        x: path[s - 1].x + f * (path[s].x - path[s - 1].x),
+        y: path[s - 1].y + f * (path[s].y - path[s - 1].y),
+        z: path[s - 1].z + f * (path[s].z - path[s - 1].z)
+    };
+}
+
+// ============================================================================
+// Sampling
+// ============================================================================
+
+/**
+ * Build a lookup from world positions to the blocks of a model
+ * Sub-blocks are found inside their parent cell.
+ * @param {Array} blocks - Blocks in world coordinates (I, J, K in grid space)
+ * @param {Object} gridParams - Grid parameters (origin, increments, counts and rotation)
+ * @returns {Function} (x, y, z) => block or null outside the model
+ */
+function buildBlockLocator(blocks, gridParams) {
+    const { xmOrig, ymOrig, zmOrig, xInc, yInc, zInc, nx, ny, nz } = gridParams;
+    const rotation = isGridRotated(gridParams)
+        ? getGridRotationMatrix(gridParams.bearing, gridParams.dip, gridParams.plunge)
+        : null;
+    
+    // World to unrotated grid position (the transpose of the rotation undoes it)
+    const toGrid = (x, y, z) => {
+        if (!rotation) {
+            return { x, y, z };
+        }
+        const u = x - xmOrig, v = y - ymOrig, w = z - zmOrig;
+        return {
+            x: xmOrig + rotation[0][0] * u + rotation[1][0] * v + rotation[2][0] * w,
+            y: ymOrig + rotation[0][1] * u + rotation[1][1] * v + rotation[2][1] * w,
+            z: zmOrig + rotation[0][2] * u + rotation[1][2] * v + rotation[2][2] * w
+        };
+    };
+    
+    const cells = new Map();
+    blocks.forEach(block => {
+        const index = (block.i * ny + block.j) * nz + block.k;
+        if (!cells.has(index)) {
+            cells.set(index, []);
+        }
+        cells.get(index).push(block);
+    });
+    
+    return (x, y, z) => {
+        const point = toGrid(x, y, z);
+        const i = Math.floor((point.x - xmOrig) / xInc);
+        const j = Math.floor((point.y - ymOrig) / yInc);
+        const k = Math.floor((zmOrig - point.z) / zInc);
+        if (i < 0 || i >= nx || j < 0 || j >= ny || k < 0 || k >= nz) {
+            return null;
+        }
+        
+        const candidates = cells.get((i * ny + j) * nz + k);
+        if (!candidates) {
+            return null;
+        }
+        if (candidates.length === 1) {
+            return candidates[0];
+        }
+        return candidates.find(block => {
+            const center = toGrid(block.x, block.y, block.z);
+            return Math.abs(point.x - center.x) <= block.dX / 2 &&
+                Math.abs(point.y - center.y) <= block.dY / 2 &&
+                Math.abs(point.z - center.z) <= block.dZ / 2;
+        }) || candidates[0];
+    };
+}
+
+/**
+ * Simulate drillholes through a block model
+ * Each sample takes the block at its midpoint; assays are the block values times a lognormal
+ * error with mean 1 (assayError is its coefficient of variation). Samples in air blocks or outside
+ * the model are not assayed.
+ * @param {Array} blocks - Blocks in world coordinates
+ * @param {Object} gridParams - Grid parameters
+ * @param {Object} params - Drillhole parameters (see DEFAULT_DRILLHOLE_PARAMS)
+ * @param {Object} [options] - Options
+ * @param {number|string|null} [options.seed=null] - Seed of the collars, deviation and assay error
+ * @param {Object|null} [options.surface=null] - Ground surface for the collars
+ * @param {Array} [options.fields=DEFAULT_ASSAY_FIELDS] - Assayed fields [{ field, column }]
+ * @returns {Array} Drillholes [{ id, collar, length, surveys, path, samples: [{ from, to, rockType, values }] }]
+ * (path holds the survey station positions, so the holes can be classified; see classifyResources)
+ * @throws {Error} If the parameters are invalid or there are too many samples
+ */
+function simulateDrillholes(blocks, gridParams, params, options = {}) {
+    const { seed = null, surface = null, fields = DEFAULT_ASSAY_FIELDS } = options;
+    validateDrillholeParams(params);
+    
+    const random = createSeededRandom(seed);
+    const collars = buildDrillholeCollars(params, gridParams, random, surface);
+    if (collars.length * Math.ceil(params.length / params.sampleLength) > MAX_DRILLHOLE_SAMPLES) {
+        throw new Error(`The drillholes need more than ${MAX_DRILLHOLE_SAMPLES.toLocaleString()} samples; use fewer holes or longer samples`);
+    }
+    
+    const locate = buildBlockLocator(blocks, gridParams);
+    // Lognormal error with mean 1 and coefficient of variation assayError
+    const sigma = Math.sqrt(Math.log(1 + params.assayError * params.assayError));
+    
+    return collars.map(collar => {
+        const surveys = simulateSurveys(params, random);
+        const path = desurveyDrillhole(collar, surveys);
+        const samples = [];
+        
+        for (let from = 0; from < params.length; from += params.sampleLength) {
+            const to = Math.min(params.length, from + params.sampleLength);
+            const mid = getDrillholePosition(surveys, path, (from + to) / 2);
+            const block = locate(mid.x, mid.y, mid.z);
+            if (!block || isAirBlock(block)) {
+                continue;
+            }
+            
+            const values = {};
+            fields.forEach(({ field, column }) => {
+                const error = sigma > 0 ? Math.exp(sigma * randomNormal(random) - sigma * sigma / 2) : 1;
+                values[column] = (block[field] || 0) * error;
+            });
+            samples.push({ from: from, to: to, rockType: block.rockType || 'Waste', values: values });
+        }
+        
+        return {
+            id: collar.id,
+            collar: { x: collar.x, y: collar.y, z: collar.z },
+            length: params.length,
+            surveys: surveys,
+            path: path,
+            samples: samples
+        };
+    });
+}
+
+// ============================================================================
+// Drillhole Tables
+// ============================================================================
+
+/**
+ * Convert drillholes to collar, survey, assay and lithology CSV tables
+ * Dips are written negative downwards (-90 is vertical). Lithology intervals merge consecutive
+ * samples of the same rock type. Hole ids, assay columns and rock types are quoted when needed
+ * (see formatCsvText).
+ * @param {Array} holes - Drillholes (see simulateDrillholes)
+ * @param {Array} [fields=DEFAULT_ASSAY_FIELDS] - Assayed fields [{ field, column }]
+ * @returns {Object} { collar, survey, assay, lithology } CSV text with headers
+ */
+function drillholesToCsvTables(holes, fields = DEFAULT_ASSAY_FIELDS) {
+    const collar = ['HOLEID,X,Y,Z,LENGTH,AZIMUTH,DIP'];
+    const survey = ['HOLEID,DEPTH,AZIMUTH,DIP'];
+    const assay = [['HOLEID', 'FROM', 'TO', ...fields.map(field => formatCsvText(field.column))].join(',')];
+    const lithology = ['HOLEID,FROM,TO,LITH'];
+    
+    holes.forEach(hole => {
+        const holeId = formatCsvText(hole.id);
+        collar.push([
+            holeId,
+            formatNumber(hole.collar.x),
+            formatNumber(hole.collar.y),
+            formatNumber(hole.collar.z),
+            formatNumber(hole.length),
+            formatNumber(hole.surveys[0].azimuth),
+            formatNumber(-hole.surveys[0].dip)
+        ].join(','));
+        
+        hole.surveys.forEach(station => {
+            survey.push([holeId, formatNumber(station.depth), formatNumber(station.azimuth), formatNumber(-station.dip)].join(','));
+        });
+        
+        let interval = null;
+        hole.samples.forEach(sample => {
+            assay.push([
+                holeId,
+                formatNumber(sample.from),
+                formatNumber(sample.to),
+                ...fields.map(field => formatNumber(sample.values[field.column]))
+            ].join(','));
+            
+            if (interval && interval.rockType === sample.rockType && interval.to === sample.from) {
+                interval.to = sample.to;
+            } else {
+                if (interval) {
+                    lithology.push([holeId, formatNumber(interval.from), formatNumber(interval.to), formatCsvText(interval.rockType)].join(','));
+                }
+                interval = { from: sample.from, to: sample.to, rockType: sample.rockType };
+            }
+        });
+        if (interval) {
+            lithology.push([holeId, formatNumber(interval.from), formatNumber(interval.to), formatCsvText(interval.rockType)].join(','));
+        }
+    });
+    
+    return {
+        collar: collar.join('\n'),
+        survey: survey.join('\n'),
+        assay: assay.join('\n'),
+        lithology: lithology.join('\n')
+    };
+}
@@ -0,0 +1,283 @@
+/**
+ * Economic Block Values
+ * Block economic values from metal prices, recoveries, mining, processing and selling costs
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Economic Parameters
+// ============================================================================
+
+/**
+ * Grams per troy ounce (gold prices are quoted per ounce, grades in g/t)
+ */
+const GRAMS_PER_TROY_OUNCE = 31.1035;
+
+/**
+ * Default economic parameters (disabled: blocks keep the material values)
+ *   cuPrice, cuSellingCost     - per tonne of payable Cu
+ *   auPrice, auSellingCost     - per troy ounce of payable Au
+ *   miningCost                 - per tonne mined at the model top
+ *   miningCostIncrement        - added mining cost per tonne for every metre below the model top
+ *   processingCost             - per tonne processed
+ *   defaultRecovery            - metallurgical recoveries (fractions) of rock types without their own
+ *   recoveries                 - recoveries by rock type, e.g. { Ore_High: { cu: 0.9, au: 0.7 } }
+ *   processColumns             - also keep the process and waste values of every block
+ *   scenarios                  - price and cost sensitivities, one value column each (see
+ *                                ECONOMIC_SCENARIO_FIELDS)
+ */
+const DEFAULT_ECONOMIC_PARAMS = {
+    enabled: false,
+    cuPrice: 9000,
+    cuSellingCost: 600,
+    auPrice: 2000,
+    auSellingCost: 10,
+    miningCost: 2.5,
+    miningCostIncrement: 0.02,
+    processingCost: 12,
+    defaultRecovery: { cu: 0.85, au: 0.65 },
+    recoveries: {},
+    processColumns: false,
+    scenarios: []
+};
+
+/**
+ * Cost and price fields of the economic parameters
+ */
+const ECONOMIC_AMOUNT_FIELDS = [
+    'cuPrice', 'cuSellingCost', 'auPrice', 'auSellingCost', 'miningCost', 'miningCostIncrement', 'processingCost'
+];
+
+/**
+ * Parameters a scenario can change, in percent of the base value
+ * e.g. { name: 'P1 Cu +10', changes: { cuPrice: 10 } } values blocks at a 10% higher Cu price
+ */
+const ECONOMIC_SCENARIO_FIELDS = ['cuPrice', 'auPrice', 'miningCost', 'processingCost'];
+
+/**
+ * Maximum number of economic scenarios and length of a scenario name
+ */
+const MAX_ECONOMIC_SCENARIOS = 20;
+const MAX_ECONOMIC_SCENARIO_NAME_LENGTH = 32;
+
+/**
+ * Example scenarios (the MiningMath price sensitivities of BLOCK_MODEL_SCHEMA.md)
+ */
+const EXAMPLE_ECONOMIC_SCENARIOS = [
+    { name: 'P1 Cu +5', changes: { cuPrice: 5 } },
+    { name: 'P1 Cu +10', changes: { cuPrice: 10 } },
+    { name: 'P1 Cu -5', changes: { cuPrice: -5 } },
+    { name: 'P1 Cu -10', changes: { cuPrice: -10 } }
+];
+
+/**
+ * Active economic parameters (edited in the Economic Parameters section)
+ */
+let activeEconomicParams = cloneEconomicParameters(DEFAULT_ECONOMIC_PARAMS);
+
+/**
+ * Copy economic parameters
+ * @param {Object} params - Economic parameters
+ * @returns {Object} Copy of the parameters
+ */
+function cloneEconomicParameters(params) {
+    const recoveries = {};
+    Object.keys(params.recoveries).forEach(rockType => {
+        recoveries[rockType] = { ...params.recoveries[rockType] };
+    });
+    // Parameters saved before scenarios were added have none
+    const scenarios = (params.scenarios || []).map(scenario => ({ name: scenario.name, changes: { ...scenario.changes } }));
+    return { ...params, defaultRecovery: { ...params.defaultRecovery }, recoveries: recoveries, scenarios: scenarios };
+}
+
+/**
+ * Get a copy of the active economic parameters
+ * @returns {Object} Economic parameters
+ */
+function getEconomicParameters() {
+    return cloneEconomicParameters(activeEconomicParams);
+}
+
+/**
+ * Replace the active economic parameters
+ * @param {Object} params - Economic parameters
+ * @throws {Error} If the parameters are invalid
+ */
+function setEconomicParameters(params) {
+    validateEconomicParameters(params);
+    activeEconomicParams = cloneEconomicParameters(params);
+}
+
+/**
+ * Validate economic parameters
+ * @param {Object} params - Economic parameters
+ * @throws {Error} If the parameters are invalid
+ */
+function validateEconomicParameters(params) {
+    if (!params || typeof params.enabled !== 'boolean' || !params.defaultRecovery || !params.recoveries) {
+        throw new Error('Economic parameters need enabled, defaultRecovery and recoveries');
+    }
+    ECONOMIC_AMOUNT_FIELDS.forEach(field => {
+        if (!(params[field] >= 0) || !isFinite(params[field])) {
+            throw new Error(`${field} must not be negative`);
+        }
+    });
+    
+    const validateRecovery = (recovery, name) => {
+        if (!recovery || !(recovery.cu >= 0 && recovery.cu <= 1) || !(recovery.au >= 0 && recovery.au <= 1)) {
+            throw new Error(`${name} recoveries must be between 0 and 1`);
+        }
+    };
+    validateRecovery(params.defaultRecovery, 'Default');
+    Object.keys(params.recoveries).forEach(rockType => {
+        validateRecovery(params.recoveries[rockType], rockType);
+    });
+    validateEconomicScenarios(params.scenarios || []);
+}
+
+/**
+ * Validate economic scenarios
+ * Names become column names, so they must be unique, must not repeat a built-in column
+ * (RESERVED_CSV_COLUMNS, RESERVED_CSV_PREFIXES) and may only hold letters, digits, spaces,
+ * periods, underscores, plus and minus signs.
+ * @param {Array} scenarios - Scenarios ({ name, changes })
+ * @throws {Error} If a scenario is invalid
+ */
+function validateEconomicScenarios(scenarios) {
+    if (!Array.isArray(scenarios)) {
+        throw new Error('Economic scenarios must be a list');
+    }
+    if (scenarios.length > MAX_ECONOMIC_SCENARIOS) {
+        throw new Error(`At most ${MAX_ECONOMIC_SCENARIOS} economic scenarios are supported`);
+    }
+    
+    const columns = new Set();
+    scenarios.forEach(scenario => {
+        const name = typeof scenario.name === 'string' ? scenario.name.trim() : '';
+        if (!name || name.length > MAX_ECONOMIC_SCENARIO_NAME_LENGTH || !/^[A-Za-z0-9 ._+-]+$/.test(name)) {
+            throw new Error(`Scenario name "${scenario.name}" must have 1-${MAX_ECONOMIC_SCENARIO_NAME_LENGTH} letters, digits, spaces or . _ + -`);
+        }
+        const column = getScenarioColumn(name);
+        if (RESERVED_CSV_COLUMNS.includes(column) || RESERVED_CSV_PREFIXES.some(prefix => column.startsWith(prefix))) {
+            throw new Error(`Scenario name "${name}" is a built-in column`);
+        }
+        if (columns.has(column)) {
+            throw new Error(`Scenario name "${name}" is used twice`);
+        }
+        columns.add(column);
+        
+        Object.keys(scenario.changes || {}).forEach(field => {
+            const change = scenario.changes[field];
+            if (!ECONOMIC_SCENARIO_FIELDS.includes(field) || !isFinite(change) || change < -100) {
+                throw new Error(`Scenario "${name}" has an invalid ${field} change`);
+            }
+        });
+    });
+}
+
+/**
+ * Economic parameters of a scenario (changes are percentages of the base values)
+ * @param {Object} params - Base economic parameters
+ * @param {Object} scenario - Scenario ({ name, changes })
+ * @returns {Object} Economic parameters
+ */
+function getScenarioParameters(params, scenario) {
+    const scenarioParams = { ...params };
+    Object.keys(scenario.changes).forEach(field => {
+        scenarioParams[field] = params[field] * (1 + scenario.changes[field] / 100);
+    });
+    return scenarioParams;
+}
+
+/**
+ * Metallurgical recoveries of a rock type
+ * @param {Object} params - Economic parameters
+ * @param {string} rockType - Rock type
+ * @returns {Object} { cu, au } Recoveries (fractions)
+ */
+function getRockTypeRecovery(params, rockType) {
+    return params.recoveries[rockType] || params.defaultRecovery;
+}
+
+// ============================================================================
+// Block Values
+// ============================================================================
+
+/**
+ * Process and waste values of one block
+ * The process value is the net revenue of the recovered metal less mining and processing costs;
+ * the waste value is the mining cost alone. Weathered blocks use the Cu recovery of their
+ * weathering zone.
+ * @param {Object} block - Block object
+ * @param {Object} params - Economic parameters
+ * @param {number} tonnes - Block tonnage
+ * @param {number} depth - Depth of the block below the model top (metres)
+ * @returns {Object} { processValue, wasteValue }
+ */
+function computeBlockEconomics(block, params, tonnes, depth) {
+    const recovery = getRockTypeRecovery(params, block.rockType || 'Waste');
+    const cuRecovery = block.recovery !== undefined ? block.recovery : recovery.cu;
+    
+    // Revenue per tonne: Cu grade in %, Au grade in g/t
+    const cuRevenue = (block.gradeCu || 0) / 100 * cuRecovery * (params.cuPrice - params.cuSellingCost);
+    const auRevenue = (block.gradeAu || 0) / GRAMS_PER_TROY_OUNCE * recovery.au * (params.auPrice - params.auSellingCost);
+    const miningCost = params.miningCost + params.miningCostIncrement * Math.max(0, depth);
+    
+    return {
+        processValue: tonnes * (cuRevenue + auRevenue - miningCost - params.processingCost),
+        wasteValue: -tonnes * miningCost
+    };
+}
+
+/**
+ * Recompute the economic values of a model from its grades and densities
+ * Every rock block gets econValue, the better of its process and waste values (a block value,
+ * not a value per tonne); with processColumns it also keeps processValue and wasteValue, and with
+ * scenarios it gets econScenarios (the value of each scenario by name). Air blocks are left
+ * unchanged.
+ * @param {Array} blocks - Blocks in world coordinates (sub-blocks allowed)
+ * @param {Object} params - Economic parameters (see DEFAULT_ECONOMIC_PARAMS)
+ * @param {Object} gridParams - Grid parameters (cell increments and model top)
+ * @returns {Array} Blocks with new values (the input is returned unchanged when the parameters are disabled)
+ */
+function applyEconomicParameters(blocks, params, gridParams) {
+    validateEconomicParameters(params);
+    if (!params.enabled) {
+        return blocks;
+    }
+    
+    const top = getGridWorldBounds(gridParams).maxZ;
+    const scenarios = (params.scenarios || []).map(scenario => ({
+        name: scenario.name.trim(),
+        params: getScenarioParameters(params, scenario)
+    }));
+    
+    return blocks.map(block => {
+        if (isAirBlock(block)) {
+            return block;
+        }
+        
+        const tonnes = getBlockVolume(block, gridParams.xInc, gridParams.yInc, gridParams.zInc) * block.density;
+        const { processValue, wasteValue } = computeBlockEconomics(block, params, tonnes, top - block.z);
+        const result = { ...block, econValue: Math.max(processValue, wasteValue) };
+        if (params.processColumns) {
+            result.processValue = processValue;
+            result.wasteValue = wasteValue;
+        } else {
+            delete result.processValue;
+            delete result.wasteValue;
+        }
+        if (scenarios.length > 0) {
+            result.econScenarios = {};
+            scenarios.forEach(scenario => {
+                const values = computeBlockEconomics(block, scenario.params, tonnes, top - block.z);
+                result.econScenarios[scenario.name] = Math.max(values.processValue, values.wasteValue);
+            });
+        } else {
+            delete result.econScenarios;
+        }
+        return result;
+    });
+}
@@ -0,0 +1,466 @@
+/**
+ * Grade Estimation
+ * Ordinary kriging and inverse distance weighting of block grades from drillhole samples
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Estimation Parameters
+// ============================================================================
+
+/**
+ * Estimation methods
+ *   ok  - ordinary kriging (estimate field <field>_OK)
+ *   idw - inverse distance weighting (estimate field <field>_ID<power>)
+ */
+const ESTIMATION_METHODS = ['ok', 'idw'];
+
+/**
+ * Default estimation parameters
+ *   field                        - estimated block field (assayed as its DEFAULT_ASSAY_FIELDS column)
+ *   power                        - inverse distance power (1-5)
+ *   structure, nugget            - variogram structure and nugget (fraction of the sill)
+ *   rangeMajor/Semi/Minor        - variogram ranges (m)
+ *   azimuth, dip                 - orientation of the variogram and the search ellipse (as DEFAULT_SGS_PARAMS)
+ *   searchMajor/Semi/Minor       - search ellipse radii (m)
+ *   minSamples, maxSamples       - blocks with fewer samples in the ellipse are not estimated;
+ *                                  only the closest maxSamples are used
+ *   discretization               - points per block axis averaged for the block estimate
+ */
+const DEFAULT_ESTIMATION_PARAMS = {
+    field: 'gradeCu',
+    methods: ['ok', 'idw'],
+    power: 2,
+    structure: 'spherical',
+    nugget: 0.2,
+    rangeMajor: 80,
+    rangeSemi: 80,
+    rangeMinor: 40,
+    azimuth: 0,
+    dip: 0,
+    searchMajor: 100,
+    searchSemi: 100,
+    searchMinor: 50,
+    minSamples: 4,
+    maxSamples: 16,
+    discretization: 2
+};
+
+/**
+ * Largest number of samples per block and discretization points per axis
+ */
+const MAX_ESTIMATION_SAMPLES = 64;
+const MAX_DISCRETIZATION = 5;
+
+/**
+ * Largest number of non-air blocks estimated (each block searches and solves its own system)
+ */
+const MAX_ESTIMATION_BLOCKS = 50000;
+
+/**
+ * Validate estimation parameters
+ * @param {Object} params - Estimation parameters
+ * @throws {Error} If the parameters are invalid
+ */
+function validateEstimationParams(params) {
+    if (!Array.isArray(params.methods) || params.methods.length === 0 ||
+        params.methods.some(method => !ESTIMATION_METHODS.includes(method))) {
+        throw new Error('Choose ordinary kriging, inverse distance or both');
+    }
+    if (!Number.isInteger(params.power) || params.power < 1 || params.power > 5) {
+        throw new Error('Inverse distance power must be a whole number between 1 and 5');
+    }
+    if (!VARIOGRAM_STRUCTURES.includes(params.structure)) {
+        throw new Error(`Unknown variogram structure: ${params.structure}`);
+    }
+    if (!(params.nugget >= 0 && params.nugget < 1)) {
+        throw new Error('Nugget must be at least 0 and below 1');
+    }
+    if (!(params.rangeMajor > 0) || !(params.rangeSemi > 0) || !(params.rangeMinor > 0)) {
+        throw new Error('Variogram ranges must be positive');
+    }
+    if (!(params.searchMajor > 0) || !(params.searchSemi > 0) || !(params.searchMinor > 0)) {
+        throw new Error('Search radii must be positive');
+    }
+    if (!Number.isInteger(params.minSamples) || !Number.isInteger(params.maxSamples) ||
+        params.minSamples < 1 || params.maxSamples < params.minSamples || params.maxSamples > MAX_ESTIMATION_SAMPLES) {
+        throw new Error(`Samples must satisfy 1 ≤ minimum ≤ maximum ≤ ${MAX_ESTIMATION_SAMPLES}`);
+    }
+    if (!Number.isInteger(params.discretization) || params.discretization < 1 || params.discretization > MAX_DISCRETIZATION) {
+        throw new Error(`Discretization must be between 1 and ${MAX_DISCRETIZATION} points per axis`);
+    }
+}
+
+/**
+ * Block field of an estimate
+ * @param {string} field - Estimated field (e.g. gradeCu)
+ * @param {string} method - Estimation method (see ESTIMATION_METHODS)
+ * @param {number} [power=2] - Inverse distance power
+ * @returns {string} Estimate field (e.g. gradeCu_OK, gradeCu_ID2)
+ */
+function getEstimateFieldName(field, method, power = 2) {
+    return method === 'ok' ? `${field}_OK` : `${field}_ID${power}`;
+}
+
+// ============================================================================
+// Samples
+// ============================================================================
+
+/**
+ * Sample points of one assay column
+ * Every sample is placed at the midpoint of its interval along the hole path.
+ * @param {Array} holes - Drillholes (see simulateDrillholes)
+ * @param {string} column - Assay column (e.g. CU)
+ * @returns {Array} Points [{ x, y, z, value }]
+ */
+function getDrillholeSamplePoints(holes, column) {
+    const points = [];
+    holes.forEach(hole => {
+        hole.samples.forEach(sample => {
+            const value = sample.values[column];
+            if (value === undefined || !isFinite(value)) {
+                return;
+            }
+            const mid = getDrillholePosition(hole.surveys, hole.path, (sample.from + sample.to) / 2);
+            points.push({ x: mid.x, y: mid.y, z: mid.z, value: value });
+        });
+    });
+    return points;
+}
+
+/**
+ * Discretization offsets of a block (world offsets from the centroid)
+ * @param {Object} block - Block (sub-blocks use their own dX, dY, dZ)
+ * @param {Object} gridParams - Grid parameters (increments and rotation)
+ * @param {Array|null} rotation - Grid rotation matrix, or null for an unrotated grid
+ * @param {number} n - Points per axis
+ * @returns {Array} Offsets [{ x, y, z }]
+ */
+function getBlockDiscretization(block, gridParams, rotation, n) {
+    const sizeX = block.dX !== undefined ? block.dX : gridParams.xInc;
+    const sizeY = block.dY !== undefined ? block.dY : gridParams.yInc;
+    const sizeZ = block.dZ !== undefined ? block.dZ : gridParams.zInc;
+    const offsets = [];
+    for (let a = 0; a < n; a++) {
+        for (let b = 0; b < n; b++) {
+            for (let c = 0; c < n; c++) {
+                const u = ((a + 0.5) / n - 0.5) * sizeX;
+                const v = ((b + 0.5) / n - 0.5) * sizeY;
+                const w = ((c + 0.5) / n - 0.5) * sizeZ;
+                offsets.push(rotation ? {
+                    x: rotation[0][0] * u + rotation[0][1] * v + rotation[0][2] * w,
+                    y: rotation[1][0] * u + rotation[1][1] * v + rotation[1][2] * w,
+                    z: rotation[2][0] * u + rotation[2][1] * v + rotation[2][2] * w
+                } : { x: u, y: v, z: w });
+            }
+        }
+    }
+    return offsets;
+}
+
+// ============================================================================
+// Estimation
+// ============================================================================
+
+/**
+ * Ordinary kriging weights
+ * The Lagrange system is solved from two Cholesky solves of the sample covariance matrix:
+ * weights = a + μb with Ca = c0, Cb = 1 and μ = (1 - Σa) / Σb.
+ * @param {Array} matrix - Sample covariance matrix (array of rows)
+ * @param {Array} rhs - Sample-to-block covariances
+ * @returns {Array|null} Weights summing to 1, or null if the matrix is singular
+ */
+function solveOrdinaryKriging(matrix, rhs) {
+    const a = solveCholesky(matrix, rhs);
+    const b = a && solveCholesky(matrix, rhs.map(() => 1));
+    if (!a || !b) {
+        return null;
+    }
+    const sumA = a.reduce((sum, value) => sum + value, 0);
+    const sumB = b.reduce((sum, value) => sum + value, 0);
+    const mu = (1 - sumA) / sumB;
+    return a.map((value, n) => value + mu * b[n]);
+}
+
+/**
+ * Estimate block grades from drillhole samples
+ * Samples inside the search ellipse around the block centroid are ranked by anisotropic distance
+ * and the closest maxSamples are used. Kriging averages the sample-to-point covariances over the
+ * block discretization; inverse distance averages the point estimates, and a sample on a
+ * discretization point takes its full weight. Blocks with fewer than minSamples samples and air
+ * blocks get no estimate.
+ * @param {Array} blocks - Blocks in world coordinates (sub-blocks allowed)
+ * @param {Array} holes - Drillholes (see simulateDrillholes)
+ * @param {Object} gridParams - Grid parameters (increments and rotation)
+ * @param {Object} params - Estimation parameters (see DEFAULT_ESTIMATION_PARAMS)
+ * @param {string} [column] - Assay column of the field (defaults to its DEFAULT_ASSAY_FIELDS column)
+ * @returns {Object} { blocks, fields, estimated } Blocks with the estimate fields, the estimate field
+ *                   names and the number of estimated blocks
+ * @throws {Error} If the parameters are invalid, the model has too many blocks or the holes have no
+ *                 samples of the field
+ */
+function estimateBlockGrades(blocks, holes, gridParams, params, column = null) {
+    validateEstimationParams(params);
+    const blockCount = blocks.reduce((count, block) => count + (isAirBlock(block) ? 0 : 1), 0);
+    if (blockCount > MAX_ESTIMATION_BLOCKS) {
+        throw new Error(`Grade estimation supports at most ${MAX_ESTIMATION_BLOCKS.toLocaleString()} blocks`);
+    }
+    const assayField = DEFAULT_ASSAY_FIELDS.find(candidate => candidate.field === params.field);
+    const sampleColumn = column || (assayField ? assayField.column : null);
+    const points = sampleColumn ? getDrillholeSamplePoints(holes, sampleColumn) : [];
+    if (points.length === 0) {
+        throw new Error(`The drillholes have no ${params.field} samples`);
+    }
+    
+    const covariance = createCovarianceFunction({ ...params, sill: 1, plunge: 0 });
+    const searchDistance = createAnisotropicDistance({
+        rangeMajor: params.searchMajor,
+        rangeSemi: params.searchSemi,
+        rangeMinor: params.searchMinor,
+        azimuth: params.azimuth,
+        dip: params.dip,
+        plunge: 0
+    });
+    const rotation = isGridRotated(gridParams)
+        ? getGridRotationMatrix(gridParams.bearing, gridParams.dip, gridParams.plunge)
+        : null;
+    const kriging = params.methods.includes('ok');
+    const idw = params.methods.includes('idw');
+    const okField = getEstimateFieldName(params.field, 'ok');
+    const idwField = getEstimateFieldName(params.field, 'idw', params.power);
+    
+    // Bucket the samples in cubes of the largest search radius
+    const radius = Math.max(params.searchMajor, params.searchSemi, params.searchMinor);
+    const buckets = new Map();
+    const bucketKey = (bx, by, bz) => `${bx},${by},${bz}`;
+    points.forEach((point, p) => {
+        const key = bucketKey(Math.floor(point.x / radius), Math.floor(point.y / radius), Math.floor(point.z / radius));
+        if (!buckets.has(key)) {
+            buckets.set(key, []);
+        }
+        buckets.get(key).push(p);
+    });
+    
+    let estimated = 0;
+    const result = blocks.map(block => {
+        if (isAirBlock(block)) {
+            return block;
+        }
+        const output = { ...block };
+        delete output[okField];
+        delete output[idwField];
+        
+        // Closest samples in the search ellipse, in increasing anisotropic distance
+        const nearest = [];
+        const bx = Math.floor(block.x / radius), by = Math.floor(block.y / radius), bz = Math.floor(block.z / radius);
+        for (let ox = -1; ox <= 1; ox++) {
+            for (let oy = -1; oy <= 1; oy++) {
+                for (let oz = -1; oz <= 1; oz++) {
+                    (buckets.get(bucketKey(bx + ox, by + oy, bz + oz)) || []).forEach(p => {
+                        const point = points[p];
+                        const distance = searchDistance(point.x - block.x, point.y - block.y, point.z - block.z);
+                        if (distance > 1 || (nearest.length === params.maxSamples && distance >= nearest[nearest.length - 1].distance)) {
+                            return;
+                        }
+                        let slot = Math.min(nearest.length, params.maxSamples - 1);
+                        while (slot > 0 && nearest[slot - 1].distance > distance) {
+                            nearest[slot] = nearest[slot - 1];
+                            slot--;
+                        }
+                        nearest[slot] = { point: point, distance: distance };
+                    });
+                }
+            }
+        }
+        if (nearest.length < params.minSamples) {
+            return output;
+        }
+        
+        const offsets = getBlockDiscretization(block, gridParams, rotation, params.discretization);
+        const samples = nearest.map(entry => entry.point);
+        
+        if (kriging) {
+            const matrix = samples.map(a => samples.map(b => covariance(a.x - b.x, a.y - b.y, a.z - b.z)));
+            const rhs = samples.map(sample => offsets.reduce((sum, offset) => sum + covariance(
+                sample.x - block.x - offset.x,
+                sample.y - block.y - offset.y,
+                sample.z - block.z - offset.z
+            ), 0) / offsets.length);
+            const weights = solveOrdinaryKriging(matrix, rhs);
+            if (weights) {
+                output[okField] = weights.reduce((sum, weight, n) => sum + weight * samples[n].value, 0);
+            }
+        }
+        
+        if (idw) {
+            let total = 0;
+            offsets.forEach(offset => {
+                let weightSum = 0, valueSum = 0, exact = null;
+                samples.forEach(sample => {
+                    const distance = searchDistance(
+                        sample.x - block.x - offset.x,
+                        sample.y - block.y - offset.y,
+                        sample.z - block.z - offset.z
+                    );
+                    if (distance < 1e-9) {
+                        exact = sample.value;
+                        return;
+                    }
+                    const weight = 1 / Math.pow(distance, params.power);
+                    weightSum += weight;
+                    valueSum += weight * sample.value;
+                });
+                total += exact !== null ? exact : valueSum / weightSum;
+            });
+            output[idwField] = total / offsets.length;
+        }
+        
+        if (output[okField] !== undefined || output[idwField] !== undefined) {
+            estimated++;
+        }
+        return output;
+    });
+    
+    const fields = [];
+    if (kriging) {
+        fields.push(okField);
+    }
+    if (idw) {
+        fields.push(idwField);
+    }
+    return { blocks: result, fields: fields, estimated: estimated };
+}
+
+// ============================================================================
+// Validation Statistics
+// ============================================================================
+
+/**
+ * True and estimated values of the estimated blocks
+ * @param {Array} blocks - Blocks with estimates
+ * @param {string} estimateField - Estimate field (e.g. gradeCu_OK)
+ * @returns {Array} Pairs [{ truth, estimate }] (air and unestimated blocks are left out)
+ */
+function getEstimatePairs(blocks, estimateField) {
+    const field = getEstimatedField(estimateField);
+    const pairs = [];
+    blocks.forEach(block => {
+        const estimate = block[estimateField];
+        if (estimate === undefined || isAirBlock(block)) {
+            return;
+        }
+        pairs.push({ truth: block[field] || 0, estimate: estimate });
+    });
+    return pairs;
+}
+
+/**
+ * Error statistics of the estimates against the true block values
+ * Block counts are not weighted by tonnage. The slope is the regression of the true values on
+ * the estimates (1 means no conditional bias).
+ * @param {Array} blocks - Blocks with estimates (see estimateBlockGrades)
+ * @returns {Array} One row per estimate field:
+ *                  { field, estimate, count, meanTrue, meanEstimate, bias, relativeBias, mae, rmse, correlation, slope }
+ */
+function summarizeEstimationErrors(blocks) {
+    return getEstimateFields(blocks).map(estimateField => {
+        const pairs = getEstimatePairs(blocks, estimateField);
+        const n = pairs.length;
+        let sumTrue = 0, sumEstimate = 0, sumAbs = 0, sumSq = 0;
+        pairs.forEach(pair => {
+            sumTrue += pair.truth;
+            sumEstimate += pair.estimate;
+            sumAbs += Math.abs(pair.estimate - pair.truth);
+            sumSq += (pair.estimate - pair.truth) * (pair.estimate - pair.truth);
+        });
+        const meanTrue = n > 0 ? sumTrue / n : 0;
+        const meanEstimate = n > 0 ? sumEstimate / n : 0;
+        
+        let covariance = 0, varianceTrue = 0, varianceEstimate = 0;
+        pairs.forEach(pair => {
+            covariance += (pair.truth - meanTrue) * (pair.estimate - meanEstimate);
+            varianceTrue += (pair.truth - meanTrue) * (pair.truth - meanTrue);
+            varianceEstimate += (pair.estimate - meanEstimate) * (pair.estimate - meanEstimate);
+        });
+        
+        return {
+            field: getEstimatedField(estimateField),
+            estimate: estimateField,
+            count: n,
+            meanTrue: meanTrue,
+            meanEstimate: meanEstimate,
+            bias: meanEstimate - meanTrue,
+            relativeBias: meanTrue !== 0 ? (meanEstimate - meanTrue) / meanTrue * 100 : 0,
+            mae: n > 0 ? sumAbs / n : 0,
+            rmse: n > 0 ? Math.sqrt(sumSq / n) : 0,
+            correlation: varianceTrue > 0 && varianceEstimate > 0 ? covariance / Math.sqrt(varianceTrue * varianceEstimate) : 0,
+            slope: varianceEstimate > 0 ? covariance / varianceEstimate : 0
+        };
+    });
+}
+
+// ============================================================================
+// Chart Rendering
+// ============================================================================
+
+/**
+ * Largest number of points drawn per series of the scatter plot
+ */
+const MAX_SCATTER_POINTS = 2000;
+
+/**
+ * Render true against estimated values as an SVG scatter plot with the 1:1 line
+ * Large series are thinned to MAX_SCATTER_POINTS evenly spaced pairs.
+ * @param {Array} series - [{ label, pairs }] (see getEstimatePairs)
+ * @param {Object} labels - Axis labels { x, y }
+ * @returns {string} SVG markup
+ */
+function renderEstimateScatterChart(series, labels) {
+    const width = 400, height = 260;
+    const margin = { top: 12, right: 12, bottom: 36, left: 52 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    
+    // Thin each series first; the axis range covers the plotted points only
+    const plotted = series.map(s => {
+        const stride = Math.max(1, Math.ceil(s.pairs.length / MAX_SCATTER_POINTS));
+        return s.pairs.filter((_, p) => p % stride === 0);
+    });
+    const maxValue = plotted.reduce((max, pairs) => pairs.reduce(
+        (seriesMax, pair) => Math.max(seriesMax, pair.truth, pair.estimate), max), 1e-9) * 1.05;
+    const sx = v => margin.left + (v / maxValue) * plotWidth;
+    const sy = v => margin.top + plotHeight - (v / maxValue) * plotHeight;
+    
+    const svg = [];
+    svg.push(`<svg viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg" style="background: #1f1f1f; border-radius: 4px;">`);
+    
+    // Axes and ticks
+    svg.push(`<line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${margin.left + plotWidth}" y2="${margin.top + plotHeight}" stroke="#888"/>`);
+    svg.push(`<line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${margin.top + plotHeight}" stroke="#888"/>`);
+    for (let n = 0; n <= 4; n++) {
+        const value = maxValue * n / 4;
+        svg.push(`<text x="${sx(value)}" y="${margin.top + plotHeight + 14}" fill="#aaa" font-size="10" text-anchor="middle">${value.toPrecision(2)}</text>`);
+        svg.push(`<text x="${margin.left - 6}" y="${sy(value) + 3}" fill="#aaa" font-size="10" text-anchor="end">${value.toPrecision(2)}</text>`);
+    }
+    svg.push(`<text x="${margin.left + plotWidth / 2}" y="${height - 4}" fill="#ccc" font-size="11" text-anchor="middle">${escapeHtml(labels.x)}</text>`);
+    svg.push(`<text x="12" y="${margin.top + plotHeight / 2}" fill="#ccc" font-size="11" text-anchor="middle" transform="rotate(-90 12 ${margin.top + plotHeight / 2})">${escapeHtml(labels.y)}</text>`);
+    
+    // 1:1 line
+    svg.push(`<line x1="${sx(0)}" y1="${sy(0)}" x2="${sx(maxValue)}" y2="${sy(maxValue)}" stroke="#666" stroke-dasharray="4 3"/>`);
+    
+    series.forEach((s, n) => {
+        const color = VARIOGRAM_SERIES_COLORS[n % VARIOGRAM_SERIES_COLORS.length];
+        plotted[n].forEach(pair => {
+            svg.push(`<circle cx="${sx(pair.truth).toFixed(1)}" cy="${sy(pair.estimate).toFixed(1)}" r="1.5" fill="${color}" fill-opacity="0.5"/>`);
+        });
+        
+        // Legend
+        svg.push(`<rect x="${margin.left + 10}" y="${margin.top + 4 + n * 14}" width="8" height="8" fill="${color}"/>`);
+        svg.push(`<text x="${margin.left + 22}" y="${margin.top + 12 + n * 14}" fill="#ddd" font-size="10">${escapeHtml(s.label)}</text>`);
+    });
+    
+    svg.push('</svg>');
+    return svg.join('');
+}
@@ -0,0 +1,184 @@
+/**
+ * Faults
+ * Planar faults that displace the generated model (offset ore bodies and fault blocks)
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Fault Definitions
+// ============================================================================
+
+/**
+ * Maximum number of faults (fault block ids use one bit per fault)
+ */
+const MAX_FAULTS = 8;
+
+/**
+ * Parameters of a new fault
+ *   strike   - strike azimuth in degrees (grid frame); the fault dips towards strike + 90
+ *   dip      - dip in degrees (0 < dip <= 90)
+ *   position - horizontal distance in metres from the model center to the fault trace
+ *              at mid-depth, measured in the dip direction
+ *   throw    - vertical displacement of the hanging wall in metres (positive = down, normal fault;
+ *              negative = up, reverse fault)
+ *   heave    - horizontal displacement of the hanging wall in metres along the dip direction
+ *              (positive = away from the footwall)
+ */
+const FAULT_DEFAULTS = { strike: 0, dip: 60, position: 0, throw: 20, heave: 10 };
+
+/**
+ * Active faults (edited in the Faults section; none by default)
+ */
+let activeFaults = [];
+
+/**
+ * Create a fault with default parameters
+ * @returns {Object} Fault
+ */
+function createFault() {
+    return { ...FAULT_DEFAULTS };
+}
+
+/**
+ * Get a copy of the active faults
+ * @returns {Array} Faults
+ */
+function getFaults() {
+    return activeFaults.map(fault => ({ ...fault }));
+}
+
+/**
+ * Replace the active faults
+ * @param {Array} faults - Faults
+ * @throws {Error} If a fault is invalid
+ */
+function setFaults(faults) {
+    validateFaults(faults);
+    activeFaults = faults.map(fault => ({ ...fault }));
+}
+
+/**
+ * Validate faults
+ * @param {Array} faults - Faults
+ * @throws {Error} If a fault is invalid
+ */
+function validateFaults(faults) {
+    if (!Array.isArray(faults)) {
+        throw new Error('Faults must be a list');
+    }
+    if (faults.length > MAX_FAULTS) {
+        throw new Error(`At most ${MAX_FAULTS} faults are supported`);
+    }
+    
+    faults.forEach((fault, index) => {
+        const label = `Fault ${index + 1}`;
+        if (!fault || !(fault.strike >= 0 && fault.strike < 360)) {
+            throw new Error(`${label} strike must be 0-360`);
+        }
+        if (!(fault.dip > 0 && fault.dip <= 90)) {
+            throw new Error(`${label} dip must be greater than 0 and at most 90`);
+        }
+        if (!isFinite(fault.position) || !isFinite(fault.throw) || !isFinite(fault.heave)) {
+            throw new Error(`${label} position, throw and heave must be numbers`);
+        }
+    });
+}
+
+// ============================================================================
+// Fault Operator
+// ============================================================================
+
+/**
+ * Fault plane geometry in the unrotated grid
+ * @param {Object} fault - Fault
+ * @param {Object} gridParams - Grid parameters (see generateRegularGrid)
+ * @returns {Object} { normal, point, displacement } (X east, Y north, Z up); the normal points
+ * into the hanging wall
+ */
+function getFaultGeometry(fault, gridParams) {
+    const { xmOrig, ymOrig, zmOrig, xInc, yInc, zInc, nx, ny, nz } = gridParams;
+    const dipDirection = (fault.strike + 90) * Math.PI / 180;
+    const dip = fault.dip * Math.PI / 180;
+    const horizontal = { x: Math.sin(dipDirection), y: Math.cos(dipDirection) };
+    
+    return {
+        normal: {
+            x: Math.sin(dip) * horizontal.x,
+            y: Math.sin(dip) * horizontal.y,
+            z: Math.cos(dip)
+        },
+        point: {
+            x: xmOrig + nx * xInc / 2 + fault.position * horizontal.x,
+            y: ymOrig + ny * yInc / 2 + fault.position * horizontal.y,
+            z: zmOrig - nz * zInc / 2
+        },
+        displacement: {
+            x: fault.heave * horizontal.x,
+            y: fault.heave * horizontal.y,
+            z: -fault.throw
+        }
+    };
+}
+
+/**
+ * Displace a generated model across planar faults
+ * Faults are applied in order. Hanging wall blocks take the attributes of the block that
+ * sat one displacement vector behind them before faulting (sources outside the model use
+ * the nearest edge block); footwall blocks are unchanged. Each block also gets a fault
+ * block id (faultBlock, 1 + one bit per fault whose hanging wall holds the block's rock),
+ * which moves with the rock so later faults offset earlier fault blocks.
+ * @param {Array} blocks - Full regular grid of block objects (unrotated, no sub-blocks)
+ * @param {Array} faults - Faults (see FAULT_DEFAULTS)
+ * @param {Object} gridParams - Grid parameters (see generateRegularGrid)
+ * @returns {Array} Faulted blocks (the input is returned unchanged when there are no faults)
+ * @throws {Error} If a fault is invalid or the blocks are not a full regular grid
+ */
+function applyFaults(blocks, faults, gridParams) {
+    validateFaults(faults);
+    if (faults.length === 0) {
+        return blocks;
+    }
+    
+    const { xmOrig, ymOrig, zmOrig, xInc, yInc, zInc, nx, ny, nz } = gridParams;
+    if (blocks.length !== nx * ny * nz) {
+        throw new Error('Faults can only be applied to a full regular grid (no sub-blocks)');
+    }
+    
+    const clamp = (value, max) => Math.min(max - 1, Math.max(0, value));
+    let current = blocks.map(block => ({ ...block, faultBlock: 1 }));
+    
+    faults.forEach((fault, f) => {
+        const { normal, point, displacement } = getFaultGeometry(fault, gridParams);
+        const previous = current;
+        
+        current = previous.map(block => {
+            const distance = (block.x - point.x) * normal.x +
+                (block.y - point.y) * normal.y +
+                (block.z - point.z) * normal.z;
+            if (distance <= 0) {
+                return block;
+            }
+            
+            // Rock now at this centroid came from one displacement vector back
+            const i = clamp(Math.floor((block.x - displacement.x - xmOrig) / xInc), nx);
+            const j = clamp(Math.floor((block.y - displacement.y - ymOrig) / yInc), ny);
+            const k = clamp(Math.floor((zmOrig - (block.z - displacement.z)) / zInc), nz);
+            const source = previous[(i * ny + j) * nz + k];
+            
+            return {
+                ...source,
+                x: block.x,
+                y: block.y,
+                z: block.z,
+                i: block.i,
+                j: block.j,
+                k: block.k,
+                faultBlock: source.faultBlock + (1 << f)
+            };
+        });
+    });
+    
+    return current;
+}
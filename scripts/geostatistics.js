@@ -0,0 +1,468 @@
+/**
+ * Geostatistics
+ * Variogram models and sequential Gaussian simulation (SGS) on the regular grid
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Variogram Models
+// ============================================================================
+
+/**
+ * Supported variogram structure types
+ */
+const VARIOGRAM_STRUCTURES = ['spherical', 'exponential', 'gaussian'];
+
+/**
+ * Default SGS parameters (normal-score variogram and target grade distribution)
+ */
+const DEFAULT_SGS_PARAMS = {
+    structure: 'spherical',
+    nugget: 0.1,
+    sill: 1.0,
+    rangeMajor: 60,
+    rangeSemi: 40,
+    rangeMinor: 20,
+    azimuth: 0,
+    dip: 0,
+    plunge: 0,
+    meanCu: 0.5,
+    meanAu: 0.8,
+    cv: 1.0,
+    maxNeighbours: 12
+};
+
+/**
+ * Unit variogram value for a structure at a reduced (range-normalized) distance
+ * Exponential and Gaussian structures use the practical range (95% of the sill)
+ * @param {string} structure - 'spherical', 'exponential' or 'gaussian'
+ * @param {number} h - Distance divided by range
+ * @returns {number} Variogram value between 0 and 1
+ */
+function unitVariogram(structure, h) {
+    switch (structure) {
+        case 'exponential':
+            return 1 - Math.exp(-3 * h);
+        case 'gaussian':
+            return 1 - Math.exp(-3 * h * h);
+        case 'spherical':
+        default:
+            return h >= 1 ? 1 : 1.5 * h - 0.5 * h * h * h;
+    }
+}
+
+/**
+ * Create an anisotropic distance function for a variogram ellipsoid
+ * The major range follows the azimuth (like the grid bearing), the semi-major range
+ * is horizontal and perpendicular to it, and the minor range is vertical before dip/plunge.
+ * @param {Object} params - rangeMajor, rangeSemi, rangeMinor, azimuth, dip, plunge
+ * @returns {Function} (dx, dy, dz) => range-normalized distance
+ */
+function createAnisotropicDistance(params) {
+    const rotation = getGridRotationMatrix(params.azimuth || 0, params.dip || 0, params.plunge || 0);
+    const rangeMajor = Math.max(params.rangeMajor, 1e-6);
+    const rangeSemi = Math.max(params.rangeSemi, 1e-6);
+    const rangeMinor = Math.max(params.rangeMinor, 1e-6);
+    
+    return (dx, dy, dz) => {
+        // Project the lag onto the ellipsoid axes (transpose of the rotation)
+        const semi = rotation[0][0] * dx + rotation[1][0] * dy + rotation[2][0] * dz;
+        const major = rotation[0][1] * dx + rotation[1][1] * dy + rotation[2][1] * dz;
+        const minor = rotation[0][2] * dx + rotation[1][2] * dy + rotation[2][2] * dz;
+        
+        return Math.sqrt(
+            (major / rangeMajor) * (major / rangeMajor) +
+            (semi / rangeSemi) * (semi / rangeSemi) +
+            (minor / rangeMinor) * (minor / rangeMinor)
+        );
+    };
+}
+
+/**
+ * Create a covariance function for a single-structure variogram with nugget
+ * Values are standardized so the total sill is 1 (normal-score space)
+ * @param {Object} params - Variogram parameters (structure, nugget, sill, ranges, rotation)
+ * @returns {Function} (dx, dy, dz) => covariance
+ */
+function createCovarianceFunction(params) {
+    const nuggetFraction = Math.min(Math.max(params.nugget / params.sill, 0), 1);
+    const structureFraction = 1 - nuggetFraction;
+    const distance = createAnisotropicDistance(params);
+    
+    return (dx, dy, dz) => {
+        if (dx === 0 && dy === 0 && dz === 0) {
+            return 1;
+        }
+        return structureFraction * (1 - unitVariogram(params.structure, distance(dx, dy, dz)));
+    };
+}
+
+// ============================================================================
+// Distribution Helpers
+// ============================================================================
+
+/**
+ * Draw a standard normal deviate (Box-Muller)
+ * @param {Function} random - Uniform generator in [0, 1)
+ * @returns {number} Standard normal value
+ */
+function randomNormal(random) {
+    let u = 0;
+    while (u === 0) {
+        u = random();
+    }
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} Normal quantile
+ */
+function inverseNormalCdf(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const pLow = 0.02425;
+    
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Replace values by their normal scores (rank -> standard normal quantile)
+ * @param {Float64Array} values - Values to transform
+ * @returns {Float64Array} Normal scores
+ */
+function normalScoreTransform(values) {
+    const n = values.length;
+    const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => values[a] - values[b]);
+    const scores = new Float64Array(n);
+    order.forEach((index, rank) => {
+        scores[index] = inverseNormalCdf((rank + 0.5) / n);
+    });
+    return scores;
+}
+
+/**
+ * Back-transform a normal score to a lognormal distribution
+ * @param {number} y - Normal score
+ * @param {number} mean - Target arithmetic mean
+ * @param {number} cv - Target coefficient of variation
+ * @returns {number} Lognormal value
+ */
+function lognormalBackTransform(y, mean, cv) {
+    const logVariance = Math.log(1 + cv * cv);
+    const logMean = Math.log(mean) - logVariance / 2;
+    return Math.exp(logMean + Math.sqrt(logVariance) * y);
+}
+
+/**
+ * Solve a symmetric positive definite system with Cholesky decomposition
+ * @param {Array} matrix - n x n matrix (array of rows)
+ * @param {Array} rhs - Right-hand side
+ * @returns {Array|null} Solution, or null if the matrix is not positive definite
+ */
+function solveCholesky(matrix, rhs) {
+    const n = rhs.length;
+    const L = Array.from({ length: n }, () => new Float64Array(n));
+    
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= L[i][k] * L[j][k];
+            }
+            if (i === j) {
+                if (sum <= 1e-12) {
+                    return null;
+                }
+                L[i][i] = Math.sqrt(sum);
+            } else {
+                L[i][j] = sum / L[j][j];
+            }
+        }
+    }
+    
+    const y = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = rhs[i];
+        for (let k = 0; k < i; k++) {
+            sum -= L[i][k] * y[k];
+        }
+        y[i] = sum / L[i][i];
+    }
+    
+    const x = new Float64Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = y[i];
+        for (let k = i + 1; k < n; k++) {
+            sum -= L[k][i] * x[k];
+        }
+        x[i] = sum / L[i][i];
+    }
+    
+    return Array.from(x);
+}
+
+// ============================================================================
+// Sequential Gaussian Simulation
+// ============================================================================
+
+/**
+ * Largest number of grid offsets in the search box of the SGS template
+ */
+const MAX_SGS_TEMPLATE_OFFSETS = 100000;
+
+/**
+ * Search radius of the SGS template in cells along each grid axis
+ * The radius covers the largest variogram range unless the search box would hold more than
+ * MAX_SGS_TEMPLATE_OFFSETS offsets; the longest radii are then shortened to a common length,
+ * so short axes keep their full reach.
+ * @param {Object} params - Variogram parameters (see DEFAULT_SGS_PARAMS)
+ * @param {Object} spacing - Node spacing {x, y, z}
+ * @param {Object} counts - Node counts {nx, ny, nz}
+ * @returns {Object} { ri, rj, rk, clamped } clamped is true when the range reaches further
+ */
+function getSgsSearchRadius(params, spacing, counts) {
+    const maxRange = Math.max(params.rangeMajor, params.rangeSemi, params.rangeMinor);
+    
+    // No point of the range ellipsoid is further than the largest range along any axis
+    const reach = [
+        Math.min(counts.nx - 1, Math.ceil(maxRange / spacing.x)),
+        Math.min(counts.ny - 1, Math.ceil(maxRange / spacing.y)),
+        Math.min(counts.nz - 1, Math.ceil(maxRange / spacing.z))
+    ];
+    const boxOffsets = limit => reach.reduce((product, r) => product * (2 * Math.min(r, limit) + 1), 1);
+    
+    let limit = Math.max(...reach);
+    while (limit > 1 && boxOffsets(limit) > MAX_SGS_TEMPLATE_OFFSETS) {
+        limit--;
+    }
+    const [ri, rj, rk] = reach.map(r => Math.min(r, limit));
+    return { ri, rj, rk, clamped: reach.some(r => r > limit) };
+}
+
+/**
+ * Build the search template: grid offsets inside the variogram range,
+ * sorted by decreasing covariance so the closest correlated nodes come first
+ * @param {Function} covariance - Covariance function
+ * @param {Function} distance - Anisotropic distance function
+ * @param {Object} radius - Search radius in cells {ri, rj, rk} (see getSgsSearchRadius)
+ * @param {Object} spacing - Node spacing {x, y, z}
+ * @returns {Array} Offsets {di, dj, dk, dx, dy, dz, cov}
+ */
+function buildSearchTemplate(covariance, distance, radius, spacing) {
+    const { ri, rj, rk } = radius;
+    const template = [];
+    
+    for (let di = -ri; di <= ri; di++) {
+        for (let dj = -rj; dj <= rj; dj++) {
+            for (let dk = -rk; dk <= rk; dk++) {
+                if (di === 0 && dj === 0 && dk === 0) {
+                    continue;
+                }
+                const dx = di * spacing.x;
+                const dy = dj * spacing.y;
+                const dz = -dk * spacing.z; // K increases downward
+                if (distance(dx, dy, dz) > 1) {
+                    continue;
+                }
+                template.push({ di, dj, dk, dx, dy, dz, cov: covariance(dx, dy, dz) });
+            }
+        }
+    }
+    
+    template.sort((a, b) => b.cov - a.cov);
+    return template;
+}
+
+/**
+ * Run sequential Gaussian simulation of a standard normal field on a regular grid
+ * Nodes are visited along a random path and drawn from the simple kriging
+ * distribution (zero mean, unit sill) of previously simulated neighbours.
+ *
+ * @param {number} nx - Number of nodes in X
+ * @param {number} ny - Number of nodes in Y
+ * @param {number} nz - Number of nodes in Z
+ * @param {Object} spacing - Node spacing {x, y, z}
+ * @param {Object} params - Variogram parameters (see DEFAULT_SGS_PARAMS)
+ * @param {Function} random - Uniform generator in [0, 1)
+ * @returns {Float64Array} Simulated normal scores indexed (i * ny + j) * nz + k
+ */
+function simulateGaussianField(nx, ny, nz, spacing, params, random) {
+    const total = nx * ny * nz;
+    const covariance = createCovarianceFunction(params);
+    const distance = createAnisotropicDistance(params);
+    const radius = getSgsSearchRadius(params, spacing, { nx, ny, nz });
+    const template = buildSearchTemplate(covariance, distance, radius, spacing);
+    const maxNeighbours = params.maxNeighbours || DEFAULT_SGS_PARAMS.maxNeighbours;
+    
+    const values = new Float64Array(total);
+    const simulated = new Uint8Array(total);
+    
+    // Random path (Fisher-Yates shuffle)
+    const path = new Uint32Array(total);
+    for (let n = 0; n < total; n++) {
+        path[n] = n;
+    }
+    for (let n = total - 1; n > 0; n--) {
+        const swap = Math.floor(random() * (n + 1));
+        const tmp = path[n];
+        path[n] = path[swap];
+        path[swap] = tmp;
+    }
+    
+    for (let p = 0; p < total; p++) {
+        const index = path[p];
+        const i = Math.floor(index / (ny * nz));
+        const j = Math.floor(index / nz) % ny;
+        const k = index % nz;
+        
+        // Collect the closest simulated neighbours from the template
+        const neighbours = [];
+        for (let t = 0; t < template.length && neighbours.length < maxNeighbours; t++) {
+            const offset = template[t];
+            const ni = i + offset.di;
+            const nj = j + offset.dj;
+            const nk = k + offset.dk;
+            if (ni < 0 || ni >= nx || nj < 0 || nj >= ny || nk < 0 || nk >= nz) {
+                continue;
+            }
+            const neighbourIndex = (ni * ny + nj) * nz + nk;
+            if (simulated[neighbourIndex]) {
+                neighbours.push({ index: neighbourIndex, offset });
+            }
+        }
+        
+        // Simple kriging mean and variance
+        let mean = 0;
+        let variance = 1;
+        if (neighbours.length > 0) {
+            const matrix = neighbours.map(a => neighbours.map(b => covariance(
+                a.offset.dx - b.offset.dx,
+                a.offset.dy - b.offset.dy,
+                a.offset.dz - b.offset.dz
+            )));
+            const rhs = neighbours.map(a => a.offset.cov);
+            const weights = solveCholesky(matrix, rhs);
+            
+            if (weights) {
+                weights.forEach((w, n) => {
+                    mean += w * values[neighbours[n].index];
+                    variance -= w * rhs[n];
+                });
+            }
+        }
+        
+        values[index] = mean + Math.sqrt(Math.max(variance, 0)) * randomNormal(random);
+        simulated[index] = 1;
+    }
+    
+    return values;
+}
+
+/**
+ * Sequential Gaussian Simulation pattern
+ * Simulates a spatially continuous grade field that honours the variogram, then
+ * back-transforms the normal scores to lognormal Cu and Au grade distributions.
+ * Cu and Au share one simulated field (perfectly rank-correlated grades).
+ *
+ * @param {Array} blocks - Array of block objects (complete regular grid)
+ * @param {number} cellsX - Number of cells in X direction
+ * @param {number} cellsY - Number of cells in Y direction
+ * @param {number} cellsZ - Number of cells in Z direction
+ * @param {number} seed - Model seed (see createSeededRandom)
+ * @param {Object} params - Variogram and distribution parameters (see DEFAULT_SGS_PARAMS)
+ * @returns {Array} Blocks with grades assigned
+ */
+function applySgsPattern(blocks, cellsX, cellsY, cellsZ, seed = null, params = {}) {
+    const sgsParams = { ...DEFAULT_SGS_PARAMS, ...params };
+    
+    if (!VARIOGRAM_STRUCTURES.includes(sgsParams.structure)) {
+        throw new Error(`Unknown variogram structure: ${sgsParams.structure}`);
+    }
+    if (!(sgsParams.sill > 0) || sgsParams.nugget < 0 || sgsParams.nugget > sgsParams.sill) {
+        throw new Error('Variogram nugget must be between 0 and the sill');
+    }
+    if (!(sgsParams.rangeMajor > 0 && sgsParams.rangeSemi > 0 && sgsParams.rangeMinor > 0)) {
+        throw new Error('Variogram ranges must be greater than 0');
+    }
+    if (!(sgsParams.meanCu > 0 && sgsParams.meanAu > 0 && sgsParams.cv > 0)) {
+        throw new Error('Target grade mean and CV must be greater than 0');
+    }
+    if (blocks.length !== cellsX * cellsY * cellsZ) {
+        throw new Error('Sequential Gaussian simulation requires a complete regular grid');
+    }
+    
+    // Node spacing from the block centroids
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    let minZ = Infinity, maxZ = -Infinity;
+    blocks.forEach(block => {
+        minX = Math.min(minX, block.x);
+        maxX = Math.max(maxX, block.x);
+        minY = Math.min(minY, block.y);
+        maxY = Math.max(maxY, block.y);
+        minZ = Math.min(minZ, block.z);
+        maxZ = Math.max(maxZ, block.z);
+    });
+    const spacing = {
+        x: cellsX > 1 ? (maxX - minX) / (cellsX - 1) : 1,
+        y: cellsY > 1 ? (maxY - minY) / (cellsY - 1) : 1,
+        z: cellsZ > 1 ? (maxZ - minZ) / (cellsZ - 1) : 1
+    };
+    
+    const random = createSeededRandom(seed);
+    const field = simulateGaussianField(cellsX, cellsY, cellsZ, spacing, sgsParams, random);
+    
+    // Normal-score the realization so the back-transform honours the target histogram exactly
+    const scores = normalScoreTransform(field);
+    
+    return blocks.map(block => {
+        const score = scores[(block.i * cellsY + block.j) * cellsZ + block.k];
+        const gradeCu = lognormalBackTransform(score, sgsParams.meanCu, sgsParams.cv);
+        const gradeAu = lognormalBackTransform(score, sgsParams.meanAu, sgsParams.cv);
+        
+        // Same cutoffs as the ore body generators
+        let rockType;
+        if (gradeCu >= 1.0 || gradeAu >= 2.5) {
+            rockType = 'Ore_High';
+        } else if (gradeCu >= 0.5 || gradeAu >= 1.0) {
+            rockType = 'Ore_Med';
+        } else if (gradeCu >= 0.3 || gradeAu >= 0.5) {
+            rockType = 'Ore_Low';
+        } else {
+            rockType = 'Waste';
+        }
+        
+        const material = getPatternMaterial(rockType);
+        const econValue = rockType === 'Waste' ? -15.0 : (gradeCu * 20 + gradeAu * 50) - 10;
+        
+        return {
+            ...block,
+            rockType: rockType,
+            density: material.density,
+            gradeCu: gradeCu,
+            gradeAu: gradeAu,
+            econValue: econValue,
+            zone: material.zone
+        };
+    });
+}
@@ -0,0 +1,216 @@
+/**
+ * Grade-Tonnage Analysis
+ * Tonnes and average grade above a sweep of cut-off grades, CSV export and chart rendering
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Grade-Tonnage Curves
+// ============================================================================
+
+/**
+ * Block fields that can be analysed besides the grade attributes
+ */
+const GRADE_TONNAGE_FIELDS = ['gradeCu', 'gradeAu', 'econValue'];
+
+/**
+ * Default and maximum number of cut-off steps
+ */
+const DEFAULT_GRADE_TONNAGE_STEPS = 20;
+const MAX_GRADE_TONNAGE_STEPS = 200;
+
+/**
+ * Range of a field over the rock blocks (air blocks are ignored; missing values count as 0)
+ * @param {Array} blocks - Array of block objects
+ * @param {string} field - Numeric field name
+ * @returns {Object|null} { min, max } or null when there are no rock blocks
+ */
+function getGradeTonnageRange(blocks, field) {
+    let min = Infinity, max = -Infinity;
+    blocks.forEach(block => {
+        if (!isAirBlock(block)) {
+            const value = block[field] || 0;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+    });
+    return min <= max ? { min, max } : null;
+}
+
+/**
+ * Evenly spaced cut-offs from minCutoff to maxCutoff
+ * @param {number} minCutoff - First cut-off
+ * @param {number} maxCutoff - Last cut-off
+ * @param {number} [steps=DEFAULT_GRADE_TONNAGE_STEPS] - Number of intervals
+ * @returns {Array} steps + 1 cut-offs
+ * @throws {Error} If the range or the step count is invalid
+ */
+function buildCutoffSweep(minCutoff, maxCutoff, steps = DEFAULT_GRADE_TONNAGE_STEPS) {
+    if (!isFinite(minCutoff) || !isFinite(maxCutoff) || maxCutoff < minCutoff) {
+        throw new Error('The maximum cut-off must not be below the minimum cut-off');
+    }
+    if (!Number.isInteger(steps) || steps < 1 || steps > MAX_GRADE_TONNAGE_STEPS) {
+        throw new Error(`Cut-off steps must be between 1 and ${MAX_GRADE_TONNAGE_STEPS}`);
+    }
+    
+    const cutoffs = [];
+    for (let n = 0; n <= steps; n++) {
+        cutoffs.push(minCutoff + (maxCutoff - minCutoff) * n / steps);
+    }
+    return cutoffs;
+}
+
+/**
+ * Compute a grade-tonnage curve
+ * Tonnage is block volume times density; the average grade above a cut-off is tonnage-weighted.
+ * Air blocks are ignored and blocks without a value count as 0.
+ * @param {Array} blocks - Array of block objects (sub-blocks allowed)
+ * @param {string} field - Numeric field name (e.g. 'gradeCu')
+ * @param {Object} gridParams - Grid parameters (cell increments)
+ * @param {Array} cutoffs - Cut-off values (see buildCutoffSweep)
+ * @returns {Array} One row per cut-off: { cutoff, blocks, tonnes, grade, contained }
+ * (contained = tonnes × average grade)
+ */
+function computeGradeTonnageCurve(blocks, field, gridParams, cutoffs) {
+    const samples = [];
+    blocks.forEach(block => {
+        if (!isAirBlock(block)) {
+            samples.push({
+                value: block[field] || 0,
+                tonnes: getBlockVolume(block, gridParams.xInc, gridParams.yInc, gridParams.zInc) * block.density
+            });
+        }
+    });
+    samples.sort((a, b) => a.value - b.value);
+    
+    // Tonnes and contained value of every block from index n to the highest value
+    const n = samples.length;
+    const tonnesAbove = new Float64Array(n + 1);
+    const containedAbove = new Float64Array(n + 1);
+    for (let s = n - 1; s >= 0; s--) {
+        tonnesAbove[s] = tonnesAbove[s + 1] + samples[s].tonnes;
+        containedAbove[s] = containedAbove[s + 1] + samples[s].tonnes * samples[s].value;
+    }
+    
+    return cutoffs.map(cutoff => {
+        // First sample at or above the cut-off
+        let low = 0, high = n;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (samples[mid].value < cutoff) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        
+        const tonnes = tonnesAbove[low];
+        return {
+            cutoff: cutoff,
+            blocks: n - low,
+            tonnes: tonnes,
+            grade: tonnes > 0 ? containedAbove[low] / tonnes : 0,
+            contained: containedAbove[low]
+        };
+    });
+}
+
+/**
+ * Convert a grade-tonnage curve to CSV
+ * @param {Array} rows - Curve rows (see computeGradeTonnageCurve)
+ * @param {string} column - Column name of the analysed field (e.g. 'GRADE_CU')
+ * @returns {string} CSV text with headers
+ */
+function gradeTonnageToCsv(rows, column) {
+    const lines = [`CUTOFF,BLOCKS,TONNES,AVG_${column},CONTAINED`];
+    rows.forEach(row => {
+        lines.push([
+            formatNumber(row.cutoff),
+            row.blocks,
+            formatNumber(row.tonnes),
+            formatNumber(row.grade),
+            formatNumber(row.contained)
+        ].join(','));
+    });
+    return lines.join('\n');
+}
+
+// ============================================================================
+// Chart Rendering
+// ============================================================================
+
+/**
+ * Short tonnage label for chart axes (e.g. 1.2M, 350k)
+ * @param {number} tonnes - Tonnes
+ * @returns {string} Label
+ */
+function formatTonnageLabel(tonnes) {
+    if (tonnes >= 1e9) return `${(tonnes / 1e9).toPrecision(2)}G`;
+    if (tonnes >= 1e6) return `${(tonnes / 1e6).toPrecision(2)}M`;
+    if (tonnes >= 1e3) return `${(tonnes / 1e3).toPrecision(2)}k`;
+    return tonnes.toFixed(0);
+}
+
+/**
+ * Render the tonnage and average grade curves as an SVG chart
+ * Tonnage uses the left axis and grade the right axis.
+ * @param {Array} rows - Curve rows (see computeGradeTonnageCurve)
+ * @param {Object} labels - Axis labels { x, tonnes, grade }
+ * @returns {string} SVG markup
+ */
+function renderGradeTonnageChart(rows, labels) {
+    const width = 400, height = 260;
+    const margin = { top: 12, right: 52, bottom: 36, left: 52 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const tonnesColor = '#7c8aff', gradeColor = '#ff9f43';
+    
+    const minCutoff = rows[0].cutoff;
+    const cutoffSpan = Math.max(1e-9, rows[rows.length - 1].cutoff - minCutoff);
+    const maxTonnes = Math.max(1e-9, ...rows.map(row => row.tonnes)) * 1.1;
+    const minGrade = Math.min(0, ...rows.map(row => row.grade));
+    const gradeSpan = Math.max(1e-9, Math.max(...rows.map(row => row.grade)) * 1.1 - minGrade);
+    const sx = cutoff => margin.left + ((cutoff - minCutoff) / cutoffSpan) * plotWidth;
+    const syTonnes = tonnes => margin.top + plotHeight - (tonnes / maxTonnes) * plotHeight;
+    const syGrade = grade => margin.top + plotHeight - ((grade - minGrade) / gradeSpan) * plotHeight;
+    
+    const svg = [];
+    svg.push(`<svg viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg" style="background: #1f1f1f; border-radius: 4px;">`);
+    
+    // Axes and ticks
+    const bottom = margin.top + plotHeight;
+    svg.push(`<line x1="${margin.left}" y1="${bottom}" x2="${margin.left + plotWidth}" y2="${bottom}" stroke="#888"/>`);
+    svg.push(`<line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${bottom}" stroke="${tonnesColor}"/>`);
+    svg.push(`<line x1="${margin.left + plotWidth}" y1="${margin.top}" x2="${margin.left + plotWidth}" y2="${bottom}" stroke="${gradeColor}"/>`);
+    for (let n = 0; n <= 4; n++) {
+        const cutoff = minCutoff + cutoffSpan * n / 4;
+        const tonnes = maxTonnes * n / 4;
+        const grade = minGrade + gradeSpan * n / 4;
+        svg.push(`<text x="${sx(cutoff)}" y="${bottom + 14}" fill="#aaa" font-size="10" text-anchor="middle">${cutoff.toPrecision(2)}</text>`);
+        svg.push(`<text x="${margin.left - 6}" y="${syTonnes(tonnes) + 3}" fill="#aaa" font-size="10" text-anchor="end">${formatTonnageLabel(tonnes)}</text>`);
+        svg.push(`<text x="${margin.left + plotWidth + 6}" y="${syGrade(grade) + 3}" fill="#aaa" font-size="10" text-anchor="start">${grade.toPrecision(2)}</text>`);
+    }
+    svg.push(`<text x="${margin.left + plotWidth / 2}" y="${height - 4}" fill="#ccc" font-size="11" text-anchor="middle">${escapeHtml(labels.x)}</text>`);
+    svg.push(`<text x="12" y="${margin.top + plotHeight / 2}" fill="${tonnesColor}" font-size="11" text-anchor="middle" transform="rotate(-90 12 ${margin.top + plotHeight / 2})">${escapeHtml(labels.tonnes)}</text>`);
+    svg.push(`<text x="${width - 8}" y="${margin.top + plotHeight / 2}" fill="${gradeColor}" font-size="11" text-anchor="middle" transform="rotate(90 ${width - 8} ${margin.top + plotHeight / 2})">${escapeHtml(labels.grade)}</text>`);
+    
+    // Curves
+    [[row => syTonnes(row.tonnes), tonnesColor], [row => syGrade(row.grade), gradeColor]].forEach(([sy, color]) => {
+        const path = rows.map((row, n) => `${n === 0 ? 'M' : 'L'}${sx(row.cutoff).toFixed(1)},${sy(row).toFixed(1)}`);
+        svg.push(`<path d="${path.join(' ')}" fill="none" stroke="${color}" stroke-width="1.5"/>`);
+        rows.forEach(row => {
+            svg.push(`<circle cx="${sx(row.cutoff).toFixed(1)}" cy="${sy(row).toFixed(1)}" r="2.5" fill="${color}"><title>${row.cutoff.toPrecision(3)}: ${formatTonnageLabel(row.tonnes)} t @ ${row.grade.toPrecision(3)}</title></circle>`);
+        });
+    });
+    
+    // Legend
+    [[labels.tonnes, tonnesColor], [labels.grade, gradeColor]].forEach(([label, color], n) => {
+        svg.push(`<rect x="${margin.left + plotWidth - 110}" y="${margin.top + 4 + n * 14}" width="8" height="8" fill="${color}"/>`);
+        svg.push(`<text x="${margin.left + plotWidth - 98}" y="${margin.top + 12 + n * 14}" fill="#ddd" font-size="10">${escapeHtml(label)}</text>`);
+    });
+    
+    svg.push('</svg>');
+    return svg.join('');
+}
@@ -0,0 +1,503 @@
+/**
+ * GSLIB / GeoEAS
+ * Block models as GeoEAS text grids for GSLIB, pygslib and SGeMS, and GSLIB grids loaded back as blocks
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// File Format
+// ============================================================================
+
+/**
+ * GeoEAS layout
+ *   Line 1     - title
+ *   Line 2     - number of variables (nvar)
+ *   nvar lines - variable names
+ *   Data       - one line of nvar numbers per grid cell, X fastest, then Y, then Z upwards
+ *                (GSLIB cell index = ix + iy × nx + iz × nx × ny)
+ * GSLIB keeps the grid definition in parameter files, so the title carries it in sections
+ * separated by ' | ':
+ *   grid nx xmn xsiz ny ymn ysiz nz zmn zsiz - GSLIB grid definition (xmn = first cell centre)
+ *   rotation bearing dip plunge              - grid rotation (rotated grids only)
+ *   ROCKTYPE 1=Waste;2=Ore_Low               - codes of a text variable; %, ;, =, | and
+ *                                              whitespace in the values are written as %XX
+ */
+const GSLIB_TITLE = 'Block Model Generator';
+
+/**
+ * Characters of legend values written as %XX (title delimiters and the escape itself)
+ */
+const GSLIB_LEGEND_ESCAPED = /[%;=|\s]/g;
+
+/**
+ * Missing value written for empty cells and missing attributes
+ */
+const GSLIB_MISSING = -999;
+
+/**
+ * Values at or below this limit are missing as well (GSLIB trimming convention)
+ */
+const GSLIB_TRIMMING_LIMIT = -1e21;
+
+/**
+ * Text variables, written as codes with their legend in the title
+ */
+const GSLIB_CATEGORICAL_FIELDS = [
+    { field: 'rockType', column: 'ROCKTYPE' },
+    { field: 'zone', column: 'ZONE' },
+    { field: 'oxidation', column: 'OXIDATION' }
+];
+
+/**
+ * Numeric variables read back into block fields by column name
+ * (grades, attributes, estimates and proportions are matched separately)
+ */
+const GSLIB_NUMERIC_FIELDS = [
+    { field: 'density', column: 'DENSITY' },
+    { field: 'faultBlock', column: 'FAULT_BLOCK' },
+    { field: 'recovery', column: 'RECOVERY' },
+    { field: 'gradeCu', column: 'GRADE_CU' },
+    { field: 'gradeAu', column: 'GRADE_AU' },
+    { field: 'econValue', column: 'ECON_VALUE' },
+    { field: 'processValue', column: 'VALUE_PROCESS1' },
+    { field: 'wasteValue', column: 'VALUE_WASTE' },
+    { field: 'resCat', column: 'RESCAT' },
+    { field: 'pit', column: 'PIT' }
+];
+
+/**
+ * Largest grid the importer accepts (cells)
+ */
+const MAX_GSLIB_CELLS = 5000000;
+
+/**
+ * Density of imported blocks without a DENSITY variable or a library material (t/m³)
+ */
+const DEFAULT_GSLIB_DENSITY = 2.7;
+
+/**
+ * Format a GSLIB value (integers as written, other numbers with 4 decimals)
+ * @param {number|undefined|null} value - Value
+ * @returns {string} Formatted value (GSLIB_MISSING when missing)
+ */
+function formatGslibValue(value) {
+    if (value === undefined || value === null || !isFinite(value)) {
+        return String(GSLIB_MISSING);
+    }
+    return Number.isInteger(value) ? String(value) : formatNumber(value);
+}
+
+/**
+ * Whether a GSLIB value is missing
+ * @param {number} value - Value read from the file
+ * @returns {boolean} True for GSLIB_MISSING and values at or below the trimming limit
+ */
+function isGslibMissing(value) {
+    return value === GSLIB_MISSING || value <= GSLIB_TRIMMING_LIMIT;
+}
+
+/**
+ * Escape a legend value for the GSLIB title
+ * @param {string} value - Text value
+ * @returns {string} Value with delimiters and whitespace as %XX
+ */
+function escapeGslibLegendValue(value) {
+    return value.replace(GSLIB_LEGEND_ESCAPED, char => encodeURIComponent(char));
+}
+
+/**
+ * Read a legend value escaped by escapeGslibLegendValue
+ * A % that does not start an escape is kept as written.
+ * @param {string} text - Escaped value
+ * @returns {string} Text value
+ */
+function unescapeGslibLegendValue(text) {
+    return text.replace(/(%[0-9A-Fa-f]{2})+/g, match => {
+        try {
+            return decodeURIComponent(match);
+        } catch (error) {
+            return match;
+        }
+    });
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Variables of a GSLIB grid in the order of the CSV export
+ * Text fields become codes (1 = first value in alphabetical order).
+ * @param {Array} blocks - Exported blocks (one per cell)
+ * @param {Array} gradeAttributes - Extra grade attributes (see getGradeAttributeDefinitions)
+ * @returns {Object} { variables: [{ name, value }], legends: [{ column, values }] }
+ */
+function getGslibVariables(blocks, gradeAttributes) {
+    const variables = [];
+    const legends = [];
+    const present = field => blocks.some(b => b[field] !== undefined && b[field] !== null);
+    const numeric = (name, value) => variables.push({ name: name, value: value });
+    const blockValue = field => block => block[field];
+    const columnOf = field => GSLIB_NUMERIC_FIELDS.find(entry => entry.field === field).column;
+    const categorical = entry => {
+        if (!present(entry.field)) {
+            return;
+        }
+        const values = Array.from(new Set(blocks
+            .filter(b => b[entry.field] !== undefined && b[entry.field] !== null)
+            .map(b => String(b[entry.field])))).sort();
+        const codes = new Map(values.map((value, n) => [value, n + 1]));
+        legends.push({ column: entry.column, values: values });
+        numeric(entry.column, block => codes.get(String(block[entry.field])));
+    };
+    
+    categorical(GSLIB_CATEGORICAL_FIELDS[0]);
+    numeric('DENSITY', blockValue('density'));
+    categorical(GSLIB_CATEGORICAL_FIELDS[1]);
+    if (present('faultBlock')) {
+        numeric('FAULT_BLOCK', blockValue('faultBlock'));
+    }
+    if (present('oxidation')) {
+        categorical(GSLIB_CATEGORICAL_FIELDS[2]);
+        numeric('RECOVERY', blockValue('recovery'));
+    }
+    ['gradeCu', 'gradeAu'].forEach(field => {
+        if (present(field)) {
+            numeric(columnOf(field), blockValue(field));
+        }
+    });
+    gradeAttributes.filter(attribute => present(attribute.field)).forEach(attribute => {
+        numeric(attribute.column, blockValue(attribute.field));
+    });
+    getEstimateFields(blocks).forEach(field => {
+        numeric(getEstimateColumn(field), blockValue(field));
+    });
+    
+    const proportionRockTypes = [];
+    const scenarioNames = [];
+    blocks.forEach(b => {
+        Object.keys(b.proportions || {}).forEach(name => {
+            if (!proportionRockTypes.includes(name)) {
+                proportionRockTypes.push(name);
+            }
+        });
+        Object.keys(b.econScenarios || {}).forEach(name => {
+            if (!scenarioNames.includes(name)) {
+                scenarioNames.push(name);
+            }
+        });
+    });
+    proportionRockTypes.forEach(name => {
+        numeric(getProportionColumn(name), block => block.proportions ? block.proportions[name] || 0 : 0);
+    });
+    ['econValue', 'processValue', 'wasteValue'].forEach(field => {
+        if (present(field)) {
+            numeric(columnOf(field), blockValue(field));
+        }
+    });
+    scenarioNames.forEach(name => {
+        numeric(getScenarioColumn(name), block => block.econScenarios ? block.econScenarios[name] : undefined);
+    });
+    if (present('resCat')) {
+        numeric('RESCAT', block => block.resCat !== undefined ? block.resCat : 3);
+    }
+    if (present('pit')) {
+        numeric('PIT', block => block.pit !== undefined ? block.pit : 0);
+    }
+    return { variables, legends };
+}
+
+/**
+ * Blocks of every grid cell in GSLIB order (X fastest, then Y, then Z upwards)
+ * Sub-blocked models are regularized to the parent cells first (see reblockModel).
+ * @param {Array} blocks - Blocks of the regular grid (sub-blocks allowed)
+ * @param {Object} gridParams - Grid parameters
+ * @param {Array} gradeAttributes - Extra grade attributes averaged by the regularization
+ * @returns {Object} { cells, grid } one block per cell, and the cells by GSLIB index (null when empty)
+ */
+function getGslibGridCells(blocks, gridParams, gradeAttributes) {
+    let cells = blocks;
+    if (blocks.some(block => block.dX !== undefined)) {
+        cells = reblockModel(blocks, gridParams, { x: 1, y: 1, z: 1 }, { gradeAttributes }).blocks;
+    }
+    
+    const { nx, ny, nz } = gridParams;
+    const grid = new Array(nx * ny * nz).fill(null);
+    cells.forEach(block => {
+        grid[((nz - 1 - block.k) * ny + block.j) * nx + block.i] = block;
+    });
+    return { cells, grid };
+}
+
+/**
+ * Convert blocks to a GSLIB (GeoEAS) grid
+ * Every cell of the grid is written in GSLIB order from the block I, J, K (K = 0 is the top row
+ * of this schema and the last GSLIB layer). Air blocks are kept, since a grid has no gaps; cells
+ * without a block get GSLIB_MISSING. Sub-blocked models are regularized to the parent cells
+ * first (see reblockModel). Rotated grids are written in the grid frame with the rotation in the title.
+ * @param {Array} blocks - Blocks of the regular grid (sub-blocks allowed)
+ * @param {Object} gridParams - Grid parameters (origin, increments, counts and rotation)
+ * @param {Object} [options={}] - Export options
+ * @param {string} [options.title=GSLIB_TITLE] - Title, followed by the grid sections
+ * @param {Array} [options.gradeAttributes] - Extra grade attributes (defaults to getGradeAttributeDefinitions())
+ * @returns {string} GeoEAS text
+ * @throws {Error} If there are no blocks
+ */
+function blocksToGslib(blocks, gridParams, options = {}) {
+    const {
+        title = GSLIB_TITLE,
+        gradeAttributes = getGradeAttributeDefinitions()
+    } = options;
+    
+    if (!blocks || blocks.length === 0) {
+        throw new Error('The model has no blocks to export');
+    }
+    
+    const { xmOrig, ymOrig, zmOrig, xInc, yInc, zInc, nx, ny, nz } = gridParams;
+    const { cells, grid } = getGslibGridCells(blocks, gridParams, gradeAttributes);
+    const { variables, legends } = getGslibVariables(cells, gradeAttributes);
+    const sections = [
+        title,
+        ['grid', nx, formatCoordinate(xmOrig + xInc / 2), formatNumber(xInc),
+            ny, formatCoordinate(ymOrig + yInc / 2), formatNumber(yInc),
+            nz, formatCoordinate(zmOrig - (nz - 0.5) * zInc), formatNumber(zInc)].join(' ')
+    ];
+    if (isGridRotated(gridParams)) {
+        sections.push(`rotation ${formatNumber(gridParams.bearing || 0)} ${formatNumber(gridParams.dip || 0)} ${formatNumber(gridParams.plunge || 0)}`);
+    }
+    legends.forEach(legend => {
+        sections.push(`${legend.column} ${legend.values.map((value, n) => `${n + 1}=${escapeGslibLegendValue(value)}`).join(';')}`);
+    });
+    
+    const lines = [sections.join(' | '), String(variables.length)];
+    variables.forEach(variable => lines.push(variable.name));
+    const missing = variables.map(() => String(GSLIB_MISSING)).join(' ');
+    grid.forEach(block => {
+        lines.push(block ? variables.map(variable => formatGslibValue(variable.value(block))).join(' ') : missing);
+    });
+    return lines.join('\n');
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Parse a GeoEAS file
+ * The variable count is the first number of the second line (some programs add grid sizes after it).
+ * @param {string} text - File contents
+ * @returns {Object} { title, names, values } values holds one Float64Array per variable
+ * @throws {Error} If the header or a data line is invalid
+ */
+function parseGslib(text) {
+    const lines = text.split(/\r?\n/);
+    const title = (lines[0] || '').trim();
+    const nvar = parseInt((lines[1] || '').trim().split(/\s+/)[0]);
+    if (!Number.isInteger(nvar) || nvar < 1 || lines.length < nvar + 2) {
+        throw new Error('Not a GSLIB file: the second line must give the number of variables');
+    }
+    const names = lines.slice(2, nvar + 2).map(line => line.trim());
+    if (names.some(name => name === '')) {
+        throw new Error('Not a GSLIB file: a variable name is empty');
+    }
+    
+    // One column per variable, sized for every remaining line
+    const capacity = lines.length - nvar - 2;
+    if (capacity > MAX_GSLIB_CELLS) {
+        throw new Error(`GSLIB grids of more than ${MAX_GSLIB_CELLS.toLocaleString()} cells are not supported`);
+    }
+    const columns = names.map(() => new Float64Array(capacity));
+    let rows = 0;
+    for (let n = nvar + 2; n < lines.length; n++) {
+        const line = lines[n].trim();
+        if (line === '') {
+            continue;
+        }
+        const tokens = line.split(/\s+/);
+        if (tokens.length < nvar) {
+            throw new Error(`Line ${n + 1} has ${tokens.length} values; expected ${nvar}`);
+        }
+        for (let v = 0; v < nvar; v++) {
+            const value = parseFloat(tokens[v]);
+            if (!isFinite(value)) {
+                throw new Error(`Invalid number "${tokens[v]}" on line ${n + 1}`);
+            }
+            columns[v][rows] = value;
+        }
+        rows++;
+    }
+    
+    const values = columns.map(column => column.subarray(0, rows));
+    return { title, names, values };
+}
+
+/**
+ * Read the grid definition and text legends from a GSLIB title (see blocksToGslib)
+ * @param {string} title - Title line
+ * @returns {Object} { gridParams, legends } gridParams is null without a grid section;
+ *                   legends maps a column to { code: value }
+ * @throws {Error} If the grid section is invalid
+ */
+function parseGslibTitle(title) {
+    let gridParams = null;
+    let rotation = { bearing: 0, dip: 0, plunge: 0 };
+    const legends = {};
+    
+    title.split(' | ').forEach(section => {
+        const [keyword, ...rest] = section.trim().split(/\s+/);
+        const numbers = rest.map(Number);
+        if (keyword === 'grid') {
+            const [nx, xmn, xsiz, ny, ymn, ysiz, nz, zmn, zsiz] = numbers;
+            if (numbers.length !== 9 || numbers.some(value => !isFinite(value)) ||
+                ![nx, ny, nz].every(count => Number.isInteger(count) && count > 0) ||
+                !(xsiz > 0 && ysiz > 0 && zsiz > 0)) {
+                throw new Error('Invalid grid definition in the GSLIB title');
+            }
+            gridParams = {
+                xmOrig: xmn - xsiz / 2,
+                ymOrig: ymn - ysiz / 2,
+                zmOrig: zmn - zsiz / 2 + nz * zsiz,
+                xInc: xsiz,
+                yInc: ysiz,
+                zInc: zsiz,
+                nx: nx,
+                ny: ny,
+                nz: nz
+            };
+        } else if (keyword === 'rotation' && numbers.length === 3 && numbers.every(value => isFinite(value))) {
+            rotation = { bearing: numbers[0], dip: numbers[1], plunge: numbers[2] };
+        } else if (GSLIB_CATEGORICAL_FIELDS.some(entry => entry.column === keyword)) {
+            const legend = {};
+            rest.join(' ').split(';').forEach(entry => {
+                const separator = entry.indexOf('=');
+                if (separator > 0) {
+                    legend[entry.slice(0, separator).trim()] = unescapeGslibLegendValue(entry.slice(separator + 1));
+                }
+            });
+            legends[keyword] = legend;
+        }
+    });
+    
+    return { gridParams: gridParams ? { ...gridParams, ...rotation } : null, legends };
+}
+
+/**
+ * Build blocks from a parsed GSLIB grid
+ * Variables are matched to block fields by the CSV column names (CU and AU are accepted for
+ * GRADE_CU and GRADE_AU); unknown GRADE_<NAME> variables become grade attributes and other
+ * variables are ignored. Cells with a missing DENSITY are air blocks. Without DENSITY, blocks
+ * take the density of their library material; without ROCKTYPE they are Waste.
+ * @param {Object} data - Parsed file (see parseGslib)
+ * @param {Object} [fallbackGridParams=null] - Grid used when the title has no grid definition
+ * @returns {Object} { blocks, gridParams, gradeAttributes, columns, ignored } blocks in world
+ *                   coordinates; gradeAttributes are the attributes created for unknown grades
+ * @throws {Error} If there is no grid or the number of cells does not match it
+ */
+function gslibToBlocks(data, fallbackGridParams = null) {
+    const title = parseGslibTitle(data.title);
+    const gridParams = title.gridParams || fallbackGridParams;
+    if (!gridParams) {
+        throw new Error('The GSLIB title has no grid definition and there is no current grid to use');
+    }
+    const { xmOrig, ymOrig, zmOrig, xInc, yInc, zInc, nx, ny, nz } = gridParams;
+    const cellCount = nx * ny * nz;
+    const rows = data.values.length > 0 ? data.values[0].length : 0;
+    if (rows !== cellCount) {
+        throw new Error(`The file has ${rows.toLocaleString()} cells; the grid has ${cellCount.toLocaleString()} (${nx} × ${ny} × ${nz})`);
+    }
+    
+    // Block field of every variable
+    const knownAttributes = getGradeAttributeDefinitions();
+    const gradeAttributes = [];
+    const legendValues = Object.values(title.legends.ROCKTYPE || {});
+    const columns = [];
+    const ignored = [];
+    const setters = data.names.map((name, v) => {
+        const column = name.toUpperCase();
+        const categorical = GSLIB_CATEGORICAL_FIELDS.find(entry => entry.column === column);
+        const numeric = GSLIB_NUMERIC_FIELDS.find(entry => entry.column === column || entry.column === `GRADE_${column}`);
+        const known = knownAttributes.find(attribute => attribute.column === column);
+        const estimate = column.match(/^GRADE_([A-Z0-9]+)_(OK|ID\d)$/);
+        const proportion = legendValues.find(value => getProportionColumn(value) === column);
+        const grade = column.match(/^GRADE_([A-Z][A-Z0-9]{0,11})$/);
+        
+        let setter = null;
+        if (categorical) {
+            const legend = title.legends[column] || {};
+            setter = (block, value) => {
+                block[categorical.field] = legend[value] !== undefined ? legend[value] : String(value);
+            };
+        } else if (numeric || known) {
+            const field = (numeric || known).field;
+            setter = (block, value) => {
+                block[field] = value;
+            };
+        } else if (estimate) {
+            const field = `grade${estimate[1].charAt(0)}${estimate[1].slice(1).toLowerCase()}_${estimate[2]}`;
+            setter = (block, value) => {
+                block[field] = value;
+            };
+        } else if (proportion !== undefined) {
+            setter = (block, value) => {
+                block.proportions = { ...block.proportions, [proportion]: value };
+            };
+        } else if (grade && gradeAttributes.length + getGradeAttributes().length < MAX_GRADE_ATTRIBUTES) {
+            const attribute = createGradeAttribute(`${grade[1].charAt(0)}${grade[1].slice(1).toLowerCase()}`);
+            const field = getGradeAttributeField(attribute);
+            gradeAttributes.push(attribute);
+            setter = (block, value) => {
+                block[field] = value;
+            };
+        }
+        
+        if (setter) {
+            columns.push(name);
+        } else {
+            ignored.push(name);
+        }
+        return setter ? { setter: setter, values: data.values[v] } : null;
+    }).filter(Boolean);
+    const hasDensity = data.names.some(name => name.toUpperCase() === 'DENSITY');
+    
+    // Cells in GSLIB order (X fastest, then Y, then Z upwards), stored in the I, J, K order of generateRegularGrid
+    const blocks = new Array(cellCount);
+    for (let n = 0; n < cellCount; n++) {
+        const i = n % nx;
+        const j = Math.floor(n / nx) % ny;
+        const k = nz - 1 - Math.floor(n / (nx * ny));
+        const block = {
+            x: xmOrig + (i + 0.5) * xInc,
+            y: ymOrig + (j + 0.5) * yInc,
+            z: zmOrig - (k + 0.5) * zInc,
+            i: i,
+            j: j,
+            k: k,
+            rockType: 'Waste'
+        };
+        setters.forEach(entry => {
+            const value = entry.values[n];
+            if (!isGslibMissing(value)) {
+                entry.setter(block, value);
+            }
+        });
+        
+        if (!hasDensity) {
+            const material = materialLibrary[block.rockType];
+            block.density = material ? material.density : DEFAULT_GSLIB_DENSITY;
+        } else if (block.density === undefined) {
+            block.rockType = 'Air';
+            block.density = 0;
+        }
+        blocks[(i * ny + j) * nz + k] = block;
+    }
+    
+    return {
+        blocks: rotateBlocksToWorld(blocks, gridParams),
+        gridParams: gridParams,
+        gradeAttributes: gradeAttributes,
+        columns: columns,
+        ignored: ignored
+    };
+}
@@ -53,7 +53,15 @@ const EMBEDDED_TRANSLATIONS = {
             "cellsX": "Cells X",
             "cellsY": "Cells Y",
             "cellsZ": "Cells Z",
-            "materialPattern": "Material Pattern"
+            "materialPattern": "Material Pattern",
+            "subBlocking": "Sub-blocking",
+            "subBlockLevels": "Sub-block Levels",
+            "bearing": "Bearing",
+            "dip": "Dip",
+            "plunge": "Plunge",
+            "seed": "Seed",
+            "seedPlaceholder": "Random",
+            "keepSeed": "Keep Seed"
         },
         "patterns": {
             "uniform": "Uniform",
@@ -67,7 +75,12 @@ const EMBEDDED_TRANSLATIONS = {
             "ellipsoid_ore": "Ellipsoid Ore Body",
             "vein_ore": "Vein/Structural Ore Body",
             "porphyry_ore": "Porphyry-Style Zoning",
-            "salt_dome": "Salt Dome Reservoir (Petroleum)"
+            "salt_dome": "Salt Dome Reservoir (Petroleum)",
+            "sgs": "Sequential Gaussian Simulation",
+            "scenario": "Geological Scenario",
+            "coal_seams": "Coal Seams (Stratiform)",
+            "kimberlite_pipe": "Kimberlite Pipes (Diamonds)",
+            "stockwork": "Stockwork / Sheeted Veins"
         },
         "visualization": {
             "title": "Visualization",
@@ -146,11 +159,27 @@ const EMBEDDED_TRANSLATIONS = {
             "exportError": "Export error: {{message}}. Trying CSV export...",
             "csvError": "CSV export error: {{message}}",
             "imageExportSuccess": "Viewport image saved successfully",
-            "imageExportError": "Image export error: {{message}}"
+            "imageExportError": "Image export error: {{message}}",
+            "subBlocking": "Refining contacts into sub-blocks...",
+            "applyingFaults": "Applying fault offsets...",
+            "datamineSuccess": "Datamine file exported: {{count}} blocks ({{size}} MB).",
+            "datamineError": "Datamine export error: {{message}}",
+            "gslibSuccess": "GSLIB grid exported: {{count}} cells ({{size}} MB).",
+            "gslibError": "GSLIB export error: {{message}}",
+            "omfSuccess": "OMF project exported: {{count}} cells ({{size}} MB).",
+            "omfError": "OMF export error: {{message}}",
+            "sgsSearchLimited": "SGS search limited to {{cells}} cells around each block; the variogram range of {{range}} m reaches further."
         },
         "errors": {
             "cellSizeInvalid": "Cell sizes must be greater than 0",
-            "cellCountInvalid": "Number of cells must be greater than 0"
+            "cellCountInvalid": "Number of cells must be greater than 0",
+            "subBlockLevelInvalid": "Sub-block levels must be a whole number between 1 and {{max}}",
+            "rotationInvalid": "Bearing must be between 0 and 360; dip and plunge must be between -90 and 90",
+            "sgsModelTooLarge": "Sequential Gaussian simulation is limited to {{max}} blocks",
+            "variogramLagsInvalid": "Lag size must be greater than 0 and lags between 1 and 50",
+            "variogramNoDirection": "Select at least one variogram direction",
+            "seedInvalid": "Seed must be a whole number between 0 and {{max}}",
+            "faultsWithSubBlocks": "Faults cannot be combined with sub-blocking; disable one of them"
         },
         "tooltip": {
             "title": "Block Information",
@@ -167,7 +196,14 @@ const EMBEDDED_TRANSLATIONS = {
                 "density": "t/m³",
                 "cuGrade": "%",
                 "auGrade": "g/t"
-            }
+            },
+            "size": "Size:",
+            "faultBlock": "Fault Block:",
+            "oxidation": "Oxidation:",
+            "recovery": "recovery",
+            "pit": "Pit Shell:",
+            "pitOutside": "Outside",
+            "resCat": "Resource Category:"
         },
         "controls": {
             "hint": "Controls: Left-click drag to rotate | Right-click drag to pan | Scroll to zoom"
@@ -215,7 +251,7 @@ const EMBEDDED_TRANSLATIONS = {
             "totalVolume": "Total Volume Generated",
             "currentSession": "Current Session",
             "modelsGenerated": "Models Generated",
-            "of12": "of 12",
+            "ofPatterns": "of {{count}}",
             "of7": "of 7",
             "of4": "of 4",
             "blocks": "blocks",
@@ -247,7 +283,10 @@ const EMBEDDED_TRANSLATIONS = {
                 "sizeLarge": "Large-scale model (100K+ blocks)",
                 "sizeMediumLarge": "Medium-large model (50K+ blocks)",
                 "sizeMedium": "Medium-scale model (10K+ blocks)"
-            }
+            },
+            "airBlocks": "Air Blocks",
+            "resources": "Resources",
+            "estimation": "Estimates vs. True Grades"
         },
         "gallery": {
             "title": "Model Gallery",
@@ -269,7 +308,9 @@ const EMBEDDED_TRANSLATIONS = {
             "blocks": "blocks",
             "nameTooLong": "Model name must be {{max}} characters or less",
             "storageQuotaExceeded": "Storage quota exceeded. Some data may not be saved.",
-            "storageReduced": "Storage full. Reduced gallery size to save space."
+            "storageReduced": "Storage full. Reduced gallery size to save space.",
+            "reblockedModel": "Reblocked models cannot be saved to the gallery; save the model before reblocking",
+            "importedModel": "Imported models cannot be saved to the gallery"
         },
         "language": {
             "select": "Language",
@@ -334,7 +375,49 @@ const EMBEDDED_TRANSLATIONS = {
                     "totalBlocks": "Total blocks = Cells X × Cells Y × Cells Z",
                     "largerModels": "Larger models take more time to generate and render",
                     "performanceNote": "Performance Note: Models with more than 50,000 blocks may take longer to generate. The app automatically uses caching for large models.",
-                    "tipTesting": "Tip: For testing, start with smaller models (10×10×10 = 1,000 blocks). For production, use realistic mining dimensions (e.g., 50×50×30 = 75,000 blocks)."
+                    "tipTesting": "Tip: For testing, start with smaller models (10×10×10 = 1,000 blocks). For production, use realistic mining dimensions (e.g., 50×50×30 = 75,000 blocks).",
+                    "reblocking": "Reblocking",
+                    "reblockingDesc": "The Reblocking section merges the current model into larger parent blocks, so the same deposit can be exported at several block sizes (e.g. 5 m for grade control and 25 m for a strategic model).",
+                    "reblockingFactors": "X, Y, Z Factor - Child cells per parent block in each direction; the cell counts must be divisible by the factors",
+                    "reblockingGrades": "Grades - Tonnage-weighted averages; economic values are summed and density is the parent tonnage over the parent volume",
+                    "reblockingRule": "Rock Type Rule - Majority (largest tonnage) or Ore Proportion (the main ore type once ore reaches the minimum fraction of the tonnage, else waste)",
+                    "reblockingProportions": "PROP_ORE_HIGH, PROP_WASTE, ... - Volume proportion of each rock type in the parent block",
+                    "pitOptimization": "Pit Optimization",
+                    "pitOptimizationDesc": "The Pit Optimization section finds the ultimate open pit of the current model from the economic values (ECON_VALUE). The pit is the maximum closure of the block values, solved as a minimum cut, which gives the same pit as the Lerchs-Grossmann algorithm.",
+                    "pitSlopes": "Slope N, E, S, W - Overall slope angle (10-90°) towards each compass direction; angles in between are interpolated",
+                    "pitZoneSlopes": "Zone Slopes - ZONE=angle pairs separated by commas (e.g. OXIDE=35, LEACHED=38); they replace the compass slopes for blocks whose zone or weathering zone matches",
+                    "pitRevenueFactors": "Min. RF, Max. RF, RF Step - Revenue factor sweep; positive block values are scaled by each factor and every factor gives a nested shell",
+                    "pitAttribute": "PIT - The first shell that mines the block (0 outside the pits); the shell picked in the section is drawn in the 3D view",
+                    "pitLimits": "The grid must not dip or plunge and may hold up to 30,000 cells; sub-blocks are summed into their parent cell.",
+                    "economics": "Economic Parameters",
+                    "economicsDesc": "The Economic Parameters section replaces the material economic values with block values calculated from grades, density and costs. Saving the parameters recalculates the current model without regenerating it; new models are valued the same way while the parameters are enabled.",
+                    "economicsPrices": "Prices and Selling Costs - Cu per tonne of metal and Au per troy ounce; the selling cost (smelting, refining, freight) is deducted from the price",
+                    "economicsRecoveries": "Recoveries - Cu and Au recovery per rock type (the default row covers the others); weathered blocks use the Cu recovery of their weathering zone",
+                    "economicsCosts": "Mining and Processing Costs - Per tonne; the depth increment is added to the mining cost for every metre below the model top",
+                    "economicsValue": "ECON_VALUE - The better of the process value (revenue less mining and processing) and the waste value (mining cost only), for the whole block",
+                    "economicsColumns": "VALUE_PROCESS1, VALUE_WASTE - Optional columns with both values, matching MiningMath's $Process1 and $Waste",
+                    "economicsScenarios": "Scenarios - Price and cost sensitivities (e.g. P1 Cu +10 for a 10% higher Cu price); each scenario adds a value column named after it, and Price Sensitivities adds the Cu price scenarios of the MiningMath schema",
+                    "classification": "Resource Classification",
+                    "classificationDesc": "The Resource Classification section drills a synthetic pattern of vertical holes over the current model and classifies every rock block as Measured (1), Indicated (2) or Inferred (3). The category is exported as RESCAT and the model statistics list tonnage and grade per category, which the Resource Report button saves as CSV.",
+                    "classificationPattern": "Pattern Spacing, Infill Extent - Holes on a square grid; the central fraction of the model given by the infill extent is drilled at half the spacing",
+                    "classificationHoles": "Hole Depth, Collar Jitter - Holes are collared at the ground surface and drilled this fraction of the model height; collars move randomly by up to this fraction of the spacing (same seed as the model)",
+                    "classificationMethods": "Method - Distance from the block to the nearest hole, or local drill spacing (√2 × the mean distance to the four nearest holes, equal to the pattern spacing between four holes)",
+                    "classificationLimits": "Measured, Indicated - Largest distance or spacing of each category; other blocks are Inferred",
+                    "drillholes": "Drillholes",
+                    "drillholesDesc": "The Drillholes section drills the current model like an exploration campaign. Every sample takes the grades of the block at its midpoint with a lognormal assay error, so the holes can be exported to mining software or used to classify the resources.",
+                    "drillholesCollars": "Collars, Spacing, Holes - Collars on a square grid at the given spacing or at random positions over the model, at the ground surface",
+                    "drillholesOrientation": "Azimuth, Dip, Length - Initial direction (dip below horizontal) and hole length",
+                    "drillholesDeviation": "Deviation, Survey Interval - Azimuth and dip drift randomly by about this many degrees per 100 m between surveys; the path is desurveyed with the balanced tangential method",
+                    "drillholesSamples": "Sample Length, Assay Error - Length of the assay intervals and coefficient of variation of the assay error (0 assays the true block grades)",
+                    "drillholesTables": "Export Tables - Collar (HOLEID, X, Y, Z, LENGTH, AZIMUTH, DIP), survey (HOLEID, DEPTH, AZIMUTH, DIP), assay (HOLEID, FROM, TO, CU, AU, ...) and lithology (HOLEID, FROM, TO, LITH) tables in a ZIP file; dips are negative downwards",
+                    "classificationDrillholes": "Use the simulated drillholes - Classify from the drilled holes instead of the synthetic pattern",
+                    "estimation": "Grade Estimation",
+                    "estimationDesc": "The Grade Estimation section estimates the Cu or Au grade of every block from the samples of the Drillholes section, so an estimate can be compared with the true grades the generator produced. Estimates are stored next to the true grade as GRADE_CU_OK (ordinary kriging) and GRADE_CU_ID2 (inverse distance to the power 2); blocks without enough samples are left blank.",
+                    "estimationVariogram": "Structure, Nugget, Ranges - Variogram of the kriging; the nugget is a fraction of the sill",
+                    "estimationSearch": "Search, Azimuth, Dip - Search ellipse radii; the variogram and the ellipse share the orientation, and inverse distance uses the anisotropic distance of the ellipse",
+                    "estimationSamples": "Min. Samples, Max. Samples - Blocks with fewer samples in the ellipse are not estimated; the closest samples up to the maximum are used",
+                    "estimationDiscretization": "Discretization - Points per block axis; kriging averages the covariances and inverse distance the point estimates over these points",
+                    "estimationStats": "Model Statistics - Blocks, mean estimate against mean true grade, relative bias, RMSE, correlation and the regression slope of the true grades on the estimates (1 means no conditional bias) for every estimate, with a true vs. estimate scatter plot per grade"
                 },
                 "patterns": {
                     "title": "Material Patterns",
@@ -363,10 +446,10 @@ const EMBEDDED_TRANSLATIONS = {
                     "saltDomeFeature3": "Water zones below oil-water contact",
                     "saltDomeFeature4": "Multiple material types: Salt, CapRock, OilSand, GasSand, WaterSand, Shale",
                     "saltDomeFeature5": "Randomized dome position, size, trap zones, and material properties",
-                    "saltDomeFieldMapping": "Field Mapping: For petroleum geology, the standard fields are repurposed:",
-                    "saltDomeField1": "gradeCu = Oil Saturation (%)",
-                    "saltDomeField2": "gradeAu = Gas Saturation (%)",
-                    "saltDomeField3": "density = Porosity (%)",
+                    "saltDomeFieldMapping": "Field Mapping: Reservoir properties are written to their own fields:",
+                    "saltDomeField1": "Oil Saturation (%)",
+                    "saltDomeField2": "Gas Saturation (%)",
+                    "saltDomeField3": "Porosity (fraction, 0-1)",
                     "saltDomeField4": "rockType = Material type (Salt, CapRock, OilSand, GasSand, WaterSand, Shale)",
                     "saltDomeTip": "Tip: Each generation produces a different salt dome structure with randomized dimensions, positions, and material properties.",
                     "randomClustersDesc": "Creates multiple randomly distributed ore clusters. Simulates disseminated or stockwork deposits.",
@@ -376,7 +459,31 @@ const EMBEDDED_TRANSLATIONS = {
                     "checkerboardDesc": "Alternating pattern of materials. Good for testing filtering and visualization tools.",
                     "gradientDesc": "Gradual transition of properties from one side to another. Useful for testing visualization.",
                     "layeredDesc": "Creates horizontal layers of different materials. Simulates sedimentary deposits.",
-                    "uniformDesc": "All blocks have the same material properties. Useful for testing or simple models."
+                    "uniformDesc": "All blocks have the same material properties. Useful for testing or simple models.",
+                    "coalSeamsDesc": "Creates a stack of undulating coal seams separated by interburden. Simulates coal measures and other stratiform deposits for thickness-based reserve workflows.",
+                    "coalSeamsFeature1": "3-4 seams with regional dip, broad undulation and lateral thickness variation",
+                    "coalSeamsFeature2": "Pinch-outs where a seam thins to nothing",
+                    "coalSeamsFeature3": "Seam splits with an interburden parting that thickens away from the split line",
+                    "coalSeamsFeature4": "Seam names in ZONE (SEAM_A, SEAM_B1, SEAM_B2, SEAM_B_PARTING, OVERBURDEN, INTERBURDEN, UNDERBURDEN)",
+                    "coalSeamsFieldMapping": "Field Mapping: Coal quality is written to its own fields:",
+                    "coalSeamsField1": "Ash (%)",
+                    "coalSeamsField2": "Calorific value (MJ/kg, as received)",
+                    "coalSeamsField3": "Total sulphur (%)",
+                    "coalSeamsField4": "Moisture (%)",
+                    "kimberliteDesc": "Creates carrot-shaped kimberlite pipes for diamond deposit testing. Pipe parameters are set in the Kimberlite Pipes section.",
+                    "kimberliteFeature1": "Crater facies at the top, a diatreme whose walls narrow with depth and a hypabyssal root zone tapering towards the feeder",
+                    "kimberliteFeature2": "Configurable number of pipes, top radius, wall dip and crater, diatreme and root depths",
+                    "kimberliteFeature3": "Grade (carats per hundred tonnes) and diamond value per carat vary by facies",
+                    "kimberliteFeature4": "Elliptical, leaning pipes with irregular walls and facies contacts",
+                    "kimberliteFieldMapping": "Field Mapping: Diamond grade and value are written to their own fields:",
+                    "kimberliteField1": "Grade (carats per hundred tonnes)",
+                    "kimberliteField2": "Diamond value (per carat)",
+                    "kimberliteField3": "Facies (CRATER, DIATREME, ROOT or COUNTRY_ROCK)",
+                    "stockworkDesc": "Creates a swarm of short vein segments in an ellipsoidal envelope. Stockwork parameters are set in the Stockwork section.",
+                    "stockworkFeature1": "Vein orientations drawn from 1-3 orientation sets with a Fisher distribution (high kappa = sheeted veins)",
+                    "stockworkFeature2": "Disc-shaped veins with variable length, aperture and lognormal vein grade",
+                    "stockworkFeature3": "Block grade = vein volume fraction × vein grade, giving skewed, nugget-heavy grade distributions",
+                    "stockworkFeature4": "Vein volume fraction exported as VEIN_FRAC; blocks holding vein are in zone STOCKWORK"
                 },
                 "visualization": {
                     "title": "Visualization",
@@ -435,7 +542,7 @@ const EMBEDDED_TRANSLATIONS = {
                     "exportFormatList2": "Vulcan",
                     "exportFormatList3": "Surpac",
                     "exportFormatList4": "MineSight",
-                    "exportFormatList5": "Datamine",
+                    "exportFormatList5": "Datamine (CSV or native .dm file)",
                     "exportProcess": "Export Process",
                     "exportProcessStep1": "Generate your block model",
                     "exportProcessStep2": "Click the \"Export\" button",
@@ -445,14 +552,36 @@ const EMBEDDED_TRANSLATIONS = {
                     "exportedFieldsDesc": "The CSV includes all relevant block properties:",
                     "exportedField1": "X, Y, Z - Block centroid coordinates (meters)",
                     "exportedField2": "ROCKTYPE - Rock type classification (or material type for petroleum)",
-                    "exportedField3": "DENSITY - Density (tonnes/m³) or Porosity for petroleum patterns",
-                    "exportedField4": "GRADE_CU - Copper grade (%) or Oil Saturation for petroleum",
-                    "exportedField5": "GRADE_AU - Gold grade (g/t) or Gas Saturation for petroleum",
+                    "exportedField3": "DENSITY - Density (tonnes/m³)",
+                    "exportedField4": "GRADE_CU - Copper grade (%)",
+                    "exportedField5": "GRADE_AU - Gold grade (g/t)",
                     "exportedField6": "ECON_VALUE - Economic value",
                     "exportedField7": "ZONE - Zone identifier (if applicable)",
-                    "exportPetroleumNote": "Note: For petroleum geology patterns, field meanings differ. See the Data Schema section for details on petroleum field mappings.",
+                    "exportPetroleumNote": "Note: Petroleum geology patterns export reservoir properties in their own columns. See the Data Schema section for details.",
                     "exportTip": "Tip: The export automatically filters out \"air blocks\" (blocks with density = 0) to reduce file size and improve compatibility.",
-                    "exportWarning": "Note: Large models may produce large CSV files. For models with >100,000 blocks, consider using filters before exporting. The export uses chunked processing to handle very large models (200x200x200+) without hitting JavaScript string length limits."
+                    "exportWarning": "Note: Large models may produce large CSV files. For models with >100,000 blocks, consider using filters before exporting. The export uses chunked processing to handle very large models (200x200x200+) without hitting JavaScript string length limits.",
+                    "exportedField8": "GRADE_AG, GRADE_ZN, ... - Configured grade attributes; OIL_SAT, GAS_SAT and POROSITY for petroleum patterns; ASH, CV, SULPHUR and MOISTURE for coal seams; CPHT and DIAMOND_VALUE for kimberlite pipes; VEIN_FRAC for stockworks",
+                    "exportedField9": "FAULT_BLOCK - Fault block id (faulted models)",
+                    "exportedField10": "OXIDATION, RECOVERY - Weathering zone and recovery (weathered models)",
+                    "exportedField11": "PROP_ORE_HIGH, PROP_WASTE, ... - Rock type proportions (reblocked models)",
+                    "exportedField12": "PIT - First pit shell that mines the block, 0 outside the pits (pit-optimized models)",
+                    "exportedField13": "VALUE_PROCESS1, VALUE_WASTE - Process and waste values (economic parameters with process columns)",
+                    "exportedField14": "P1_CU_+10, ... - One economic value per scenario (economic parameters with scenarios)",
+                    "exportedField15": "SLOPE - Overall slope angle from the pit slopes (when enabled in Export Options)",
+                    "exportOptions": "Export Options",
+                    "exportOptionsDesc": "The Export Options section chooses the CSV headers. Standard headers use the column names below; MiningMath headers add the field type prefixes MiningMath reads: @ for grades and proportions (@CU, @AU), % for density (%Density), $ for economic values ($Value, $Process1, $Waste and scenarios such as $P1 Cu +10) and / for the slope (/Slope). The optional slope column takes the angles of the Pit Optimization section, zone slopes first.",
+                    "exportedField16": "RESCAT - Resource category: 1 Measured, 2 Indicated, 3 Inferred (classified models)",
+                    "drillholeTables": "The Drillholes section exports its own collar, survey, assay and lithology tables; see Model Parameters.",
+                    "exportedField17": "GRADE_CU_OK, GRADE_CU_ID2, ... - Estimated grades, blank outside the search (estimated models)",
+                    "exportDatamine": "Datamine Export",
+                    "exportDatamineDesc": "With the Datamine (.dm) format, the Export button writes a native Datamine block model instead of the CSV: single precision fields in 512-word pages, records sorted on IJK and absent values stored as -1e30. Each block has its centroid (XC, YC, ZC) and, for sub-blocked models, its size (XINC, YINC, ZINC); the cell size, model origin (XMORIG, YMORIG, ZMORIG) and cell counts (NX, NY, NZ) are implicit fields. Attributes follow with names cut to 8 characters (ROCKTYPE, DENSITY, GRADE_CU, ECONVALU, ...). Rotated models are written in the grid frame and the grid definition file in the ZIP keeps the rotation.",
+                    "exportFormatList6": "GSLIB, pygslib and SGeMS (GeoEAS grid)",
+                    "exportGslib": "GSLIB / GeoEAS",
+                    "exportGslibDesc": "The GSLIB / GeoEAS (.dat) format writes the title, the number of variables and one variable name per line, then one line per grid cell in GSLIB order: X fastest, then Y, then Z from the bottom layer up, following the block I, J, K. Air blocks are kept, empty cells and missing values are -999 and sub-blocked models are regularized to the parent cells. ROCKTYPE, ZONE and OXIDATION are written as codes. GSLIB keeps the grid in parameter files, so the title carries the grid definition (nx xmn xsiz ny ymn ysiz nz zmn zsiz), the rotation and the code legends.",
+                    "exportGslibImport": "Import GSLIB Grid in the Export Options section loads a GeoEAS grid as the current model. Variables are matched by their export names (CU and AU are read as GRADE_CU and GRADE_AU, other GRADE_ variables become grade attributes) and cells with a missing DENSITY become air. Files without a grid definition in the title are read on the grid of the current model, so set the Model Parameters to the grid and generate first.",
+                    "exportFormatList7": "Leapfrog, Deswik and other OMF readers (Open Mining Format v1)",
+                    "exportOmf": "Open Mining Format (OMF)",
+                    "exportOmfDesc": "The Open Mining Format (.omf) writes an OMF v1 project with the block model as a regular volume grid: the origin at the lower corner of the model, the axis vectors of the grid rotation and one tensor size per cell. Cell attributes run U fastest, then V, then W upwards; numeric fields are scalar data and ROCKTYPE, ZONE and OXIDATION are mapped data with a legend of names (ROCKTYPE also has a legend of the material colours). Sub-blocked models are regularized to the parent cells. With the topography option, the ground surface is added as a grid surface with its elevations."
                 },
                 "schema": {
                     "title": "Data Schema",
@@ -485,7 +614,7 @@ const EMBEDDED_TRANSLATIONS = {
                     "coordConvention4": "Precision: 4 decimal places for numeric values",
                     "petroleumMappings": "Petroleum Geology Field Mappings",
                     "petroleumMappingsTitle": "Alternative Field Meanings",
-                    "petroleumMappingsDesc": "For petroleum geology patterns (e.g., Salt Dome Reservoir), the standard fields are repurposed to represent petroleum properties:",
+                    "petroleumMappingsDesc": "For petroleum geology patterns (e.g., Salt Dome Reservoir), reservoir properties are exported in their own columns:",
                     "petroleumTableHeaderStandard": "Standard Field",
                     "petroleumTableHeaderPetroleum": "Petroleum Meaning",
                     "petroleumTableHeaderUnits": "Units",
@@ -496,7 +625,8 @@ const EMBEDDED_TRANSLATIONS = {
                     "petroleumMapping5": "Economic Value",
                     "petroleumMapping6": "Salt, CapRock, OilSand, GasSand, WaterSand, Shale",
                     "petroleumMapping7": "$/barrel equivalent",
-                    "petroleumMappingsNote": "Note: This field mapping allows the same block model framework to be used for both mining and petroleum applications. When exporting petroleum models, be aware that field names remain the same but meanings differ."
+                    "petroleumMappingsNote": "Note: GRADE_CU and GRADE_AU are 0 for petroleum patterns. Configured grade attributes can be correlated to OIL_SAT, GAS_SAT or POROSITY.",
+                    "unitsFraction": "Fraction (0-1)"
                 },
                 "controls": {
                     "title": "Controls",
@@ -577,8 +707,437 @@ const EMBEDDED_TRANSLATIONS = {
                     "useCase5Title": "Petroleum Geology",
                     "useCase5Desc": "Use the Salt Dome Reservoir pattern to demonstrate petroleum geology concepts, reservoir modeling, and oil/gas trap visualization.",
                     "proTip": "Pro Tip: Save your parameter combinations for common use cases. The app remembers your last settings in the browser."
+                },
+                "statistics": {
+                    "gradeTonnage": "Grade-Tonnage Curves",
+                    "gradeTonnageDesc": "The Grade-Tonnage button in the statistics modal opens a panel that sweeps a range of cut-off grades for any numeric field.",
+                    "gradeTonnageTonnes": "Tonnes - Block volume × density of every block at or above the cut-off (air blocks are ignored)",
+                    "gradeTonnageGrade": "Average Grade - Tonnage-weighted average of the field above the cut-off",
+                    "gradeTonnageExport": "Export CSV - Downloads the table (e.g. CUTOFF, BLOCKS, TONNES, AVG_GRADE_CU, CONTAINED)"
                 }
             }
+        },
+        "simulation": {
+            "title": "Simulation (SGS)",
+            "structure": "Structure",
+            "nugget": "Nugget",
+            "sill": "Sill",
+            "rangeMajor": "Major Range",
+            "rangeSemi": "Semi Range",
+            "rangeMinor": "Minor Range",
+            "azimuth": "Azimuth",
+            "dip": "Dip",
+            "plunge": "Plunge",
+            "meanCu": "Mean Cu %",
+            "meanAu": "Mean Au g/t",
+            "cv": "Coefficient of Variation",
+            "structures": {
+                "spherical": "Spherical",
+                "exponential": "Exponential",
+                "gaussian": "Gaussian"
+            }
+        },
+        "variogram": {
+            "title": "Variogram",
+            "open": "Variogram",
+            "field": "Field",
+            "structure": "Structure",
+            "nested": "Structures",
+            "lagSize": "Lag Size",
+            "lags": "Lags",
+            "custom": "Custom",
+            "azimuth": "Azimuth",
+            "dip": "Dip",
+            "tolerance": "Tolerance",
+            "calculate": "Calculate",
+            "lagDistance": "Lag distance (m)",
+            "gamma": "γ(h)",
+            "direction": "Direction",
+            "model": "Fitted Model",
+            "variance": "Variance",
+            "noData": "Not enough pairs for this direction"
+        },
+        "materials.title": "Material Library",
+        "materials.edit": "Edit Materials",
+        "materials.hint": "Pattern class: the built-in pattern class this material replaces (e.g. Oxide for Ore_Low).",
+        "materials.name": "Name",
+        "materials.color": "Color",
+        "materials.density": "Density",
+        "materials.gradeCu": "Cu",
+        "materials.gradeAu": "Au",
+        "materials.econValue": "Value",
+        "materials.zone": "Zone",
+        "materials.role": "Pattern Class",
+        "materials.noRole": "—",
+        "materials.add": "Add Material",
+        "materials.import": "Import JSON",
+        "materials.export": "Export JSON",
+        "materials.reset": "Reset to Defaults",
+        "materials.delete": "Delete Material",
+        "materials.newName": "New Material",
+        "materials.saved": "Material library saved",
+        "materials.invalid": "Invalid material library: {{message}}",
+        "materials.importError": "Could not import material library: {{message}}",
+        "materials.duplicateName": "Duplicate material name \"{{name}}\"",
+        "gradeAttributes": {
+            "title": "Grade Attributes",
+            "edit": "Edit Attributes",
+            "hint": "Each attribute is lognormal (mean, CV) and correlated to its primary grade (correlation between normal scores, -1 to 1).",
+            "name": "Name",
+            "unit": "Unit",
+            "mean": "Mean",
+            "cv": "CV",
+            "primary": "Primary Grade",
+            "correlation": "Correlation",
+            "add": "Add Attribute",
+            "delete": "Delete Attribute",
+            "custom": "Custom",
+            "none": "Cu and Au only",
+            "saved": "Grade attributes saved",
+            "invalid": "Invalid grade attributes: {{message}}"
+        },
+        "scenario": {
+            "title": "Scenario Builder",
+            "edit": "Edit Scenario",
+            "hint": "Events are applied from top to bottom; each event replaces the blocks allowed by its rule within its depth range (0 = model top, 1 = bottom).",
+            "event": "Event",
+            "parameters": "Parameters",
+            "rule": "Rule",
+            "top": "Top",
+            "bottom": "Bottom",
+            "add": "Add Event",
+            "reset": "Reset to Default Scenario",
+            "saveAndGenerate": "Save & Generate",
+            "moveUp": "Move Up",
+            "moveDown": "Move Down",
+            "delete": "Delete Event",
+            "strike": "Strike",
+            "dip": "Dip",
+            "thickness": "Thickness (m)",
+            "offset": "Offset (m)",
+            "depth": "Depth (m)",
+            "cuFactor": "Cu ×",
+            "auFactor": "Au ×",
+            "invalid": "Invalid scenario: {{message}}",
+            "tooManyEvents": "A scenario can have at most {{max}} events",
+            "types": {
+                "pattern": "Pattern",
+                "dyke": "Dyke",
+                "oxidation": "Oxidation"
+            },
+            "rules": {
+                "all": "Replace all",
+                "body": "Body only",
+                "waste": "Waste only",
+                "ore": "Ore only"
+            }
+        },
+        "faults": {
+            "title": "Faults",
+            "edit": "Edit Faults",
+            "hint": "Faults are applied in order after the pattern. Each fault dips towards strike + 90°; position is the distance from the model center to the fault in the dip direction. The hanging wall moves down by the throw (negative for reverse faults) and along the dip direction by the heave.",
+            "strike": "Strike (°)",
+            "dip": "Dip (°)",
+            "position": "Position (m)",
+            "throw": "Throw (m)",
+            "heave": "Heave (m)",
+            "add": "Add Fault",
+            "delete": "Delete Fault",
+            "none": "No faults",
+            "summaryItem": "F{{number}}: {{strike}}°/{{dip}}°, throw {{throw}} m",
+            "saved": "Faults saved",
+            "invalid": "Invalid faults: {{message}}",
+            "tooMany": "At most {{max}} faults are supported"
+        },
+        "topography": {
+            "title": "Topography",
+            "surface": "Surface",
+            "types": {
+                "flat": "Flat (Model Top)",
+                "hills": "Fractal Hills",
+                "valley": "Valley",
+                "dem": "Imported DEM"
+            },
+            "relief": "Relief (m)",
+            "wavelength": "Hill Spacing (m)",
+            "azimuth": "Valley Azimuth",
+            "width": "Valley Width (m)",
+            "importDem": "Import DEM",
+            "noDem": "No DEM imported",
+            "demLoaded": "{{name}} ({{count}} points)",
+            "demImported": "DEM imported: {{name}}",
+            "demInvalid": "Invalid DEM: {{message}}",
+            "hint": "Blocks above the surface become air blocks (density 0). DEMs are XYZ points or ESRI ASCII grids in model coordinates."
+        },
+        "weathering": {
+            "title": "Weathering Profile",
+            "edit": "Edit Profile",
+            "hint": "Zones follow each other from the ground surface down; the fresh zone extends to the model base. Density and Cu grade are multiplied by the zone factors and every block gets its zone (OXIDATION) and recovery (RECOVERY).",
+            "enabled": "Apply weathering profile",
+            "reference": "Profile",
+            "references": {
+                "topography": "Topography-parallel",
+                "flat": "Flat-lying (model top)"
+            },
+            "zone": "Zone",
+            "zones": {
+                "OXIDE": "Oxide",
+                "LEACHED": "Leached",
+                "SUPERGENE": "Supergene",
+                "FRESH": "Fresh"
+            },
+            "thickness": "Thickness (m)",
+            "densityFactor": "Density ×",
+            "recovery": "Recovery",
+            "cuFactor": "Cu ×",
+            "reset": "Reset to Default Profile",
+            "off": "Fresh rock only",
+            "saved": "Weathering profile saved",
+            "invalid": "Invalid weathering profile: {{message}}"
+        },
+        "kimberlite": {
+            "title": "Kimberlite Pipes",
+            "pipeCount": "Pipes",
+            "radius": "Top Radius",
+            "wallDip": "Wall Dip",
+            "craterDepth": "Crater Base",
+            "diatremeDepth": "Diatreme Base",
+            "rootDepth": "Root Depth",
+            "craterCpht": "Crater cpht",
+            "diatremeCpht": "Diatreme cpht",
+            "rootCpht": "Root cpht",
+            "craterValue": "Crater $/ct",
+            "diatremeValue": "Diatreme $/ct",
+            "rootValue": "Root $/ct",
+            "hint": "Used by the Kimberlite Pipes pattern. Radius is a fraction of the shorter model side; facies depths are fractions of the model height (0 = top, 1 = base)."
+        },
+        "stockwork": {
+            "title": "Stockwork",
+            "veinCount": "Veins",
+            "length": "Length (m)",
+            "aperture": "Aperture (m)",
+            "veinCu": "Vein Cu %",
+            "veinAu": "Vein Au g/t",
+            "setCount": "Sets",
+            "hint": "Used by the Stockwork pattern. Vein orientations follow a Fisher distribution around each set; a high kappa gives sheeted veins, a low kappa a random stockwork. Block grade is the vein volume fraction times the vein grade.",
+            "set1DipDirection": "Set 1 Dip Dir.",
+            "set1Dip": "Set 1 Dip",
+            "set1Kappa": "Set 1 Kappa",
+            "set2DipDirection": "Set 2 Dip Dir.",
+            "set2Dip": "Set 2 Dip",
+            "set2Kappa": "Set 2 Kappa",
+            "set3DipDirection": "Set 3 Dip Dir.",
+            "set3Dip": "Set 3 Dip",
+            "set3Kappa": "Set 3 Kappa"
+        },
+        "reblock": {
+            "title": "Reblocking",
+            "factorX": "X Factor",
+            "factorY": "Y Factor",
+            "factorZ": "Z Factor",
+            "rule": "Rock Type Rule",
+            "rules": {
+                "majority": "Majority",
+                "proportion": "Ore Proportion"
+            },
+            "oreProportion": "Min. Ore Fraction",
+            "apply": "Reblock Model",
+            "hint": "Merges the current model into parent blocks of factor × cell size. Grades are tonnage-weighted, economic values are summed and PROP_ columns give the rock type proportions. Cell counts must be divisible by the factors.",
+            "generateFirst": "Please generate a model first",
+            "done": "Model reblocked: {{count}} blocks of {{x}} × {{y}} × {{z}} m",
+            "error": "Reblocking error: {{message}}"
+        },
+        "gradeTonnage": {
+            "open": "Grade-Tonnage",
+            "title": "Grade-Tonnage",
+            "field": "Field",
+            "minCutoff": "Min. Cut-off",
+            "maxCutoff": "Max. Cut-off",
+            "steps": "Steps",
+            "calculate": "Calculate",
+            "export": "Export CSV",
+            "noField": "The model has no numeric field to analyse",
+            "cutoff": "Cut-off",
+            "tonnes": "Tonnes",
+            "grade": "Avg. {{field}}",
+            "averageGrade": "Avg. Grade"
+        },
+        "pit": {
+            "title": "Pit Optimization",
+            "slopeN": "Slope N (°)",
+            "slopeE": "Slope E (°)",
+            "slopeS": "Slope S (°)",
+            "slopeW": "Slope W (°)",
+            "zoneSlopes": "Zone Slopes",
+            "rfMin": "Min. RF",
+            "rfMax": "Max. RF",
+            "rfStep": "RF Step",
+            "optimize": "Optimize Pit",
+            "shell": "Displayed Shell",
+            "hideShell": "None",
+            "shellOption": "Shell {{shell}} (RF {{rf}})",
+            "shellColumn": "Shell",
+            "rfColumn": "RF",
+            "tonnesColumn": "Tonnes",
+            "valueColumn": "Value",
+            "hint": "Finds the ultimate pit and one nested shell per revenue factor (RF) from the economic values. Slopes between the compass directions are interpolated; zone slopes (ZONE=angle) apply to blocks whose zone or weathering zone matches. Every block gets the first shell that mines it (PIT, 0 outside).",
+            "generateFirst": "Please generate a model first",
+            "optimizing": "Optimizing pit shells...",
+            "done": "{{shells}} pit shells optimized; ultimate pit: {{count}} blocks, {{tonnes}} t",
+            "error": "Pit optimization error: {{message}}"
+        },
+        "economics": {
+            "title": "Economic Parameters",
+            "edit": "Edit Parameters",
+            "hint": "ECON_VALUE becomes the value of the block (not per tonne): the recovered Cu and Au at the net prices less mining and processing costs, or the mining cost alone when that is better (waste). Mining cost rises with depth below the model top. Saving recalculates the current model without regenerating it.",
+            "enabled": "Calculate economic values",
+            "processColumns": "Export process and waste values (VALUE_PROCESS1, VALUE_WASTE)",
+            "cuPrice": "Cu Price (/t)",
+            "cuSellingCost": "Cu Selling Cost (/t)",
+            "auPrice": "Au Price (/oz)",
+            "auSellingCost": "Au Selling Cost (/oz)",
+            "miningCost": "Mining Cost (/t)",
+            "miningCostIncrement": "Depth Increment (/t/m)",
+            "processingCost": "Processing Cost (/t)",
+            "rockType": "Rock Type",
+            "cuRecovery": "Cu Recovery",
+            "auRecovery": "Au Recovery",
+            "defaultRecovery": "Default",
+            "reset": "Reset to Default Parameters",
+            "off": "Material values",
+            "summaryCu": "Cu {{price}}/t",
+            "summaryAu": "Au {{price}}/oz",
+            "summaryMining": "Mining {{cost}}/t",
+            "summaryProcessing": "Processing {{cost}}/t",
+            "saved": "Economic parameters saved",
+            "applied": "Economic values recalculated for {{count}} blocks",
+            "invalid": "Invalid economic parameters: {{message}}",
+            "scenarios": "Scenarios",
+            "scenarioHint": "Each scenario changes prices and costs by a percentage and adds a value column named after it (e.g. P1 Cu +10 for a 10% higher Cu price). With MiningMath headers the columns are exported as $P1 Cu +10.",
+            "scenarioName": "Column Name",
+            "cuPriceChange": "Cu Price %",
+            "auPriceChange": "Au Price %",
+            "miningCostChange": "Mining Cost %",
+            "processingCostChange": "Processing Cost %",
+            "addScenario": "Add Scenario",
+            "exampleScenarios": "Price Sensitivities",
+            "removeScenario": "Remove Scenario",
+            "noScenarios": "No scenarios",
+            "summaryScenarios": "{{count}} scenarios"
+        },
+        "exportOptions": {
+            "title": "Export Options",
+            "headerStyle": "CSV Headers",
+            "headerStyles": {
+                "standard": "Standard (GRADE_CU, DENSITY)",
+                "miningmath": "MiningMath (@CU, %Density, $Value)"
+            },
+            "slopeColumn": "Slope column from the pit slopes (SLOPE, /Slope)",
+            "hint": "MiningMath headers prefix grades with @, density with %, economic values and scenarios with $ and the slope with /. Datamine files are single precision block models sorted on IJK, with field names cut to 8 characters. GSLIB grids list every cell (X fastest, Z upwards) with text fields as codes; the grid and the codes are kept in the title, and files without them are read on the current grid. OMF files hold the block model with typed attributes (ROCKTYPE as a legend of material colours) and the topography surface.",
+            "format": "Format",
+            "formats": {
+                "csv": "CSV (zipped)",
+                "datamine": "Datamine (.dm)",
+                "gslib": "GSLIB / GeoEAS (.dat)",
+                "omf": "Open Mining Format (.omf)"
+            },
+            "omfTopography": "Topography surface in OMF files"
+        },
+        "classification": {
+            "title": "Resource Classification",
+            "method": "Method",
+            "methods": {
+                "distance": "Distance to Nearest Hole",
+                "spacing": "Drill Spacing"
+            },
+            "spacing": "Pattern Spacing (m)",
+            "infill": "Infill Extent",
+            "holeDepth": "Hole Depth",
+            "jitter": "Collar Jitter",
+            "measured": "Measured (m)",
+            "indicated": "Indicated (m)",
+            "classify": "Classify Resources",
+            "hint": "Drills a synthetic pattern of vertical holes (half spacing in the central infill area) and classifies every block as Measured (1), Indicated (2) or Inferred (3) from its distance to the nearest hole or from the local drill spacing. Depth and extents are fractions of the model size. Results are listed in the model statistics and exported as RESCAT.",
+            "report": "Resource Report",
+            "category": "Category",
+            "tonnes": "Tonnes",
+            "categories": {
+                "1": "Measured",
+                "2": "Indicated",
+                "3": "Inferred"
+            },
+            "generateFirst": "Generate a model before classifying it",
+            "done": "Classified the model from {{holes}} drillholes: {{measured}} Measured, {{indicated}} Indicated and {{inferred}} Inferred blocks",
+            "error": "Resource classification failed: {{message}}",
+            "useDrillholes": "Use the simulated drillholes instead of the pattern",
+            "drillFirst": "Drill the model first or clear Use the simulated drillholes"
+        },
+        "drillholes": {
+            "title": "Drillholes",
+            "pattern": "Collars",
+            "patterns": {
+                "grid": "Grid",
+                "random": "Random"
+            },
+            "spacing": "Spacing (m)",
+            "count": "Holes",
+            "azimuth": "Azimuth (°)",
+            "dip": "Dip (°)",
+            "length": "Length (m)",
+            "deviation": "Deviation (°/100 m)",
+            "surveyInterval": "Survey Interval (m)",
+            "sampleLength": "Sample Length (m)",
+            "assayError": "Assay Error (CV)",
+            "showTraces": "Show traces in the 3D view",
+            "simulate": "Drill",
+            "export": "Export Tables",
+            "hint": "Drills the current model and assays the block grades with a lognormal error. Dip is measured below horizontal; azimuth and dip drift randomly by the deviation. Exports collar, survey, assay and lithology CSV tables (dips negative downwards).",
+            "generateFirst": "Generate a model before drilling it",
+            "drillFirst": "Drill the model before exporting the tables",
+            "done": "Drilled {{holes}} holes with {{samples}} assayed samples",
+            "exported": "Exported the tables of {{holes}} drillholes",
+            "error": "Drillhole simulation failed: {{message}}",
+            "exportError": "Drillhole export failed: {{message}}"
+        },
+        "estimation": {
+            "title": "Grade Estimation",
+            "field": "Grade",
+            "power": "IDW Power",
+            "kriging": "Ordinary kriging",
+            "idw": "Inverse distance",
+            "nugget": "Nugget (of sill)",
+            "rangeMajor": "Range Major (m)",
+            "rangeSemi": "Range Semi (m)",
+            "rangeMinor": "Range Minor (m)",
+            "searchMajor": "Search Major (m)",
+            "searchSemi": "Search Semi (m)",
+            "searchMinor": "Search Minor (m)",
+            "azimuth": "Azimuth (°)",
+            "dip": "Dip (°)",
+            "minSamples": "Min. Samples",
+            "maxSamples": "Max. Samples",
+            "discretization": "Discretization",
+            "estimate": "Estimate Grades",
+            "hint": "Estimates the grade of every block from the simulated drillhole samples and stores it next to the true grade (e.g. GRADE_CU_OK, GRADE_CU_ID2). The variogram and the search ellipse share the azimuth and dip; discretization points per block axis are averaged. The model statistics compare the estimates with the true grades.",
+            "generateFirst": "Generate a model before estimating it",
+            "drillFirst": "Drill the model in the Drillholes section before estimating it",
+            "done": "Estimated {{blocks}} blocks ({{fields}})",
+            "error": "Grade estimation failed: {{message}}",
+            "estimateColumn": "Estimate",
+            "mean": "Mean (est. / true)",
+            "bias": "Bias",
+            "rmse": "RMSE",
+            "correlation": "r",
+            "slope": "Slope",
+            "trueGrade": "True {{field}}",
+            "estimatedGrade": "Estimated {{field}}"
+        },
+        "gslib": {
+            "import": "Import GSLIB Grid",
+            "importing": "Reading {{name}}...",
+            "imported": "GSLIB grid {{name}} loaded: {{count}} blocks ({{variables}}).",
+            "importedIgnored": "GSLIB grid {{name}} loaded: {{count}} blocks ({{variables}}). Ignored variables: {{ignored}}.",
+            "importError": "GSLIB import failed: {{message}}"
         }
     },
     'es': {
@@ -610,7 +1169,15 @@ const EMBEDDED_TRANSLATIONS = {
             "cellsX": "Celdas X",
             "cellsY": "Celdas Y",
             "cellsZ": "Celdas Z",
-            "materialPattern": "Patrón de Material"
+            "materialPattern": "Patrón de Material",
+            "subBlocking": "Sub-bloques",
+            "subBlockLevels": "Niveles de Sub-bloque",
+            "bearing": "Rumbo",
+            "dip": "Buzamiento",
+            "plunge": "Inmersión",
+            "seed": "Semilla",
+            "seedPlaceholder": "Aleatoria",
+            "keepSeed": "Mantener semilla"
         },
         "patterns": {
             "uniform": "Uniforme",
@@ -624,7 +1191,12 @@ const EMBEDDED_TRANSLATIONS = {
             "ellipsoid_ore": "Cuerpo de Mineral Elipsoidal",
             "vein_ore": "Cuerpo de Mineral de Veta/Estructural",
             "porphyry_ore": "Zonificación Estilo Pórfido",
-            "salt_dome": "Reservorio de Domo de Sal (Petróleo)"
+            "salt_dome": "Reservorio de Domo de Sal (Petróleo)",
+            "sgs": "Simulación Gaussiana Secuencial",
+            "scenario": "Escenario Geológico",
+            "coal_seams": "Mantos de Carbón (Estratiformes)",
+            "kimberlite_pipe": "Chimeneas de Kimberlita (Diamantes)",
+            "stockwork": "Stockwork / Vetas Laminadas"
         },
         "visualization": {
             "title": "Visualización",
@@ -703,11 +1275,27 @@ const EMBEDDED_TRANSLATIONS = {
             "exportError": "Error de exportación: {{message}}. Intentando exportar como CSV...",
             "csvError": "Error de exportación CSV: {{message}}",
             "imageExportSuccess": "Imagen del viewport guardada exitosamente",
-            "imageExportError": "Error al exportar imagen: {{message}}"
+            "imageExportError": "Error al exportar imagen: {{message}}",
+            "subBlocking": "Refinando contactos en sub-bloques...",
+            "applyingFaults": "Aplicando desplazamientos de fallas...",
+            "datamineSuccess": "Archivo Datamine exportado: {{count}} bloques ({{size}} MB).",
+            "datamineError": "Error de exportación Datamine: {{message}}",
+            "gslibSuccess": "Grilla GSLIB exportada: {{count}} celdas ({{size}} MB).",
+            "gslibError": "Error de exportación GSLIB: {{message}}",
+            "omfSuccess": "Proyecto OMF exportado: {{count}} celdas ({{size}} MB).",
+            "omfError": "Error de exportación OMF: {{message}}",
+            "sgsSearchLimited": "Búsqueda SGS limitada a {{cells}} celdas alrededor de cada bloque; el alcance del variograma de {{range}} m llega más lejos."
         },
         "errors": {
             "cellSizeInvalid": "Los tamaños de celda deben ser mayores que 0",
-            "cellCountInvalid": "El número de celdas debe ser mayor que 0"
+            "cellCountInvalid": "El número de celdas debe ser mayor que 0",
+            "subBlockLevelInvalid": "Los niveles de sub-bloque deben ser un número entero entre 1 y {{max}}",
+            "rotationInvalid": "El rumbo debe estar entre 0 y 360; el buzamiento y la inmersión deben estar entre -90 y 90",
+            "sgsModelTooLarge": "La simulación gaussiana secuencial está limitada a {{max}} bloques",
+            "variogramLagsInvalid": "El tamaño de paso debe ser mayor que 0 y los pasos entre 1 y 50",
+            "variogramNoDirection": "Seleccione al menos una dirección de variograma",
+            "seedInvalid": "La semilla debe ser un número entero entre 0 y {{max}}",
+            "faultsWithSubBlocks": "Las fallas no se pueden combinar con sub-bloques; desactive una de las dos opciones"
         },
         "stats": {
             "title": "Estadísticas de Uso",
@@ -728,7 +1316,7 @@ const EMBEDDED_TRANSLATIONS = {
             "totalVolume": "Volumen Total Generado",
             "currentSession": "Sesión Actual",
             "modelsGenerated": "Modelos Generados",
-            "of12": "de 12",
+            "ofPatterns": "de {{count}}",
             "of7": "de 7",
             "of4": "de 4",
             "blocks": "bloques",
@@ -760,7 +1348,10 @@ const EMBEDDED_TRANSLATIONS = {
                 "sizeLarge": "Modelo a gran escala (100K+ bloques)",
                 "sizeMediumLarge": "Modelo mediano-grande (50K+ bloques)",
                 "sizeMedium": "Modelo de escala media (10K+ bloques)"
-            }
+            },
+            "airBlocks": "Bloques de Aire",
+            "resources": "Recursos",
+            "estimation": "Estimaciones vs. Leyes Reales"
         },
         "gallery": {
             "title": "Galería de Modelos",
@@ -782,7 +1373,9 @@ const EMBEDDED_TRANSLATIONS = {
             "blocks": "bloques",
             "nameTooLong": "El nombre del modelo debe tener {{max}} caracteres o menos",
             "storageQuotaExceeded": "Cuota de almacenamiento excedida. Es posible que algunos datos no se guarden.",
-            "storageReduced": "Almacenamiento lleno. Se redujo el tamaño de la galería para ahorrar espacio."
+            "storageReduced": "Almacenamiento lleno. Se redujo el tamaño de la galería para ahorrar espacio.",
+            "reblockedModel": "Los modelos rebloqueados no se pueden guardar en la galería; guarde el modelo antes de rebloquearlo",
+            "importedModel": "Los modelos importados no se pueden guardar en la galería"
         },
         "tooltip": {
             "title": "Información del Bloque",
@@ -799,7 +1392,14 @@ const EMBEDDED_TRANSLATIONS = {
                 "density": "t/m³",
                 "cuGrade": "%",
                 "auGrade": "g/t"
-            }
+            },
+            "size": "Tamaño:",
+            "faultBlock": "Bloque de Falla:",
+            "oxidation": "Oxidación:",
+            "recovery": "recuperación",
+            "pit": "Fase de Pit:",
+            "pitOutside": "Fuera",
+            "resCat": "Categoría de Recurso:"
         },
         "controls": {
             "hint": "Controles: Arrastrar con clic izquierdo para rotar | Arrastrar con clic derecho para desplazar | Desplazar rueda para acercar/alejar"
@@ -891,7 +1491,49 @@ const EMBEDDED_TRANSLATIONS = {
                     "totalBlocks": "Total de bloques = Celdas X × Celdas Y × Celdas Z",
                     "largerModels": "Los modelos más grandes tardan más en generarse y renderizarse",
                     "performanceNote": "Nota de Rendimiento: Los modelos con más de 50,000 bloques pueden tardar más en generarse. La aplicación usa automáticamente caché para modelos grandes.",
-                    "tipTesting": "Consejo: Para pruebas, comienza con modelos más pequeños (10×10×10 = 1,000 bloques). Para producción, usa dimensiones mineras realistas (ej., 50×50×30 = 75,000 bloques)."
+                    "tipTesting": "Consejo: Para pruebas, comienza con modelos más pequeños (10×10×10 = 1,000 bloques). Para producción, usa dimensiones mineras realistas (ej., 50×50×30 = 75,000 bloques).",
+                    "reblocking": "Rebloqueo",
+                    "reblockingDesc": "La sección Rebloqueo agrupa el modelo actual en bloques padre más grandes, para exportar el mismo depósito con varios tamaños de bloque (p. ej. 5 m para control de leyes y 25 m para un modelo estratégico).",
+                    "reblockingFactors": "Factor X, Y, Z - Celdas hijas por bloque padre en cada dirección; el número de celdas debe ser divisible por los factores",
+                    "reblockingGrades": "Leyes - Promedios ponderados por tonelaje; los valores económicos se suman y la densidad es el tonelaje del bloque padre entre su volumen",
+                    "reblockingRule": "Regla de Tipo de Roca - Mayoría (mayor tonelaje) o Proporción de Mineral (el tipo de mineral principal cuando el mineral alcanza la fracción mínima del tonelaje; si no, estéril)",
+                    "reblockingProportions": "PROP_ORE_HIGH, PROP_WASTE, ... - Proporción en volumen de cada tipo de roca en el bloque padre",
+                    "pitOptimization": "Optimización de Pit",
+                    "pitOptimizationDesc": "La sección Optimización de Pit calcula el pit final a cielo abierto del modelo actual a partir de los valores económicos (ECON_VALUE). El pit es la clausura máxima de los valores de bloque, resuelta como un corte mínimo, lo que da el mismo pit que el algoritmo de Lerchs-Grossmann.",
+                    "pitSlopes": "Talud N, E, S, O - Ángulo de talud global (10-90°) hacia cada dirección cardinal; los ángulos intermedios se interpolan",
+                    "pitZoneSlopes": "Taludes por Zona - Pares ZONA=ángulo separados por comas (p. ej. OXIDE=35, LEACHED=38); reemplazan los taludes cardinales en los bloques cuya zona o zona de meteorización coincide",
+                    "pitRevenueFactors": "FR Mín., FR Máx., Paso FR - Barrido de factores de ingreso; los valores positivos de los bloques se escalan por cada factor y cada factor da una cáscara anidada",
+                    "pitAttribute": "PIT - La primera cáscara que extrae el bloque (0 fuera de los pits); la cáscara elegida en la sección se dibuja en la vista 3D",
+                    "pitLimits": "La grilla no debe tener buzamiento ni inclinación y puede tener hasta 30.000 celdas; los sub-bloques se suman en su celda padre.",
+                    "economics": "Parámetros Económicos",
+                    "economicsDesc": "La sección Parámetros Económicos reemplaza los valores económicos de los materiales por valores de bloque calculados a partir de leyes, densidad y costos. Al guardar los parámetros se recalcula el modelo actual sin regenerarlo; los modelos nuevos se valorizan igual mientras los parámetros estén activos.",
+                    "economicsPrices": "Precios y Costos de Venta - Cu por tonelada de metal y Au por onza troy; el costo de venta (fundición, refinación, flete) se descuenta del precio",
+                    "economicsRecoveries": "Recuperaciones - Recuperación de Cu y Au por tipo de roca (la fila por defecto cubre los demás); los bloques meteorizados usan la recuperación de Cu de su zona de meteorización",
+                    "economicsCosts": "Costos de Mina y Proceso - Por tonelada; el incremento por profundidad se suma al costo de mina por cada metro bajo el tope del modelo",
+                    "economicsValue": "ECON_VALUE - El mejor entre el valor de proceso (ingreso menos mina y proceso) y el valor de estéril (solo costo de mina), para el bloque completo",
+                    "economicsColumns": "VALUE_PROCESS1, VALUE_WASTE - Columnas opcionales con ambos valores, equivalentes a $Process1 y $Waste de MiningMath",
+                    "economicsScenarios": "Escenarios - Sensibilidades de precios y costos (p. ej. P1 Cu +10 para un precio del Cu un 10% mayor); cada escenario añade una columna de valor con su nombre, y Sensibilidades de Precio añade los escenarios de precio del Cu del esquema MiningMath",
+                    "classification": "Clasificación de Recursos",
+                    "classificationDesc": "La sección Clasificación de Recursos perfora una malla sintética de sondajes verticales sobre el modelo actual y clasifica cada bloque de roca como Medido (1), Indicado (2) o Inferido (3). La categoría se exporta como RESCAT y las estadísticas del modelo muestran tonelaje y ley por categoría, que el botón Informe de Recursos guarda como CSV.",
+                    "classificationPattern": "Espaciamiento de Malla, Extensión de Relleno - Sondajes en una malla cuadrada; la fracción central del modelo dada por la extensión de relleno se perfora a medio espaciamiento",
+                    "classificationHoles": "Profundidad de Sondaje, Desplazamiento de Collar - Los sondajes parten en la superficie del terreno y perforan esta fracción de la altura del modelo; los collares se desplazan al azar hasta esta fracción del espaciamiento (misma semilla que el modelo)",
+                    "classificationMethods": "Método - Distancia del bloque al sondaje más cercano, o espaciamiento local (√2 × la distancia media a los cuatro sondajes más cercanos, igual al espaciamiento de la malla entre cuatro sondajes)",
+                    "classificationLimits": "Medido, Indicado - Mayor distancia o espaciamiento de cada categoría; los demás bloques son Inferidos",
+                    "drillholes": "Sondajes",
+                    "drillholesDesc": "La sección Sondajes perfora el modelo actual como una campaña de exploración. Cada muestra toma las leyes del bloque en su punto medio con un error de ensaye lognormal, de modo que los sondajes se pueden exportar a software minero o usar para clasificar los recursos.",
+                    "drillholesCollars": "Collares, Espaciamiento, Sondajes - Collares en una malla cuadrada con el espaciamiento dado o en posiciones aleatorias sobre el modelo, en la superficie del terreno",
+                    "drillholesOrientation": "Azimut, Inclinación, Largo - Dirección inicial (inclinación bajo la horizontal) y largo del sondaje",
+                    "drillholesDeviation": "Desviación, Intervalo de Medición - El azimut y la inclinación derivan al azar unos tantos grados cada 100 m entre mediciones; la traza se calcula con el método tangencial balanceado",
+                    "drillholesSamples": "Largo de Muestra, Error de Ensaye - Largo de los intervalos de ensaye y coeficiente de variación del error de ensaye (0 ensaya las leyes reales de los bloques)",
+                    "drillholesTables": "Exportar Tablas - Tablas de collares (HOLEID, X, Y, Z, LENGTH, AZIMUTH, DIP), mediciones (HOLEID, DEPTH, AZIMUTH, DIP), ensayes (HOLEID, FROM, TO, CU, AU, ...) y litología (HOLEID, FROM, TO, LITH) en un archivo ZIP; las inclinaciones son negativas hacia abajo",
+                    "classificationDrillholes": "Usar los sondajes simulados - Clasifica a partir de los sondajes perforados en lugar de la malla sintética",
+                    "estimation": "Estimación de Leyes",
+                    "estimationDesc": "La sección Estimación de Leyes estima la ley de Cu o Au de cada bloque a partir de las muestras de la sección Sondajes, de modo que la estimación se puede comparar con las leyes reales que produjo el generador. Las estimaciones se guardan junto a la ley real como GRADE_CU_OK (kriging ordinario) y GRADE_CU_ID2 (inverso de la distancia a la potencia 2); los bloques sin suficientes muestras quedan en blanco.",
+                    "estimationVariogram": "Estructura, Pepita, Alcances - Variograma del kriging; la pepita es una fracción de la meseta",
+                    "estimationSearch": "Búsqueda, Azimut, Manteo - Radios del elipsoide de búsqueda; el variograma y el elipsoide comparten la orientación, y el inverso de la distancia usa la distancia anisótropa del elipsoide",
+                    "estimationSamples": "Mín. Muestras, Máx. Muestras - Los bloques con menos muestras en el elipsoide no se estiman; se usan las muestras más cercanas hasta el máximo",
+                    "estimationDiscretization": "Discretización - Puntos por eje del bloque; el kriging promedia las covarianzas y el inverso de la distancia las estimaciones puntuales sobre estos puntos",
+                    "estimationStats": "Estadísticas del Modelo - Bloques, media estimada frente a media real, sesgo relativo, RMSE, correlación y pendiente de regresión de las leyes reales sobre las estimaciones (1 significa sin sesgo condicional) para cada estimación, con un gráfico de dispersión real vs. estimado por ley"
                 },
                 "patterns": {
                     "title": "🎨 Patrones de Material",
@@ -920,10 +1562,10 @@ const EMBEDDED_TRANSLATIONS = {
                     "saltDomeFeature3": "Zonas de agua debajo del contacto agua-petróleo",
                     "saltDomeFeature4": "Múltiples tipos de material: Sal, CapRock, OilSand, GasSand, WaterSand, Shale",
                     "saltDomeFeature5": "Posición del domo, tamaño, zonas de trampa y propiedades del material aleatorizados",
-                    "saltDomeFieldMapping": "Mapeo de Campos: Para geología petrolera, los campos estándar se reutilizan:",
-                    "saltDomeField1": "gradeCu = Saturación de Petróleo (%)",
-                    "saltDomeField2": "gradeAu = Saturación de Gas (%)",
-                    "saltDomeField3": "density = Porosidad (%)",
+                    "saltDomeFieldMapping": "Mapeo de Campos: Las propiedades del reservorio se guardan en sus propios campos:",
+                    "saltDomeField1": "Saturación de Petróleo (%)",
+                    "saltDomeField2": "Saturación de Gas (%)",
+                    "saltDomeField3": "Porosidad (fracción, 0-1)",
                     "saltDomeField4": "rockType = Tipo de material (Sal, CapRock, OilSand, GasSand, WaterSand, Shale)",
                     "saltDomeTip": "Consejo: Cada generación produce una estructura de domo de sal diferente con dimensiones, posiciones y propiedades del material aleatorizadas.",
                     "randomClustersDesc": "Crea múltiples agrupaciones de mineral distribuidas aleatoriamente. Simula depósitos diseminados o de stockwork.",
@@ -933,7 +1575,31 @@ const EMBEDDED_TRANSLATIONS = {
                     "checkerboardDesc": "Patrón alternado de materiales. Bueno para probar herramientas de filtrado y visualización.",
                     "gradientDesc": "Transición gradual de propiedades de un lado a otro. Útil para probar visualización.",
                     "layeredDesc": "Crea capas horizontales de diferentes materiales. Simula depósitos sedimentarios.",
-                    "uniformDesc": "Todos los bloques tienen las mismas propiedades de material. Útil para pruebas o modelos simples."
+                    "uniformDesc": "Todos los bloques tienen las mismas propiedades de material. Útil para pruebas o modelos simples.",
+                    "coalSeamsDesc": "Crea una secuencia de mantos de carbón ondulados separados por intercalaciones estériles. Simula capas carboníferas y otros depósitos estratiformes para flujos de trabajo de reservas basados en espesor.",
+                    "coalSeamsFeature1": "3-4 mantos con buzamiento regional, ondulación amplia y variación lateral de espesor",
+                    "coalSeamsFeature2": "Acuñamientos donde un manto se adelgaza hasta desaparecer",
+                    "coalSeamsFeature3": "Mantos divididos con una intercalación estéril que se engrosa al alejarse de la línea de división",
+                    "coalSeamsFeature4": "Nombres de los mantos en ZONE (SEAM_A, SEAM_B1, SEAM_B2, SEAM_B_PARTING, OVERBURDEN, INTERBURDEN, UNDERBURDEN)",
+                    "coalSeamsFieldMapping": "Mapeo de Campos: La calidad del carbón se guarda en sus propios campos:",
+                    "coalSeamsField1": "Cenizas (%)",
+                    "coalSeamsField2": "Poder calorífico (MJ/kg, como se recibe)",
+                    "coalSeamsField3": "Azufre total (%)",
+                    "coalSeamsField4": "Humedad (%)",
+                    "kimberliteDesc": "Crea chimeneas de kimberlita en forma de zanahoria para probar depósitos de diamantes. Los parámetros se definen en la sección Chimeneas de Kimberlita.",
+                    "kimberliteFeature1": "Facies de cráter en la parte superior, una diatrema cuyas paredes se estrechan con la profundidad y una zona de raíz hipabisal que se adelgaza hacia el alimentador",
+                    "kimberliteFeature2": "Número de chimeneas, radio superior, buzamiento de pared y profundidades de cráter, diatrema y raíz configurables",
+                    "kimberliteFeature3": "La ley (quilates por cien toneladas) y el valor del diamante por quilate varían según la facies",
+                    "kimberliteFeature4": "Chimeneas elípticas e inclinadas con paredes y contactos de facies irregulares",
+                    "kimberliteFieldMapping": "Mapeo de Campos: La ley y el valor de los diamantes se guardan en sus propios campos:",
+                    "kimberliteField1": "Ley (quilates por cien toneladas)",
+                    "kimberliteField2": "Valor del diamante (por quilate)",
+                    "kimberliteField3": "Facies (CRATER, DIATREME, ROOT o COUNTRY_ROCK)",
+                    "stockworkDesc": "Crea un enjambre de segmentos de veta cortos dentro de una envolvente elipsoidal. Los parámetros se definen en la sección Stockwork.",
+                    "stockworkFeature1": "Orientaciones de las vetas tomadas de 1-3 familias con una distribución de Fisher (kappa alto = vetas laminadas)",
+                    "stockworkFeature2": "Vetas en forma de disco con longitud, apertura y ley lognormal variables",
+                    "stockworkFeature3": "Ley del bloque = fracción de volumen de veta × ley de la veta, con distribuciones sesgadas y alto efecto pepita",
+                    "stockworkFeature4": "Fracción de volumen de veta exportada como VEIN_FRAC; los bloques con veta están en la zona STOCKWORK"
                 },
                 "visualization": {
                     "title": "Visualización",
@@ -992,7 +1658,7 @@ const EMBEDDED_TRANSLATIONS = {
                     "exportFormatList2": "Vulcan",
                     "exportFormatList3": "Surpac",
                     "exportFormatList4": "MineSight",
-                    "exportFormatList5": "Datamine",
+                    "exportFormatList5": "Datamine (CSV o archivo .dm nativo)",
                     "exportProcess": "Proceso de Exportación",
                     "exportProcessStep1": "Genera tu modelo de bloques",
                     "exportProcessStep2": "Haz clic en el botón \"Exportar\"",
@@ -1002,14 +1668,36 @@ const EMBEDDED_TRANSLATIONS = {
                     "exportedFieldsDesc": "El CSV incluye todas las propiedades relevantes de los bloques:",
                     "exportedField1": "X, Y, Z - Coordenadas del centroide del bloque (metros)",
                     "exportedField2": "ROCKTYPE - Clasificación del tipo de roca (o tipo de material para petróleo)",
-                    "exportedField3": "DENSITY - Densidad (toneladas/m³) o Porosidad para patrones de petróleo",
-                    "exportedField4": "GRADE_CU - Ley de cobre (%) o Saturación de Petróleo para petróleo",
-                    "exportedField5": "GRADE_AU - Ley de oro (g/t) o Saturación de Gas para petróleo",
+                    "exportedField3": "DENSITY - Densidad (toneladas/m³)",
+                    "exportedField4": "GRADE_CU - Ley de cobre (%)",
+                    "exportedField5": "GRADE_AU - Ley de oro (g/t)",
                     "exportedField6": "ECON_VALUE - Valor económico",
                     "exportedField7": "ZONE - Identificador de zona (si aplica)",
-                    "exportPetroleumNote": "Nota: Para patrones de geología petrolera, los significados de los campos difieren. Consulta la sección Esquema de Datos para detalles sobre los mapeos de campos de petróleo.",
+                    "exportPetroleumNote": "Nota: Los patrones de geología petrolera exportan las propiedades del reservorio en sus propias columnas. Consulta la sección Esquema de Datos para más detalles.",
                     "exportTip": "Consejo: La exportación filtra automáticamente los \"bloques de aire\" (bloques con densidad = 0) para reducir el tamaño del archivo y mejorar la compatibilidad.",
-                    "exportWarning": "Nota: Los modelos grandes pueden producir archivos CSV grandes. Para modelos con >100,000 bloques, considera usar filtros antes de exportar. La exportación usa procesamiento por fragmentos para manejar modelos muy grandes (200x200x200+) sin alcanzar los límites de longitud de cadena de JavaScript."
+                    "exportWarning": "Nota: Los modelos grandes pueden producir archivos CSV grandes. Para modelos con >100,000 bloques, considera usar filtros antes de exportar. La exportación usa procesamiento por fragmentos para manejar modelos muy grandes (200x200x200+) sin alcanzar los límites de longitud de cadena de JavaScript.",
+                    "exportedField8": "GRADE_AG, GRADE_ZN, ... - Atributos de ley configurados; OIL_SAT, GAS_SAT y POROSITY para patrones de petróleo; ASH, CV, SULPHUR y MOISTURE para mantos de carbón; CPHT y DIAMOND_VALUE para chimeneas de kimberlita; VEIN_FRAC para stockworks",
+                    "exportedField9": "FAULT_BLOCK - Identificador del bloque de falla (modelos fallados)",
+                    "exportedField10": "OXIDATION, RECOVERY - Zona de meteorización y recuperación (modelos meteorizados)",
+                    "exportedField11": "PROP_ORE_HIGH, PROP_WASTE, ... - Proporciones de tipo de roca (modelos rebloqueados)",
+                    "exportedField12": "PIT - Primera cáscara de pit que extrae el bloque, 0 fuera de los pits (modelos con pit optimizado)",
+                    "exportedField13": "VALUE_PROCESS1, VALUE_WASTE - Valores de proceso y estéril (parámetros económicos con columnas de proceso)",
+                    "exportedField14": "P1_CU_+10, ... - Un valor económico por escenario (parámetros económicos con escenarios)",
+                    "exportedField15": "SLOPE - Ángulo de talud global según los taludes del pit (si se activa en Opciones de Exportación)",
+                    "exportOptions": "Opciones de Exportación",
+                    "exportOptionsDesc": "La sección Opciones de Exportación elige los encabezados del CSV. Los encabezados estándar usan los nombres de columna siguientes; los encabezados MiningMath añaden los prefijos de tipo de campo que lee MiningMath: @ para leyes y proporciones (@CU, @AU), % para la densidad (%Density), $ para valores económicos ($Value, $Process1, $Waste y escenarios como $P1 Cu +10) y / para el talud (/Slope). La columna de talud opcional toma los ángulos de la sección Optimización de Pit, primero los taludes por zona.",
+                    "exportedField16": "RESCAT - Categoría de recurso: 1 Medido, 2 Indicado, 3 Inferido (modelos clasificados)",
+                    "drillholeTables": "La sección Sondajes exporta sus propias tablas de collares, mediciones, ensayes y litología; vea Parámetros del Modelo.",
+                    "exportedField17": "GRADE_CU_OK, GRADE_CU_ID2, ... - Leyes estimadas, en blanco fuera de la búsqueda (modelos estimados)",
+                    "exportDatamine": "Exportación Datamine",
+                    "exportDatamineDesc": "Con el formato Datamine (.dm), el botón Exportar escribe un modelo de bloques Datamine nativo en lugar del CSV: campos en precisión simple en páginas de 512 palabras, registros ordenados por IJK y valores ausentes guardados como -1e30. Cada bloque tiene su centroide (XC, YC, ZC) y, en modelos con sub-bloques, su tamaño (XINC, YINC, ZINC); el tamaño de celda, el origen del modelo (XMORIG, YMORIG, ZMORIG) y el número de celdas (NX, NY, NZ) son campos implícitos. Los atributos siguen con nombres recortados a 8 caracteres (ROCKTYPE, DENSITY, GRADE_CU, ECONVALU, ...). Los modelos rotados se escriben en el sistema de la grilla y el archivo de definición de grilla del ZIP conserva la rotación.",
+                    "exportFormatList6": "GSLIB, pygslib y SGeMS (grilla GeoEAS)",
+                    "exportGslib": "GSLIB / GeoEAS",
+                    "exportGslibDesc": "El formato GSLIB / GeoEAS (.dat) escribe el título, el número de variables y un nombre de variable por línea, y luego una línea por celda de la grilla en el orden GSLIB: X más rápido, luego Y, luego Z desde la capa inferior hacia arriba, siguiendo los índices I, J, K de los bloques. Los bloques de aire se conservan, las celdas vacías y los valores faltantes son -999 y los modelos con sub-bloques se regularizan a las celdas padre. ROCKTYPE, ZONE y OXIDATION se escriben como códigos. GSLIB guarda la grilla en archivos de parámetros, por lo que el título lleva la definición de la grilla (nx xmn xsiz ny ymn ysiz nz zmn zsiz), la rotación y las leyendas de los códigos.",
+                    "exportGslibImport": "Importar Grilla GSLIB en la sección Opciones de Exportación carga una grilla GeoEAS como modelo actual. Las variables se asocian por sus nombres de exportación (CU y AU se leen como GRADE_CU y GRADE_AU, las demás variables GRADE_ se convierten en atributos de ley) y las celdas sin DENSITY pasan a ser aire. Los archivos sin definición de grilla en el título se leen en la grilla del modelo actual, así que ajuste los Parámetros del Modelo a la grilla y genere primero.",
+                    "exportFormatList7": "Leapfrog, Deswik y otros lectores OMF (Open Mining Format v1)",
+                    "exportOmf": "Open Mining Format (OMF)",
+                    "exportOmfDesc": "El formato Open Mining Format (.omf) escribe un proyecto OMF v1 con el modelo de bloques como grilla de volumen regular: el origen en la esquina inferior del modelo, los vectores de eje de la rotación de la grilla y un tamaño de tensor por celda. Los atributos de celda van con U más rápido, luego V, luego W hacia arriba; los campos numéricos son datos escalares y ROCKTYPE, ZONE y OXIDATION son datos mapeados con una leyenda de nombres (ROCKTYPE tiene además una leyenda con los colores de los materiales). Los modelos con sub-bloques se regularizan a las celdas padre. Con la opción de topografía, la superficie del terreno se agrega como superficie de grilla con sus elevaciones."
                 },
                 "schema": {
                     "title": "Esquema de Datos",
@@ -1042,7 +1730,7 @@ const EMBEDDED_TRANSLATIONS = {
                     "coordConvention4": "Precisión: 4 decimales para valores numéricos",
                     "petroleumMappings": "Mapeos de Campos de Geología Petrolera",
                     "petroleumMappingsTitle": "Significados Alternativos de Campos",
-                    "petroleumMappingsDesc": "Para patrones de geología petrolera (ej., Reservorio de Domo de Sal), los campos estándar se reutilizan para representar propiedades petroleras:",
+                    "petroleumMappingsDesc": "Para patrones de geología petrolera (ej., Reservorio de Domo de Sal), las propiedades del reservorio se exportan en sus propias columnas:",
                     "petroleumTableHeaderStandard": "Campo Estándar",
                     "petroleumTableHeaderPetroleum": "Significado Petrolero",
                     "petroleumTableHeaderUnits": "Unidades",
@@ -1053,7 +1741,8 @@ const EMBEDDED_TRANSLATIONS = {
                     "petroleumMapping5": "Valor Económico",
                     "petroleumMapping6": "Sal, CapRock, OilSand, GasSand, WaterSand, Shale",
                     "petroleumMapping7": "$/barril equivalente",
-                    "petroleumMappingsNote": "Nota: Este mapeo de campos permite que el mismo marco de modelo de bloques se use tanto para aplicaciones mineras como petroleras. Al exportar modelos petroleros, ten en cuenta que los nombres de los campos permanecen iguales pero los significados difieren."
+                    "petroleumMappingsNote": "Nota: GRADE_CU y GRADE_AU son 0 en los patrones de petróleo. Los atributos de ley configurados pueden correlacionarse con OIL_SAT, GAS_SAT o POROSITY.",
+                    "unitsFraction": "Fracción (0-1)"
                 },
                 "controls": {
                     "title": "Controles",
@@ -1134,8 +1823,437 @@ const EMBEDDED_TRANSLATIONS = {
                     "useCase5Title": "Geología Petrolera",
                     "useCase5Desc": "Usa el patrón Reservorio de Domo de Sal para demostrar conceptos de geología petrolera, modelado de reservorios y visualización de trampas de petróleo/gas.",
                     "proTip": "Consejo Profesional: Guarda tus combinaciones de parámetros para casos de uso comunes. La aplicación recuerda tu última configuración en el navegador."
+                },
+                "statistics": {
+                    "gradeTonnage": "Curvas Ley-Tonelaje",
+                    "gradeTonnageDesc": "El botón Ley-Tonelaje del modal de estadísticas abre un panel que recorre un rango de leyes de corte para cualquier campo numérico.",
+                    "gradeTonnageTonnes": "Toneladas - Volumen × densidad de cada bloque igual o superior a la ley de corte (se ignoran los bloques de aire)",
+                    "gradeTonnageGrade": "Ley Promedio - Promedio del campo ponderado por tonelaje por encima de la ley de corte",
+                    "gradeTonnageExport": "Exportar CSV - Descarga la tabla (p. ej. CUTOFF, BLOCKS, TONNES, AVG_GRADE_CU, CONTAINED)"
                 }
             }
+        },
+        "simulation": {
+            "title": "Simulación (SGS)",
+            "structure": "Estructura",
+            "nugget": "Pepita",
+            "sill": "Meseta",
+            "rangeMajor": "Alcance Mayor",
+            "rangeSemi": "Alcance Semi",
+            "rangeMinor": "Alcance Menor",
+            "azimuth": "Azimut",
+            "dip": "Buzamiento",
+            "plunge": "Inmersión",
+            "meanCu": "Media Cu %",
+            "meanAu": "Media Au g/t",
+            "cv": "Coeficiente de Variación",
+            "structures": {
+                "spherical": "Esférico",
+                "exponential": "Exponencial",
+                "gaussian": "Gaussiano"
+            }
+        },
+        "variogram": {
+            "title": "Variograma",
+            "open": "Variograma",
+            "field": "Campo",
+            "structure": "Estructura",
+            "nested": "Estructuras",
+            "lagSize": "Tamaño de Paso",
+            "lags": "Pasos",
+            "custom": "Personalizada",
+            "azimuth": "Azimut",
+            "dip": "Buzamiento",
+            "tolerance": "Tolerancia",
+            "calculate": "Calcular",
+            "lagDistance": "Distancia de paso (m)",
+            "gamma": "γ(h)",
+            "direction": "Dirección",
+            "model": "Modelo Ajustado",
+            "variance": "Varianza",
+            "noData": "No hay suficientes pares en esta dirección"
+        },
+        "materials.title": "Biblioteca de Materiales",
+        "materials.edit": "Editar Materiales",
+        "materials.hint": "Clase de patrón: la clase de patrón integrada que reemplaza este material (p. ej. Oxide para Ore_Low).",
+        "materials.name": "Nombre",
+        "materials.color": "Color",
+        "materials.density": "Densidad",
+        "materials.gradeCu": "Cu",
+        "materials.gradeAu": "Au",
+        "materials.econValue": "Valor",
+        "materials.zone": "Zona",
+        "materials.role": "Clase de Patrón",
+        "materials.noRole": "—",
+        "materials.add": "Añadir Material",
+        "materials.import": "Importar JSON",
+        "materials.export": "Exportar JSON",
+        "materials.reset": "Restablecer Valores",
+        "materials.delete": "Eliminar Material",
+        "materials.newName": "Nuevo Material",
+        "materials.saved": "Biblioteca de materiales guardada",
+        "materials.invalid": "Biblioteca de materiales no válida: {{message}}",
+        "materials.importError": "No se pudo importar la biblioteca de materiales: {{message}}",
+        "materials.duplicateName": "Nombre de material duplicado \"{{name}}\"",
+        "gradeAttributes": {
+            "title": "Atributos de Ley",
+            "edit": "Editar Atributos",
+            "hint": "Cada atributo es lognormal (media, CV) y está correlacionado con su ley principal (correlación entre puntuaciones normales, -1 a 1).",
+            "name": "Nombre",
+            "unit": "Unidad",
+            "mean": "Media",
+            "cv": "CV",
+            "primary": "Ley Principal",
+            "correlation": "Correlación",
+            "add": "Añadir Atributo",
+            "delete": "Eliminar Atributo",
+            "custom": "Personalizado",
+            "none": "Solo Cu y Au",
+            "saved": "Atributos de ley guardados",
+            "invalid": "Atributos de ley no válidos: {{message}}"
+        },
+        "scenario": {
+            "title": "Constructor de Escenarios",
+            "edit": "Editar Escenario",
+            "hint": "Los eventos se aplican de arriba hacia abajo; cada evento reemplaza los bloques permitidos por su regla dentro de su rango de profundidad (0 = techo del modelo, 1 = base).",
+            "event": "Evento",
+            "parameters": "Parámetros",
+            "rule": "Regla",
+            "top": "Techo",
+            "bottom": "Base",
+            "add": "Añadir Evento",
+            "reset": "Restablecer Escenario Predeterminado",
+            "saveAndGenerate": "Guardar y Generar",
+            "moveUp": "Subir",
+            "moveDown": "Bajar",
+            "delete": "Eliminar Evento",
+            "strike": "Rumbo",
+            "dip": "Buzamiento",
+            "thickness": "Espesor (m)",
+            "offset": "Desplazamiento (m)",
+            "depth": "Profundidad (m)",
+            "cuFactor": "Cu ×",
+            "auFactor": "Au ×",
+            "invalid": "Escenario no válido: {{message}}",
+            "tooManyEvents": "Un escenario puede tener como máximo {{max}} eventos",
+            "types": {
+                "pattern": "Patrón",
+                "dyke": "Dique",
+                "oxidation": "Oxidación"
+            },
+            "rules": {
+                "all": "Reemplazar todo",
+                "body": "Solo cuerpo",
+                "waste": "Solo estéril",
+                "ore": "Solo mineral"
+            }
+        },
+        "faults": {
+            "title": "Fallas",
+            "edit": "Editar Fallas",
+            "hint": "Las fallas se aplican en orden después del patrón. Cada falla buza hacia el rumbo + 90°; la posición es la distancia desde el centro del modelo hasta la falla en la dirección de buzamiento. El bloque colgante baja según el salto vertical (negativo para fallas inversas) y se desplaza en la dirección de buzamiento según el salto horizontal.",
+            "strike": "Rumbo (°)",
+            "dip": "Buzamiento (°)",
+            "position": "Posición (m)",
+            "throw": "Salto Vertical (m)",
+            "heave": "Salto Horizontal (m)",
+            "add": "Añadir Falla",
+            "delete": "Eliminar Falla",
+            "none": "Sin fallas",
+            "summaryItem": "F{{number}}: {{strike}}°/{{dip}}°, salto {{throw}} m",
+            "saved": "Fallas guardadas",
+            "invalid": "Fallas no válidas: {{message}}",
+            "tooMany": "Se admiten como máximo {{max}} fallas"
+        },
+        "topography": {
+            "title": "Topografía",
+            "surface": "Superficie",
+            "types": {
+                "flat": "Plana (Techo del Modelo)",
+                "hills": "Colinas Fractales",
+                "valley": "Valle",
+                "dem": "MDE Importado"
+            },
+            "relief": "Relieve (m)",
+            "wavelength": "Separación de Colinas (m)",
+            "azimuth": "Azimut del Valle",
+            "width": "Ancho del Valle (m)",
+            "importDem": "Importar MDE",
+            "noDem": "Ningún MDE importado",
+            "demLoaded": "{{name}} ({{count}} puntos)",
+            "demImported": "MDE importado: {{name}}",
+            "demInvalid": "MDE no válido: {{message}}",
+            "hint": "Los bloques sobre la superficie pasan a ser bloques de aire (densidad 0). Los MDE son puntos XYZ o grillas ASCII de ESRI en coordenadas del modelo."
+        },
+        "weathering": {
+            "title": "Perfil de Meteorización",
+            "edit": "Editar Perfil",
+            "hint": "Las zonas se suceden desde la superficie hacia abajo; la zona fresca llega hasta la base del modelo. La densidad y la ley de Cu se multiplican por los factores de cada zona y cada bloque recibe su zona (OXIDATION) y recuperación (RECOVERY).",
+            "enabled": "Aplicar perfil de meteorización",
+            "reference": "Perfil",
+            "references": {
+                "topography": "Paralelo a la topografía",
+                "flat": "Horizontal (techo del modelo)"
+            },
+            "zone": "Zona",
+            "zones": {
+                "OXIDE": "Óxido",
+                "LEACHED": "Lixiviada",
+                "SUPERGENE": "Supérgena",
+                "FRESH": "Fresca"
+            },
+            "thickness": "Espesor (m)",
+            "densityFactor": "Densidad ×",
+            "recovery": "Recuperación",
+            "cuFactor": "Cu ×",
+            "reset": "Restablecer Perfil Predeterminado",
+            "off": "Solo roca fresca",
+            "saved": "Perfil de meteorización guardado",
+            "invalid": "Perfil de meteorización no válido: {{message}}"
+        },
+        "kimberlite": {
+            "title": "Chimeneas de Kimberlita",
+            "pipeCount": "Chimeneas",
+            "radius": "Radio Superior",
+            "wallDip": "Buzamiento de Pared",
+            "craterDepth": "Base del Cráter",
+            "diatremeDepth": "Base de la Diatrema",
+            "rootDepth": "Profundidad de Raíz",
+            "craterCpht": "cpht Cráter",
+            "diatremeCpht": "cpht Diatrema",
+            "rootCpht": "cpht Raíz",
+            "craterValue": "$/ct Cráter",
+            "diatremeValue": "$/ct Diatrema",
+            "rootValue": "$/ct Raíz",
+            "hint": "Usado por el patrón Chimeneas de Kimberlita. El radio es una fracción del lado horizontal más corto del modelo; las profundidades de las facies son fracciones de la altura del modelo (0 = techo, 1 = base)."
+        },
+        "stockwork": {
+            "title": "Stockwork",
+            "veinCount": "Vetas",
+            "length": "Longitud (m)",
+            "aperture": "Apertura (m)",
+            "veinCu": "Cu Veta %",
+            "veinAu": "Au Veta g/t",
+            "setCount": "Familias",
+            "hint": "Usado por el patrón Stockwork. Las orientaciones de las vetas siguen una distribución de Fisher alrededor de cada familia; un kappa alto da vetas laminadas y un kappa bajo un stockwork aleatorio. La ley del bloque es la fracción de volumen de veta por la ley de la veta.",
+            "set1DipDirection": "Dir. Buz. Familia 1",
+            "set1Dip": "Buz. Familia 1",
+            "set1Kappa": "Kappa Familia 1",
+            "set2DipDirection": "Dir. Buz. Familia 2",
+            "set2Dip": "Buz. Familia 2",
+            "set2Kappa": "Kappa Familia 2",
+            "set3DipDirection": "Dir. Buz. Familia 3",
+            "set3Dip": "Buz. Familia 3",
+            "set3Kappa": "Kappa Familia 3"
+        },
+        "reblock": {
+            "title": "Rebloqueo",
+            "factorX": "Factor X",
+            "factorY": "Factor Y",
+            "factorZ": "Factor Z",
+            "rule": "Regla de Tipo de Roca",
+            "rules": {
+                "majority": "Mayoría",
+                "proportion": "Proporción de Mineral"
+            },
+            "oreProportion": "Fracción Mín. de Mineral",
+            "apply": "Rebloquear Modelo",
+            "hint": "Agrupa el modelo actual en bloques padre de factor × tamaño de celda. Las leyes se ponderan por tonelaje, los valores económicos se suman y las columnas PROP_ dan las proporciones de cada tipo de roca. El número de celdas debe ser divisible por los factores.",
+            "generateFirst": "Por favor, genere un modelo primero",
+            "done": "Modelo rebloqueado: {{count}} bloques de {{x}} × {{y}} × {{z}} m",
+            "error": "Error de rebloqueo: {{message}}"
+        },
+        "gradeTonnage": {
+            "open": "Ley-Tonelaje",
+            "title": "Ley-Tonelaje",
+            "field": "Campo",
+            "minCutoff": "Ley de Corte Mín.",
+            "maxCutoff": "Ley de Corte Máx.",
+            "steps": "Pasos",
+            "calculate": "Calcular",
+            "export": "Exportar CSV",
+            "noField": "El modelo no tiene ningún campo numérico para analizar",
+            "cutoff": "Ley de corte",
+            "tonnes": "Toneladas",
+            "grade": "{{field}} prom.",
+            "averageGrade": "Ley Prom."
+        },
+        "pit": {
+            "title": "Optimización de Pit",
+            "slopeN": "Talud N (°)",
+            "slopeE": "Talud E (°)",
+            "slopeS": "Talud S (°)",
+            "slopeW": "Talud O (°)",
+            "zoneSlopes": "Taludes por Zona",
+            "rfMin": "FR Mín.",
+            "rfMax": "FR Máx.",
+            "rfStep": "Paso FR",
+            "optimize": "Optimizar Pit",
+            "shell": "Cáscara Mostrada",
+            "hideShell": "Ninguna",
+            "shellOption": "Cáscara {{shell}} (FR {{rf}})",
+            "shellColumn": "Cáscara",
+            "rfColumn": "FR",
+            "tonnesColumn": "Toneladas",
+            "valueColumn": "Valor",
+            "hint": "Calcula el pit final y una cáscara anidada por factor de ingreso (FR) a partir de los valores económicos. Los taludes entre las direcciones cardinales se interpolan; los taludes por zona (ZONA=ángulo) se aplican a los bloques cuya zona o zona de meteorización coincide. Cada bloque recibe la primera cáscara que lo extrae (PIT, 0 fuera).",
+            "generateFirst": "Genere un modelo primero",
+            "optimizing": "Optimizando cáscaras de pit...",
+            "done": "{{shells}} cáscaras de pit optimizadas; pit final: {{count}} bloques, {{tonnes}} t",
+            "error": "Error de optimización de pit: {{message}}"
+        },
+        "economics": {
+            "title": "Parámetros Económicos",
+            "edit": "Editar Parámetros",
+            "hint": "ECON_VALUE pasa a ser el valor del bloque (no por tonelada): el Cu y Au recuperados a los precios netos menos los costos de mina y proceso, o solo el costo de mina cuando es mejor (estéril). El costo de mina aumenta con la profundidad bajo el tope del modelo. Al guardar se recalcula el modelo actual sin regenerarlo.",
+            "enabled": "Calcular valores económicos",
+            "processColumns": "Exportar valores de proceso y estéril (VALUE_PROCESS1, VALUE_WASTE)",
+            "cuPrice": "Precio Cu (/t)",
+            "cuSellingCost": "Costo Venta Cu (/t)",
+            "auPrice": "Precio Au (/oz)",
+            "auSellingCost": "Costo Venta Au (/oz)",
+            "miningCost": "Costo Mina (/t)",
+            "miningCostIncrement": "Incremento por Profundidad (/t/m)",
+            "processingCost": "Costo Proceso (/t)",
+            "rockType": "Tipo de Roca",
+            "cuRecovery": "Recuperación Cu",
+            "auRecovery": "Recuperación Au",
+            "defaultRecovery": "Por defecto",
+            "reset": "Restablecer Parámetros por Defecto",
+            "off": "Valores de los materiales",
+            "summaryCu": "Cu {{price}}/t",
+            "summaryAu": "Au {{price}}/oz",
+            "summaryMining": "Mina {{cost}}/t",
+            "summaryProcessing": "Proceso {{cost}}/t",
+            "saved": "Parámetros económicos guardados",
+            "applied": "Valores económicos recalculados para {{count}} bloques",
+            "invalid": "Parámetros económicos no válidos: {{message}}",
+            "scenarios": "Escenarios",
+            "scenarioHint": "Cada escenario cambia precios y costos en un porcentaje y añade una columna de valor con su nombre (p. ej. P1 Cu +10 para un precio del Cu un 10% mayor). Con encabezados MiningMath las columnas se exportan como $P1 Cu +10.",
+            "scenarioName": "Nombre de Columna",
+            "cuPriceChange": "Precio Cu %",
+            "auPriceChange": "Precio Au %",
+            "miningCostChange": "Costo Mina %",
+            "processingCostChange": "Costo Proceso %",
+            "addScenario": "Añadir Escenario",
+            "exampleScenarios": "Sensibilidades de Precio",
+            "removeScenario": "Eliminar Escenario",
+            "noScenarios": "Sin escenarios",
+            "summaryScenarios": "{{count}} escenarios"
+        },
+        "exportOptions": {
+            "title": "Opciones de Exportación",
+            "headerStyle": "Encabezados CSV",
+            "headerStyles": {
+                "standard": "Estándar (GRADE_CU, DENSITY)",
+                "miningmath": "MiningMath (@CU, %Density, $Value)"
+            },
+            "slopeColumn": "Columna de talud según los taludes del pit (SLOPE, /Slope)",
+            "hint": "Los encabezados MiningMath anteponen @ a las leyes, % a la densidad, $ a los valores económicos y escenarios y / al talud. Los archivos Datamine son modelos de bloques en precisión simple ordenados por IJK, con nombres de campo recortados a 8 caracteres. Las grillas GSLIB listan todas las celdas (X más rápido, Z hacia arriba) con los campos de texto como códigos; la grilla y los códigos se guardan en el título, y los archivos sin ellos se leen en la grilla actual. Los archivos OMF contienen el modelo de bloques con atributos tipados (ROCKTYPE como leyenda con los colores de los materiales) y la superficie topográfica.",
+            "format": "Formato",
+            "formats": {
+                "csv": "CSV (comprimido)",
+                "datamine": "Datamine (.dm)",
+                "gslib": "GSLIB / GeoEAS (.dat)",
+                "omf": "Open Mining Format (.omf)"
+            },
+            "omfTopography": "Superficie topográfica en archivos OMF"
+        },
+        "classification": {
+            "title": "Clasificación de Recursos",
+            "method": "Método",
+            "methods": {
+                "distance": "Distancia al Sondaje más Cercano",
+                "spacing": "Espaciamiento de Sondajes"
+            },
+            "spacing": "Espaciamiento de Malla (m)",
+            "infill": "Extensión de Relleno",
+            "holeDepth": "Profundidad de Sondaje",
+            "jitter": "Desplazamiento de Collar",
+            "measured": "Medido (m)",
+            "indicated": "Indicado (m)",
+            "classify": "Clasificar Recursos",
+            "hint": "Perfora una malla sintética de sondajes verticales (medio espaciamiento en el área central de relleno) y clasifica cada bloque como Medido (1), Indicado (2) o Inferido (3) según su distancia al sondaje más cercano o el espaciamiento local. Profundidad y extensiones son fracciones del tamaño del modelo. Los resultados aparecen en las estadísticas del modelo y se exportan como RESCAT.",
+            "report": "Informe de Recursos",
+            "category": "Categoría",
+            "tonnes": "Toneladas",
+            "categories": {
+                "1": "Medido",
+                "2": "Indicado",
+                "3": "Inferido"
+            },
+            "generateFirst": "Genere un modelo antes de clasificarlo",
+            "done": "Modelo clasificado con {{holes}} sondajes: {{measured}} bloques Medidos, {{indicated}} Indicados y {{inferred}} Inferidos",
+            "error": "Error en la clasificación de recursos: {{message}}",
+            "useDrillholes": "Usar los sondajes simulados en lugar de la malla",
+            "drillFirst": "Perfore primero el modelo o desmarque Usar los sondajes simulados"
+        },
+        "drillholes": {
+            "title": "Sondajes",
+            "pattern": "Collares",
+            "patterns": {
+                "grid": "Malla",
+                "random": "Aleatorio"
+            },
+            "spacing": "Espaciamiento (m)",
+            "count": "Sondajes",
+            "azimuth": "Azimut (°)",
+            "dip": "Inclinación (°)",
+            "length": "Largo (m)",
+            "deviation": "Desviación (°/100 m)",
+            "surveyInterval": "Intervalo de Medición (m)",
+            "sampleLength": "Largo de Muestra (m)",
+            "assayError": "Error de Ensaye (CV)",
+            "showTraces": "Mostrar trazas en la vista 3D",
+            "simulate": "Perforar",
+            "export": "Exportar Tablas",
+            "hint": "Perfora el modelo actual y ensaya las leyes de los bloques con un error lognormal. La inclinación se mide bajo la horizontal; el azimut y la inclinación derivan al azar según la desviación. Exporta las tablas CSV de collares, mediciones, ensayes y litología (inclinaciones negativas hacia abajo).",
+            "generateFirst": "Genere un modelo antes de perforarlo",
+            "drillFirst": "Perfore el modelo antes de exportar las tablas",
+            "done": "Se perforaron {{holes}} sondajes con {{samples}} muestras ensayadas",
+            "exported": "Se exportaron las tablas de {{holes}} sondajes",
+            "error": "Falló la simulación de sondajes: {{message}}",
+            "exportError": "Falló la exportación de sondajes: {{message}}"
+        },
+        "estimation": {
+            "title": "Estimación de Leyes",
+            "field": "Ley",
+            "power": "Potencia IDW",
+            "kriging": "Kriging ordinario",
+            "idw": "Inverso de la distancia",
+            "nugget": "Pepita (de la meseta)",
+            "rangeMajor": "Alcance Mayor (m)",
+            "rangeSemi": "Alcance Semi (m)",
+            "rangeMinor": "Alcance Menor (m)",
+            "searchMajor": "Búsqueda Mayor (m)",
+            "searchSemi": "Búsqueda Semi (m)",
+            "searchMinor": "Búsqueda Menor (m)",
+            "azimuth": "Azimut (°)",
+            "dip": "Manteo (°)",
+            "minSamples": "Mín. Muestras",
+            "maxSamples": "Máx. Muestras",
+            "discretization": "Discretización",
+            "estimate": "Estimar Leyes",
+            "hint": "Estima la ley de cada bloque a partir de las muestras de los sondajes simulados y la guarda junto a la ley real (p. ej. GRADE_CU_OK, GRADE_CU_ID2). El variograma y el elipsoide de búsqueda comparten el azimut y el manteo; se promedian los puntos de discretización por eje del bloque. Las estadísticas del modelo comparan las estimaciones con las leyes reales.",
+            "generateFirst": "Genere un modelo antes de estimarlo",
+            "drillFirst": "Perfore el modelo en la sección Sondajes antes de estimarlo",
+            "done": "Se estimaron {{blocks}} bloques ({{fields}})",
+            "error": "Falló la estimación de leyes: {{message}}",
+            "estimateColumn": "Estimación",
+            "mean": "Media (est. / real)",
+            "bias": "Sesgo",
+            "rmse": "RMSE",
+            "correlation": "r",
+            "slope": "Pendiente",
+            "trueGrade": "{{field}} real",
+            "estimatedGrade": "{{field}} estimado"
+        },
+        "gslib": {
+            "import": "Importar Grilla GSLIB",
+            "importing": "Leyendo {{name}}...",
+            "imported": "Grilla GSLIB {{name}} cargada: {{count}} bloques ({{variables}}).",
+            "importedIgnored": "Grilla GSLIB {{name}} cargada: {{count}} bloques ({{variables}}). Variables ignoradas: {{ignored}}.",
+            "importError": "Falló la importación GSLIB: {{message}}"
         }
     },
     'fr': {
@@ -1167,7 +2285,15 @@ const EMBEDDED_TRANSLATIONS = {
             "cellsX": "Cellules X",
             "cellsY": "Cellules Y",
             "cellsZ": "Cellules Z",
-            "materialPattern": "Motif de Matériau"
+            "materialPattern": "Motif de Matériau",
+            "subBlocking": "Sous-blocs",
+            "subBlockLevels": "Niveaux de Sous-bloc",
+            "bearing": "Azimut",
+            "dip": "Pendage",
+            "plunge": "Plongement",
+            "seed": "Graine",
+            "seedPlaceholder": "Aléatoire",
+            "keepSeed": "Conserver la graine"
         },
         "patterns": {
             "uniform": "Uniforme",
@@ -1181,7 +2307,12 @@ const EMBEDDED_TRANSLATIONS = {
             "ellipsoid_ore": "Corps de Minerai Ellipsoïdal",
             "vein_ore": "Corps de Minerai de Veine/Structurel",
             "porphyry_ore": "Zonage Style Porphyre",
-            "salt_dome": "Réservoir de Dôme de Sel (Pétrole)"
+            "salt_dome": "Réservoir de Dôme de Sel (Pétrole)",
+            "sgs": "Simulation Gaussienne Séquentielle",
+            "scenario": "Scénario Géologique",
+            "coal_seams": "Veines de Charbon (Stratiformes)",
+            "kimberlite_pipe": "Cheminées de Kimberlite (Diamants)",
+            "stockwork": "Stockwork / Veines en Faisceau"
         },
         "visualization": {
             "title": "Visualisation",
@@ -1260,11 +2391,27 @@ const EMBEDDED_TRANSLATIONS = {
             "exportError": "Erreur d'exportation : {{message}}. Tentative d'exportation en CSV...",
             "csvError": "Erreur d'exportation CSV : {{message}}",
             "imageExportSuccess": "Image du viewport enregistrée avec succès",
-            "imageExportError": "Erreur d'exportation d'image : {{message}}"
+            "imageExportError": "Erreur d'exportation d'image : {{message}}",
+            "subBlocking": "Raffinement des contacts en sous-blocs...",
+            "applyingFaults": "Application des rejets de failles...",
+            "datamineSuccess": "Fichier Datamine exporté : {{count}} blocs ({{size}} Mo).",
+            "datamineError": "Erreur d'exportation Datamine : {{message}}",
+            "gslibSuccess": "Grille GSLIB exportée : {{count}} cellules ({{size}} Mo).",
+            "gslibError": "Erreur d'exportation GSLIB : {{message}}",
+            "omfSuccess": "Projet OMF exporté : {{count}} cellules ({{size}} Mo).",
+            "omfError": "Erreur d'exportation OMF : {{message}}",
+            "sgsSearchLimited": "Recherche SGS limitée à {{cells}} cellules autour de chaque bloc ; la portée du variogramme de {{range}} m va plus loin."
         },
         "errors": {
             "cellSizeInvalid": "Les tailles de cellule doivent être supérieures à 0",
-            "cellCountInvalid": "Le nombre de cellules doit être supérieur à 0"
+            "cellCountInvalid": "Le nombre de cellules doit être supérieur à 0",
+            "subBlockLevelInvalid": "Les niveaux de sous-bloc doivent être un nombre entier entre 1 et {{max}}",
+            "rotationInvalid": "L'azimut doit être compris entre 0 et 360 ; le pendage et le plongement entre -90 et 90",
+            "sgsModelTooLarge": "La simulation gaussienne séquentielle est limitée à {{max}} blocs",
+            "variogramLagsInvalid": "Le pas doit être supérieur à 0 et le nombre de pas entre 1 et 50",
+            "variogramNoDirection": "Sélectionnez au moins une direction de variogramme",
+            "seedInvalid": "La graine doit être un nombre entier compris entre 0 et {{max}}",
+            "faultsWithSubBlocks": "Les failles ne peuvent pas être combinées avec les sous-blocs ; désactivez l'une des deux options"
         },
         "stats": {
             "title": "Statistiques d'Utilisation",
@@ -1285,7 +2432,7 @@ const EMBEDDED_TRANSLATIONS = {
             "totalVolume": "Volume Total Généré",
             "currentSession": "Session Actuelle",
             "modelsGenerated": "Modèles Générés",
-            "of12": "sur 12",
+            "ofPatterns": "sur {{count}}",
             "of7": "sur 7",
             "of4": "sur 4",
             "blocks": "blocs",
@@ -1317,7 +2464,10 @@ const EMBEDDED_TRANSLATIONS = {
                 "sizeLarge": "Modèle à grande échelle (100K+ blocs)",
                 "sizeMediumLarge": "Modèle moyen-grand (50K+ blocs)",
                 "sizeMedium": "Modèle à échelle moyenne (10K+ blocs)"
-            }
+            },
+            "airBlocks": "Blocs d'Air",
+            "resources": "Ressources",
+            "estimation": "Estimations vs. Teneurs Réelles"
         },
         "gallery": {
             "title": "Galerie de Modèles",
@@ -1339,7 +2489,9 @@ const EMBEDDED_TRANSLATIONS = {
             "blocks": "blocs",
             "nameTooLong": "Le nom du modèle doit contenir {{max}} caractères ou moins",
             "storageQuotaExceeded": "Quota de stockage dépassé. Certaines données peuvent ne pas être enregistrées.",
-            "storageReduced": "Stockage plein. Taille de la galerie réduite pour économiser de l'espace."
+            "storageReduced": "Stockage plein. Taille de la galerie réduite pour économiser de l'espace.",
+            "reblockedModel": "Les modèles rebloqués ne peuvent pas être enregistrés dans la galerie ; enregistrez le modèle avant de le rebloquer",
+            "importedModel": "Les modèles importés ne peuvent pas être enregistrés dans la galerie"
         },
         "tooltip": {
             "title": "Informations sur le Bloc",
@@ -1356,7 +2508,14 @@ const EMBEDDED_TRANSLATIONS = {
                 "density": "t/m³",
                 "cuGrade": "%",
                 "auGrade": "g/t"
-            }
+            },
+            "size": "Taille :",
+            "faultBlock": "Compartiment de Faille :",
+            "oxidation": "Oxydation :",
+            "recovery": "récupération",
+            "pit": "Coque de Fosse :",
+            "pitOutside": "Hors fosse",
+            "resCat": "Catégorie de Ressource :"
         },
         "controls": {
             "hint": "Contrôles : Glisser avec clic gauche pour tourner | Glisser avec clic droit pour déplacer | Faire défiler pour zoomer"
@@ -1448,7 +2607,49 @@ const EMBEDDED_TRANSLATIONS = {
                     "totalBlocks": "Total de blocs = Cellules X × Cellules Y × Cellules Z",
                     "largerModels": "Les modèles plus grands prennent plus de temps à générer et à rendre",
                     "performanceNote": "Note sur les Performances : Les modèles avec plus de 50 000 blocs peuvent prendre plus de temps à générer. L'application utilise automatiquement la mise en cache pour les grands modèles.",
-                    "tipTesting": "Astuce : Pour les tests, commencez avec des modèles plus petits (10×10×10 = 1 000 blocs). Pour la production, utilisez des dimensions minières réalistes (ex. : 50×50×30 = 75 000 blocs)."
+                    "tipTesting": "Astuce : Pour les tests, commencez avec des modèles plus petits (10×10×10 = 1 000 blocs). Pour la production, utilisez des dimensions minières réalistes (ex. : 50×50×30 = 75 000 blocs).",
+                    "reblocking": "Rebloquage",
+                    "reblockingDesc": "La section Rebloquage regroupe le modèle actuel en blocs parents plus grands, afin d'exporter le même gisement à plusieurs tailles de bloc (par ex. 5 m pour le contrôle des teneurs et 25 m pour un modèle stratégique).",
+                    "reblockingFactors": "Facteur X, Y, Z - Cellules enfants par bloc parent dans chaque direction ; le nombre de cellules doit être divisible par les facteurs",
+                    "reblockingGrades": "Teneurs - Moyennes pondérées par le tonnage ; les valeurs économiques sont additionnées et la densité est le tonnage du bloc parent divisé par son volume",
+                    "reblockingRule": "Règle de Type de Roche - Majorité (plus grand tonnage) ou Proportion de Minerai (le type de minerai principal lorsque le minerai atteint la fraction minimale du tonnage, sinon stérile)",
+                    "reblockingProportions": "PROP_ORE_HIGH, PROP_WASTE, ... - Proportion en volume de chaque type de roche dans le bloc parent",
+                    "pitOptimization": "Optimisation de Fosse",
+                    "pitOptimizationDesc": "La section Optimisation de Fosse calcule la fosse ultime à ciel ouvert du modèle actuel à partir des valeurs économiques (ECON_VALUE). La fosse est la fermeture maximale des valeurs des blocs, résolue comme une coupe minimale, ce qui donne la même fosse que l'algorithme de Lerchs-Grossmann.",
+                    "pitSlopes": "Pente N, E, S, O - Angle de pente global (10-90°) vers chaque direction cardinale ; les angles intermédiaires sont interpolés",
+                    "pitZoneSlopes": "Pentes par Zone - Paires ZONE=angle séparées par des virgules (p. ex. OXIDE=35, LEACHED=38) ; elles remplacent les pentes cardinales pour les blocs dont la zone ou la zone d'altération correspond",
+                    "pitRevenueFactors": "FR Min., FR Max., Pas FR - Balayage des facteurs de revenu ; les valeurs positives des blocs sont multipliées par chaque facteur et chaque facteur donne une coque imbriquée",
+                    "pitAttribute": "PIT - La première coque qui extrait le bloc (0 hors des fosses) ; la coque choisie dans la section est dessinée dans la vue 3D",
+                    "pitLimits": "La grille ne doit avoir ni pendage ni plongement et peut contenir jusqu'à 30 000 cellules ; les sous-blocs sont sommés dans leur cellule parente.",
+                    "economics": "Paramètres Économiques",
+                    "economicsDesc": "La section Paramètres Économiques remplace les valeurs économiques des matériaux par des valeurs de bloc calculées à partir des teneurs, de la densité et des coûts. L'enregistrement des paramètres recalcule le modèle actuel sans le régénérer ; les nouveaux modèles sont valorisés de la même façon tant que les paramètres sont activés.",
+                    "economicsPrices": "Prix et Coûts de Vente - Cu par tonne de métal et Au par once troy ; le coût de vente (fonderie, affinage, transport) est déduit du prix",
+                    "economicsRecoveries": "Récupérations - Récupération du Cu et de l'Au par type de roche (la ligne par défaut couvre les autres) ; les blocs altérés utilisent la récupération Cu de leur zone d'altération",
+                    "economicsCosts": "Coûts d'Extraction et de Traitement - Par tonne ; l'incrément de profondeur s'ajoute au coût d'extraction pour chaque mètre sous le toit du modèle",
+                    "economicsValue": "ECON_VALUE - La meilleure valeur entre le traitement (revenu moins extraction et traitement) et le stérile (coût d'extraction seul), pour le bloc entier",
+                    "economicsColumns": "VALUE_PROCESS1, VALUE_WASTE - Colonnes optionnelles avec les deux valeurs, correspondant à $Process1 et $Waste de MiningMath",
+                    "economicsScenarios": "Scénarios - Sensibilités de prix et de coûts (p. ex. P1 Cu +10 pour un prix du Cu 10% plus élevé) ; chaque scénario ajoute une colonne de valeur à son nom, et Sensibilités de Prix ajoute les scénarios de prix du Cu du schéma MiningMath",
+                    "classification": "Classification des Ressources",
+                    "classificationDesc": "La section Classification des Ressources fore une maille synthétique de sondages verticaux sur le modèle courant et classe chaque bloc de roche en Mesurée (1), Indiquée (2) ou Présumée (3). La catégorie est exportée en RESCAT et les statistiques du modèle donnent le tonnage et la teneur par catégorie, que le bouton Rapport de Ressources enregistre en CSV.",
+                    "classificationPattern": "Espacement de Maille, Étendue du Resserrement - Sondages sur une grille carrée ; la fraction centrale du modèle donnée par l'étendue du resserrement est forée à demi-espacement",
+                    "classificationHoles": "Profondeur des Sondages, Décalage des Collets - Les sondages partent de la surface du terrain et forent cette fraction de la hauteur du modèle ; les collets sont décalés au hasard jusqu'à cette fraction de l'espacement (même graine que le modèle)",
+                    "classificationMethods": "Méthode - Distance du bloc au sondage le plus proche, ou espacement local (√2 × la distance moyenne aux quatre sondages les plus proches, égal à l'espacement de la maille entre quatre sondages)",
+                    "classificationLimits": "Mesurée, Indiquée - Plus grande distance ou espacement de chaque catégorie ; les autres blocs sont Présumés",
+                    "drillholes": "Sondages",
+                    "drillholesDesc": "La section Sondages fore le modèle courant comme une campagne d'exploration. Chaque échantillon prend les teneurs du bloc à son milieu avec une erreur d'analyse lognormale, de sorte que les sondages peuvent être exportés vers un logiciel minier ou servir à classer les ressources.",
+                    "drillholesCollars": "Collets, Espacement, Sondages - Collets sur une grille carrée à l'espacement donné ou à des positions aléatoires sur le modèle, à la surface du terrain",
+                    "drillholesOrientation": "Azimut, Pendage, Longueur - Direction initiale (pendage sous l'horizontale) et longueur du sondage",
+                    "drillholesDeviation": "Déviation, Intervalle de Mesure - L'azimut et le pendage dérivent au hasard d'environ autant de degrés par 100 m entre les mesures ; la trace est calculée par la méthode tangentielle équilibrée",
+                    "drillholesSamples": "Longueur d'Échantillon, Erreur d'Analyse - Longueur des intervalles d'analyse et coefficient de variation de l'erreur d'analyse (0 analyse les teneurs réelles des blocs)",
+                    "drillholesTables": "Exporter les Tables - Tables des collets (HOLEID, X, Y, Z, LENGTH, AZIMUTH, DIP), des mesures (HOLEID, DEPTH, AZIMUTH, DIP), des analyses (HOLEID, FROM, TO, CU, AU, ...) et de la lithologie (HOLEID, FROM, TO, LITH) dans un fichier ZIP ; les pendages sont négatifs vers le bas",
+                    "classificationDrillholes": "Utiliser les sondages simulés - Classe à partir des sondages forés au lieu de la maille synthétique",
+                    "estimation": "Estimation des Teneurs",
+                    "estimationDesc": "La section Estimation des Teneurs estime la teneur en Cu ou Au de chaque bloc à partir des échantillons de la section Sondages, afin de comparer une estimation aux teneurs réelles produites par le générateur. Les estimations sont stockées à côté de la teneur réelle sous GRADE_CU_OK (krigeage ordinaire) et GRADE_CU_ID2 (inverse de la distance à la puissance 2) ; les blocs sans assez d'échantillons restent vides.",
+                    "estimationVariogram": "Structure, Pépite, Portées - Variogramme du krigeage ; la pépite est une fraction du palier",
+                    "estimationSearch": "Recherche, Azimut, Pendage - Rayons de l'ellipsoïde de recherche ; le variogramme et l'ellipsoïde partagent l'orientation, et l'inverse de la distance utilise la distance anisotrope de l'ellipsoïde",
+                    "estimationSamples": "Échantillons Min., Échantillons Max. - Les blocs avec moins d'échantillons dans l'ellipsoïde ne sont pas estimés ; les échantillons les plus proches sont utilisés jusqu'au maximum",
+                    "estimationDiscretization": "Discrétisation - Points par axe du bloc ; le krigeage moyenne les covariances et l'inverse de la distance les estimations ponctuelles sur ces points",
+                    "estimationStats": "Statistiques du Modèle - Blocs, moyenne estimée face à la moyenne réelle, biais relatif, RMSE, corrélation et pente de régression des teneurs réelles sur les estimations (1 signifie aucun biais conditionnel) pour chaque estimation, avec un nuage de points réel vs. estimé par teneur"
                 },
                 "patterns": {
                     "title": "Motifs de Matériau",
@@ -1477,10 +2678,10 @@ const EMBEDDED_TRANSLATIONS = {
                     "saltDomeFeature3": "Zones d'eau sous le contact eau-pétrole",
                     "saltDomeFeature4": "Plusieurs types de matériaux : Sel, CapRock, OilSand, GasSand, WaterSand, Shale",
                     "saltDomeFeature5": "Position du dôme, taille, zones de piège et propriétés du matériau randomisées",
-                    "saltDomeFieldMapping": "Mappage des Champs : Pour la géologie pétrolière, les champs standard sont réutilisés :",
-                    "saltDomeField1": "gradeCu = Saturation en Pétrole (%)",
-                    "saltDomeField2": "gradeAu = Saturation en Gaz (%)",
-                    "saltDomeField3": "density = Porosité (%)",
+                    "saltDomeFieldMapping": "Mappage des Champs : Les propriétés du réservoir sont écrites dans leurs propres champs :",
+                    "saltDomeField1": "Saturation en Pétrole (%)",
+                    "saltDomeField2": "Saturation en Gaz (%)",
+                    "saltDomeField3": "Porosité (fraction, 0-1)",
                     "saltDomeField4": "rockType = Type de matériau (Sel, CapRock, OilSand, GasSand, WaterSand, Shale)",
                     "saltDomeTip": "Astuce : Chaque génération produit une structure de dôme de sel différente avec des dimensions, positions et propriétés du matériau randomisées.",
                     "randomClustersDesc": "Crée plusieurs grappes de minerai distribuées aléatoirement. Simule les gisements disséminés ou en stockwork.",
@@ -1490,7 +2691,31 @@ const EMBEDDED_TRANSLATIONS = {
                     "checkerboardDesc": "Motif alterné de matériaux. Bon pour tester les outils de filtrage et de visualisation.",
                     "gradientDesc": "Transition progressive des propriétés d'un côté à l'autre. Utile pour tester la visualisation.",
                     "layeredDesc": "Crée des couches horizontales de différents matériaux. Simule les gisements sédimentaires.",
-                    "uniformDesc": "Tous les blocs ont les mêmes propriétés de matériau. Utile pour les tests ou les modèles simples."
+                    "uniformDesc": "Tous les blocs ont les mêmes propriétés de matériau. Utile pour les tests ou les modèles simples.",
+                    "coalSeamsDesc": "Crée une série de veines de charbon ondulées séparées par des intercalaires stériles. Simule des bassins houillers et d'autres gisements stratiformes pour les flux de travail de réserves basés sur l'épaisseur.",
+                    "coalSeamsFeature1": "3-4 veines avec pendage régional, ondulation ample et variation latérale d'épaisseur",
+                    "coalSeamsFeature2": "Biseautages où une veine s'amincit jusqu'à disparaître",
+                    "coalSeamsFeature3": "Veines dédoublées avec un intercalaire stérile qui s'épaissit en s'éloignant de la ligne de dédoublement",
+                    "coalSeamsFeature4": "Noms des veines dans ZONE (SEAM_A, SEAM_B1, SEAM_B2, SEAM_B_PARTING, OVERBURDEN, INTERBURDEN, UNDERBURDEN)",
+                    "coalSeamsFieldMapping": "Mappage des Champs : La qualité du charbon est écrite dans ses propres champs :",
+                    "coalSeamsField1": "Cendres (%)",
+                    "coalSeamsField2": "Pouvoir calorifique (MJ/kg, brut)",
+                    "coalSeamsField3": "Soufre total (%)",
+                    "coalSeamsField4": "Humidité (%)",
+                    "kimberliteDesc": "Crée des cheminées de kimberlite en forme de carotte pour tester les gisements de diamants. Les paramètres se règlent dans la section Cheminées de Kimberlite.",
+                    "kimberliteFeature1": "Faciès de cratère au sommet, un diatrème dont les parois se resserrent avec la profondeur et une zone de racine hypabyssale qui s'effile vers le conduit d'alimentation",
+                    "kimberliteFeature2": "Nombre de cheminées, rayon supérieur, pendage des parois et profondeurs du cratère, du diatrème et de la racine configurables",
+                    "kimberliteFeature3": "La teneur (carats par cent tonnes) et la valeur du diamant par carat varient selon le faciès",
+                    "kimberliteFeature4": "Cheminées elliptiques et inclinées avec des parois et des contacts de faciès irréguliers",
+                    "kimberliteFieldMapping": "Mappage des Champs : La teneur et la valeur des diamants sont écrites dans leurs propres champs :",
+                    "kimberliteField1": "Teneur (carats par cent tonnes)",
+                    "kimberliteField2": "Valeur du diamant (par carat)",
+                    "kimberliteField3": "Faciès (CRATER, DIATREME, ROOT ou COUNTRY_ROCK)",
+                    "stockworkDesc": "Crée un essaim de courts segments de veine dans une enveloppe ellipsoïdale. Les paramètres se règlent dans la section Stockwork.",
+                    "stockworkFeature1": "Orientations des veines tirées de 1 à 3 familles avec une distribution de Fisher (kappa élevé = veines en faisceau)",
+                    "stockworkFeature2": "Veines en forme de disque avec longueur, ouverture et teneur lognormale variables",
+                    "stockworkFeature3": "Teneur du bloc = fraction volumique de veine × teneur de la veine, d'où des distributions asymétriques à fort effet de pépite",
+                    "stockworkFeature4": "Fraction volumique de veine exportée en VEIN_FRAC ; les blocs contenant des veines sont dans la zone STOCKWORK"
                 },
                 "visualization": {
                     "title": "Visualisation",
@@ -1549,7 +2774,7 @@ const EMBEDDED_TRANSLATIONS = {
                     "exportFormatList2": "Vulcan",
                     "exportFormatList3": "Surpac",
                     "exportFormatList4": "MineSight",
-                    "exportFormatList5": "Datamine",
+                    "exportFormatList5": "Datamine (CSV ou fichier .dm natif)",
                     "exportProcess": "Processus d'Exportation",
                     "exportProcessStep1": "Générez votre modèle de blocs",
                     "exportProcessStep2": "Cliquez sur le bouton \"Exporter\"",
@@ -1559,14 +2784,36 @@ const EMBEDDED_TRANSLATIONS = {
                     "exportedFieldsDesc": "Le CSV inclut toutes les propriétés pertinentes des blocs :",
                     "exportedField1": "X, Y, Z - Coordonnées du centroïde du bloc (mètres)",
                     "exportedField2": "ROCKTYPE - Classification du type de roche (ou type de matériau pour le pétrole)",
-                    "exportedField3": "DENSITY - Densité (tonnes/m³) ou Porosité pour les motifs pétroliers",
-                    "exportedField4": "GRADE_CU - Teneur en cuivre (%) ou Saturation en Pétrole pour le pétrole",
-                    "exportedField5": "GRADE_AU - Teneur en or (g/t) ou Saturation en Gaz pour le pétrole",
+                    "exportedField3": "DENSITY - Densité (tonnes/m³)",
+                    "exportedField4": "GRADE_CU - Teneur en cuivre (%)",
+                    "exportedField5": "GRADE_AU - Teneur en or (g/t)",
                     "exportedField6": "ECON_VALUE - Valeur économique",
                     "exportedField7": "ZONE - Identifiant de zone (le cas échéant)",
-                    "exportPetroleumNote": "Note : Pour les motifs de géologie pétrolière, les significations des champs diffèrent. Consultez la section Schéma de Données pour les détails sur les mappages de champs pétroliers.",
+                    "exportPetroleumNote": "Note : Les motifs de géologie pétrolière exportent les propriétés du réservoir dans leurs propres colonnes. Consultez la section Schéma de Données pour plus de détails.",
                     "exportTip": "Astuce : L'exportation filtre automatiquement les \"blocs d'air\" (blocs avec densité = 0) pour réduire la taille du fichier et améliorer la compatibilité.",
-                    "exportWarning": "Note : Les grands modèles peuvent produire de gros fichiers CSV. Pour les modèles avec >100 000 blocs, envisagez d'utiliser des filtres avant l'exportation. L'exportation utilise un traitement par fragments pour gérer les très grands modèles (200x200x200+) sans atteindre les limites de longueur de chaîne JavaScript."
+                    "exportWarning": "Note : Les grands modèles peuvent produire de gros fichiers CSV. Pour les modèles avec >100 000 blocs, envisagez d'utiliser des filtres avant l'exportation. L'exportation utilise un traitement par fragments pour gérer les très grands modèles (200x200x200+) sans atteindre les limites de longueur de chaîne JavaScript.",
+                    "exportedField8": "GRADE_AG, GRADE_ZN, ... - Attributs de teneur configurés ; OIL_SAT, GAS_SAT et POROSITY pour les motifs pétroliers ; ASH, CV, SULPHUR et MOISTURE pour les veines de charbon ; CPHT et DIAMOND_VALUE pour les cheminées de kimberlite ; VEIN_FRAC pour les stockworks",
+                    "exportedField9": "FAULT_BLOCK - Identifiant du compartiment de faille (modèles faillés)",
+                    "exportedField10": "OXIDATION, RECOVERY - Zone d'altération et récupération (modèles altérés)",
+                    "exportedField11": "PROP_ORE_HIGH, PROP_WASTE, ... - Proportions des types de roche (modèles rebloqués)",
+                    "exportedField12": "PIT - Première coque de fosse qui extrait le bloc, 0 hors des fosses (modèles avec fosse optimisée)",
+                    "exportedField13": "VALUE_PROCESS1, VALUE_WASTE - Valeurs de traitement et de stérile (paramètres économiques avec colonnes de traitement)",
+                    "exportedField14": "P1_CU_+10, ... - Une valeur économique par scénario (paramètres économiques avec scénarios)",
+                    "exportedField15": "SLOPE - Angle de pente global d'après les pentes de la fosse (si activé dans Options d'Export)",
+                    "exportOptions": "Options d'Export",
+                    "exportOptionsDesc": "La section Options d'Export choisit les en-têtes du CSV. Les en-têtes standard utilisent les noms de colonne ci-dessous ; les en-têtes MiningMath ajoutent les préfixes de type de champ lus par MiningMath : @ pour les teneurs et proportions (@CU, @AU), % pour la densité (%Density), $ pour les valeurs économiques ($Value, $Process1, $Waste et scénarios comme $P1 Cu +10) et / pour la pente (/Slope). La colonne de pente optionnelle reprend les angles de la section Optimisation de Fosse, les pentes par zone d'abord.",
+                    "exportedField16": "RESCAT - Catégorie de ressource : 1 Mesurée, 2 Indiquée, 3 Présumée (modèles classés)",
+                    "drillholeTables": "La section Sondages exporte ses propres tables des collets, des mesures, des analyses et de la lithologie ; voir Paramètres du Modèle.",
+                    "exportedField17": "GRADE_CU_OK, GRADE_CU_ID2, ... - Teneurs estimées, vides hors de la recherche (modèles estimés)",
+                    "exportDatamine": "Export Datamine",
+                    "exportDatamineDesc": "Avec le format Datamine (.dm), le bouton Exporter écrit un modèle de blocs Datamine natif au lieu du CSV : champs en simple précision dans des pages de 512 mots, enregistrements triés sur IJK et valeurs absentes stockées à -1e30. Chaque bloc porte son centroïde (XC, YC, ZC) et, pour les modèles à sous-blocs, sa taille (XINC, YINC, ZINC) ; la taille de cellule, l'origine du modèle (XMORIG, YMORIG, ZMORIG) et le nombre de cellules (NX, NY, NZ) sont des champs implicites. Les attributs suivent avec des noms coupés à 8 caractères (ROCKTYPE, DENSITY, GRADE_CU, ECONVALU, ...). Les modèles tournés sont écrits dans le repère de la grille et le fichier de définition de grille du ZIP conserve la rotation.",
+                    "exportFormatList6": "GSLIB, pygslib et SGeMS (grille GeoEAS)",
+                    "exportGslib": "GSLIB / GeoEAS",
+                    "exportGslibDesc": "Le format GSLIB / GeoEAS (.dat) écrit le titre, le nombre de variables et un nom de variable par ligne, puis une ligne par cellule de la grille dans l'ordre GSLIB : X le plus rapide, puis Y, puis Z de la couche inférieure vers le haut, selon les indices I, J, K des blocs. Les blocs d'air sont conservés, les cellules vides et les valeurs manquantes valent -999 et les modèles à sous-blocs sont régularisés aux cellules parentes. ROCKTYPE, ZONE et OXIDATION sont écrits en codes. GSLIB garde la grille dans des fichiers de paramètres, donc le titre porte la définition de la grille (nx xmn xsiz ny ymn ysiz nz zmn zsiz), la rotation et les légendes des codes.",
+                    "exportGslibImport": "Importer une Grille GSLIB dans la section Options d'Export charge une grille GeoEAS comme modèle courant. Les variables sont associées par leurs noms d'export (CU et AU sont lus comme GRADE_CU et GRADE_AU, les autres variables GRADE_ deviennent des attributs de teneur) et les cellules sans DENSITY deviennent de l'air. Les fichiers sans définition de grille dans le titre sont lus sur la grille du modèle courant : réglez les Paramètres du Modèle sur la grille et générez d'abord.",
+                    "exportFormatList7": "Leapfrog, Deswik et autres lecteurs OMF (Open Mining Format v1)",
+                    "exportOmf": "Open Mining Format (OMF)",
+                    "exportOmfDesc": "Le format Open Mining Format (.omf) écrit un projet OMF v1 avec le modèle de blocs en grille de volume régulière : l'origine au coin inférieur du modèle, les vecteurs d'axe de la rotation de la grille et une taille de tenseur par cellule. Les attributs de cellule vont avec U le plus rapide, puis V, puis W vers le haut ; les champs numériques sont des données scalaires et ROCKTYPE, ZONE et OXIDATION sont des données associées à une légende de noms (ROCKTYPE a aussi une légende des couleurs des matériaux). Les modèles à sous-blocs sont régularisés aux cellules parentes. Avec l'option topographie, la surface du terrain est ajoutée comme surface en grille avec ses altitudes."
                 },
                 "schema": {
                     "title": "Schéma de Données",
@@ -1599,7 +2846,7 @@ const EMBEDDED_TRANSLATIONS = {
                     "coordConvention4": "Précision : 4 décimales pour les valeurs numériques",
                     "petroleumMappings": "Mappages de Champs de Géologie Pétrolière",
                     "petroleumMappingsTitle": "Significations Alternatives des Champs",
-                    "petroleumMappingsDesc": "Pour les motifs de géologie pétrolière (ex., Réservoir de Dôme de Sel), les champs standard sont réutilisés pour représenter les propriétés pétrolières :",
+                    "petroleumMappingsDesc": "Pour les motifs de géologie pétrolière (ex., Réservoir de Dôme de Sel), les propriétés du réservoir sont exportées dans leurs propres colonnes :",
                     "petroleumTableHeaderStandard": "Champ Standard",
                     "petroleumTableHeaderPetroleum": "Signification Pétrolière",
                     "petroleumTableHeaderUnits": "Unités",
@@ -1610,7 +2857,8 @@ const EMBEDDED_TRANSLATIONS = {
                     "petroleumMapping5": "Valeur Économique",
                     "petroleumMapping6": "Sel, CapRock, OilSand, GasSand, WaterSand, Shale",
                     "petroleumMapping7": "$/baril équivalent",
-                    "petroleumMappingsNote": "Note : Ce mappage de champs permet d'utiliser le même cadre de modèle de blocs pour les applications minières et pétrolières. Lors de l'exportation de modèles pétroliers, sachez que les noms de champs restent les mêmes mais les significations diffèrent."
+                    "petroleumMappingsNote": "Note : GRADE_CU et GRADE_AU valent 0 pour les motifs pétroliers. Les attributs de teneur configurés peuvent être corrélés à OIL_SAT, GAS_SAT ou POROSITY.",
+                    "unitsFraction": "Fraction (0-1)"
                 },
                 "controls": {
                     "title": "Contrôles",
@@ -1691,8 +2939,437 @@ const EMBEDDED_TRANSLATIONS = {
                     "useCase5Title": "Géologie Pétrolière",
                     "useCase5Desc": "Utilisez le motif Réservoir de Dôme de Sel pour démontrer les concepts de géologie pétrolière, la modélisation de réservoirs et la visualisation des pièges à pétrole/gaz.",
                     "proTip": "Astuce Pro : Enregistrez vos combinaisons de paramètres pour les cas d'usage courants. L'application se souvient de vos derniers paramètres dans le navigateur."
+                },
+                "statistics": {
+                    "gradeTonnage": "Courbes Teneur-Tonnage",
+                    "gradeTonnageDesc": "Le bouton Teneur-Tonnage de la fenêtre des statistiques ouvre un panneau qui parcourt une plage de teneurs de coupure pour n'importe quel champ numérique.",
+                    "gradeTonnageTonnes": "Tonnes - Volume × densité de chaque bloc égal ou supérieur à la teneur de coupure (les blocs d'air sont ignorés)",
+                    "gradeTonnageGrade": "Teneur Moyenne - Moyenne du champ pondérée par le tonnage au-dessus de la teneur de coupure",
+                    "gradeTonnageExport": "Exporter CSV - Télécharge le tableau (par ex. CUTOFF, BLOCKS, TONNES, AVG_GRADE_CU, CONTAINED)"
                 }
             }
+        },
+        "simulation": {
+            "title": "Simulation (SGS)",
+            "structure": "Structure",
+            "nugget": "Pépite",
+            "sill": "Palier",
+            "rangeMajor": "Portée Majeure",
+            "rangeSemi": "Portée Semi",
+            "rangeMinor": "Portée Mineure",
+            "azimuth": "Azimut",
+            "dip": "Pendage",
+            "plunge": "Plongement",
+            "meanCu": "Moyenne Cu %",
+            "meanAu": "Moyenne Au g/t",
+            "cv": "Coefficient de Variation",
+            "structures": {
+                "spherical": "Sphérique",
+                "exponential": "Exponentiel",
+                "gaussian": "Gaussien"
+            }
+        },
+        "variogram": {
+            "title": "Variogramme",
+            "open": "Variogramme",
+            "field": "Champ",
+            "structure": "Structure",
+            "nested": "Structures",
+            "lagSize": "Pas",
+            "lags": "Nombre de Pas",
+            "custom": "Personnalisée",
+            "azimuth": "Azimut",
+            "dip": "Pendage",
+            "tolerance": "Tolérance",
+            "calculate": "Calculer",
+            "lagDistance": "Distance (m)",
+            "gamma": "γ(h)",
+            "direction": "Direction",
+            "model": "Modèle Ajusté",
+            "variance": "Variance",
+            "noData": "Pas assez de paires dans cette direction"
+        },
+        "materials.title": "Bibliothèque de Matériaux",
+        "materials.edit": "Modifier les Matériaux",
+        "materials.hint": "Classe de motif : la classe de motif intégrée que ce matériau remplace (ex. Oxide pour Ore_Low).",
+        "materials.name": "Nom",
+        "materials.color": "Couleur",
+        "materials.density": "Densité",
+        "materials.gradeCu": "Cu",
+        "materials.gradeAu": "Au",
+        "materials.econValue": "Valeur",
+        "materials.zone": "Zone",
+        "materials.role": "Classe de Motif",
+        "materials.noRole": "—",
+        "materials.add": "Ajouter un Matériau",
+        "materials.import": "Importer JSON",
+        "materials.export": "Exporter JSON",
+        "materials.reset": "Réinitialiser",
+        "materials.delete": "Supprimer le Matériau",
+        "materials.newName": "Nouveau Matériau",
+        "materials.saved": "Bibliothèque de matériaux enregistrée",
+        "materials.invalid": "Bibliothèque de matériaux invalide : {{message}}",
+        "materials.importError": "Impossible d'importer la bibliothèque de matériaux : {{message}}",
+        "materials.duplicateName": "Nom de matériau en double « {{name}} »",
+        "gradeAttributes": {
+            "title": "Attributs de Teneur",
+            "edit": "Modifier les Attributs",
+            "hint": "Chaque attribut est lognormal (moyenne, CV) et corrélé à sa teneur principale (corrélation entre scores normaux, -1 à 1).",
+            "name": "Nom",
+            "unit": "Unité",
+            "mean": "Moyenne",
+            "cv": "CV",
+            "primary": "Teneur Principale",
+            "correlation": "Corrélation",
+            "add": "Ajouter un Attribut",
+            "delete": "Supprimer l'Attribut",
+            "custom": "Personnalisé",
+            "none": "Cu et Au uniquement",
+            "saved": "Attributs de teneur enregistrés",
+            "invalid": "Attributs de teneur invalides : {{message}}"
+        },
+        "scenario": {
+            "title": "Constructeur de Scénarios",
+            "edit": "Modifier le Scénario",
+            "hint": "Les événements sont appliqués de haut en bas ; chaque événement remplace les blocs autorisés par sa règle dans sa plage de profondeur (0 = toit du modèle, 1 = base).",
+            "event": "Événement",
+            "parameters": "Paramètres",
+            "rule": "Règle",
+            "top": "Toit",
+            "bottom": "Base",
+            "add": "Ajouter un Événement",
+            "reset": "Réinitialiser le Scénario par Défaut",
+            "saveAndGenerate": "Enregistrer et Générer",
+            "moveUp": "Monter",
+            "moveDown": "Descendre",
+            "delete": "Supprimer l'Événement",
+            "strike": "Direction",
+            "dip": "Pendage",
+            "thickness": "Épaisseur (m)",
+            "offset": "Décalage (m)",
+            "depth": "Profondeur (m)",
+            "cuFactor": "Cu ×",
+            "auFactor": "Au ×",
+            "invalid": "Scénario invalide : {{message}}",
+            "tooManyEvents": "Un scénario peut avoir au plus {{max}} événements",
+            "types": {
+                "pattern": "Motif",
+                "dyke": "Dyke",
+                "oxidation": "Oxydation"
+            },
+            "rules": {
+                "all": "Tout remplacer",
+                "body": "Corps uniquement",
+                "waste": "Stérile uniquement",
+                "ore": "Minerai uniquement"
+            }
+        },
+        "faults": {
+            "title": "Failles",
+            "edit": "Modifier les Failles",
+            "hint": "Les failles sont appliquées dans l'ordre après le motif. Chaque faille plonge vers la direction + 90° ; la position est la distance entre le centre du modèle et la faille dans le sens du pendage. Le compartiment supérieur descend du rejet vertical (négatif pour les failles inverses) et se déplace dans le sens du pendage du rejet horizontal.",
+            "strike": "Direction (°)",
+            "dip": "Pendage (°)",
+            "position": "Position (m)",
+            "throw": "Rejet Vertical (m)",
+            "heave": "Rejet Horizontal (m)",
+            "add": "Ajouter une Faille",
+            "delete": "Supprimer la Faille",
+            "none": "Aucune faille",
+            "summaryItem": "F{{number}} : {{strike}}°/{{dip}}°, rejet {{throw}} m",
+            "saved": "Failles enregistrées",
+            "invalid": "Failles invalides : {{message}}",
+            "tooMany": "Au maximum {{max}} failles sont prises en charge"
+        },
+        "topography": {
+            "title": "Topographie",
+            "surface": "Surface",
+            "types": {
+                "flat": "Plane (Toit du Modèle)",
+                "hills": "Collines Fractales",
+                "valley": "Vallée",
+                "dem": "MNT Importé"
+            },
+            "relief": "Relief (m)",
+            "wavelength": "Espacement des Collines (m)",
+            "azimuth": "Azimut de la Vallée",
+            "width": "Largeur de la Vallée (m)",
+            "importDem": "Importer un MNT",
+            "noDem": "Aucun MNT importé",
+            "demLoaded": "{{name}} ({{count}} points)",
+            "demImported": "MNT importé : {{name}}",
+            "demInvalid": "MNT invalide : {{message}}",
+            "hint": "Les blocs au-dessus de la surface deviennent des blocs d'air (densité 0). Les MNT sont des points XYZ ou des grilles ASCII ESRI en coordonnées du modèle."
+        },
+        "weathering": {
+            "title": "Profil d'Altération",
+            "edit": "Modifier le Profil",
+            "hint": "Les zones se succèdent depuis la surface vers le bas ; la zone saine s'étend jusqu'à la base du modèle. La densité et la teneur en Cu sont multipliées par les facteurs de chaque zone et chaque bloc reçoit sa zone (OXIDATION) et sa récupération (RECOVERY).",
+            "enabled": "Appliquer le profil d'altération",
+            "reference": "Profil",
+            "references": {
+                "topography": "Parallèle à la topographie",
+                "flat": "Horizontal (toit du modèle)"
+            },
+            "zone": "Zone",
+            "zones": {
+                "OXIDE": "Oxydée",
+                "LEACHED": "Lessivée",
+                "SUPERGENE": "Supergène",
+                "FRESH": "Saine"
+            },
+            "thickness": "Épaisseur (m)",
+            "densityFactor": "Densité ×",
+            "recovery": "Récupération",
+            "cuFactor": "Cu ×",
+            "reset": "Réinitialiser le Profil par Défaut",
+            "off": "Roche saine uniquement",
+            "saved": "Profil d'altération enregistré",
+            "invalid": "Profil d'altération invalide : {{message}}"
+        },
+        "kimberlite": {
+            "title": "Cheminées de Kimberlite",
+            "pipeCount": "Cheminées",
+            "radius": "Rayon Supérieur",
+            "wallDip": "Pendage des Parois",
+            "craterDepth": "Base du Cratère",
+            "diatremeDepth": "Base du Diatrème",
+            "rootDepth": "Profondeur de Racine",
+            "craterCpht": "cpht Cratère",
+            "diatremeCpht": "cpht Diatrème",
+            "rootCpht": "cpht Racine",
+            "craterValue": "$/ct Cratère",
+            "diatremeValue": "$/ct Diatrème",
+            "rootValue": "$/ct Racine",
+            "hint": "Utilisé par le motif Cheminées de Kimberlite. Le rayon est une fraction du plus petit côté horizontal du modèle ; les profondeurs des faciès sont des fractions de la hauteur du modèle (0 = sommet, 1 = base)."
+        },
+        "stockwork": {
+            "title": "Stockwork",
+            "veinCount": "Veines",
+            "length": "Longueur (m)",
+            "aperture": "Ouverture (m)",
+            "veinCu": "Cu Veine %",
+            "veinAu": "Au Veine g/t",
+            "setCount": "Familles",
+            "hint": "Utilisé par le motif Stockwork. Les orientations des veines suivent une distribution de Fisher autour de chaque famille ; un kappa élevé donne des veines en faisceau, un kappa faible un stockwork aléatoire. La teneur du bloc est la fraction volumique de veine multipliée par la teneur de la veine.",
+            "set1DipDirection": "Dir. Pendage Fam. 1",
+            "set1Dip": "Pendage Fam. 1",
+            "set1Kappa": "Kappa Fam. 1",
+            "set2DipDirection": "Dir. Pendage Fam. 2",
+            "set2Dip": "Pendage Fam. 2",
+            "set2Kappa": "Kappa Fam. 2",
+            "set3DipDirection": "Dir. Pendage Fam. 3",
+            "set3Dip": "Pendage Fam. 3",
+            "set3Kappa": "Kappa Fam. 3"
+        },
+        "reblock": {
+            "title": "Rebloquage",
+            "factorX": "Facteur X",
+            "factorY": "Facteur Y",
+            "factorZ": "Facteur Z",
+            "rule": "Règle de Type de Roche",
+            "rules": {
+                "majority": "Majorité",
+                "proportion": "Proportion de Minerai"
+            },
+            "oreProportion": "Fraction Min. de Minerai",
+            "apply": "Rebloquer le Modèle",
+            "hint": "Regroupe le modèle actuel en blocs parents de facteur × taille de cellule. Les teneurs sont pondérées par le tonnage, les valeurs économiques sont additionnées et les colonnes PROP_ donnent les proportions de chaque type de roche. Le nombre de cellules doit être divisible par les facteurs.",
+            "generateFirst": "Veuillez d'abord générer un modèle",
+            "done": "Modèle rebloqué : {{count}} blocs de {{x}} × {{y}} × {{z}} m",
+            "error": "Erreur de rebloquage : {{message}}"
+        },
+        "gradeTonnage": {
+            "open": "Teneur-Tonnage",
+            "title": "Teneur-Tonnage",
+            "field": "Champ",
+            "minCutoff": "Coupure Min.",
+            "maxCutoff": "Coupure Max.",
+            "steps": "Pas",
+            "calculate": "Calculer",
+            "export": "Exporter CSV",
+            "noField": "Le modèle n'a aucun champ numérique à analyser",
+            "cutoff": "Teneur de coupure",
+            "tonnes": "Tonnes",
+            "grade": "{{field}} moy.",
+            "averageGrade": "Teneur Moy."
+        },
+        "pit": {
+            "title": "Optimisation de Fosse",
+            "slopeN": "Pente N (°)",
+            "slopeE": "Pente E (°)",
+            "slopeS": "Pente S (°)",
+            "slopeW": "Pente O (°)",
+            "zoneSlopes": "Pentes par Zone",
+            "rfMin": "FR Min.",
+            "rfMax": "FR Max.",
+            "rfStep": "Pas FR",
+            "optimize": "Optimiser la Fosse",
+            "shell": "Coque Affichée",
+            "hideShell": "Aucune",
+            "shellOption": "Coque {{shell}} (FR {{rf}})",
+            "shellColumn": "Coque",
+            "rfColumn": "FR",
+            "tonnesColumn": "Tonnes",
+            "valueColumn": "Valeur",
+            "hint": "Calcule la fosse ultime et une coque imbriquée par facteur de revenu (FR) à partir des valeurs économiques. Les pentes entre les directions cardinales sont interpolées ; les pentes par zone (ZONE=angle) s'appliquent aux blocs dont la zone ou la zone d'altération correspond. Chaque bloc reçoit la première coque qui l'extrait (PIT, 0 hors fosse).",
+            "generateFirst": "Veuillez d'abord générer un modèle",
+            "optimizing": "Optimisation des coques de fosse...",
+            "done": "{{shells}} coques de fosse optimisées ; fosse ultime : {{count}} blocs, {{tonnes}} t",
+            "error": "Erreur d'optimisation de fosse : {{message}}"
+        },
+        "economics": {
+            "title": "Paramètres Économiques",
+            "edit": "Modifier les Paramètres",
+            "hint": "ECON_VALUE devient la valeur du bloc (et non par tonne) : le Cu et l'Au récupérés aux prix nets moins les coûts d'extraction et de traitement, ou le seul coût d'extraction lorsqu'il est meilleur (stérile). Le coût d'extraction augmente avec la profondeur sous le toit du modèle. L'enregistrement recalcule le modèle actuel sans le régénérer.",
+            "enabled": "Calculer les valeurs économiques",
+            "processColumns": "Exporter les valeurs de traitement et de stérile (VALUE_PROCESS1, VALUE_WASTE)",
+            "cuPrice": "Prix Cu (/t)",
+            "cuSellingCost": "Coût de Vente Cu (/t)",
+            "auPrice": "Prix Au (/oz)",
+            "auSellingCost": "Coût de Vente Au (/oz)",
+            "miningCost": "Coût d'Extraction (/t)",
+            "miningCostIncrement": "Incrément de Profondeur (/t/m)",
+            "processingCost": "Coût de Traitement (/t)",
+            "rockType": "Type de Roche",
+            "cuRecovery": "Récupération Cu",
+            "auRecovery": "Récupération Au",
+            "defaultRecovery": "Par défaut",
+            "reset": "Rétablir les Paramètres par Défaut",
+            "off": "Valeurs des matériaux",
+            "summaryCu": "Cu {{price}}/t",
+            "summaryAu": "Au {{price}}/oz",
+            "summaryMining": "Extraction {{cost}}/t",
+            "summaryProcessing": "Traitement {{cost}}/t",
+            "saved": "Paramètres économiques enregistrés",
+            "applied": "Valeurs économiques recalculées pour {{count}} blocs",
+            "invalid": "Paramètres économiques invalides : {{message}}",
+            "scenarios": "Scénarios",
+            "scenarioHint": "Chaque scénario modifie les prix et les coûts d'un pourcentage et ajoute une colonne de valeur à son nom (p. ex. P1 Cu +10 pour un prix du Cu 10% plus élevé). Avec les en-têtes MiningMath, les colonnes sont exportées sous la forme $P1 Cu +10.",
+            "scenarioName": "Nom de Colonne",
+            "cuPriceChange": "Prix Cu %",
+            "auPriceChange": "Prix Au %",
+            "miningCostChange": "Coût Minier %",
+            "processingCostChange": "Coût de Traitement %",
+            "addScenario": "Ajouter un Scénario",
+            "exampleScenarios": "Sensibilités de Prix",
+            "removeScenario": "Supprimer le Scénario",
+            "noScenarios": "Aucun scénario",
+            "summaryScenarios": "{{count}} scénarios"
+        },
+        "exportOptions": {
+            "title": "Options d'Export",
+            "headerStyle": "En-têtes CSV",
+            "headerStyles": {
+                "standard": "Standard (GRADE_CU, DENSITY)",
+                "miningmath": "MiningMath (@CU, %Density, $Value)"
+            },
+            "slopeColumn": "Colonne de pente d'après les pentes de la fosse (SLOPE, /Slope)",
+            "hint": "Les en-têtes MiningMath préfixent les teneurs par @, la densité par %, les valeurs économiques et scénarios par $ et la pente par /. Les fichiers Datamine sont des modèles de blocs en simple précision triés sur IJK, avec des noms de champ coupés à 8 caractères. Les grilles GSLIB listent toutes les cellules (X le plus rapide, Z vers le haut) avec les champs texte en codes ; la grille et les codes sont conservés dans le titre, et les fichiers sans eux sont lus sur la grille courante. Les fichiers OMF contiennent le modèle de blocs avec des attributs typés (ROCKTYPE en légende avec les couleurs des matériaux) et la surface topographique.",
+            "format": "Format",
+            "formats": {
+                "csv": "CSV (compressé)",
+                "datamine": "Datamine (.dm)",
+                "gslib": "GSLIB / GeoEAS (.dat)",
+                "omf": "Open Mining Format (.omf)"
+            },
+            "omfTopography": "Surface topographique dans les fichiers OMF"
+        },
+        "classification": {
+            "title": "Classification des Ressources",
+            "method": "Méthode",
+            "methods": {
+                "distance": "Distance au Sondage le plus Proche",
+                "spacing": "Espacement des Sondages"
+            },
+            "spacing": "Espacement de Maille (m)",
+            "infill": "Étendue du Resserrement",
+            "holeDepth": "Profondeur des Sondages",
+            "jitter": "Décalage des Collets",
+            "measured": "Mesurée (m)",
+            "indicated": "Indiquée (m)",
+            "classify": "Classer les Ressources",
+            "hint": "Fore une maille synthétique de sondages verticaux (demi-espacement dans la zone centrale resserrée) et classe chaque bloc en Mesurée (1), Indiquée (2) ou Présumée (3) selon sa distance au sondage le plus proche ou l'espacement local. Profondeur et étendues sont des fractions de la taille du modèle. Les résultats figurent dans les statistiques du modèle et sont exportés en RESCAT.",
+            "report": "Rapport de Ressources",
+            "category": "Catégorie",
+            "tonnes": "Tonnes",
+            "categories": {
+                "1": "Mesurée",
+                "2": "Indiquée",
+                "3": "Présumée"
+            },
+            "generateFirst": "Générez un modèle avant de le classer",
+            "done": "Modèle classé à partir de {{holes}} sondages : {{measured}} blocs Mesurés, {{indicated}} Indiqués et {{inferred}} Présumés",
+            "error": "Échec de la classification des ressources : {{message}}",
+            "useDrillholes": "Utiliser les sondages simulés au lieu de la maille",
+            "drillFirst": "Forez d'abord le modèle ou décochez Utiliser les sondages simulés"
+        },
+        "drillholes": {
+            "title": "Sondages",
+            "pattern": "Collets",
+            "patterns": {
+                "grid": "Grille",
+                "random": "Aléatoire"
+            },
+            "spacing": "Espacement (m)",
+            "count": "Sondages",
+            "azimuth": "Azimut (°)",
+            "dip": "Pendage (°)",
+            "length": "Longueur (m)",
+            "deviation": "Déviation (°/100 m)",
+            "surveyInterval": "Intervalle de Mesure (m)",
+            "sampleLength": "Longueur d'Échantillon (m)",
+            "assayError": "Erreur d'Analyse (CV)",
+            "showTraces": "Afficher les traces dans la vue 3D",
+            "simulate": "Forer",
+            "export": "Exporter les Tables",
+            "hint": "Fore le modèle courant et analyse les teneurs des blocs avec une erreur lognormale. Le pendage est mesuré sous l'horizontale ; l'azimut et le pendage dérivent au hasard selon la déviation. Exporte les tables CSV des collets, des mesures, des analyses et de la lithologie (pendages négatifs vers le bas).",
+            "generateFirst": "Générez un modèle avant de le forer",
+            "drillFirst": "Forez le modèle avant d'exporter les tables",
+            "done": "{{holes}} sondages forés avec {{samples}} échantillons analysés",
+            "exported": "Tables de {{holes}} sondages exportées",
+            "error": "La simulation des sondages a échoué : {{message}}",
+            "exportError": "L'export des sondages a échoué : {{message}}"
+        },
+        "estimation": {
+            "title": "Estimation des Teneurs",
+            "field": "Teneur",
+            "power": "Puissance IDW",
+            "kriging": "Krigeage ordinaire",
+            "idw": "Inverse de la distance",
+            "nugget": "Pépite (du palier)",
+            "rangeMajor": "Portée Majeure (m)",
+            "rangeSemi": "Portée Semi (m)",
+            "rangeMinor": "Portée Mineure (m)",
+            "searchMajor": "Recherche Majeure (m)",
+            "searchSemi": "Recherche Semi (m)",
+            "searchMinor": "Recherche Mineure (m)",
+            "azimuth": "Azimut (°)",
+            "dip": "Pendage (°)",
+            "minSamples": "Échantillons Min.",
+            "maxSamples": "Échantillons Max.",
+            "discretization": "Discrétisation",
+            "estimate": "Estimer les Teneurs",
+            "hint": "Estime la teneur de chaque bloc à partir des échantillons des sondages simulés et la stocke à côté de la teneur réelle (p. ex. GRADE_CU_OK, GRADE_CU_ID2). Le variogramme et l'ellipsoïde de recherche partagent l'azimut et le pendage ; les points de discrétisation par axe du bloc sont moyennés. Les statistiques du modèle comparent les estimations aux teneurs réelles.",
+            "generateFirst": "Générez un modèle avant de l'estimer",
+            "drillFirst": "Forez le modèle dans la section Sondages avant de l'estimer",
+            "done": "{{blocks}} blocs estimés ({{fields}})",
+            "error": "L'estimation des teneurs a échoué : {{message}}",
+            "estimateColumn": "Estimation",
+            "mean": "Moyenne (est. / réelle)",
+            "bias": "Biais",
+            "rmse": "RMSE",
+            "correlation": "r",
+            "slope": "Pente",
+            "trueGrade": "{{field}} réel",
+            "estimatedGrade": "{{field}} estimé"
+        },
+        "gslib": {
+            "import": "Importer une Grille GSLIB",
+            "importing": "Lecture de {{name}}...",
+            "imported": "Grille GSLIB {{name}} chargée : {{count}} blocs ({{variables}}).",
+            "importedIgnored": "Grille GSLIB {{name}} chargée : {{count}} blocs ({{variables}}). Variables ignorées : {{ignored}}.",
+            "importError": "Échec de l'importation GSLIB : {{message}}"
         }
     }
 };
@@ -2162,6 +3839,112 @@ function updateSelectOptions() {
             }
         });
     }
+    
+    // Variogram structure selects (simulation, variogram panel and estimation)
+    ['sgsStructure', 'variogramStructure', 'estimationStructure'].forEach(id => {
+        const structureSelect = document.getElementById(id);
+        if (structureSelect) {
+            structureSelect.querySelectorAll('option').forEach(option => {
+                const value = option.value;
+                const key = `simulation.structures.${value}`;
+                const translation = t(key);
+                if (translation !== key) {
+                    option.textContent = translation;
+                }
+            });
+        }
+    });
+    
+    // Topography surface select
+    const topographyTypeSelect = document.getElementById('topographyType');
+    if (topographyTypeSelect) {
+        topographyTypeSelect.querySelectorAll('option').forEach(option => {
+            const value = option.value;
+            const key = `topography.types.${value}`;
+            const translation = t(key);
+            if (translation !== key) {
+                option.textContent = translation;
+            }
+        });
+    }
+    
+    // Reblocking rock type rule select
+    const reblockRuleSelect = document.getElementById('reblockRule');
+    if (reblockRuleSelect) {
+        reblockRuleSelect.querySelectorAll('option').forEach(option => {
+            const value = option.value;
+            const key = `reblock.rules.${value}`;
+            const translation = t(key);
+            if (translation !== key) {
+                option.textContent = translation;
+            }
+        });
+    }
+    
+    // Drillhole collar pattern select
+    const drillholePatternSelect = document.getElementById('drillholePattern');
+    if (drillholePatternSelect) {
+        drillholePatternSelect.querySelectorAll('option').forEach(option => {
+            const value = option.value;
+            const key = `drillholes.patterns.${value}`;
+            const translation = t(key);
+            if (translation !== key) {
+                option.textContent = translation;
+            }
+        });
+    }
+    
+    // Resource classification method select
+    const classificationMethodSelect = document.getElementById('classificationMethod');
+    if (classificationMethodSelect) {
+        classificationMethodSelect.querySelectorAll('option').forEach(option => {
+            const value = option.value;
+            const key = `classification.methods.${value}`;
+            const translation = t(key);
+            if (translation !== key) {
+                option.textContent = translation;
+            }
+        });
+    }
+    
+    // Export format select
+    const exportFormatSelect = document.getElementById('exportFormat');
+    if (exportFormatSelect) {
+        exportFormatSelect.querySelectorAll('option').forEach(option => {
+            const value = option.value;
+            const key = `exportOptions.formats.${value}`;
+            const translation = t(key);
+            if (translation !== key) {
+                option.textContent = translation;
+            }
+        });
+    }
+    
+    // CSV header style select
+    const csvHeaderStyleSelect = document.getElementById('csvHeaderStyle');
+    if (csvHeaderStyleSelect) {
+        csvHeaderStyleSelect.querySelectorAll('option').forEach(option => {
+            const value = option.value;
+            const key = `exportOptions.headerStyles.${value}`;
+            const translation = t(key);
+            if (translation !== key) {
+                option.textContent = translation;
+            }
+        });
+    }
+    
+    // Variogram field select
+    const variogramFieldSelect = document.getElementById('variogramField');
+    if (variogramFieldSelect) {
+        variogramFieldSelect.querySelectorAll('option').forEach(option => {
+            const value = option.value;
+            const key = `visualization.fields.${value}`;
+            const translation = t(key);
+            if (translation !== key) {
+                option.textContent = translation;
+            }
+        });
+    }
 }
 
 /**
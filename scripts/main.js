@@ -12,18 +12,25 @@ let currentParams = null;
 const STORAGE_KEY_PREFIX = 'blockModel_';
 const STORAGE_KEY_PARAMS = 'blockModel_params';
 const LARGE_MODEL_THRESHOLD = 50000; // Use caching for models with > 50K blocks
+const MAX_VISUALIZED_BLOCKS = 200000; // Thin larger models for display (except slice views)
 let isFirstGeneration = true; // Track if this is the first model generation on startup
 
 // Gamification: Statistics and Gallery
 const STATS_STORAGE_KEY = 'app_stats';
 const GALLERY_STORAGE_KEY = 'app_savedModels';
+const MATERIAL_LIBRARY_STORAGE_KEY = 'app_materialLibrary';
+const GRADE_ATTRIBUTES_STORAGE_KEY = 'app_gradeAttributes';
+const SCENARIO_STORAGE_KEY = 'app_scenario';
+const FAULTS_STORAGE_KEY = 'app_faults';
+const TOPOGRAPHY_DEM_STORAGE_KEY = 'app_topographyDem';
+const WEATHERING_STORAGE_KEY = 'app_weathering';
+const ECONOMICS_STORAGE_KEY = 'app_economics';
 
-// Track current random seed for deterministic regeneration
-let currentRandomSeed = null;
 const MAX_SAVED_MODELS = 50; // Limit gallery size
 const MAX_MODEL_NAME_LENGTH = 100; // Maximum model name length
 const VOLUME_CONVERSION_FACTOR = 1000000; // Convert to million m³
 let currentModelStats = null; // Current model statistics
+let currentDrillholes = null; // Drillholes simulated from the current model { holes, fields }
 
 /**
  * Generate a cache key from parameters
@@ -33,7 +40,19 @@ let currentModelStats = null; // Current model statistics
 function generateCacheKey(params) {
     return `${params.originX}_${params.originY}_${params.originZ}_` +
            `${params.cellSizeX}_${params.cellSizeY}_${params.cellSizeZ}_` +
-           `${params.cellsX}_${params.cellsY}_${params.cellsZ}_${params.patternType}`;
+           `${params.cellsX}_${params.cellsY}_${params.cellsZ}_${params.patternType}_` +
+           `${params.subBlocking ? params.subBlockLevels : 0}_` +
+           `${params.bearing || 0}_${params.dip || 0}_${params.plunge || 0}_${params.seed}_` +
+           `${getMaterialLibrarySignature()}_${getGradeAttributesSignature()}` +
+           (params.patternType === 'sgs' || params.patternType === 'scenario' ? `_${JSON.stringify(params.sgs)}` : '') +
+           (params.patternType === 'kimberlite_pipe' || params.patternType === 'scenario' ? `_${JSON.stringify(params.kimberlite)}` : '') +
+           (params.patternType === 'stockwork' || params.patternType === 'scenario' ? `_${JSON.stringify(params.stockwork)}` : '') +
+           (params.patternType === 'scenario' ? `_${hashString(JSON.stringify(params.scenario)).toString(36)}` : '') +
+           (params.faults.length > 0 ? `_f${hashString(JSON.stringify(params.faults)).toString(36)}` : '') +
+           (params.topography.type !== 'flat' ? `_t${hashString(JSON.stringify(params.topography)).toString(36)}` : '') +
+           (params.topography.type === 'dem' && getTopographyDem() ? `_${getTopographyDem().signature}` : '') +
+           (params.weathering.enabled ? `_w${hashString(JSON.stringify(params.weathering)).toString(36)}` : '') +
+           (params.economics.enabled ? `_e${hashString(JSON.stringify(params.economics)).toString(36)}` : '');
 }
 
 /**
@@ -245,6 +264,15 @@ function init() {
         });
     }
     
+    // Typing a seed keeps it for the next generation
+    const randomSeedInput = document.getElementById('randomSeed');
+    const seedLockedCheckbox = document.getElementById('seedLocked');
+    if (randomSeedInput && seedLockedCheckbox) {
+        randomSeedInput.addEventListener('input', () => {
+            seedLockedCheckbox.checked = randomSeedInput.value.trim() !== '';
+        });
+    }
+    
     // Prevent form submission
     modelForm.addEventListener('submit', (e) => {
         e.preventDefault();
@@ -376,6 +404,21 @@ function init() {
     initStatsPanel();
     initGalleryPanel();
     initModelStatsDisplay();
+    initVariogramPanel();
+    initGradeTonnagePanel();
+    initMaterialLibrary();
+    initGradeAttributes();
+    initScenarioBuilder();
+    initFaults();
+    initTopography();
+    initWeatheringProfile();
+    initEconomicParameters();
+    initReblocking();
+    initPitOptimizer();
+    initDrillholes();
+    initResourceClassification();
+    initGradeEstimation();
+    initGslibImport();
     
     updateStatus(t('status.generatingInitial'));
     
@@ -401,6 +444,25 @@ function init() {
     }, 200);
 }
 
+/**
+ * Blocks to display for a model, thinned to about MAX_VISUALIZED_BLOCKS for very large models
+ * Slice view modes are not thinned (they handle their own filtering).
+ * @param {Array} blocks - Blocks of the model
+ * @param {number} [totalCells=blocks.length] - Size of the model used to decide the thinning
+ * @returns {Array} Blocks to pass to updateVisualization
+ */
+function getBlocksToVisualize(blocks, totalCells = blocks.length) {
+    const viewModeSelect = document.getElementById('viewMode');
+    const currentViewMode = viewModeSelect ? viewModeSelect.value : 'solid';
+    const isSliceMode = ['slicesX', 'slicesY', 'slicesZ'].includes(currentViewMode);
+    
+    if (totalCells <= MAX_VISUALIZED_BLOCKS || isSliceMode) {
+        return blocks;
+    }
+    const stride = Math.ceil(totalCells / MAX_VISUALIZED_BLOCKS);
+    return blocks.filter((_, idx) => idx % stride === 0);
+}
+
 /**
  * Handle generate button click
  */
@@ -427,12 +489,26 @@ async function handleGenerate() {
             cellsX: parseInt(document.getElementById('cellsX').value),
             cellsY: parseInt(document.getElementById('cellsY').value),
             cellsZ: parseInt(document.getElementById('cellsZ').value),
-            patternType: patternTypeEl.value
+            bearing: parseFloat(document.getElementById('gridBearing').value),
+            dip: parseFloat(document.getElementById('gridDip').value),
+            plunge: parseFloat(document.getElementById('gridPlunge').value),
+            patternType: patternTypeEl.value,
+            subBlocking: document.getElementById('subBlockEnabled').checked,
+            subBlockLevels: parseInt(document.getElementById('subBlockLevels').value),
+            sgs: readSgsParams(),
+            kimberlite: readKimberliteParams(),
+            stockwork: readStockworkParams(),
+            gradeAttributes: getGradeAttributes(),
+            scenario: getScenario(),
+            faults: getFaults(),
+            topography: readTopographyParams(),
+            weathering: getWeatheringProfile(),
+            economics: getEconomicParameters()
         };
         
         // Validate inputs - prevent DoS attacks with extremely large numbers
         // Check for NaN, Infinity, or invalid numbers
-        const numericFields = ['originX', 'originY', 'originZ', 'cellSizeX', 'cellSizeY', 'cellSizeZ', 'cellsX', 'cellsY', 'cellsZ'];
+        const numericFields = ['originX', 'originY', 'originZ', 'cellSizeX', 'cellSizeY', 'cellSizeZ', 'cellsX', 'cellsY', 'cellsZ', 'bearing', 'dip', 'plunge'];
         for (const field of numericFields) {
             if (!isFinite(params[field]) || isNaN(params[field])) {
                 throw new Error(t('errors.invalidNumber', { field: field }));
@@ -455,16 +531,34 @@ async function handleGenerate() {
             throw new Error(t('errors.cellCountInvalid'));
         }
         
+        // Validate grid rotation (bearing is an azimuth, dip and plunge are tilts from horizontal)
+        if (params.bearing < 0 || params.bearing >= 360 ||
+            params.dip < -90 || params.dip > 90 ||
+            params.plunge < -90 || params.plunge > 90) {
+            throw new Error(t('errors.rotationInvalid'));
+        }
+        
         // Validate patternType (whitelist approach to prevent injection)
         const VALID_PATTERNS = [
-            'porphyry_ore', 'vein_ore', 'ellipsoid_ore', 'salt_dome',
-            'random_clusters', 'inclined_vein', 'ore_horizon',
-            'random', 'checkerboard', 'gradient', 'layered', 'uniform'
+            'porphyry_ore', 'vein_ore', 'ellipsoid_ore', 'salt_dome', 'coal_seams', 'kimberlite_pipe',
+            'stockwork', 'random_clusters', 'inclined_vein', 'ore_horizon',
+            'random', 'checkerboard', 'gradient', 'layered', 'uniform', 'sgs', 'scenario'
         ];
         if (!VALID_PATTERNS.includes(params.patternType)) {
             params.patternType = 'random_clusters'; // Default to safe value
         }
         
+        // Validate sub-block levels (each level multiplies contact blocks by up to 8)
+        if (params.subBlocking &&
+            (!Number.isInteger(params.subBlockLevels) || params.subBlockLevels < 1 || params.subBlockLevels > MAX_SUB_BLOCK_LEVEL)) {
+            throw new Error(t('errors.subBlockLevelInvalid', { max: MAX_SUB_BLOCK_LEVEL }));
+        }
+        
+        // Faults displace the regular grid, so they cannot be combined with sub-blocks
+        if (params.subBlocking && params.faults.length > 0) {
+            throw new Error(t('errors.faultsWithSubBlocks'));
+        }
+        
         const totalCells = params.cellsX * params.cellsY * params.cellsZ;
         
         // Additional safety check: prevent extremely large models that could crash the browser
@@ -473,6 +567,20 @@ async function handleGenerate() {
             throw new Error(t('errors.modelTooLarge', { max: MAX_TOTAL_CELLS.toLocaleString() }));
         }
         
+        // Sequential Gaussian simulation solves a kriging system per block
+        const MAX_SGS_CELLS = 1000000;
+        const usesSgs = params.patternType === 'sgs' ||
+            (params.patternType === 'scenario' && scenarioUsesPattern(params.scenario, 'sgs'));
+        if (usesSgs && totalCells > MAX_SGS_CELLS) {
+            throw new Error(t('errors.sgsModelTooLarge', { max: MAX_SGS_CELLS.toLocaleString() }));
+        }
+        
+        // Every pattern draws its randomness from this seed
+        params.seed = resolveModelSeed();
+        
+        // Ground surface (null for flat topography); also shown for models loaded from the cache
+        const topographySurface = buildTopographySurface(params.topography, buildGridParams(params), params.seed);
+        
         // Check cache first for large models
         const cacheKey = generateCacheKey(params);
         let blocks = null;
@@ -484,16 +592,13 @@ async function handleGenerate() {
                 updateStatus(t('status.loadedFromCache', { count: blocks.length.toLocaleString() }), 'success');
                 currentBlocks = blocks;
                 currentParams = params;
+                setGridRotation(params.bearing, params.dip, params.plunge);
+                setTopographySurface(topographySurface);
+                resetPitResults();
+                resetDrillholes();
                 
                 // Update visualization (may need to limit for very large models)
-                // Skip thinning if slice view mode is selected (slice modes handle their own filtering)
-                const viewModeSelect = document.getElementById('viewMode');
-                const currentViewMode = viewModeSelect ? viewModeSelect.value : 'solid';
-                const isSliceMode = ['slicesX', 'slicesY', 'slicesZ'].includes(currentViewMode);
-                
-                const blocksToVisualize = (totalCells > 200000 && !isSliceMode)
-                    ? blocks.filter((_, idx) => idx % Math.ceil(totalCells / 200000) === 0)
-                    : blocks;
+                const blocksToVisualize = getBlocksToVisualize(blocks, totalCells);
                 
                 updateVisualization(
                     blocksToVisualize,
@@ -517,7 +622,7 @@ async function handleGenerate() {
                     saveImageBtn.disabled = false;
                 }
                 
-                if (totalCells > 200000) {
+                if (totalCells > MAX_VISUALIZED_BLOCKS) {
                     updateStatus(
                         t('status.modelLoadedLarge', { count: blocks.length.toLocaleString() }),
                         'success'
@@ -535,52 +640,65 @@ async function handleGenerate() {
         // Generate blocks using standard format
         updateStatus(t('status.generatingBlocks', { count: totalCells.toLocaleString() }));
         
-        const gridParams = {
-            xmOrig: params.originX,
-            ymOrig: params.originY,
-            zmOrig: params.originZ,
-            xInc: params.cellSizeX,
-            yInc: params.cellSizeY,
-            zInc: params.cellSizeZ,
-            nx: params.cellsX,
-            ny: params.cellsY,
-            nz: params.cellsZ
-        };
+        const gridParams = buildGridParams(params);
+        
+        // Patterns are evaluated in the unrotated grid so ore bodies stay aligned
+        // with the grid axes; centroids are rotated into world coordinates afterwards
+        const unrotatedGridParams = { ...gridParams, bearing: 0, dip: 0, plunge: 0 };
         
         // Generate in chunks for very large models to avoid blocking
         if (totalCells > 500000) {
             updateStatus(t('status.generatingLarge'));
-            blocks = await generateLargeModel(gridParams);
+            blocks = await generateLargeModel(unrotatedGridParams);
         } else {
-            blocks = generateRegularGrid(gridParams);
-        }
-        
-        // Generate or use saved random seed
-        if (!currentRandomSeed) {
-            // Generate new seed values
-            currentRandomSeed = {
-                timeSeed: Date.now() % 1000000,
-                randomComponent: Math.random() * 10000
-            };
+            blocks = generateRegularGrid(unrotatedGridParams);
         }
         
         // Apply material pattern
         updateStatus(t('status.applyingPattern'));
-        const blocksWithMaterials = applyMaterialPattern(
+        let blocksWithMaterials = applyMaterialPattern(
             blocks,
             params.patternType,
             params.cellsX,
             params.cellsY,
             params.cellsZ,
-            currentRandomSeed // Pass seed for deterministic generation
+            params.seed, // Pass seed for deterministic generation
+            { sgs: params.sgs, kimberlite: params.kimberlite, stockwork: params.stockwork, scenario: params.scenario }
         );
         
-        // Clear seed after use so next generation gets new random values
-        // (unless loading from gallery, which will set it before generation)
-        if (!currentRandomSeed || !currentRandomSeed.fromGallery) {
-            currentRandomSeed = null;
+        // Offset the model across the configured faults
+        if (params.faults.length > 0) {
+            updateStatus(t('status.applyingFaults'));
+            blocksWithMaterials = applyFaults(blocksWithMaterials, params.faults, unrotatedGridParams);
+        }
+        
+        // Refine material contacts into sub-blocks (uses the same seed as the parent pattern)
+        if (params.subBlocking) {
+            updateStatus(t('status.subBlocking'));
+            blocksWithMaterials = generateSubBlocks(
+                blocksWithMaterials,
+                unrotatedGridParams,
+                params.patternType,
+                params.seed,
+                { maxLevel: params.subBlockLevels }
+            );
         }
         
+        // Add configured grade attributes, correlated to the pattern grades (sub-blocks included)
+        blocksWithMaterials = applyGradeAttributes(blocksWithMaterials, params.gradeAttributes, params.seed);
+        
+        // Rotate centroids into world coordinates (I/J/K stay in grid space)
+        blocksWithMaterials = rotateBlocksToWorld(blocksWithMaterials, gridParams);
+        
+        // Blocks above the ground surface become air blocks (the surface is in world coordinates)
+        blocksWithMaterials = applyTopography(blocksWithMaterials, topographySurface);
+        
+        // Weathering overprint below the ground surface
+        blocksWithMaterials = applyWeathering(blocksWithMaterials, params.weathering, gridParams, topographySurface);
+        
+        // Economic values from prices and costs (after weathering changes grades, density and recovery)
+        blocksWithMaterials = applyEconomicParameters(blocksWithMaterials, params.economics, gridParams);
+        
         // Store current blocks and params
         currentBlocks = blocksWithMaterials;
         currentParams = params;
@@ -592,15 +710,12 @@ async function handleGenerate() {
         }
         
         // Update visualization (limit for very large models)
-        // Skip thinning if slice view mode is selected (slice modes handle their own filtering)
-        const viewModeSelect = document.getElementById('viewMode');
-        const currentViewMode = viewModeSelect ? viewModeSelect.value : 'solid';
-        const isSliceMode = ['slicesX', 'slicesY', 'slicesZ'].includes(currentViewMode);
-        
-        const blocksToVisualize = (totalCells > 200000 && !isSliceMode)
-            ? blocksWithMaterials.filter((_, idx) => idx % Math.ceil(totalCells / 200000) === 0)
-            : blocksWithMaterials;
+        const blocksToVisualize = getBlocksToVisualize(blocksWithMaterials, totalCells);
         
+        setGridRotation(params.bearing, params.dip, params.plunge);
+        setTopographySurface(topographySurface);
+        resetPitResults();
+        resetDrillholes();
         updateVisualization(
             blocksToVisualize,
             params.cellSizeX,
@@ -642,30 +757,311 @@ async function handleGenerate() {
         }, 100);
         
         // Update status
-        if (totalCells > 200000) {
-            updateStatus(
-                t('status.modelGeneratedLarge', { 
-                    count: currentBlocks.length.toLocaleString(),
-                    pattern: t(`patterns.${params.patternType}`)
-                }),
-                'success'
-            );
-        } else {
-            updateStatus(
-                t('status.modelGenerated', { 
-                    count: currentBlocks.length.toLocaleString(),
-                    pattern: t(`patterns.${params.patternType}`)
-                }),
-                'success'
+        let statusMessage = t(totalCells > MAX_VISUALIZED_BLOCKS ? 'status.modelGeneratedLarge' : 'status.modelGenerated', { 
+            count: currentBlocks.length.toLocaleString(),
+            pattern: t(`patterns.${params.patternType}`)
+        });
+        
+        // Tell the user when the variogram range reaches past the SGS search box
+        if (usesSgs) {
+            const sgsParams = { ...DEFAULT_SGS_PARAMS, ...params.sgs };
+            const radius = getSgsSearchRadius(
+                sgsParams,
+                { x: params.cellSizeX, y: params.cellSizeY, z: params.cellSizeZ },
+                { nx: params.cellsX, ny: params.cellsY, nz: params.cellsZ }
             );
+            if (radius.clamped) {
+                statusMessage += ' ' + t('status.sgsSearchLimited', {
+                    cells: `${radius.ri} × ${radius.rj} × ${radius.rk}`,
+                    range: Math.max(sgsParams.rangeMajor, sgsParams.rangeSemi, sgsParams.rangeMinor)
+                });
+            }
         }
-        
+        updateStatus(statusMessage, 'success');
+    
     } catch (error) {
         updateStatus(t('status.error', { message: error.message }), 'error');
         console.error('Generation error:', error);
     }
 }
 
+/**
+ * Read sequential Gaussian simulation parameters from the Simulation section
+ * @returns {Object} SGS parameters (see DEFAULT_SGS_PARAMS)
+ */
+function readSgsParams() {
+    const readNumber = (id, fallback) => {
+        const el = document.getElementById(id);
+        const value = el ? parseFloat(el.value) : NaN;
+        return isFinite(value) ? value : fallback;
+    };
+    const structureEl = document.getElementById('sgsStructure');
+    
+    return {
+        structure: structureEl && VARIOGRAM_STRUCTURES.includes(structureEl.value)
+            ? structureEl.value
+            : DEFAULT_SGS_PARAMS.structure,
+        nugget: readNumber('sgsNugget', DEFAULT_SGS_PARAMS.nugget),
+        sill: readNumber('sgsSill', DEFAULT_SGS_PARAMS.sill),
+        rangeMajor: readNumber('sgsRangeMajor', DEFAULT_SGS_PARAMS.rangeMajor),
+        rangeSemi: readNumber('sgsRangeSemi', DEFAULT_SGS_PARAMS.rangeSemi),
+        rangeMinor: readNumber('sgsRangeMinor', DEFAULT_SGS_PARAMS.rangeMinor),
+        azimuth: readNumber('sgsAzimuth', DEFAULT_SGS_PARAMS.azimuth),
+        dip: readNumber('sgsDip', DEFAULT_SGS_PARAMS.dip),
+        plunge: readNumber('sgsPlunge', DEFAULT_SGS_PARAMS.plunge),
+        meanCu: readNumber('sgsMeanCu', DEFAULT_SGS_PARAMS.meanCu),
+        meanAu: readNumber('sgsMeanAu', DEFAULT_SGS_PARAMS.meanAu),
+        cv: readNumber('sgsCv', DEFAULT_SGS_PARAMS.cv)
+    };
+}
+
+/**
+ * Set the Simulation section inputs from saved SGS parameters
+ * @param {Object} sgs - SGS parameters (missing values fall back to defaults)
+ */
+function setSgsParams(sgs) {
+    const values = { ...DEFAULT_SGS_PARAMS, ...(sgs || {}) };
+    const fields = {
+        sgsStructure: values.structure,
+        sgsNugget: values.nugget,
+        sgsSill: values.sill,
+        sgsRangeMajor: values.rangeMajor,
+        sgsRangeSemi: values.rangeSemi,
+        sgsRangeMinor: values.rangeMinor,
+        sgsAzimuth: values.azimuth,
+        sgsDip: values.dip,
+        sgsPlunge: values.plunge,
+        sgsMeanCu: values.meanCu,
+        sgsMeanAu: values.meanAu,
+        sgsCv: values.cv
+    };
+    Object.keys(fields).forEach(id => {
+        const el = document.getElementById(id);
+        if (el) {
+            el.value = fields[id];
+        }
+    });
+}
+
+/**
+ * Read kimberlite pipe parameters from the Kimberlite Pipes section
+ * @returns {Object} Pipe parameters (see DEFAULT_KIMBERLITE_PARAMS)
+ */
+function readKimberliteParams() {
+    const readNumber = (id, fallback) => {
+        const el = document.getElementById(id);
+        const value = el ? parseFloat(el.value) : NaN;
+        return isFinite(value) ? value : fallback;
+    };
+    
+    return {
+        pipeCount: Math.round(readNumber('kimberlitePipeCount', DEFAULT_KIMBERLITE_PARAMS.pipeCount)),
+        radius: readNumber('kimberliteRadius', DEFAULT_KIMBERLITE_PARAMS.radius),
+        wallDip: readNumber('kimberliteWallDip', DEFAULT_KIMBERLITE_PARAMS.wallDip),
+        craterDepth: readNumber('kimberliteCraterDepth', DEFAULT_KIMBERLITE_PARAMS.craterDepth),
+        diatremeDepth: readNumber('kimberliteDiatremeDepth', DEFAULT_KIMBERLITE_PARAMS.diatremeDepth),
+        rootDepth: readNumber('kimberliteRootDepth', DEFAULT_KIMBERLITE_PARAMS.rootDepth),
+        craterCpht: readNumber('kimberliteCraterCpht', DEFAULT_KIMBERLITE_PARAMS.craterCpht),
+        diatremeCpht: readNumber('kimberliteDiatremeCpht', DEFAULT_KIMBERLITE_PARAMS.diatremeCpht),
+        rootCpht: readNumber('kimberliteRootCpht', DEFAULT_KIMBERLITE_PARAMS.rootCpht),
+        craterValue: readNumber('kimberliteCraterValue', DEFAULT_KIMBERLITE_PARAMS.craterValue),
+        diatremeValue: readNumber('kimberliteDiatremeValue', DEFAULT_KIMBERLITE_PARAMS.diatremeValue),
+        rootValue: readNumber('kimberliteRootValue', DEFAULT_KIMBERLITE_PARAMS.rootValue)
+    };
+}
+
+/**
+ * Set the Kimberlite Pipes section inputs from saved pipe parameters
+ * @param {Object} kimberlite - Pipe parameters (missing values fall back to defaults)
+ */
+function setKimberliteParams(kimberlite) {
+    const values = { ...DEFAULT_KIMBERLITE_PARAMS, ...(kimberlite || {}) };
+    const fields = {
+        kimberlitePipeCount: values.pipeCount,
+        kimberliteRadius: values.radius,
+        kimberliteWallDip: values.wallDip,
+        kimberliteCraterDepth: values.craterDepth,
+        kimberliteDiatremeDepth: values.diatremeDepth,
+        kimberliteRootDepth: values.rootDepth,
+        kimberliteCraterCpht: values.craterCpht,
+        kimberliteDiatremeCpht: values.diatremeCpht,
+        kimberliteRootCpht: values.rootCpht,
+        kimberliteCraterValue: values.craterValue,
+        kimberliteDiatremeValue: values.diatremeValue,
+        kimberliteRootValue: values.rootValue
+    };
+    Object.keys(fields).forEach(id => {
+        const el = document.getElementById(id);
+        if (el) {
+            el.value = fields[id];
+        }
+    });
+}
+
+/**
+ * Read stockwork parameters from the Stockwork section
+ * Only the first "Sets" orientation rows are used
+ * @returns {Object} Stockwork parameters (see DEFAULT_STOCKWORK_PARAMS)
+ */
+function readStockworkParams() {
+    const readNumber = (id, fallback) => {
+        const el = document.getElementById(id);
+        const value = el ? parseFloat(el.value) : NaN;
+        return isFinite(value) ? value : fallback;
+    };
+    const setCount = Math.min(MAX_STOCKWORK_SETS, Math.max(1, Math.round(readNumber('stockworkSetCount', DEFAULT_STOCKWORK_PARAMS.sets.length))));
+    const sets = [];
+    for (let s = 0; s < setCount; s++) {
+        const fallback = DEFAULT_STOCKWORK_PARAMS.sets[s] || DEFAULT_STOCKWORK_PARAMS.sets[0];
+        sets.push({
+            dipDirection: readNumber(`stockworkSet${s + 1}DipDirection`, fallback.dipDirection),
+            dip: readNumber(`stockworkSet${s + 1}Dip`, fallback.dip),
+            kappa: readNumber(`stockworkSet${s + 1}Kappa`, fallback.kappa)
+        });
+    }
+    
+    return {
+        veinCount: Math.round(readNumber('stockworkVeinCount', DEFAULT_STOCKWORK_PARAMS.veinCount)),
+        length: readNumber('stockworkLength', DEFAULT_STOCKWORK_PARAMS.length),
+        aperture: readNumber('stockworkAperture', DEFAULT_STOCKWORK_PARAMS.aperture),
+        veinCu: readNumber('stockworkVeinCu', DEFAULT_STOCKWORK_PARAMS.veinCu),
+        veinAu: readNumber('stockworkVeinAu', DEFAULT_STOCKWORK_PARAMS.veinAu),
+        sets: sets
+    };
+}
+
+/**
+ * Set the Stockwork section inputs from saved stockwork parameters
+ * @param {Object} stockwork - Stockwork parameters (missing values fall back to defaults)
+ */
+function setStockworkParams(stockwork) {
+    const values = { ...DEFAULT_STOCKWORK_PARAMS, ...(stockwork || {}) };
+    const sets = Array.isArray(values.sets) && values.sets.length > 0 ? values.sets : DEFAULT_STOCKWORK_PARAMS.sets;
+    const fields = {
+        stockworkVeinCount: values.veinCount,
+        stockworkLength: values.length,
+        stockworkAperture: values.aperture,
+        stockworkVeinCu: values.veinCu,
+        stockworkVeinAu: values.veinAu,
+        stockworkSetCount: sets.length
+    };
+    sets.forEach((set, s) => {
+        fields[`stockworkSet${s + 1}DipDirection`] = set.dipDirection;
+        fields[`stockworkSet${s + 1}Dip`] = set.dip;
+        fields[`stockworkSet${s + 1}Kappa`] = set.kappa;
+    });
+    Object.keys(fields).forEach(id => {
+        const el = document.getElementById(id);
+        if (el) {
+            el.value = fields[id];
+        }
+    });
+}
+
+/**
+ * Read topography parameters from the Topography section
+ * @returns {Object} Topography parameters (see DEFAULT_TOPOGRAPHY_PARAMS)
+ */
+function readTopographyParams() {
+    const readNumber = (id, fallback) => {
+        const el = document.getElementById(id);
+        const value = el ? parseFloat(el.value) : NaN;
+        return isFinite(value) ? value : fallback;
+    };
+    const typeEl = document.getElementById('topographyType');
+    
+    return {
+        type: typeEl && TOPOGRAPHY_TYPES.includes(typeEl.value)
+            ? typeEl.value
+            : DEFAULT_TOPOGRAPHY_PARAMS.type,
+        relief: readNumber('topographyRelief', DEFAULT_TOPOGRAPHY_PARAMS.relief),
+        wavelength: readNumber('topographyWavelength', DEFAULT_TOPOGRAPHY_PARAMS.wavelength),
+        azimuth: readNumber('topographyAzimuth', DEFAULT_TOPOGRAPHY_PARAMS.azimuth),
+        width: readNumber('topographyWidth', DEFAULT_TOPOGRAPHY_PARAMS.width)
+    };
+}
+
+/**
+ * Set the Topography section inputs from saved topography parameters
+ * @param {Object} topography - Topography parameters (missing values fall back to defaults)
+ */
+function setTopographyParams(topography) {
+    const values = { ...DEFAULT_TOPOGRAPHY_PARAMS, ...(topography || {}) };
+    const fields = {
+        topographyType: values.type,
+        topographyRelief: values.relief,
+        topographyWavelength: values.wavelength,
+        topographyAzimuth: values.azimuth,
+        topographyWidth: values.width
+    };
+    Object.keys(fields).forEach(id => {
+        const el = document.getElementById(id);
+        if (el) {
+            el.value = fields[id];
+        }
+    });
+    if (typeof window.updateTopographyControls === 'function') {
+        window.updateTopographyControls();
+    }
+}
+
+/**
+ * Resolve the model seed from the form
+ * Unless "Keep Seed" is ticked a new seed is drawn and shown in the seed field,
+ * so the current model can always be reproduced from the value on screen
+ * @returns {number} Model seed
+ */
+function resolveModelSeed() {
+    const seedInput = document.getElementById('randomSeed');
+    const seedLocked = document.getElementById('seedLocked');
+    const value = seedInput ? seedInput.value.trim() : '';
+    
+    if (seedLocked && seedLocked.checked && value !== '') {
+        const seed = Number(value);
+        if (!Number.isInteger(seed) || seed < 0 || seed > MAX_RANDOM_SEED) {
+            throw new Error(t('errors.seedInvalid', { max: MAX_RANDOM_SEED }));
+        }
+        return seed;
+    }
+    
+    const seed = createRandomSeed();
+    if (seedInput) {
+        seedInput.value = seed;
+    }
+    return seed;
+}
+
+/**
+ * Number of material patterns available in the pattern selector
+ * @returns {number} Pattern count
+ */
+function getPatternCount() {
+    const patternSelect = document.getElementById('patternType');
+    return patternSelect ? patternSelect.options.length : 0;
+}
+
+/**
+ * Build standard grid parameters from form parameters
+ * @param {Object} params - Model parameters from the form
+ * @returns {Object} Grid parameters for generateRegularGrid()
+ */
+function buildGridParams(params) {
+    return {
+        xmOrig: params.originX,
+        ymOrig: params.originY,
+        zmOrig: params.originZ,
+        xInc: params.cellSizeX,
+        yInc: params.cellSizeY,
+        zInc: params.cellSizeZ,
+        nx: params.cellsX,
+        ny: params.cellsY,
+        nz: params.cellsZ,
+        bearing: params.bearing || 0,
+        dip: params.dip || 0,
+        plunge: params.plunge || 0
+    };
+}
+
 /**
  * Generate large model in chunks to avoid blocking
  * @param {Object} gridParams - Grid parameters
@@ -731,6 +1127,30 @@ function generateLargeModel(gridParams) {
     });
 }
 
+/**
+ * CSV options of the current model and the Export Options section
+ * @returns {Object} blocksToCsv options
+ */
+function getCsvExportOptions() {
+    const headerStyle = document.getElementById('csvHeaderStyle');
+    const slopeColumn = document.getElementById('exportSlopeColumn');
+    const pitParams = slopeColumn && slopeColumn.checked ? readPitParams() : null;
+    
+    return {
+        includeIndices: isGridRotated(currentParams), // Rotated grids need I, J, K to rebuild the grid
+        includeZone: true,
+        includeGrades: true,
+        includeEconValue: true,
+        filterAirBlocks: true,
+        cellSizeX: currentParams ? currentParams.cellSizeX : undefined,
+        cellSizeY: currentParams ? currentParams.cellSizeY : undefined,
+        cellSizeZ: currentParams ? currentParams.cellSizeZ : undefined,
+        gradeAttributes: getCurrentGradeAttributeDefinitions(),
+        headerStyle: headerStyle ? headerStyle.value : 'standard',
+        slopeAngle: pitParams ? block => getBlockSlopeAngle(block, pitParams) : null
+    };
+}
+
 /**
  * Handle export button click
  */
@@ -740,6 +1160,21 @@ async function handleExport() {
         return;
     }
     
+    // Other formats chosen in the Export Options section
+    const exportFormat = document.getElementById('exportFormat');
+    if (exportFormat && exportFormat.value === 'datamine') {
+        await exportAsDatamine();
+        return;
+    }
+    if (exportFormat && exportFormat.value === 'gslib') {
+        await exportAsGslib();
+        return;
+    }
+    if (exportFormat && exportFormat.value === 'omf') {
+        await exportAsOmf();
+        return;
+    }
+    
     // Check if JSZip is available
     if (typeof JSZip === 'undefined') {
         updateStatus(t('status.zipNotAvailable'), 'info');
@@ -753,16 +1188,7 @@ async function handleExport() {
         
         // Use standard CSV export (chunked to avoid string length limits)
         // blocksToCsv now handles chunking internally for very large models
-        const csvContent = blocksToCsv(currentBlocks, {
-            includeIndices: false,
-            includeZone: true,
-            includeGrades: true,
-            includeEconValue: true,
-            filterAirBlocks: true,
-            cellSizeX: currentParams ? currentParams.cellSizeX : undefined,
-            cellSizeY: currentParams ? currentParams.cellSizeY : undefined,
-            cellSizeZ: currentParams ? currentParams.cellSizeZ : undefined
-        });
+        const csvContent = blocksToCsv(currentBlocks, getCsvExportOptions());
         
         // Check if CSV content is too large for a single string (safety check)
         if (csvContent.length > 500 * 1024 * 1024) { // 500MB limit
@@ -778,6 +1204,11 @@ async function handleExport() {
         // Add CSV to ZIP (JSZip handles large content efficiently)
         zip.file(csvFileName, csvContent);
         
+        // Add grid definition (origin, increments, rotation) so the model can be reconstructed
+        if (currentParams) {
+            zip.file(`block_model_${timestamp}_grid.txt`, gridParamsToDefinition(buildGridParams(currentParams)));
+        }
+        
         // Generate ZIP file as blob
         const zipBlob = await zip.generateAsync({
             type: 'blob',
@@ -819,7 +1250,7 @@ async function handleExport() {
             }),
             'success'
         );
-        
+    
     } catch (error) {
         updateStatus(t('status.exportError', { message: error.message }), 'error');
         console.error('ZIP export error:', error);
@@ -828,6 +1259,109 @@ async function handleExport() {
     }
 }
 
+/**
+ * Download a model file of the Export Options formats
+ * The file is zipped with the grid definition when JSZip is available
+ * @param {string|ArrayBuffer} content - File contents
+ * @param {string} extension - File extension (e.g. 'dm')
+ * @param {string} type - MIME type of the unzipped file
+ */
+async function downloadModelFile(content, extension, type) {
+    const timestamp = Date.now();
+    let blob = new Blob([content], { type: type });
+    let fileName = `block_model_${timestamp}.${extension}`;
+    if (typeof JSZip !== 'undefined') {
+        updateStatus(t('status.exporting'));
+        const zip = new JSZip();
+        zip.file(fileName, content);
+        zip.file(`block_model_${timestamp}_grid.txt`, gridParamsToDefinition(buildGridParams(currentParams)));
+        blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+        fileName = `block_model_${timestamp}_${extension}.zip`;
+    }
+    
+    // Create download link
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.visibility = 'hidden';
+    
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Clean up
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+    
+    // Track export for statistics
+    trackExport();
+}
+
+/**
+ * Export the current model as a Datamine binary block model (.dm)
+ */
+async function exportAsDatamine() {
+    try {
+        const dm = blocksToDatamine(currentBlocks, buildGridParams(currentParams), {
+            gradeAttributes: getCurrentGradeAttributeDefinitions()
+        });
+        await downloadModelFile(dm, 'dm', 'application/octet-stream');
+        
+        updateStatus(t('status.datamineSuccess', {
+            count: currentBlocks.filter(block => block.density > 0).length.toLocaleString(),
+            size: (dm.byteLength / 1024 / 1024).toFixed(2)
+        }), 'success');
+    } catch (error) {
+        updateStatus(t('status.datamineError', { message: error.message }), 'error');
+        console.error('Datamine export error:', error);
+    }
+}
+
+/**
+ * Export the current model as a GSLIB (GeoEAS) grid
+ */
+async function exportAsGslib() {
+    try {
+        const gridParams = buildGridParams(currentParams);
+        const text = blocksToGslib(currentBlocks, gridParams, {
+            gradeAttributes: getCurrentGradeAttributeDefinitions()
+        });
+        await downloadModelFile(text, 'dat', 'text/plain;charset=utf-8;');
+        
+        updateStatus(t('status.gslibSuccess', {
+            count: (gridParams.nx * gridParams.ny * gridParams.nz).toLocaleString(),
+            size: (text.length / 1024 / 1024).toFixed(2)
+        }), 'success');
+    } catch (error) {
+        updateStatus(t('status.gslibError', { message: error.message }), 'error');
+        console.error('GSLIB export error:', error);
+    }
+}
+
+/**
+ * Export the current model as an OMF v1 project (block model and, optionally, the topography)
+ */
+async function exportAsOmf() {
+    try {
+        const gridParams = buildGridParams(currentParams);
+        const includeSurface = document.getElementById('omfTopography');
+        const buffer = await blocksToOmf(currentBlocks, gridParams, {
+            surface: includeSurface && includeSurface.checked ? getCurrentTopographySurface() : null,
+            gradeAttributes: getCurrentGradeAttributeDefinitions()
+        });
+        await downloadModelFile(buffer, 'omf', 'application/octet-stream');
+        
+        updateStatus(t('status.omfSuccess', {
+            count: (gridParams.nx * gridParams.ny * gridParams.nz).toLocaleString(),
+            size: (buffer.byteLength / 1024 / 1024).toFixed(2)
+        }), 'success');
+    } catch (error) {
+        updateStatus(t('status.omfError', { message: error.message }), 'error');
+        console.error('OMF export error:', error);
+    }
+}
+
 /**
  * Save viewport image as PNG
  */
@@ -885,16 +1419,7 @@ function saveViewportImage() {
  */
 function exportAsCsv() {
     try {
-        const csvContent = blocksToCsv(currentBlocks, {
-            includeIndices: false,
-            includeZone: true,
-            includeGrades: true,
-            includeEconValue: true,
-            filterAirBlocks: true,
-            cellSizeX: currentParams ? currentParams.cellSizeX : undefined,
-            cellSizeY: currentParams ? currentParams.cellSizeY : undefined,
-            cellSizeZ: currentParams ? currentParams.cellSizeZ : undefined
-        });
+        const csvContent = blocksToCsv(currentBlocks, getCsvExportOptions());
         
         // Create download link
         const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -1244,7 +1769,7 @@ function initStatsPanel() {
         // Patterns section
         if (stats.patternsTried.length > 0) {
             html.push('<tr><th colspan="2">' + escapeHtml(t('stats.patternsExplored')) + '</th></tr>');
-            html.push('<tr><td>' + escapeHtml(t('stats.patternsTried')) + '</td><td><strong>' + stats.patternsTried.length + '</strong> ' + escapeHtml(t('stats.of12')) + '</td></tr>');
+            html.push('<tr><td>' + escapeHtml(t('stats.patternsTried')) + '</td><td><strong>' + stats.patternsTried.length + '</strong> ' + escapeHtml(t('stats.ofPatterns', { count: getPatternCount() })) + '</td></tr>');
             
             // Most used pattern
             let mostUsed = '';
@@ -1388,6 +1913,14 @@ function initGalleryPanel() {
             updateStatus(t('gallery.generateFirst'), 'error');
             return;
         }
+        if (currentParams.reblocked) {
+            updateStatus(t('gallery.reblockedModel'), 'error');
+            return;
+        }
+        if (currentParams.imported) {
+            updateStatus(t('gallery.importedModel'), 'error');
+            return;
+        }
         modelNameInput.value = '';
         modelNameInput.placeholder = t('gallery.modelNamePlaceholder');
         saveModelModal.style.display = 'block';
@@ -1413,13 +1946,7 @@ function initGalleryPanel() {
                 visualizationState = getVisualizationState();
             }
             
-            // Capture random seed if available
-            let randomSeed = null;
-            if (currentRandomSeed !== undefined && currentRandomSeed !== null) {
-                randomSeed = currentRandomSeed;
-            }
-            
-            saveModelToGallery(name, currentParams, currentModelStats, visualizationState, randomSeed);
+            saveModelToGallery(name, currentParams, currentModelStats, visualizationState, currentParams.seed);
             updateStatus(t('gallery.modelSaved', { name: name }), 'success');
             saveModelModal.style.display = 'none';
             updateGalleryDisplay();
@@ -1448,23 +1975,10 @@ function initGalleryPanel() {
                 // Restore visualization state if available (delay until after generation)
                 const visualizationStateToRestore = model.visualizationState;
                 
-                // Set random seed if available (mark as from gallery to preserve it)
-                if (model.randomSeed) {
-                    currentRandomSeed = {
-                        ...model.randomSeed,
-                        fromGallery: true
-                    };
-                } else {
-                    // Clear seed so new random values are generated
-                    currentRandomSeed = null;
-                }
-                
                 setTimeout(() => {
                     handleGenerate().then(() => {
-                        // Clear the gallery flag after generation
-                        if (currentRandomSeed) {
-                            currentRandomSeed.fromGallery = false;
-                        }
+                        // Release the gallery seed so the next generation gets a new one
+                        document.getElementById('seedLocked').checked = false;
                         
                         // Restore visualization state after generation completes
                         if (visualizationStateToRestore && typeof restoreVisualizationState === 'function') {
@@ -1586,6 +2100,7 @@ function initModelStatsDisplay() {
     const modelStatsContent = document.getElementById('modelStatsContent');
     const modelStatsBtn = document.getElementById('modelStatsBtn');
     const modelStatsClose = modelStatsModal?.querySelector('.modal-close');
+    const resourceReportBtn = document.getElementById('resourceReportBtn');
     
     if (!modelStatsModal || !modelStatsContent || !modelStatsBtn) {
         console.warn('Model stats elements not found');
@@ -1652,6 +2167,9 @@ function initModelStatsDisplay() {
         // Key stats (always visible)
         html.push('<div style="margin-bottom: 12px;">');
         html.push(`<div style="margin-bottom: 4px;"><strong>${t('modelStats.blocks')}:</strong> ${stats.blockCount.toLocaleString()}</div>`);
+        if (stats.airBlockCount > 0) {
+            html.push(`<div style="margin-bottom: 4px;"><strong>${t('modelStats.airBlocks')}:</strong> ${stats.airBlockCount.toLocaleString()}</div>`);
+        }
         html.push(`<div style="margin-bottom: 4px;"><strong>${t('modelStats.volume')}:</strong> ${(stats.totalVolume / 1000).toFixed(1)}${t('modelStats.kM3')}</div>`);
         html.push(`<div style="margin-bottom: 4px;"><strong>${t('modelStats.ore')}:</strong> ${stats.orePercentage.toFixed(1)}% | <strong>${t('modelStats.waste')}:</strong> ${stats.wastePercentage.toFixed(1)}%</div>`);
         
@@ -1667,8 +2185,58 @@ function initModelStatsDisplay() {
             html.push(`<div style="margin-bottom: 4px;"><strong>${t('modelStats.auGrade')}:</strong> ${stats.gradeAu.min.toFixed(2)} - ${stats.gradeAu.max.toFixed(2)} ${t('modelStats.gPerT')} (${t('modelStats.avg')}: ${stats.gradeAu.avg.toFixed(2)})</div>`);
         }
         
+        (stats.gradeAttributes || []).forEach(attribute => {
+            const unit = escapeHtml(attribute.unit);
+            html.push(`<div style="margin-bottom: 4px;"><strong>${escapeHtml(attribute.name)}:</strong> ${attribute.min.toFixed(2)} - ${attribute.max.toFixed(2)} ${unit} (${t('modelStats.avg')}: ${attribute.avg.toFixed(2)})</div>`);
+        });
+        
         html.push('</div>');
         
+        // Resource categories (classified models)
+        if (stats.resourceCategories && stats.resourceCategories.length > 0) {
+            html.push('<div style="margin-top: 12px; padding-top: 12px; border-top: 1px solid rgba(255,255,255,0.1);">');
+            html.push(`<div style="font-size: 1em; opacity: 0.9; margin-bottom: 6px;"><strong>${t('modelStats.resources')}:</strong></div>`);
+            html.push('<table class="stats-table"><thead><tr>');
+            html.push(`<th>${t('classification.category')}</th><th>${t('classification.tonnes')}</th><th>${t('modelStats.cuGrade')}</th><th>${t('modelStats.auGrade')}</th>`);
+            html.push('</tr></thead><tbody>');
+            stats.resourceCategories.forEach(row => {
+                html.push(`<tr><td>${row.code} ${escapeHtml(t(`classification.categories.${row.code}`))}</td><td>${formatTonnageLabel(row.tonnes)}</td><td>${row.gradeCu.toFixed(2)}%</td><td>${row.gradeAu.toFixed(2)} ${t('modelStats.gPerT')}</td></tr>`);
+            });
+            html.push('</tbody></table>');
+            html.push('</div>');
+        }
+        
+        // Estimates against the true grades (estimated models)
+        if (stats.estimation && stats.estimation.length > 0) {
+            html.push('<div style="margin-top: 12px; padding-top: 12px; border-top: 1px solid rgba(255,255,255,0.1);">');
+            html.push(`<div style="font-size: 1em; opacity: 0.9; margin-bottom: 6px;"><strong>${t('modelStats.estimation')}:</strong></div>`);
+            html.push('<table class="stats-table"><thead><tr>');
+            html.push(`<th>${t('estimation.estimateColumn')}</th><th>${t('modelStats.blocks')}</th><th>${t('estimation.mean')}</th><th>${t('estimation.bias')}</th><th>${t('estimation.rmse')}</th><th>${t('estimation.correlation')}</th><th>${t('estimation.slope')}</th>`);
+            html.push('</tr></thead><tbody>');
+            stats.estimation.forEach(row => {
+                html.push(`<tr><td>${escapeHtml(getEstimateColumn(row.estimate))}</td><td>${row.count.toLocaleString()}</td><td>${row.meanEstimate.toFixed(3)} / ${row.meanTrue.toFixed(3)}</td><td>${row.relativeBias.toFixed(1)}%</td><td>${row.rmse.toFixed(3)}</td><td>${row.correlation.toFixed(2)}</td><td>${row.slope.toFixed(2)}</td></tr>`);
+            });
+            html.push('</tbody></table>');
+            
+            // One scatter plot per estimated field
+            const fields = [...new Set(stats.estimation.map(row => row.field))];
+            fields.forEach(field => {
+                const series = stats.estimation
+                    .filter(row => row.field === field)
+                    .map(row => ({ label: getEstimateColumn(row.estimate), pairs: getEstimatePairs(currentBlocks, row.estimate) }))
+                    .filter(s => s.pairs.length > 0);
+                if (series.length > 0) {
+                    html.push('<div style="margin-top: 8px;">');
+                    html.push(renderEstimateScatterChart(series, {
+                        x: t('estimation.trueGrade', { field: field.replace(/^grade/, '') }),
+                        y: t('estimation.estimatedGrade', { field: field.replace(/^grade/, '') })
+                    }));
+                    html.push('</div>');
+                }
+            });
+            html.push('</div>');
+        }
+        
         // Interesting facts
         if (stats.interestingFacts.length > 0) {
             html.push('<div style="margin-top: 12px; padding-top: 12px; border-top: 1px solid rgba(255,255,255,0.1);">');
@@ -1680,6 +2248,33 @@ function initModelStatsDisplay() {
         }
         
         modelStatsContent.innerHTML = html.join('');
+        
+        if (resourceReportBtn) {
+            resourceReportBtn.style.display = stats.resourceCategories && stats.resourceCategories.length > 0 ? '' : 'none';
+        }
+    }
+    
+    // Download the resource categories as CSV
+    if (resourceReportBtn) {
+        resourceReportBtn.addEventListener('click', () => {
+            if (!currentModelStats || !currentModelStats.resourceCategories) {
+                return;
+            }
+            const csv = resourceCategoriesToCsv(currentModelStats.resourceCategories);
+            const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            
+            link.setAttribute('href', url);
+            link.setAttribute('download', `resource_report_${Date.now()}.csv`);
+            link.style.visibility = 'hidden';
+            
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            setTimeout(() => URL.revokeObjectURL(url), 100);
+        });
     }
     
     // Expose function to update display
@@ -1694,36 +2289,2355 @@ function initModelStatsDisplay() {
     });
 }
 
-// ============================================================================
-// Gamification: Statistics Tracking
-// ============================================================================
-
 /**
- * Initialize statistics structure
- * @returns {Object} Statistics object
+ * Initialize Variogram panel (opened from the Model Statistics modal)
  */
-function initStats() {
-    return {
-        totalModels: 0,
-        totalExports: 0,
-        firstModelDate: null,
-        lastModelDate: null,
-        totalSessionTime: 0,
-        patternsTried: [],
-        patternUsage: {},
-        viewModesUsed: [],
-        toolsUsed: {
-            sliceTool: false,
-            valueFilter: false,
-            categoryFilter: false,
-            groundLayer: false
-        },
-        largestModel: 0,
-        averageModelSize: 0,
-        totalVolume: 0,
-        currentSession: {
-            startTime: Date.now(),
-            modelsGenerated: 0
+function initVariogramPanel() {
+    const variogramBtn = document.getElementById('variogramBtn');
+    const variogramPanel = document.getElementById('variogramPanel');
+    const variogramClose = variogramPanel?.querySelector('.memory-panel-close');
+    const calculateBtn = document.getElementById('variogramCalculateBtn');
+    const fieldSelect = document.getElementById('variogramField');
+    const chartContainer = document.getElementById('variogramChart');
+    const modelsContainer = document.getElementById('variogramModels');
+    
+    if (!variogramBtn || !variogramPanel || !calculateBtn || !fieldSelect) {
+        console.warn('Variogram panel elements not found');
+        return;
+    }
+    
+    // Populate field options
+    VARIOGRAM_FIELDS.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = t(`visualization.fields.${field}`);
+        fieldSelect.appendChild(option);
+    });
+    
+    function openVariogramPanel() {
+        if (currentBlocks.length === 0 || !currentParams) {
+            return;
+        }
+        // Default lag size to the smallest cell size of the current model
+        const lagSizeInput = document.getElementById('variogramLagSize');
+        if (lagSizeInput && !lagSizeInput.value) {
+            lagSizeInput.value = Math.min(currentParams.cellSizeX, currentParams.cellSizeY, currentParams.cellSizeZ);
+        }
+        // Shares the position of the Grade-Tonnage panel
+        const gradeTonnagePanel = document.getElementById('gradeTonnagePanel');
+        if (gradeTonnagePanel) {
+            gradeTonnagePanel.style.display = 'none';
+        }
+        variogramPanel.style.display = 'block';
+    }
+    
+    function closeVariogramPanel() {
+        variogramPanel.style.display = 'none';
+    }
+    
+    function calculateVariogram() {
+        if (currentBlocks.length === 0 || !currentParams) {
+            return;
+        }
+        
+        try {
+            const field = VARIOGRAM_FIELDS.includes(fieldSelect.value) ? fieldSelect.value : 'gradeCu';
+            const structure = document.getElementById('variogramStructure').value;
+            const nested = parseInt(document.getElementById('variogramNested').value) === 2 ? 2 : 1;
+            const lagSize = parseFloat(document.getElementById('variogramLagSize').value);
+            const nLags = parseInt(document.getElementById('variogramLags').value);
+            
+            if (!isFinite(lagSize) || lagSize <= 0 || !Number.isInteger(nLags) || nLags < 1 || nLags > 50) {
+                throw new Error(t('errors.variogramLagsInvalid'));
+            }
+            
+            const directions = [];
+            [['variogramDirI', 'i'], ['variogramDirJ', 'j'], ['variogramDirK', 'k']].forEach(([id, axis]) => {
+                if (document.getElementById(id).checked) {
+                    directions.push({ label: axis.toUpperCase(), direction: { axis } });
+                }
+            });
+            if (document.getElementById('variogramDirCustom').checked) {
+                const azimuth = parseFloat(document.getElementById('variogramAzimuth').value) || 0;
+                const dip = parseFloat(document.getElementById('variogramDip').value) || 0;
+                const tolerance = parseFloat(document.getElementById('variogramTolerance').value) || 22.5;
+                directions.push({
+                    label: `${azimuth.toFixed(0)}°/${dip.toFixed(0)}°`,
+                    direction: { azimuth, dip, tolerance }
+                });
+            }
+            if (directions.length === 0) {
+                throw new Error(t('errors.variogramNoDirection'));
+            }
+            
+            const gridParams = buildGridParams(currentParams);
+            const values = buildVariogramGrid(currentBlocks, field, gridParams);
+            const sill = computeVariogramSill(values);
+            const structures = new Array(nested).fill(structure);
+            
+            const series = directions.map(({ label, direction }) => {
+                const points = computeExperimentalVariogram(values, gridParams, direction, { lagSize, nLags });
+                return { label, points, model: fitVariogramModel(points, { structures }) };
+            });
+            
+            if (series.every(s => s.points.length === 0)) {
+                chartContainer.innerHTML = `<p>${escapeHtml(t('variogram.noData'))}</p>`;
+                modelsContainer.innerHTML = '';
+                return;
+            }
+            
+            chartContainer.innerHTML = renderVariogramChart(series, sill, {
+                x: t('variogram.lagDistance'),
+                y: t('variogram.gamma')
+            });
+            
+            // Fitted model table
+            const html = ['<table class="stats-table">'];
+            html.push(`<tr><th>${escapeHtml(t('variogram.direction'))}</th><th>${escapeHtml(t('variogram.model'))}</th></tr>`);
+            series.forEach(s => {
+                const description = s.model
+                    ? [`${t('simulation.nugget')} ${s.model.nugget.toPrecision(3)}`].concat(s.model.structures.map(st =>
+                        `${t(`simulation.structures.${st.type}`)} ${st.sill.toPrecision(3)} @ ${st.range.toFixed(1)}`)).join(' + ')
+                    : t('variogram.noData');
+                html.push(`<tr><td>${escapeHtml(s.label)}</td><td>${escapeHtml(description)}</td></tr>`);
+            });
+            html.push(`<tr><td>${escapeHtml(t('variogram.variance'))}</td><td>${sill.toPrecision(3)}</td></tr>`);
+            html.push('</table>');
+            modelsContainer.innerHTML = html.join('');
+        } catch (error) {
+            updateStatus(t('status.error', { message: error.message }), 'error');
+            console.error('Variogram error:', error);
+        }
+    }
+    
+    variogramBtn.addEventListener('click', openVariogramPanel);
+    calculateBtn.addEventListener('click', calculateVariogram);
+    if (variogramClose) {
+        variogramClose.addEventListener('click', closeVariogramPanel);
+    }
+    
+    // Close with the Model Statistics modal so the panel is not left floating
+    const modelStatsModal = document.getElementById('modelStatsModal');
+    if (modelStatsModal) {
+        const modalClose = modelStatsModal.querySelector('.modal-close');
+        if (modalClose) {
+            modalClose.addEventListener('click', closeVariogramPanel);
+        }
+        modelStatsModal.addEventListener('click', (e) => {
+            if (e.target === modelStatsModal) {
+                closeVariogramPanel();
+            }
+        });
+    }
+}
+
+/**
+ * Initialize Grade-Tonnage panel (opened from the Model Statistics modal)
+ */
+function initGradeTonnagePanel() {
+    const gradeTonnageBtn = document.getElementById('gradeTonnageBtn');
+    const gradeTonnagePanel = document.getElementById('gradeTonnagePanel');
+    const gradeTonnageClose = gradeTonnagePanel?.querySelector('.memory-panel-close');
+    const calculateBtn = document.getElementById('gradeTonnageCalculateBtn');
+    const exportBtn = document.getElementById('gradeTonnageExportBtn');
+    const fieldSelect = document.getElementById('gradeTonnageField');
+    const minInput = document.getElementById('gradeTonnageMin');
+    const maxInput = document.getElementById('gradeTonnageMax');
+    const chartContainer = document.getElementById('gradeTonnageChart');
+    const tableContainer = document.getElementById('gradeTonnageTable');
+    
+    if (!gradeTonnageBtn || !gradeTonnagePanel || !calculateBtn || !exportBtn || !fieldSelect) {
+        console.warn('Grade-tonnage panel elements not found');
+        return;
+    }
+    
+    // Last calculated curve (exported as CSV)
+    let lastCurve = null;
+    
+    // Fields of the current model: { field, column, label }
+    function getAvailableFields() {
+        const columns = { gradeCu: 'GRADE_CU', gradeAu: 'GRADE_AU', econValue: 'ECON_VALUE' };
+        const fields = GRADE_TONNAGE_FIELDS.map(field => ({
+            field: field,
+            column: columns[field],
+            label: t(`visualization.fields.${field}`)
+        })).concat(getCurrentGradeAttributeDefinitions().map(attribute => ({
+            field: attribute.field,
+            column: attribute.column,
+            label: `${attribute.name} (${attribute.unit})`
+        })));
+        return fields.filter(({ field }) =>
+            currentBlocks.some(block => block[field] !== undefined && block[field] !== null));
+    }
+    
+    // Default cut-off range of the selected field (0 to the maximum value, or the minimum when negative)
+    function updateCutoffRange() {
+        const range = getGradeTonnageRange(currentBlocks, fieldSelect.value);
+        if (range) {
+            minInput.value = Number(Math.min(0, range.min).toPrecision(4));
+            maxInput.value = Number(range.max.toPrecision(4));
+        }
+    }
+    
+    function openGradeTonnagePanel() {
+        if (currentBlocks.length === 0 || !currentParams) {
+            return;
+        }
+        
+        const selected = fieldSelect.value;
+        const fields = getAvailableFields();
+        fieldSelect.innerHTML = fields.map(({ field, label }) =>
+            `<option value="${field}"${field === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`
+        ).join('');
+        updateCutoffRange();
+        
+        // Clear the curve of a previous model
+        if (lastCurve && lastCurve.blocks !== currentBlocks) {
+            lastCurve = null;
+            exportBtn.disabled = true;
+            chartContainer.innerHTML = '';
+            tableContainer.innerHTML = '';
+        }
+        
+        // Shares the position of the Variogram panel
+        const variogramPanel = document.getElementById('variogramPanel');
+        if (variogramPanel) {
+            variogramPanel.style.display = 'none';
+        }
+        gradeTonnagePanel.style.display = 'block';
+    }
+    
+    function closeGradeTonnagePanel() {
+        gradeTonnagePanel.style.display = 'none';
+    }
+    
+    function calculateGradeTonnage() {
+        if (currentBlocks.length === 0 || !currentParams) {
+            return;
+        }
+        
+        try {
+            const selected = getAvailableFields().find(({ field }) => field === fieldSelect.value);
+            if (!selected) {
+                throw new Error(t('gradeTonnage.noField'));
+            }
+            
+            const cutoffs = buildCutoffSweep(
+                parseFloat(minInput.value),
+                parseFloat(maxInput.value),
+                parseInt(document.getElementById('gradeTonnageSteps').value)
+            );
+            const rows = computeGradeTonnageCurve(currentBlocks, selected.field, buildGridParams(currentParams), cutoffs);
+            lastCurve = { rows, column: selected.column, blocks: currentBlocks };
+            exportBtn.disabled = false;
+            
+            chartContainer.innerHTML = renderGradeTonnageChart(rows, {
+                x: t('gradeTonnage.cutoff'),
+                tonnes: t('gradeTonnage.tonnes'),
+                grade: t('gradeTonnage.grade', { field: selected.label })
+            });
+            
+            // Curve table
+            const html = ['<table class="stats-table">'];
+            html.push(`<tr><th>${escapeHtml(t('gradeTonnage.cutoff'))}</th><th>${escapeHtml(t('gradeTonnage.tonnes'))}</th><th>${escapeHtml(t('gradeTonnage.averageGrade'))}</th></tr>`);
+            rows.forEach(row => {
+                html.push(`<tr><td>${row.cutoff.toPrecision(4)}</td><td>${Math.round(row.tonnes).toLocaleString()}</td><td>${row.grade.toPrecision(4)}</td></tr>`);
+            });
+            html.push('</table>');
+            tableContainer.innerHTML = html.join('');
+        } catch (error) {
+            updateStatus(t('status.error', { message: error.message }), 'error');
+            console.error('Grade-tonnage error:', error);
+        }
+    }
+    
+    function exportGradeTonnage() {
+        if (!lastCurve) {
+            return;
+        }
+        
+        const csv = gradeTonnageToCsv(lastCurve.rows, lastCurve.column);
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        
+        link.setAttribute('href', url);
+        link.setAttribute('download', `grade_tonnage_${lastCurve.column.toLowerCase()}.csv`);
+        link.style.visibility = 'hidden';
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+    }
+    
+    gradeTonnageBtn.addEventListener('click', openGradeTonnagePanel);
+    calculateBtn.addEventListener('click', calculateGradeTonnage);
+    fieldSelect.addEventListener('change', updateCutoffRange);
+    exportBtn.addEventListener('click', exportGradeTonnage);
+    if (gradeTonnageClose) {
+        gradeTonnageClose.addEventListener('click', closeGradeTonnagePanel);
+    }
+    
+    // Close with the Model Statistics modal so the panel is not left floating
+    const modelStatsModal = document.getElementById('modelStatsModal');
+    if (modelStatsModal) {
+        const modalClose = modelStatsModal.querySelector('.modal-close');
+        if (modalClose) {
+            modalClose.addEventListener('click', closeGradeTonnagePanel);
+        }
+        modelStatsModal.addEventListener('click', (e) => {
+            if (e.target === modelStatsModal) {
+                closeGradeTonnagePanel();
+            }
+        });
+    }
+}
+
+// ============================================================================
+// Material Library
+// ============================================================================
+
+/**
+ * Load the saved material library from localStorage (keeps the defaults if none is saved)
+ */
+function loadMaterialLibraryFromStorage() {
+    try {
+        const json = localStorage.getItem(MATERIAL_LIBRARY_STORAGE_KEY);
+        if (json) {
+            setMaterialLibrary(parseMaterialLibraryJson(json));
+        }
+    } catch (e) {
+        console.warn('Could not load material library, using defaults:', e);
+    }
+}
+
+/**
+ * Save the active material library to localStorage
+ */
+function saveMaterialLibraryToStorage() {
+    localStorage.setItem(MATERIAL_LIBRARY_STORAGE_KEY, materialLibraryToJson(getMaterialLibrary()));
+}
+
+/**
+ * Initialize the material library section and editor modal
+ */
+function initMaterialLibrary() {
+    const summary = document.getElementById('materialSummary');
+    const editBtn = document.getElementById('materialEditBtn');
+    const modal = document.getElementById('materialLibraryModal');
+    const modalClose = modal?.querySelector('.modal-close');
+    const rowsContainer = document.getElementById('materialLibraryRows');
+    const errorContainer = document.getElementById('materialLibraryError');
+    const importFile = document.getElementById('materialImportFile');
+    
+    loadMaterialLibraryFromStorage();
+    
+    if (!editBtn || !modal || !rowsContainer) {
+        console.warn('Material library elements not found');
+        return;
+    }
+    
+    function updateMaterialSummary() {
+        if (!summary) return;
+        const library = getMaterialLibrary();
+        summary.innerHTML = Object.keys(library).map(name =>
+            `<span><span class="material-swatch" style="background-color: ${formatMaterialColor(library[name].color)};"></span>${escapeHtml(name)}</span>`
+        ).join('');
+    }
+    
+    function showError(message) {
+        if (!errorContainer) return;
+        errorContainer.textContent = message || '';
+        errorContainer.style.display = message ? 'block' : 'none';
+    }
+    
+    function renderMaterialRow(name, material) {
+        const roleOptions = [`<option value="">${escapeHtml(t('materials.noRole'))}</option>`].concat(
+            MATERIAL_ROLES.map(role =>
+                `<option value="${escapeHtml(role)}"${material.role === role ? ' selected' : ''}>${escapeHtml(role)}</option>`)
+        ).join('');
+        return `<tr>` +
+            `<td><input type="text" class="material-name" value="${escapeHtml(name)}" maxlength="${MAX_MATERIAL_NAME_LENGTH}"></td>` +
+            `<td><input type="color" class="material-color" value="${formatMaterialColor(material.color)}"></td>` +
+            `<td><input type="number" class="material-density" value="${material.density}" step="0.01" min="0.01"></td>` +
+            `<td><input type="number" class="material-gradeCu" value="${material.gradeCu}" step="0.01" min="0"></td>` +
+            `<td><input type="number" class="material-gradeAu" value="${material.gradeAu}" step="0.01" min="0"></td>` +
+            `<td><input type="number" class="material-econValue" value="${material.econValue}" step="1"></td>` +
+            `<td><input type="text" class="material-zone" value="${escapeHtml(material.zone || '')}"></td>` +
+            `<td><select class="material-role">${roleOptions}</select></td>` +
+            `<td><button type="button" class="header-btn material-delete-btn" title="${escapeHtml(t('materials.delete'))}"><i class="fas fa-trash"></i></button></td>` +
+            `</tr>`;
+    }
+    
+    function renderMaterialRows(library) {
+        // Default materials hold their own pattern class unless another material has taken it
+        const takenRoles = Object.keys(library).map(name => library[name].role).filter(role => role);
+        rowsContainer.innerHTML = Object.keys(library).map(name => {
+            const material = { ...library[name] };
+            if (material.role === undefined && MATERIAL_ROLES.includes(name) && !takenRoles.includes(name)) {
+                material.role = name;
+            }
+            return renderMaterialRow(name, material);
+        }).join('');
+        showError('');
+    }
+    
+    function readMaterialRows() {
+        const library = {};
+        rowsContainer.querySelectorAll('tr').forEach(row => {
+            const name = row.querySelector('.material-name').value.trim();
+            if (library[name]) {
+                throw new Error(t('materials.duplicateName', { name: name }));
+            }
+            library[name] = {
+                color: parseMaterialColor(row.querySelector('.material-color').value),
+                density: parseFloat(row.querySelector('.material-density').value),
+                gradeCu: parseFloat(row.querySelector('.material-gradeCu').value) || 0,
+                gradeAu: parseFloat(row.querySelector('.material-gradeAu').value) || 0,
+                econValue: parseFloat(row.querySelector('.material-econValue').value) || 0
+            };
+            const zone = row.querySelector('.material-zone').value.trim();
+            const role = row.querySelector('.material-role').value;
+            if (zone) {
+                library[name].zone = zone;
+            }
+            if (role) {
+                library[name].role = role;
+            }
+        });
+        validateMaterialLibrary(library);
+        return library;
+    }
+    
+    function openMaterialLibrary() {
+        renderMaterialRows(getMaterialLibrary());
+        modal.style.display = 'block';
+    }
+    
+    function closeMaterialLibrary() {
+        modal.style.display = 'none';
+    }
+    
+    function saveMaterialLibrary() {
+        try {
+            setMaterialLibrary(readMaterialRows());
+            saveMaterialLibraryToStorage();
+        } catch (error) {
+            showError(t('materials.invalid', { message: error.message }));
+            return;
+        }
+        
+        closeMaterialLibrary();
+        updateMaterialSummary();
+        updateStatus(t('materials.saved'), 'success');
+        
+        // Regenerate with the same seed so only the materials change
+        if (currentBlocks.length > 0) {
+            const seedLocked = document.getElementById('seedLocked');
+            const wasLocked = seedLocked.checked;
+            seedLocked.checked = true;
+            handleGenerate().finally(() => {
+                seedLocked.checked = wasLocked;
+            });
+        }
+    }
+    
+    function exportMaterialLibrary() {
+        try {
+            const json = materialLibraryToJson(readMaterialRows());
+            const blob = new Blob([json], { type: 'application/json;charset=utf-8;' });
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            
+            link.setAttribute('href', url);
+            link.setAttribute('download', 'material_library.json');
+            link.style.visibility = 'hidden';
+            
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            setTimeout(() => URL.revokeObjectURL(url), 100);
+        } catch (error) {
+            showError(t('materials.invalid', { message: error.message }));
+        }
+    }
+    
+    function importMaterialLibrary(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                // Imported materials are shown for review and applied on Save
+                renderMaterialRows(parseMaterialLibraryJson(reader.result));
+            } catch (error) {
+                showError(t('materials.importError', { message: error.message }));
+            }
+        };
+        reader.readAsText(file);
+    }
+    
+    editBtn.addEventListener('click', openMaterialLibrary);
+    if (modalClose) {
+        modalClose.addEventListener('click', closeMaterialLibrary);
+    }
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeMaterialLibrary();
+        }
+    });
+    
+    document.getElementById('materialAddBtn').addEventListener('click', () => {
+        rowsContainer.insertAdjacentHTML('beforeend', renderMaterialRow(t('materials.newName'), {
+            color: 0x808080,
+            density: 2.5,
+            gradeCu: 0,
+            gradeAu: 0,
+            econValue: 0
+        }));
+    });
+    document.getElementById('materialResetBtn').addEventListener('click', () => {
+        renderMaterialRows(DEFAULT_MATERIALS);
+    });
+    document.getElementById('materialExportBtn').addEventListener('click', exportMaterialLibrary);
+    document.getElementById('materialSaveBtn').addEventListener('click', saveMaterialLibrary);
+    document.getElementById('materialImportBtn').addEventListener('click', () => {
+        importFile.value = '';
+        importFile.click();
+    });
+    importFile.addEventListener('change', () => {
+        if (importFile.files.length > 0) {
+            importMaterialLibrary(importFile.files[0]);
+        }
+    });
+    
+    // Event delegation for row delete buttons
+    rowsContainer.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.material-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.closest('tr').remove();
+        }
+    });
+    
+    updateMaterialSummary();
+}
+
+// ============================================================================
+// Grade Attributes
+// ============================================================================
+
+/**
+ * Load the saved grade attributes from localStorage (none are configured by default)
+ */
+function loadGradeAttributesFromStorage() {
+    try {
+        const json = localStorage.getItem(GRADE_ATTRIBUTES_STORAGE_KEY);
+        if (json) {
+            setGradeAttributes(JSON.parse(json));
+        }
+    } catch (e) {
+        console.warn('Could not load grade attributes:', e);
+    }
+}
+
+/**
+ * Save the active grade attributes to localStorage
+ */
+function saveGradeAttributesToStorage() {
+    localStorage.setItem(GRADE_ATTRIBUTES_STORAGE_KEY, JSON.stringify(getGradeAttributes()));
+}
+
+/**
+ * Grade attribute definitions of the current model (the attributes it was generated with)
+ * @returns {Array} Definitions { name, field, column, unit }
+ */
+function getCurrentGradeAttributeDefinitions() {
+    return getGradeAttributeDefinitions(currentParams && currentParams.gradeAttributes ? currentParams.gradeAttributes : []);
+}
+
+/**
+ * Initialize the grade attributes section and editor modal
+ */
+function initGradeAttributes() {
+    const summary = document.getElementById('gradeAttributeSummary');
+    const editBtn = document.getElementById('gradeAttributeEditBtn');
+    const modal = document.getElementById('gradeAttributeModal');
+    const modalClose = modal?.querySelector('.modal-close');
+    const rowsContainer = document.getElementById('gradeAttributeRows');
+    const errorContainer = document.getElementById('gradeAttributeError');
+    const presetSelect = document.getElementById('gradeAttributePreset');
+    
+    loadGradeAttributesFromStorage();
+    
+    if (!editBtn || !modal || !rowsContainer) {
+        console.warn('Grade attribute elements not found');
+        return;
+    }
+    
+    // Primary grades are shown by element or attribute name
+    const primaryLabels = { gradeCu: 'Cu', gradeAu: 'Au' };
+    PATTERN_GRADE_ATTRIBUTES.forEach(attribute => {
+        primaryLabels[attribute.field] = attribute.name;
+    });
+    
+    function updateGradeAttributeSummary() {
+        if (!summary) return;
+        const attributes = getGradeAttributes();
+        summary.innerHTML = attributes.length > 0
+            ? attributes.map(attribute => `<span>${escapeHtml(attribute.name)} (${escapeHtml(attribute.unit)})</span>`).join('')
+            : `<span>${escapeHtml(t('gradeAttributes.none'))}</span>`;
+    }
+    
+    function updatePresetOptions() {
+        if (!presetSelect) return;
+        presetSelect.innerHTML = Object.keys(GRADE_ATTRIBUTE_PRESETS).map(name =>
+            `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`
+        ).join('') + `<option value="">${escapeHtml(t('gradeAttributes.custom'))}</option>`;
+    }
+    
+    function showError(message) {
+        if (!errorContainer) return;
+        errorContainer.textContent = message || '';
+        errorContainer.style.display = message ? 'block' : 'none';
+    }
+    
+    function renderAttributeRow(attribute) {
+        const primaryOptions = GRADE_ATTRIBUTE_PRIMARY_FIELDS.map(field =>
+            `<option value="${field}"${attribute.primary === field ? ' selected' : ''}>${escapeHtml(primaryLabels[field])}</option>`
+        ).join('');
+        return `<tr>` +
+            `<td><input type="text" class="attribute-name" value="${escapeHtml(attribute.name)}" maxlength="12"></td>` +
+            `<td><input type="text" class="attribute-unit" value="${escapeHtml(attribute.unit)}" maxlength="12"></td>` +
+            `<td><input type="number" class="attribute-mean" value="${attribute.mean}" step="0.1" min="0.0001"></td>` +
+            `<td><input type="number" class="attribute-cv" value="${attribute.cv}" step="0.1" min="0.01"></td>` +
+            `<td><select class="attribute-primary">${primaryOptions}</select></td>` +
+            `<td><input type="number" class="attribute-correlation" value="${attribute.correlation}" step="0.05" min="-1" max="1"></td>` +
+            `<td><button type="button" class="header-btn attribute-delete-btn" title="${escapeHtml(t('gradeAttributes.delete'))}"><i class="fas fa-trash"></i></button></td>` +
+            `</tr>`;
+    }
+    
+    function renderAttributeRows(attributes) {
+        rowsContainer.innerHTML = attributes.map(renderAttributeRow).join('');
+        showError('');
+    }
+    
+    function readAttributeRows() {
+        const attributes = Array.from(rowsContainer.querySelectorAll('tr')).map(row => ({
+            name: row.querySelector('.attribute-name').value.trim(),
+            unit: row.querySelector('.attribute-unit').value.trim(),
+            mean: parseFloat(row.querySelector('.attribute-mean').value),
+            cv: parseFloat(row.querySelector('.attribute-cv').value),
+            primary: row.querySelector('.attribute-primary').value,
+            correlation: parseFloat(row.querySelector('.attribute-correlation').value)
+        }));
+        validateGradeAttributes(attributes);
+        return attributes;
+    }
+    
+    function addAttribute() {
+        const usedNames = Array.from(rowsContainer.querySelectorAll('.attribute-name')).map(input => input.value.trim());
+        let name = presetSelect ? presetSelect.value : '';
+        if (!name || usedNames.includes(name)) {
+            const base = name || 'Attr';
+            let n = 1;
+            while (usedNames.includes(`${base}${n}`)) {
+                n++;
+            }
+            name = `${base}${n}`;
+        }
+        const attribute = createGradeAttribute(presetSelect && presetSelect.value ? presetSelect.value : name);
+        attribute.name = name;
+        rowsContainer.insertAdjacentHTML('beforeend', renderAttributeRow(attribute));
+    }
+    
+    function openGradeAttributes() {
+        updatePresetOptions();
+        renderAttributeRows(getGradeAttributes());
+        modal.style.display = 'block';
+    }
+    
+    function closeGradeAttributes() {
+        modal.style.display = 'none';
+    }
+    
+    function saveGradeAttributes() {
+        try {
+            setGradeAttributes(readAttributeRows());
+            saveGradeAttributesToStorage();
+        } catch (error) {
+            showError(t('gradeAttributes.invalid', { message: error.message }));
+            return;
+        }
+        
+        closeGradeAttributes();
+        updateGradeAttributeSummary();
+        updateStatus(t('gradeAttributes.saved'), 'success');
+        
+        // Regenerate with the same seed so only the attributes change
+        if (currentBlocks.length > 0) {
+            const seedLocked = document.getElementById('seedLocked');
+            const wasLocked = seedLocked.checked;
+            seedLocked.checked = true;
+            handleGenerate().finally(() => {
+                seedLocked.checked = wasLocked;
+            });
+        }
+    }
+    
+    editBtn.addEventListener('click', openGradeAttributes);
+    if (modalClose) {
+        modalClose.addEventListener('click', closeGradeAttributes);
+    }
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeGradeAttributes();
+        }
+    });
+    
+    document.getElementById('gradeAttributeAddBtn').addEventListener('click', addAttribute);
+    document.getElementById('gradeAttributeSaveBtn').addEventListener('click', saveGradeAttributes);
+    
+    // Event delegation for row delete buttons
+    rowsContainer.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.attribute-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.closest('tr').remove();
+        }
+    });
+    
+    // Expose function to update the summary (gallery models restore their attributes)
+    window.updateGradeAttributeSummary = updateGradeAttributeSummary;
+    
+    updateGradeAttributeSummary();
+    
+    // Listen for locale changes to re-translate the summary
+    window.addEventListener('localeChanged', () => {
+        setTimeout(updateGradeAttributeSummary, 50);
+    });
+}
+
+// ============================================================================
+// Scenario Builder
+// ============================================================================
+
+/**
+ * Load the saved scenario from localStorage (keeps the default scenario if none is saved)
+ */
+function loadScenarioFromStorage() {
+    try {
+        const json = localStorage.getItem(SCENARIO_STORAGE_KEY);
+        if (json) {
+            setScenario(JSON.parse(json));
+        }
+    } catch (e) {
+        console.warn('Could not load scenario, using the default:', e);
+    }
+}
+
+/**
+ * Save the active scenario to localStorage
+ */
+function saveScenarioToStorage() {
+    localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(getScenario()));
+}
+
+/**
+ * Initialize the scenario builder section and editor modal
+ */
+function initScenarioBuilder() {
+    const summary = document.getElementById('scenarioSummary');
+    const editBtn = document.getElementById('scenarioEditBtn');
+    const modal = document.getElementById('scenarioModal');
+    const modalClose = modal?.querySelector('.modal-close');
+    const rowsContainer = document.getElementById('scenarioEventRows');
+    const errorContainer = document.getElementById('scenarioError');
+    const typeSelect = document.getElementById('scenarioEventType');
+    
+    loadScenarioFromStorage();
+    
+    if (!editBtn || !modal || !rowsContainer) {
+        console.warn('Scenario builder elements not found');
+        return;
+    }
+    
+    // Numeric parameters per event type: [property, translation key, step]
+    const EVENT_PARAMETERS = {
+        dyke: [['strike', 'scenario.strike', 1], ['dip', 'scenario.dip', 1], ['thickness', 'scenario.thickness', 1], ['offset', 'scenario.offset', 1]],
+        oxidation: [['depth', 'scenario.depth', 1], ['cuFactor', 'scenario.cuFactor', 0.05], ['auFactor', 'scenario.auFactor', 0.05]]
+    };
+    
+    function describeEvent(event) {
+        return event.type === 'pattern'
+            ? t(`patterns.${event.pattern}`)
+            : t(`scenario.types.${event.type}`);
+    }
+    
+    function updateScenarioSummary() {
+        if (!summary) return;
+        summary.innerHTML = getScenario().map(event =>
+            `<li>${escapeHtml(describeEvent(event))} <span>(${escapeHtml(t(`scenario.rules.${event.rule}`))})</span></li>`
+        ).join('');
+    }
+    
+    function updateTypeOptions() {
+        if (!typeSelect) return;
+        typeSelect.innerHTML = SCENARIO_EVENT_TYPES.map(type =>
+            `<option value="${type}">${escapeHtml(t(`scenario.types.${type}`))}</option>`
+        ).join('');
+    }
+    
+    function showError(message) {
+        if (!errorContainer) return;
+        errorContainer.textContent = message || '';
+        errorContainer.style.display = message ? 'block' : 'none';
+    }
+    
+    function renderEventParameters(event) {
+        if (event.type === 'pattern') {
+            const options = SCENARIO_PATTERNS.map(pattern =>
+                `<option value="${pattern}"${event.pattern === pattern ? ' selected' : ''}>${escapeHtml(t(`patterns.${pattern}`))}</option>`
+            ).join('');
+            return `<select class="scenario-pattern">${options}</select>`;
+        }
+        return EVENT_PARAMETERS[event.type].map(([property, key, step]) =>
+            `<label>${escapeHtml(t(key))} <input type="number" class="scenario-param" data-param="${property}" value="${event[property]}" step="${step}"></label>`
+        ).join('');
+    }
+    
+    function renderEventRow(event, index) {
+        const ruleOptions = SCENARIO_REGION_RULES.map(rule =>
+            `<option value="${rule}"${event.rule === rule ? ' selected' : ''}>${escapeHtml(t(`scenario.rules.${rule}`))}</option>`
+        ).join('');
+        return `<tr data-type="${event.type}">` +
+            `<td>${index + 1}</td>` +
+            `<td>${escapeHtml(t(`scenario.types.${event.type}`))}</td>` +
+            `<td><div class="scenario-params">${renderEventParameters(event)}</div></td>` +
+            `<td><select class="scenario-rule">${ruleOptions}</select></td>` +
+            `<td><input type="number" class="scenario-top" value="${event.top}" step="0.05" min="0" max="1"></td>` +
+            `<td><input type="number" class="scenario-bottom" value="${event.bottom}" step="0.05" min="0" max="1"></td>` +
+            `<td>` +
+            `<button type="button" class="header-btn scenario-move-btn" data-direction="-1" title="${escapeHtml(t('scenario.moveUp'))}"><i class="fas fa-arrow-up"></i></button>` +
+            `<button type="button" class="header-btn scenario-move-btn" data-direction="1" title="${escapeHtml(t('scenario.moveDown'))}"><i class="fas fa-arrow-down"></i></button>` +
+            `<button type="button" class="header-btn scenario-delete-btn" title="${escapeHtml(t('scenario.delete'))}"><i class="fas fa-trash"></i></button>` +
+            `</td>` +
+            `</tr>`;
+    }
+    
+    function renderEventRows(events) {
+        rowsContainer.innerHTML = events.map(renderEventRow).join('');
+    }
+    
+    function readEventRows() {
+        return Array.from(rowsContainer.querySelectorAll('tr')).map(row => {
+            const event = {
+                type: row.dataset.type,
+                rule: row.querySelector('.scenario-rule').value,
+                top: parseFloat(row.querySelector('.scenario-top').value),
+                bottom: parseFloat(row.querySelector('.scenario-bottom').value)
+            };
+            const patternSelect = row.querySelector('.scenario-pattern');
+            if (patternSelect) {
+                event.pattern = patternSelect.value;
+            }
+            row.querySelectorAll('.scenario-param').forEach(input => {
+                event[input.dataset.param] = parseFloat(input.value);
+            });
+            return event;
+        });
+    }
+    
+    function openScenarioBuilder() {
+        updateTypeOptions();
+        renderEventRows(getScenario());
+        showError('');
+        modal.style.display = 'block';
+    }
+    
+    function closeScenarioBuilder() {
+        modal.style.display = 'none';
+    }
+    
+    function saveScenario() {
+        try {
+            setScenario(readEventRows());
+            saveScenarioToStorage();
+        } catch (error) {
+            showError(t('scenario.invalid', { message: error.message }));
+            return;
+        }
+        
+        closeScenarioBuilder();
+        updateScenarioSummary();
+        
+        // Generate the scenario with the current seed so edits can be compared
+        document.getElementById('patternType').value = 'scenario';
+        const seedLocked = document.getElementById('seedLocked');
+        const wasLocked = seedLocked.checked;
+        seedLocked.checked = currentBlocks.length > 0 || wasLocked;
+        handleGenerate().finally(() => {
+            seedLocked.checked = wasLocked;
+        });
+    }
+    
+    editBtn.addEventListener('click', openScenarioBuilder);
+    if (modalClose) {
+        modalClose.addEventListener('click', closeScenarioBuilder);
+    }
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeScenarioBuilder();
+        }
+    });
+    
+    document.getElementById('scenarioAddBtn').addEventListener('click', () => {
+        const events = readEventRows();
+        if (events.length >= MAX_SCENARIO_EVENTS) {
+            showError(t('scenario.tooManyEvents', { max: MAX_SCENARIO_EVENTS }));
+            return;
+        }
+        events.push(createScenarioEvent(typeSelect.value));
+        renderEventRows(events);
+        showError('');
+    });
+    document.getElementById('scenarioResetBtn').addEventListener('click', () => {
+        renderEventRows(cloneScenario(DEFAULT_SCENARIO));
+        showError('');
+    });
+    document.getElementById('scenarioSaveBtn').addEventListener('click', saveScenario);
+    
+    // Event delegation for move and delete buttons (rows are re-rendered so numbering stays in order)
+    rowsContainer.addEventListener('click', (e) => {
+        const button = e.target.closest('.scenario-move-btn, .scenario-delete-btn');
+        if (!button) return;
+        
+        const rows = Array.from(rowsContainer.querySelectorAll('tr'));
+        const index = rows.indexOf(button.closest('tr'));
+        const events = readEventRows();
+        if (button.classList.contains('scenario-delete-btn')) {
+            events.splice(index, 1);
+        } else {
+            const target = index + parseInt(button.dataset.direction);
+            if (target < 0 || target >= events.length) return;
+            [events[index], events[target]] = [events[target], events[index]];
+        }
+        renderEventRows(events);
+    });
+    
+    // Expose function to update the summary (gallery models restore their scenario)
+    window.updateScenarioSummary = updateScenarioSummary;
+    
+    updateScenarioSummary();
+    
+    // Listen for locale changes to re-translate the summary
+    window.addEventListener('localeChanged', () => {
+        setTimeout(updateScenarioSummary, 50);
+    });
+}
+
+// ============================================================================
+// Faults
+// ============================================================================
+
+/**
+ * Load the saved faults from localStorage (models are unfaulted by default)
+ */
+function loadFaultsFromStorage() {
+    try {
+        const json = localStorage.getItem(FAULTS_STORAGE_KEY);
+        if (json) {
+            setFaults(JSON.parse(json));
+        }
+    } catch (e) {
+        console.warn('Could not load faults:', e);
+    }
+}
+
+/**
+ * Save the active faults to localStorage
+ */
+function saveFaultsToStorage() {
+    localStorage.setItem(FAULTS_STORAGE_KEY, JSON.stringify(getFaults()));
+}
+
+/**
+ * Initialize the faults section and editor modal
+ */
+function initFaults() {
+    const summary = document.getElementById('faultSummary');
+    const editBtn = document.getElementById('faultEditBtn');
+    const modal = document.getElementById('faultModal');
+    const modalClose = modal?.querySelector('.modal-close');
+    const rowsContainer = document.getElementById('faultRows');
+    const errorContainer = document.getElementById('faultError');
+    
+    loadFaultsFromStorage();
+    
+    if (!editBtn || !modal || !rowsContainer) {
+        console.warn('Fault elements not found');
+        return;
+    }
+    
+    // Fault parameters in column order: [property, step]
+    const FAULT_PARAMETERS = [['strike', 1], ['dip', 1], ['position', 1], ['throw', 1], ['heave', 1]];
+    
+    function updateFaultSummary() {
+        if (!summary) return;
+        const faults = getFaults();
+        summary.innerHTML = faults.length > 0
+            ? faults.map((fault, index) =>
+                `<span>${escapeHtml(t('faults.summaryItem', { number: index + 1, strike: fault.strike, dip: fault.dip, throw: fault.throw }))}</span>`
+            ).join('')
+            : `<span>${escapeHtml(t('faults.none'))}</span>`;
+    }
+    
+    function showError(message) {
+        if (!errorContainer) return;
+        errorContainer.textContent = message || '';
+        errorContainer.style.display = message ? 'block' : 'none';
+    }
+    
+    function renderFaultRow(fault, index) {
+        return `<tr>` +
+            `<td>${index + 1}</td>` +
+            FAULT_PARAMETERS.map(([property, step]) =>
+                `<td><input type="number" class="fault-param" data-param="${property}" value="${fault[property]}" step="${step}"></td>`
+            ).join('') +
+            `<td><button type="button" class="header-btn fault-delete-btn" title="${escapeHtml(t('faults.delete'))}"><i class="fas fa-trash"></i></button></td>` +
+            `</tr>`;
+    }
+    
+    function renderFaultRows(faults) {
+        rowsContainer.innerHTML = faults.map(renderFaultRow).join('');
+    }
+    
+    function readFaultRows() {
+        return Array.from(rowsContainer.querySelectorAll('tr')).map(row => {
+            const fault = {};
+            row.querySelectorAll('.fault-param').forEach(input => {
+                fault[input.dataset.param] = parseFloat(input.value);
+            });
+            return fault;
+        });
+    }
+    
+    function openFaults() {
+        renderFaultRows(getFaults());
+        showError('');
+        modal.style.display = 'block';
+    }
+    
+    function closeFaults() {
+        modal.style.display = 'none';
+    }
+    
+    function saveFaults() {
+        try {
+            setFaults(readFaultRows());
+            saveFaultsToStorage();
+        } catch (error) {
+            showError(t('faults.invalid', { message: error.message }));
+            return;
+        }
+        
+        closeFaults();
+        updateFaultSummary();
+        updateStatus(t('faults.saved'), 'success');
+        
+        // Regenerate with the same seed so only the fault offsets change
+        if (currentBlocks.length > 0) {
+            const seedLocked = document.getElementById('seedLocked');
+            const wasLocked = seedLocked.checked;
+            seedLocked.checked = true;
+            handleGenerate().finally(() => {
+                seedLocked.checked = wasLocked;
+            });
+        }
+    }
+    
+    editBtn.addEventListener('click', openFaults);
+    if (modalClose) {
+        modalClose.addEventListener('click', closeFaults);
+    }
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeFaults();
+        }
+    });
+    
+    document.getElementById('faultAddBtn').addEventListener('click', () => {
+        const faults = readFaultRows();
+        if (faults.length >= MAX_FAULTS) {
+            showError(t('faults.tooMany', { max: MAX_FAULTS }));
+            return;
+        }
+        faults.push(createFault());
+        renderFaultRows(faults);
+        showError('');
+    });
+    document.getElementById('faultSaveBtn').addEventListener('click', saveFaults);
+    
+    // Event delegation for row delete buttons (rows are re-rendered so numbering stays in order)
+    rowsContainer.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.fault-delete-btn');
+        if (!deleteBtn) return;
+        
+        const rows = Array.from(rowsContainer.querySelectorAll('tr'));
+        const faults = readFaultRows();
+        faults.splice(rows.indexOf(deleteBtn.closest('tr')), 1);
+        renderFaultRows(faults);
+    });
+    
+    // Expose function to update the summary (gallery models restore their faults)
+    window.updateFaultSummary = updateFaultSummary;
+    
+    updateFaultSummary();
+    
+    // Listen for locale changes to re-translate the summary
+    window.addEventListener('localeChanged', () => {
+        setTimeout(updateFaultSummary, 50);
+    });
+}
+
+// ============================================================================
+// Topography
+// ============================================================================
+
+/**
+ * Load the imported DEM from localStorage
+ */
+function loadTopographyDemFromStorage() {
+    try {
+        const json = localStorage.getItem(TOPOGRAPHY_DEM_STORAGE_KEY);
+        if (json) {
+            setTopographyDem(JSON.parse(json));
+        }
+    } catch (e) {
+        console.warn('Could not load DEM:', e);
+    }
+}
+
+/**
+ * Save the imported DEM to localStorage (large DEMs may not fit and are kept for this session only)
+ */
+function saveTopographyDemToStorage() {
+    try {
+        localStorage.setItem(TOPOGRAPHY_DEM_STORAGE_KEY, JSON.stringify(getTopographyDem()));
+    } catch (e) {
+        localStorage.removeItem(TOPOGRAPHY_DEM_STORAGE_KEY);
+        console.warn('DEM too large for localStorage, keeping it for this session only:', e);
+    }
+}
+
+/**
+ * Initialize the topography section (surface type controls and DEM import)
+ */
+function initTopography() {
+    const typeSelect = document.getElementById('topographyType');
+    const demBtn = document.getElementById('topographyDemBtn');
+    const demFile = document.getElementById('topographyDemFile');
+    const demName = document.getElementById('topographyDemName');
+    
+    loadTopographyDemFromStorage();
+    
+    if (!typeSelect) {
+        console.warn('Topography elements not found');
+        return;
+    }
+    
+    // Show only the inputs used by the selected surface type
+    function updateTopographyControls() {
+        document.querySelectorAll('[data-topography-types]').forEach(el => {
+            el.style.display = el.dataset.topographyTypes.split(' ').includes(typeSelect.value) ? '' : 'none';
+        });
+        updateDemName();
+    }
+    
+    function updateDemName() {
+        if (!demName) return;
+        const dem = getTopographyDem();
+        demName.textContent = dem
+            ? t('topography.demLoaded', { name: dem.name, count: (dem.coordinates.length / 3).toLocaleString() })
+            : t('topography.noDem');
+    }
+    
+    typeSelect.addEventListener('change', updateTopographyControls);
+    
+    if (demBtn && demFile) {
+        demBtn.addEventListener('click', () => demFile.click());
+        demFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    setTopographyDem(parseDemText(reader.result, file.name));
+                    saveTopographyDemToStorage();
+                    updateDemName();
+                    updateStatus(t('topography.demImported', { name: file.name }), 'success');
+                } catch (error) {
+                    updateStatus(t('topography.demInvalid', { message: error.message }), 'error');
+                }
+            };
+            reader.readAsText(file);
+            demFile.value = '';
+        });
+    }
+    
+    // Expose function to update the controls (gallery models restore their topography)
+    window.updateTopographyControls = updateTopographyControls;
+    
+    updateTopographyControls();
+    
+    // Listen for locale changes to re-translate the DEM name
+    window.addEventListener('localeChanged', () => {
+        setTimeout(updateDemName, 50);
+    });
+}
+
+// ============================================================================
+// Weathering Profile
+// ============================================================================
+
+/**
+ * Load the saved weathering profile from localStorage (disabled by default)
+ */
+function loadWeatheringProfileFromStorage() {
+    try {
+        const json = localStorage.getItem(WEATHERING_STORAGE_KEY);
+        if (json) {
+            setWeatheringProfile(JSON.parse(json));
+        }
+    } catch (e) {
+        console.warn('Could not load weathering profile:', e);
+    }
+}
+
+/**
+ * Save the active weathering profile to localStorage
+ */
+function saveWeatheringProfileToStorage() {
+    localStorage.setItem(WEATHERING_STORAGE_KEY, JSON.stringify(getWeatheringProfile()));
+}
+
+/**
+ * Initialize the weathering profile section and editor modal
+ */
+function initWeatheringProfile() {
+    const summary = document.getElementById('weatheringSummary');
+    const editBtn = document.getElementById('weatheringEditBtn');
+    const modal = document.getElementById('weatheringModal');
+    const modalClose = modal?.querySelector('.modal-close');
+    const rowsContainer = document.getElementById('weatheringRows');
+    const errorContainer = document.getElementById('weatheringError');
+    const enabledCheckbox = document.getElementById('weatheringEnabled');
+    const referenceSelect = document.getElementById('weatheringReference');
+    
+    loadWeatheringProfileFromStorage();
+    
+    if (!editBtn || !modal || !rowsContainer) {
+        console.warn('Weathering profile elements not found');
+        return;
+    }
+    
+    // Zone parameters in column order: [property, step]
+    const ZONE_PARAMETERS = [['thickness', 1], ['densityFactor', 0.05], ['recovery', 0.05], ['cuFactor', 0.1]];
+    
+    function updateWeatheringSummary() {
+        if (!summary) return;
+        const profile = getWeatheringProfile();
+        summary.innerHTML = profile.enabled
+            ? ['OXIDE', 'LEACHED', 'SUPERGENE'].map(zone =>
+                `<span>${escapeHtml(t(`weathering.zones.${zone}`))} ${profile.zones[zone].thickness} m</span>`
+            ).join('') + `<span>(${escapeHtml(t(`weathering.references.${profile.reference}`))})</span>`
+            : `<span>${escapeHtml(t('weathering.off'))}</span>`;
+    }
+    
+    function updateReferenceOptions(reference) {
+        if (!referenceSelect) return;
+        referenceSelect.innerHTML = WEATHERING_REFERENCES.map(value =>
+            `<option value="${value}"${value === reference ? ' selected' : ''}>${escapeHtml(t(`weathering.references.${value}`))}</option>`
+        ).join('');
+    }
+    
+    function showError(message) {
+        if (!errorContainer) return;
+        errorContainer.textContent = message || '';
+        errorContainer.style.display = message ? 'block' : 'none';
+    }
+    
+    function renderZoneRows(profile) {
+        // The fresh zone has no thickness: it extends to the model base
+        rowsContainer.innerHTML = WEATHERING_ZONES.map(zone =>
+            `<tr data-zone="${zone}">` +
+            `<td>${escapeHtml(t(`weathering.zones.${zone}`))}</td>` +
+            ZONE_PARAMETERS.map(([property, step]) =>
+                zone === 'FRESH' && property === 'thickness'
+                    ? '<td>-</td>'
+                    : `<td><input type="number" class="weathering-param" data-param="${property}" value="${profile.zones[zone][property]}" step="${step}" min="0"></td>`
+            ).join('') +
+            `</tr>`
+        ).join('');
+    }
+    
+    function readProfile() {
+        const zones = {};
+        rowsContainer.querySelectorAll('tr').forEach(row => {
+            const zone = { thickness: 0 };
+            row.querySelectorAll('.weathering-param').forEach(input => {
+                zone[input.dataset.param] = parseFloat(input.value);
+            });
+            zones[row.dataset.zone] = zone;
+        });
+        return {
+            enabled: enabledCheckbox ? enabledCheckbox.checked : true,
+            reference: referenceSelect ? referenceSelect.value : DEFAULT_WEATHERING_PROFILE.reference,
+            zones: zones
+        };
+    }
+    
+    function openWeatheringProfile() {
+        const profile = getWeatheringProfile();
+        if (enabledCheckbox) {
+            enabledCheckbox.checked = profile.enabled;
+        }
+        updateReferenceOptions(profile.reference);
+        renderZoneRows(profile);
+        showError('');
+        modal.style.display = 'block';
+    }
+    
+    function closeWeatheringProfile() {
+        modal.style.display = 'none';
+    }
+    
+    function saveWeatheringProfile() {
+        try {
+            setWeatheringProfile(readProfile());
+            saveWeatheringProfileToStorage();
+        } catch (error) {
+            showError(t('weathering.invalid', { message: error.message }));
+            return;
+        }
+        
+        closeWeatheringProfile();
+        updateWeatheringSummary();
+        updateStatus(t('weathering.saved'), 'success');
+        
+        // Regenerate with the same seed so only the overprint changes
+        if (currentBlocks.length > 0) {
+            const seedLocked = document.getElementById('seedLocked');
+            const wasLocked = seedLocked.checked;
+            seedLocked.checked = true;
+            handleGenerate().finally(() => {
+                seedLocked.checked = wasLocked;
+            });
+        }
+    }
+    
+    editBtn.addEventListener('click', openWeatheringProfile);
+    if (modalClose) {
+        modalClose.addEventListener('click', closeWeatheringProfile);
+    }
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeWeatheringProfile();
+        }
+    });
+    
+    document.getElementById('weatheringResetBtn').addEventListener('click', () => {
+        renderZoneRows(DEFAULT_WEATHERING_PROFILE);
+        showError('');
+    });
+    document.getElementById('weatheringSaveBtn').addEventListener('click', saveWeatheringProfile);
+    
+    // Expose function to update the summary (gallery models restore their profile)
+    window.updateWeatheringSummary = updateWeatheringSummary;
+    
+    updateWeatheringSummary();
+    
+    // Listen for locale changes to re-translate the summary
+    window.addEventListener('localeChanged', () => {
+        setTimeout(updateWeatheringSummary, 50);
+    });
+}
+
+// ============================================================================
+// Economic Parameters
+// ============================================================================
+
+/**
+ * Load the saved economic parameters from localStorage (disabled by default)
+ */
+function loadEconomicParametersFromStorage() {
+    try {
+        const json = localStorage.getItem(ECONOMICS_STORAGE_KEY);
+        if (json) {
+            setEconomicParameters(JSON.parse(json));
+        }
+    } catch (e) {
+        console.warn('Could not load economic parameters:', e);
+    }
+}
+
+/**
+ * Save the active economic parameters to localStorage
+ */
+function saveEconomicParametersToStorage() {
+    localStorage.setItem(ECONOMICS_STORAGE_KEY, JSON.stringify(getEconomicParameters()));
+}
+
+/**
+ * Recalculate the economic values of the current model without regenerating it
+ * Pit shells of the previous values are cleared
+ * @param {Object} params - Economic parameters (enabled)
+ */
+function recalculateCurrentEconomics(params) {
+    const gridParams = buildGridParams(currentParams);
+    currentBlocks = applyEconomicParameters(currentBlocks, params, gridParams).map(block => {
+        if (block.pit === undefined) {
+            return block;
+        }
+        const { pit, ...rest } = block;
+        return rest;
+    });
+    currentParams = { ...currentParams, economics: params };
+    resetPitResults();
+    
+    updateVisualization(getBlocksToVisualize(currentBlocks), gridParams.xInc, gridParams.yInc, gridParams.zInc);
+    currentModelStats = calculateModelStats(currentBlocks, currentParams);
+    if (typeof updateModelStatsDisplay === 'function') {
+        updateModelStatsDisplay();
+    }
+}
+
+/**
+ * Initialize the economic parameters section and editor modal
+ */
+function initEconomicParameters() {
+    const summary = document.getElementById('economicsSummary');
+    const editBtn = document.getElementById('economicsEditBtn');
+    const modal = document.getElementById('economicsModal');
+    const modalClose = modal?.querySelector('.modal-close');
+    const rowsContainer = document.getElementById('economicsRows');
+    const scenarioRowsContainer = document.getElementById('economicsScenarioRows');
+    const errorContainer = document.getElementById('economicsError');
+    const enabledCheckbox = document.getElementById('economicsEnabled');
+    const processColumnsCheckbox = document.getElementById('economicsProcessColumns');
+    
+    loadEconomicParametersFromStorage();
+    
+    if (!editBtn || !modal || !rowsContainer || !scenarioRowsContainer) {
+        console.warn('Economic parameters elements not found');
+        return;
+    }
+    
+    // Price and cost inputs: [parameter, input id]
+    const AMOUNT_INPUTS = [
+        ['cuPrice', 'economicsCuPrice'],
+        ['cuSellingCost', 'economicsCuSellingCost'],
+        ['auPrice', 'economicsAuPrice'],
+        ['auSellingCost', 'economicsAuSellingCost'],
+        ['miningCost', 'economicsMiningCost'],
+        ['miningCostIncrement', 'economicsMiningCostIncrement'],
+        ['processingCost', 'economicsProcessingCost']
+    ];
+    
+    function updateEconomicsSummary() {
+        if (!summary) return;
+        const params = getEconomicParameters();
+        summary.innerHTML = params.enabled
+            ? [
+                t('economics.summaryCu', { price: params.cuPrice }),
+                t('economics.summaryAu', { price: params.auPrice }),
+                t('economics.summaryMining', { cost: params.miningCost }),
+                t('economics.summaryProcessing', { cost: params.processingCost }),
+                ...(params.scenarios.length > 0 ? [t('economics.summaryScenarios', { count: params.scenarios.length })] : [])
+            ].map(text => `<span>${escapeHtml(text)}</span>`).join('')
+            : `<span>${escapeHtml(t('economics.off'))}</span>`;
+    }
+    
+    function showError(message) {
+        if (!errorContainer) return;
+        errorContainer.textContent = message || '';
+        errorContainer.style.display = message ? 'block' : 'none';
+    }
+    
+    function recoveryRow(rockType, label, recovery) {
+        return `<tr data-rock-type="${escapeHtml(rockType)}">` +
+            `<td>${escapeHtml(label)}</td>` +
+            ['cu', 'au'].map(metal =>
+                `<td><input type="number" class="economics-recovery" data-metal="${metal}" value="${recovery[metal]}" step="0.01" min="0" max="1"></td>`
+            ).join('') +
+            `</tr>`;
+    }
+    
+    function renderRecoveryRows(params) {
+        // The first row holds the default recovery of rock types without their own
+        const rockTypes = Object.keys(getMaterialLibrary());
+        Object.keys(params.recoveries).forEach(rockType => {
+            if (!rockTypes.includes(rockType)) {
+                rockTypes.push(rockType);
+            }
+        });
+        rowsContainer.innerHTML = recoveryRow('', t('economics.defaultRecovery'), params.defaultRecovery) +
+            rockTypes.map(rockType => recoveryRow(rockType, rockType, getRockTypeRecovery(params, rockType))).join('');
+    }
+    
+    function scenarioRow(scenario) {
+        return `<tr>` +
+            `<td><input type="text" class="economics-scenario-name" value="${escapeHtml(scenario.name)}" maxlength="${MAX_ECONOMIC_SCENARIO_NAME_LENGTH}"></td>` +
+            ECONOMIC_SCENARIO_FIELDS.map(field =>
+                `<td><input type="number" class="economics-scenario-change" data-field="${field}" value="${scenario.changes[field] || 0}" step="1" min="-100"></td>`
+            ).join('') +
+            `<td><button type="button" class="economics-scenario-remove" title="${escapeHtml(t('economics.removeScenario'))}"><i class="fas fa-times"></i></button></td>` +
+            `</tr>`;
+    }
+    
+    function renderScenarioRows(scenarios) {
+        scenarioRowsContainer.innerHTML = scenarios.length > 0
+            ? scenarios.map(scenarioRow).join('')
+            : `<tr class="economics-no-scenarios"><td colspan="${ECONOMIC_SCENARIO_FIELDS.length + 2}">${escapeHtml(t('economics.noScenarios'))}</td></tr>`;
+    }
+    
+    function readScenarios() {
+        // Unchanged parameters are left out of a scenario
+        const scenarios = [];
+        scenarioRowsContainer.querySelectorAll('tr:not(.economics-no-scenarios)').forEach(row => {
+            const changes = {};
+            row.querySelectorAll('.economics-scenario-change').forEach(input => {
+                const change = parseFloat(input.value);
+                if (change !== 0) {
+                    changes[input.dataset.field] = change;
+                }
+            });
+            scenarios.push({ name: row.querySelector('.economics-scenario-name').value.trim(), changes: changes });
+        });
+        return scenarios;
+    }
+    
+    function addScenarios(scenarios) {
+        // Names already in the table are skipped
+        const current = readScenarios();
+        const columns = current.map(scenario => getScenarioColumn(scenario.name));
+        scenarios.forEach(scenario => {
+            if (!columns.includes(getScenarioColumn(scenario.name))) {
+                current.push(scenario);
+            }
+        });
+        renderScenarioRows(current);
+    }
+    
+    function readParams() {
+        const params = {
+            enabled: enabledCheckbox ? enabledCheckbox.checked : true,
+            processColumns: processColumnsCheckbox ? processColumnsCheckbox.checked : false,
+            defaultRecovery: null,
+            recoveries: {},
+            scenarios: readScenarios()
+        };
+        AMOUNT_INPUTS.forEach(([parameter, id]) => {
+            params[parameter] = parseFloat(document.getElementById(id).value);
+        });
+        
+        // Rock types keep their own recovery only where it differs from the default
+        rowsContainer.querySelectorAll('tr').forEach(row => {
+            const recovery = {};
+            row.querySelectorAll('.economics-recovery').forEach(input => {
+                recovery[input.dataset.metal] = parseFloat(input.value);
+            });
+            if (!row.dataset.rockType) {
+                params.defaultRecovery = recovery;
+            } else if (recovery.cu !== params.defaultRecovery.cu || recovery.au !== params.defaultRecovery.au) {
+                params.recoveries[row.dataset.rockType] = recovery;
+            }
+        });
+        return params;
+    }
+    
+    function fillForm(params) {
+        if (enabledCheckbox) {
+            enabledCheckbox.checked = params.enabled;
+        }
+        if (processColumnsCheckbox) {
+            processColumnsCheckbox.checked = params.processColumns;
+        }
+        AMOUNT_INPUTS.forEach(([parameter, id]) => {
+            document.getElementById(id).value = params[parameter];
+        });
+        renderRecoveryRows(params);
+        renderScenarioRows(params.scenarios);
+        showError('');
+    }
+    
+    function openEconomicParameters() {
+        fillForm(getEconomicParameters());
+        modal.style.display = 'block';
+    }
+    
+    function closeEconomicParameters() {
+        modal.style.display = 'none';
+    }
+    
+    function saveEconomicParameters() {
+        let params;
+        try {
+            params = readParams();
+            setEconomicParameters(params);
+            saveEconomicParametersToStorage();
+        } catch (error) {
+            showError(t('economics.invalid', { message: error.message }));
+            return;
+        }
+        
+        closeEconomicParameters();
+        updateEconomicsSummary();
+        
+        const hasModel = currentBlocks.length > 0 && currentParams;
+        if (hasModel && params.enabled) {
+            recalculateCurrentEconomics(getEconomicParameters());
+            updateStatus(t('economics.applied', { count: currentBlocks.length.toLocaleString() }), 'success');
+        } else if (hasModel && currentParams.economics && currentParams.economics.enabled) {
+            // Regenerate with the same seed to restore the material values
+            updateStatus(t('economics.saved'), 'success');
+            const seedLocked = document.getElementById('seedLocked');
+            const wasLocked = seedLocked.checked;
+            seedLocked.checked = true;
+            handleGenerate().finally(() => {
+                seedLocked.checked = wasLocked;
+            });
+        } else {
+            updateStatus(t('economics.saved'), 'success');
+        }
+    }
+    
+    editBtn.addEventListener('click', openEconomicParameters);
+    if (modalClose) {
+        modalClose.addEventListener('click', closeEconomicParameters);
+    }
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeEconomicParameters();
+        }
+    });
+    
+    document.getElementById('economicsResetBtn').addEventListener('click', () => {
+        fillForm({ ...DEFAULT_ECONOMIC_PARAMS, enabled: enabledCheckbox ? enabledCheckbox.checked : true });
+    });
+    document.getElementById('economicsAddScenarioBtn').addEventListener('click', () => {
+        const count = readScenarios().length;
+        addScenarios([{ name: `Scenario ${count + 1}`, changes: {} }]);
+    });
+    document.getElementById('economicsExampleScenariosBtn').addEventListener('click', () => {
+        addScenarios(EXAMPLE_ECONOMIC_SCENARIOS);
+    });
+    scenarioRowsContainer.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.economics-scenario-remove');
+        if (removeBtn) {
+            removeBtn.closest('tr').remove();
+            if (!scenarioRowsContainer.querySelector('tr')) {
+                renderScenarioRows([]);
+            }
+        }
+    });
+    document.getElementById('economicsSaveBtn').addEventListener('click', saveEconomicParameters);
+    
+    // Expose function to update the summary (gallery models restore their parameters)
+    window.updateEconomicsSummary = updateEconomicsSummary;
+    
+    updateEconomicsSummary();
+    
+    // Listen for locale changes to re-translate the summary
+    window.addEventListener('localeChanged', () => {
+        setTimeout(updateEconomicsSummary, 50);
+    });
+}
+
+// ============================================================================
+// Reblocking
+// ============================================================================
+
+/**
+ * Initialize the reblocking section
+ */
+function initReblocking() {
+    const reblockBtn = document.getElementById('reblockBtn');
+    if (!reblockBtn) {
+        console.warn('Reblocking elements not found');
+        return;
+    }
+    
+    reblockBtn.addEventListener('click', handleReblock);
+}
+
+/**
+ * Merge the current model into larger parent blocks (Reblocking section)
+ * The parent model replaces the current model for display, statistics and export
+ */
+function handleReblock() {
+    if (currentBlocks.length === 0 || !currentParams) {
+        updateStatus(t('reblock.generateFirst'), 'error');
+        return;
+    }
+    
+    try {
+        const factors = {
+            x: parseInt(document.getElementById('reblockFactorX').value),
+            y: parseInt(document.getElementById('reblockFactorY').value),
+            z: parseInt(document.getElementById('reblockFactorZ').value)
+        };
+        const result = reblockModel(currentBlocks, buildGridParams(currentParams), factors, {
+            rockTypeRule: document.getElementById('reblockRule').value,
+            oreProportion: parseFloat(document.getElementById('reblockOreProportion').value),
+            gradeAttributes: getCurrentGradeAttributeDefinitions()
+        });
+        const grid = result.gridParams;
+        
+        currentBlocks = result.blocks;
+        resetPitResults();
+        currentParams = {
+            ...currentParams,
+            cellSizeX: grid.xInc,
+            cellSizeY: grid.yInc,
+            cellSizeZ: grid.zInc,
+            cellsX: grid.nx,
+            cellsY: grid.ny,
+            cellsZ: grid.nz,
+            subBlocking: false,
+            reblocked: true
+        };
+        
+        // Gallery models are regenerated from their parameters, which cannot describe a reblocked model
+        const saveModelBtn = document.getElementById('saveModelBtn');
+        if (saveModelBtn) {
+            saveModelBtn.disabled = true;
+        }
+        
+        updateVisualization(getBlocksToVisualize(currentBlocks), grid.xInc, grid.yInc, grid.zInc);
+        
+        currentModelStats = calculateModelStats(currentBlocks, currentParams);
+        if (typeof updateModelStatsDisplay === 'function') {
+            updateModelStatsDisplay();
+        }
+        
+        updateStatus(t('reblock.done', {
+            count: currentBlocks.length.toLocaleString(),
+            x: grid.xInc,
+            y: grid.yInc,
+            z: grid.zInc
+        }), 'success');
+    } catch (error) {
+        updateStatus(t('reblock.error', { message: error.message }), 'error');
+    }
+}
+
+// ============================================================================
+// Pit Optimization
+// ============================================================================
+
+/**
+ * Read the pit parameters from the Pit Optimization section
+ * @returns {Object} Pit parameters (see DEFAULT_PIT_PARAMS)
+ * @throws {Error} If the zone slopes cannot be read
+ */
+function readPitParams() {
+    const readNumber = id => parseFloat(document.getElementById(id).value);
+    
+    return {
+        slopes: [
+            { azimuth: 0, angle: readNumber('pitSlopeN') },
+            { azimuth: 90, angle: readNumber('pitSlopeE') },
+            { azimuth: 180, angle: readNumber('pitSlopeS') },
+            { azimuth: 270, angle: readNumber('pitSlopeW') }
+        ],
+        zoneSlopes: parseZoneSlopes(document.getElementById('pitZoneSlopes').value),
+        revenueFactors: {
+            min: readNumber('pitRfMin'),
+            max: readNumber('pitRfMax'),
+            step: readNumber('pitRfStep')
+        },
+        precedenceLevels: DEFAULT_PIT_PARAMS.precedenceLevels
+    };
+}
+
+/**
+ * Initialize the Pit Optimization section
+ */
+function initPitOptimizer() {
+    const pitOptimizeBtn = document.getElementById('pitOptimizeBtn');
+    const pitShell = document.getElementById('pitShell');
+    if (!pitOptimizeBtn || !pitShell) {
+        console.warn('Pit optimization elements not found');
+        return;
+    }
+    
+    pitOptimizeBtn.addEventListener('click', () => {
+        handleOptimizePit().catch(error => {
+            updateStatus(t('pit.error', { message: error.message }), 'error');
+        });
+    });
+    pitShell.addEventListener('change', () => showPitShell(parseInt(pitShell.value)));
+}
+
+/**
+ * Show a pit shell of the current model in the 3D view
+ * @param {number} shell - Shell number (0 hides the shell)
+ */
+function showPitShell(shell) {
+    if (shell > 0 && currentParams) {
+        setPitShell(buildPitShellSurface(currentBlocks, buildGridParams(currentParams), shell));
+    } else {
+        setPitShell(null);
+    }
+}
+
+/**
+ * Clear the pit shells of the previous model (Pit Optimization section and 3D view)
+ */
+function resetPitResults() {
+    const pitResults = document.getElementById('pitResults');
+    if (pitResults) {
+        pitResults.style.display = 'none';
+    }
+    setPitShell(null);
+}
+
+/**
+ * Optimize the ultimate pit and nested shells of the current model (Pit Optimization section)
+ * Every block gets its PIT attribute and the ultimate pit is shown in the 3D view
+ */
+async function handleOptimizePit() {
+    if (currentBlocks.length === 0 || !currentParams) {
+        updateStatus(t('pit.generateFirst'), 'error');
+        return;
+    }
+    
+    const params = readPitParams();
+    updateStatus(t('pit.optimizing'));
+    // Let the status message render before the optimizer blocks the page
+    await new Promise(resolve => setTimeout(resolve, 10));
+    
+    const result = optimizePit(currentBlocks, buildGridParams(currentParams), params);
+    currentBlocks = result.blocks;
+    updateVisualization(getBlocksToVisualize(currentBlocks), currentParams.cellSizeX, currentParams.cellSizeY, currentParams.cellSizeZ);
+    
+    const pitShell = document.getElementById('pitShell');
+    pitShell.innerHTML = '';
+    const hideOption = document.createElement('option');
+    hideOption.value = '0';
+    hideOption.textContent = t('pit.hideShell');
+    pitShell.appendChild(hideOption);
+    result.shells.forEach(shell => {
+        const option = document.createElement('option');
+        option.value = String(shell.shell);
+        option.textContent = t('pit.shellOption', { shell: shell.shell, rf: shell.revenueFactor.toFixed(2) });
+        pitShell.appendChild(option);
+    });
+    
+    document.getElementById('pitSummary').innerHTML = result.shells.map(shell => `
+        <tr>
+            <td>${shell.shell}</td>
+            <td>${shell.revenueFactor.toFixed(2)}</td>
+            <td>${formatTonnageLabel(shell.tonnes)}</td>
+            <td>${Math.round(shell.value).toLocaleString()}</td>
+        </tr>
+    `).join('');
+    document.getElementById('pitResults').style.display = 'block';
+    
+    // Show the ultimate pit (the shell of the highest revenue factor)
+    const ultimate = result.shells[result.shells.length - 1];
+    pitShell.value = String(ultimate.shell);
+    showPitShell(ultimate.shell);
+    
+    updateStatus(t('pit.done', {
+        shells: result.shells.length,
+        count: ultimate.cells.toLocaleString(),
+        tonnes: formatTonnageLabel(ultimate.tonnes)
+    }), 'success');
+}
+
+// ============================================================================
+// Drillholes
+// ============================================================================
+
+/**
+ * Read the drillhole parameters from the Drillholes section
+ * @returns {Object} Drillhole parameters (see DEFAULT_DRILLHOLE_PARAMS)
+ */
+function readDrillholeParams() {
+    const readNumber = id => parseFloat(document.getElementById(id).value);
+    
+    return {
+        pattern: document.getElementById('drillholePattern').value,
+        spacing: readNumber('drillholeSpacing'),
+        holeCount: parseInt(document.getElementById('drillholeCount').value),
+        azimuth: readNumber('drillholeAzimuth'),
+        dip: readNumber('drillholeDip'),
+        length: readNumber('drillholeLength'),
+        deviation: readNumber('drillholeDeviation'),
+        surveyInterval: readNumber('drillholeSurveyInterval'),
+        sampleLength: readNumber('drillholeSampleLength'),
+        assayError: readNumber('drillholeAssayError')
+    };
+}
+
+/**
+ * Assayed fields of the current model: Cu, Au and the grade attributes present in the blocks
+ * @returns {Array} Fields [{ field, column }] (see simulateDrillholes)
+ */
+function getDrillholeAssayFields() {
+    const fields = DEFAULT_ASSAY_FIELDS.map(field => ({ ...field }));
+    getCurrentGradeAttributeDefinitions().forEach(attribute => {
+        if (currentBlocks.some(block => block[attribute.field] !== undefined)) {
+            fields.push({ field: attribute.field, column: attribute.column.replace(/^GRADE_/, '') });
+        }
+    });
+    return fields;
+}
+
+/**
+ * Initialize the Drillholes section
+ */
+function initDrillholes() {
+    const simulateBtn = document.getElementById('drillholeSimulateBtn');
+    const exportBtn = document.getElementById('drillholeExportBtn');
+    const showTraces = document.getElementById('drillholeShowTraces');
+    if (!simulateBtn || !exportBtn || !showTraces) {
+        console.warn('Drillhole elements not found');
+        return;
+    }
+    
+    const updatePatternInputs = () => {
+        const random = document.getElementById('drillholePattern').value === 'random';
+        document.getElementById('drillholeSpacing').disabled = random;
+        document.getElementById('drillholeCount').disabled = !random;
+    };
+    document.getElementById('drillholePattern').addEventListener('change', updatePatternInputs);
+    updatePatternInputs();
+    
+    simulateBtn.addEventListener('click', () => {
+        try {
+            handleSimulateDrillholes();
+        } catch (error) {
+            updateStatus(t('drillholes.error', { message: error.message }), 'error');
+        }
+    });
+    exportBtn.addEventListener('click', () => {
+        handleExportDrillholes().catch(error => {
+            updateStatus(t('drillholes.exportError', { message: error.message }), 'error');
+        });
+    });
+    showTraces.addEventListener('change', () => {
+        setDrillholeTraces(showTraces.checked && currentDrillholes ? currentDrillholes.holes : null);
+    });
+}
+
+/**
+ * Clear the drillholes of the previous model (Drillholes section and 3D view)
+ */
+function resetDrillholes() {
+    currentDrillholes = null;
+    const exportBtn = document.getElementById('drillholeExportBtn');
+    if (exportBtn) {
+        exportBtn.disabled = true;
+    }
+    setDrillholeTraces(null);
+}
+
+/**
+ * Drill the current model (Drillholes section)
+ * The holes are drawn in the 3D view and can be exported or used for classification
+ */
+function handleSimulateDrillholes() {
+    if (currentBlocks.length === 0 || !currentParams) {
+        updateStatus(t('drillholes.generateFirst'), 'error');
+        return;
+    }
+    
+    const fields = getDrillholeAssayFields();
+    const holes = simulateDrillholes(currentBlocks, buildGridParams(currentParams), readDrillholeParams(), {
+        seed: currentParams.seed,
+        surface: getCurrentTopographySurface(),
+        fields: fields
+    });
+    currentDrillholes = { holes: holes, fields: fields };
+    
+    document.getElementById('drillholeExportBtn').disabled = false;
+    setDrillholeTraces(document.getElementById('drillholeShowTraces').checked ? holes : null);
+    
+    const samples = holes.reduce((sum, hole) => sum + hole.samples.length, 0);
+    updateStatus(t('drillholes.done', { holes: holes.length, samples: samples.toLocaleString() }), 'success');
+}
+
+/**
+ * Download the collar, survey, assay and lithology tables of the simulated drillholes
+ * Tables are zipped together when JSZip is available, else downloaded one by one
+ */
+async function handleExportDrillholes() {
+    if (!currentDrillholes) {
+        updateStatus(t('drillholes.drillFirst'), 'error');
+        return;
+    }
+    
+    const tables = drillholesToCsvTables(currentDrillholes.holes, currentDrillholes.fields);
+    const timestamp = Date.now();
+    const download = (blob, fileName) => {
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        
+        link.setAttribute('href', url);
+        link.setAttribute('download', fileName);
+        link.style.visibility = 'hidden';
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+    };
+    
+    if (typeof JSZip !== 'undefined') {
+        const zip = new JSZip();
+        Object.keys(tables).forEach(name => {
+            zip.file(`drillholes_${timestamp}_${name}.csv`, tables[name]);
+        });
+        const zipBlob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+        download(zipBlob, `drillholes_${timestamp}.zip`);
+    } else {
+        Object.keys(tables).forEach(name => {
+            download(new Blob([tables[name]], { type: 'text/csv;charset=utf-8;' }), `drillholes_${timestamp}_${name}.csv`);
+        });
+    }
+    
+    trackExport();
+    updateStatus(t('drillholes.exported', { holes: currentDrillholes.holes.length }), 'success');
+}
+
+// ============================================================================
+// Resource Classification
+// ============================================================================
+
+/**
+ * Read the classification parameters from the Resource Classification section
+ * @returns {Object} Classification parameters (see DEFAULT_CLASSIFICATION_PARAMS)
+ */
+function readClassificationParams() {
+    const readNumber = id => parseFloat(document.getElementById(id).value);
+    
+    return {
+        method: document.getElementById('classificationMethod').value,
+        drillSpacing: readNumber('classificationSpacing'),
+        infillExtent: readNumber('classificationInfill'),
+        holeDepth: readNumber('classificationHoleDepth'),
+        jitter: readNumber('classificationJitter'),
+        measured: readNumber('classificationMeasured'),
+        indicated: readNumber('classificationIndicated')
+    };
+}
+
+/**
+ * Initialize the Resource Classification section
+ */
+function initResourceClassification() {
+    const classifyBtn = document.getElementById('classifyBtn');
+    if (!classifyBtn) {
+        console.warn('Resource classification elements not found');
+        return;
+    }
+    
+    classifyBtn.addEventListener('click', () => {
+        try {
+            handleClassifyResources();
+        } catch (error) {
+            updateStatus(t('classification.error', { message: error.message }), 'error');
+        }
+    });
+}
+
+/**
+ * Ground surface of the current model (drillhole collars sit on it)
+ * @returns {Object|null} Surface (see buildTopographySurface) or null for flat topography
+ */
+function getCurrentTopographySurface() {
+    return currentParams && currentParams.topography
+        ? buildTopographySurface(currentParams.topography, buildGridParams(currentParams), currentParams.seed)
+        : null;
+}
+
+/**
+ * Classify the current model from a synthetic drill pattern or the simulated drillholes
+ * (Resource Classification section)
+ * Every rock block gets its RESCAT and the model statistics list tonnage and grade per category
+ */
+function handleClassifyResources() {
+    if (currentBlocks.length === 0 || !currentParams) {
+        updateStatus(t('classification.generateFirst'), 'error');
+        return;
+    }
+    
+    const params = readClassificationParams();
+    const gridParams = buildGridParams(currentParams);
+    let holes;
+    if (document.getElementById('classificationUseDrillholes').checked) {
+        if (!currentDrillholes) {
+            updateStatus(t('classification.drillFirst'), 'error');
+            return;
+        }
+        holes = currentDrillholes.holes;
+    } else {
+        holes = buildDrillPattern(params, gridParams, currentParams.seed, getCurrentTopographySurface());
+    }
+    
+    currentBlocks = classifyResources(currentBlocks, holes, params);
+    updateVisualization(getBlocksToVisualize(currentBlocks), currentParams.cellSizeX, currentParams.cellSizeY, currentParams.cellSizeZ);
+    
+    currentModelStats = calculateModelStats(currentBlocks, currentParams);
+    if (typeof updateModelStatsDisplay === 'function') {
+        updateModelStatsDisplay();
+    }
+    
+    const counts = {};
+    currentModelStats.resourceCategories.forEach(row => {
+        counts[row.code] = row.blocks;
+    });
+    updateStatus(t('classification.done', {
+        holes: holes.length,
+        measured: (counts[1] || 0).toLocaleString(),
+        indicated: (counts[2] || 0).toLocaleString(),
+        inferred: (counts[3] || 0).toLocaleString()
+    }), 'success');
+}
+
+// ============================================================================
+// Grade Estimation
+// ============================================================================
+
+/**
+ * Read the estimation parameters from the Grade Estimation section
+ * @returns {Object} Estimation parameters (see DEFAULT_ESTIMATION_PARAMS)
+ */
+function readEstimationParams() {
+    const readNumber = id => parseFloat(document.getElementById(id).value);
+    const readInteger = id => parseInt(document.getElementById(id).value);
+    const methods = [];
+    if (document.getElementById('estimationKriging').checked) {
+        methods.push('ok');
+    }
+    if (document.getElementById('estimationIdw').checked) {
+        methods.push('idw');
+    }
+    
+    return {
+        field: document.getElementById('estimationField').value,
+        methods: methods,
+        power: readInteger('estimationPower'),
+        structure: document.getElementById('estimationStructure').value,
+        nugget: readNumber('estimationNugget'),
+        rangeMajor: readNumber('estimationRangeMajor'),
+        rangeSemi: readNumber('estimationRangeSemi'),
+        rangeMinor: readNumber('estimationRangeMinor'),
+        azimuth: readNumber('estimationAzimuth'),
+        dip: readNumber('estimationDip'),
+        searchMajor: readNumber('estimationSearchMajor'),
+        searchSemi: readNumber('estimationSearchSemi'),
+        searchMinor: readNumber('estimationSearchMinor'),
+        minSamples: readInteger('estimationMinSamples'),
+        maxSamples: readInteger('estimationMaxSamples'),
+        discretization: readInteger('estimationDiscretization')
+    };
+}
+
+/**
+ * Initialize the Grade Estimation section
+ */
+function initGradeEstimation() {
+    const estimateBtn = document.getElementById('estimateBtn');
+    if (!estimateBtn) {
+        console.warn('Grade estimation elements not found');
+        return;
+    }
+    
+    estimateBtn.addEventListener('click', () => {
+        try {
+            handleEstimateGrades();
+        } catch (error) {
+            updateStatus(t('estimation.error', { message: error.message }), 'error');
+        }
+    });
+}
+
+/**
+ * Estimate the grades of the current model from the simulated drillholes (Grade Estimation section)
+ * The estimates are stored next to the true grades and compared with them in the model statistics
+ */
+function handleEstimateGrades() {
+    if (currentBlocks.length === 0 || !currentParams) {
+        updateStatus(t('estimation.generateFirst'), 'error');
+        return;
+    }
+    if (!currentDrillholes) {
+        updateStatus(t('estimation.drillFirst'), 'error');
+        return;
+    }
+    
+    const params = readEstimationParams();
+    const assayField = currentDrillholes.fields.find(field => field.field === params.field);
+    const result = estimateBlockGrades(
+        currentBlocks,
+        currentDrillholes.holes,
+        buildGridParams(currentParams),
+        params,
+        assayField ? assayField.column : null
+    );
+    
+    currentBlocks = result.blocks;
+    updateVisualization(getBlocksToVisualize(currentBlocks), currentParams.cellSizeX, currentParams.cellSizeY, currentParams.cellSizeZ);
+    
+    currentModelStats = calculateModelStats(currentBlocks, currentParams);
+    if (typeof updateModelStatsDisplay === 'function') {
+        updateModelStatsDisplay();
+    }
+    
+    updateStatus(t('estimation.done', {
+        blocks: result.estimated.toLocaleString(),
+        fields: result.fields.map(getEstimateColumn).join(', ')
+    }), 'success');
+}
+
+// ============================================================================
+// GSLIB Import
+// ============================================================================
+
+/**
+ * Initialize the GSLIB grid import (Export Options section)
+ */
+function initGslibImport() {
+    const importBtn = document.getElementById('gslibImportBtn');
+    const importFile = document.getElementById('gslibImportFile');
+    if (!importBtn || !importFile) {
+        console.warn('GSLIB import elements not found');
+        return;
+    }
+    
+    importBtn.addEventListener('click', () => {
+        importFile.value = '';
+        importFile.click();
+    });
+    importFile.addEventListener('change', () => {
+        const file = importFile.files[0];
+        if (!file) return;
+        
+        updateStatus(t('gslib.importing', { name: file.name }));
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                handleImportGslib(reader.result, file.name);
+            } catch (error) {
+                updateStatus(t('gslib.importError', { message: error.message }), 'error');
+                console.error('GSLIB import error:', error);
+            }
+        };
+        reader.onerror = () => {
+            updateStatus(t('gslib.importError', { message: file.name }), 'error');
+        };
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Load a GSLIB grid as the current model
+ * The grid comes from the file title (see blocksToGslib) or, for other files, from the current model.
+ * The imported model replaces the current model for display, statistics and export.
+ * @param {string} text - File contents
+ * @param {string} name - File name (for the status message)
+ */
+function handleImportGslib(text, name) {
+    const result = gslibToBlocks(parseGslib(text), currentParams ? buildGridParams(currentParams) : null);
+    const grid = result.gridParams;
+    
+    currentBlocks = result.blocks;
+    currentParams = {
+        ...currentParams,
+        originX: grid.xmOrig,
+        originY: grid.ymOrig,
+        originZ: grid.zmOrig,
+        cellSizeX: grid.xInc,
+        cellSizeY: grid.yInc,
+        cellSizeZ: grid.zInc,
+        cellsX: grid.nx,
+        cellsY: grid.ny,
+        cellsZ: grid.nz,
+        bearing: grid.bearing || 0,
+        dip: grid.dip || 0,
+        plunge: grid.plunge || 0,
+        subBlocking: false,
+        faults: [],
+        topography: null,
+        gradeAttributes: getGradeAttributes().concat(result.gradeAttributes),
+        imported: true
+    };
+    
+    setGridRotation(currentParams.bearing, currentParams.dip, currentParams.plunge);
+    setTopographySurface(null);
+    resetPitResults();
+    resetDrillholes();
+    
+    // Gallery models are regenerated from their parameters, which cannot describe an imported model
+    const saveModelBtn = document.getElementById('saveModelBtn');
+    if (saveModelBtn) {
+        saveModelBtn.disabled = true;
+    }
+    document.getElementById('exportBtn').disabled = false;
+    
+    updateVisualization(getBlocksToVisualize(currentBlocks), grid.xInc, grid.yInc, grid.zInc);
+    if (typeof zoomToFit === 'function') {
+        zoomToFit();
+    }
+    
+    currentModelStats = calculateModelStats(currentBlocks, currentParams);
+    if (typeof updateModelStatsDisplay === 'function') {
+        updateModelStatsDisplay();
+    }
+    
+    updateStatus(t(result.ignored.length > 0 ? 'gslib.importedIgnored' : 'gslib.imported', {
+        name: name,
+        count: currentBlocks.length.toLocaleString(),
+        variables: result.columns.join(', '),
+        ignored: result.ignored.join(', ')
+    }), 'success');
+}
+
+// ============================================================================
+// Gamification: Statistics Tracking
+// ============================================================================
+
+/**
+ * Initialize statistics structure
+ * @returns {Object} Statistics object
+ */
+function initStats() {
+    return {
+        totalModels: 0,
+        totalExports: 0,
+        firstModelDate: null,
+        lastModelDate: null,
+        totalSessionTime: 0,
+        patternsTried: [],
+        patternUsage: {},
+        viewModesUsed: [],
+        toolsUsed: {
+            sliceTool: false,
+            valueFilter: false,
+            categoryFilter: false,
+            groundLayer: false
+        },
+        largestModel: 0,
+        averageModelSize: 0,
+        totalVolume: 0,
+        currentSession: {
+            startTime: Date.now(),
+            modelsGenerated: 0
         }
     };
 }
@@ -1806,8 +4720,9 @@ function trackModelGeneration(params, blocks) {
         ((stats.averageModelSize * (totalModels - 1)) + blockCount) / totalModels
     );
     
-    // Calculate and track volume (approximate)
-    const volume = params.cellSizeX * params.cellSizeY * params.cellSizeZ * blockCount;
+    // Calculate and track volume (approximate; sub-blocks use their own dimensions)
+    const volume = blocks.reduce((sum, block) =>
+        sum + getBlockVolume(block, params.cellSizeX, params.cellSizeY, params.cellSizeZ), 0);
     stats.totalVolume += volume;
     
     saveStats(stats);
@@ -1875,8 +4790,18 @@ function calculateModelStats(blocks, params) {
         return null;
     }
     
+    // Air blocks above the topography are not part of the rock model
+    const airBlockCount = blocks.filter(isAirBlock).length;
+    if (airBlockCount > 0) {
+        blocks = blocks.filter(block => !isAirBlock(block));
+        if (blocks.length === 0) {
+            return null;
+        }
+    }
+    
     const stats = {
         blockCount: blocks.length,
+        airBlockCount: airBlockCount,
         totalVolume: 0,
         dimensions: { width: 0, height: 0, depth: 0 },
         rockTypes: {},
@@ -1888,6 +4813,18 @@ function calculateModelStats(blocks, params) {
         gradeAu: { min: null, max: null, avg: 0, hasData: false },
         econValue: { min: null, max: null, avg: 0, total: 0, hasData: false },
         density: { min: Infinity, max: -Infinity, avg: 0 },
+        // Pattern and configured grade attributes (see getGradeAttributeDefinitions)
+        gradeAttributes: getGradeAttributeDefinitions(params.gradeAttributes || []).map(attribute => ({
+            name: attribute.name,
+            field: attribute.field,
+            unit: attribute.unit,
+            min: null,
+            max: null,
+            avg: 0,
+            total: 0,
+            count: 0,
+            hasData: false
+        })),
         interestingFacts: []
     };
     
@@ -1973,6 +4910,22 @@ function calculateModelStats(blocks, params) {
             totalEconValue += block.econValue;
             econValueCount++;
         }
+        
+        // Grade attributes
+        stats.gradeAttributes.forEach(attribute => {
+            const value = block[attribute.field];
+            if (value !== undefined && value !== null && !isNaN(value)) {
+                attribute.hasData = true;
+                if (attribute.min === null || value < attribute.min) {
+                    attribute.min = value;
+                }
+                if (attribute.max === null || value > attribute.max) {
+                    attribute.max = value;
+                }
+                attribute.total += value;
+                attribute.count++;
+            }
+        });
     });
     
     // Calculate averages
@@ -1993,13 +4946,20 @@ function calculateModelStats(blocks, params) {
         stats.econValue.total = totalEconValue;
     }
     
+    // Keep only the attributes present in this model
+    stats.gradeAttributes = stats.gradeAttributes.filter(attribute => attribute.hasData);
+    stats.gradeAttributes.forEach(attribute => {
+        attribute.avg = attribute.total / attribute.count;
+    });
+    
     // Calculate dimensions
     stats.dimensions.width = maxX - minX + (params.cellSizeX || 0);
     stats.dimensions.height = maxY - minY + (params.cellSizeY || 0);
     stats.dimensions.depth = maxZ - minZ + (params.cellSizeZ || 0);
     
-    // Calculate volume (cubic meters)
-    stats.totalVolume = params.cellSizeX * params.cellSizeY * params.cellSizeZ * blocks.length;
+    // Calculate volume (cubic meters, sub-blocks use their own dimensions)
+    stats.totalVolume = blocks.reduce((sum, block) =>
+        sum + getBlockVolume(block, params.cellSizeX, params.cellSizeY, params.cellSizeZ), 0);
     
     // Calculate percentages
     stats.orePercentage = blocks.length > 0 ? (oreCount / blocks.length) * 100 : 0;
@@ -2008,6 +4968,14 @@ function calculateModelStats(blocks, params) {
     // Zone count
     stats.zoneCount = Object.keys(stats.zones).length;
     
+    // Tonnage and grade per resource category (classified models)
+    stats.resourceCategories = blocks.some(block => block.resCat !== undefined)
+        ? summarizeResourceCategories(blocks, { xInc: params.cellSizeX, yInc: params.cellSizeY, zInc: params.cellSizeZ })
+        : [];
+    
+    // Estimation errors against the true grades (estimated models)
+    stats.estimation = summarizeEstimationErrors(blocks);
+    
     // Generate interesting facts
     stats.interestingFacts = generateInterestingFacts(stats, params);
     
@@ -2150,7 +5118,7 @@ function saveModelsToGallery(models) {
  * @param {Object} params - Model parameters
  * @param {Object} stats - Model statistics
  * @param {Object} visualizationState - Current visualization state (optional)
- * @param {Object} randomSeed - Random seed values used for generation (optional)
+ * @param {number} randomSeed - Model seed used for generation (optional)
  * @returns {Object} Saved model object
  */
 function saveModelToGallery(name, params, stats, visualizationState = null, randomSeed = null) {
@@ -2170,7 +5138,21 @@ function saveModelToGallery(name, params, stats, visualizationState = null, rand
             cellsX: params.cellsX,
             cellsY: params.cellsY,
             cellsZ: params.cellsZ,
-            patternType: params.patternType
+            bearing: params.bearing,
+            dip: params.dip,
+            plunge: params.plunge,
+            patternType: params.patternType,
+            subBlocking: params.subBlocking,
+            subBlockLevels: params.subBlockLevels,
+            sgs: params.sgs,
+            kimberlite: params.kimberlite,
+            stockwork: params.stockwork,
+            gradeAttributes: params.gradeAttributes,
+            scenario: params.scenario,
+            faults: params.faults,
+            topography: params.topography,
+            weathering: params.weathering,
+            economics: params.economics
         },
         stats: {
             blockCount: stats.blockCount,
@@ -2194,7 +5176,7 @@ function saveModelToGallery(name, params, stats, visualizationState = null, rand
     }
     
     // Add random seed if provided
-    if (randomSeed) {
+    if (randomSeed !== null && randomSeed !== undefined) {
         savedModel.randomSeed = randomSeed;
     }
     
@@ -2227,7 +5209,79 @@ function loadModelFromGallery(modelId) {
     document.getElementById('cellsX').value = model.params.cellsX;
     document.getElementById('cellsY').value = model.params.cellsY;
     document.getElementById('cellsZ').value = model.params.cellsZ;
+    // Models saved before grid rotation was added are axis-aligned
+    document.getElementById('gridBearing').value = model.params.bearing || 0;
+    document.getElementById('gridDip').value = model.params.dip || 0;
+    document.getElementById('gridPlunge').value = model.params.plunge || 0;
     document.getElementById('patternType').value = model.params.patternType;
+    // Models saved before sub-blocking was added have no sub-block parameters
+    document.getElementById('subBlockEnabled').checked = model.params.subBlocking === true;
+    document.getElementById('subBlockLevels').value = model.params.subBlockLevels || 2;
+    setSgsParams(model.params.sgs);
+    // Models saved before kimberlite pipes were added use the default pipe parameters
+    setKimberliteParams(model.params.kimberlite);
+    // Models saved before stockworks were added use the default stockwork parameters
+    setStockworkParams(model.params.stockwork);
+    // Models saved before topography was added have a flat surface
+    setTopographyParams(model.params.topography);
+    // Models saved before scenarios were added keep the current scenario
+    if (Array.isArray(model.params.scenario)) {
+        try {
+            setScenario(model.params.scenario);
+            saveScenarioToStorage();
+            if (typeof window.updateScenarioSummary === 'function') {
+                window.updateScenarioSummary();
+            }
+        } catch (e) {
+            console.warn('Saved model has an invalid scenario:', e);
+        }
+    }
+    // Models saved before grade attributes were added keep the current attributes
+    if (Array.isArray(model.params.gradeAttributes)) {
+        try {
+            setGradeAttributes(model.params.gradeAttributes);
+            saveGradeAttributesToStorage();
+            if (typeof window.updateGradeAttributeSummary === 'function') {
+                window.updateGradeAttributeSummary();
+            }
+        } catch (e) {
+            console.warn('Saved model has invalid grade attributes:', e);
+        }
+    }
+    // Models saved before faults were added are unfaulted
+    try {
+        setFaults(Array.isArray(model.params.faults) ? model.params.faults : []);
+        saveFaultsToStorage();
+        if (typeof window.updateFaultSummary === 'function') {
+            window.updateFaultSummary();
+        }
+    } catch (e) {
+        console.warn('Saved model has invalid faults:', e);
+    }
+    // Models saved before the weathering profile was added are unweathered
+    try {
+        setWeatheringProfile(model.params.weathering || { ...getWeatheringProfile(), enabled: false });
+        saveWeatheringProfileToStorage();
+        if (typeof window.updateWeatheringSummary === 'function') {
+            window.updateWeatheringSummary();
+        }
+    } catch (e) {
+        console.warn('Saved model has an invalid weathering profile:', e);
+    }
+    // Models saved before economic parameters were added keep their material values
+    try {
+        setEconomicParameters(model.params.economics || { ...getEconomicParameters(), enabled: false });
+        saveEconomicParametersToStorage();
+        if (typeof window.updateEconomicsSummary === 'function') {
+            window.updateEconomicsSummary();
+        }
+    } catch (e) {
+        console.warn('Saved model has invalid economic parameters:', e);
+    }
+    // Keep the saved seed for the next generation (models saved without one get a new seed)
+    const savedSeed = model.randomSeed !== undefined ? normalizeSeed(model.randomSeed) : null;
+    document.getElementById('randomSeed').value = savedSeed !== null ? savedSeed : '';
+    document.getElementById('seedLocked').checked = savedSeed !== null;
     
     return model;
 }
@@ -0,0 +1,298 @@
+/**
+ * Open Mining Format (OMF)
+ * Block models and the topography surface as OMF v1 project files (Leapfrog, Deswik, omf for Python)
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// File Format
+// ============================================================================
+
+/**
+ * OMF v1 layout (little-endian)
+ *   Bytes 0-3   - magic number 84 83 82 81
+ *   Bytes 4-35  - format version, zero-padded
+ *   Bytes 36-51 - project uid
+ *   Bytes 52-59 - byte offset of the project JSON (uint64)
+ *   Arrays      - zlib-compressed float64 or int64 values, referenced from the JSON as
+ *                 { start, length, dtype }
+ *   JSON        - every object of the project keyed by uid, each with its __class__;
+ *                 objects refer to each other by uid
+ */
+const OMF_MAGIC = [0x84, 0x83, 0x82, 0x81];
+const OMF_VERSION = 'OMF-v0.9.0';
+const OMF_HEADER_BYTES = 60;
+
+/**
+ * Colour of elements and legend entries without a material colour
+ */
+const OMF_DEFAULT_COLOR = [128, 128, 128];
+
+/**
+ * Largest stored block of the uncompressed zlib fallback (bytes)
+ */
+const ZLIB_STORED_BLOCK_BYTES = 65535;
+
+/**
+ * Create a random uid (UUID version 4)
+ * @returns {string} Uid (e.g. 3f2c...-...)
+ */
+function createOmfUid() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    const hex = Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16));
+    hex[12] = '4';
+    hex[16] = (8 + Math.floor(Math.random() * 4)).toString(16);
+    const text = hex.join('');
+    return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+}
+
+/**
+ * Colour of a material as [r, g, b]
+ * @param {string} rockType - Rock type name
+ * @returns {Array} Colour components (0-255)
+ */
+function getOmfMaterialColor(rockType) {
+    const color = getMaterialColor(rockType);
+    return [(color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff];
+}
+
+/**
+ * Adler-32 checksum of the zlib format
+ * @param {Uint8Array} bytes - Uncompressed data
+ * @returns {number} Checksum
+ */
+function adler32(bytes) {
+    let a = 1, b = 0;
+    for (let n = 0; n < bytes.length; n++) {
+        a = (a + bytes[n]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Compress data in the zlib format read by OMF
+ * Uses the browser CompressionStream; without it the data is written in stored (uncompressed)
+ * deflate blocks, which every zlib reader accepts.
+ * @param {Uint8Array} bytes - Uncompressed data
+ * @returns {Promise<Uint8Array>} zlib stream
+ */
+async function zlibCompress(bytes) {
+    if (typeof CompressionStream !== 'undefined') {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    
+    const blocks = Math.max(1, Math.ceil(bytes.length / ZLIB_STORED_BLOCK_BYTES));
+    const output = new Uint8Array(2 + bytes.length + blocks * 5 + 4);
+    const view = new DataView(output.buffer);
+    output[0] = 0x78;
+    output[1] = 0x01;
+    let offset = 2;
+    for (let block = 0; block < blocks; block++) {
+        const chunk = bytes.subarray(block * ZLIB_STORED_BLOCK_BYTES, (block + 1) * ZLIB_STORED_BLOCK_BYTES);
+        output[offset] = block === blocks - 1 ? 1 : 0;
+        view.setUint16(offset + 1, chunk.length, true);
+        view.setUint16(offset + 3, ~chunk.length & 0xffff, true);
+        output.set(chunk, offset + 5);
+        offset += 5 + chunk.length;
+    }
+    view.setUint32(offset, adler32(bytes));
+    return output;
+}
+
+// ============================================================================
+// Writer
+// ============================================================================
+
+/**
+ * Convert blocks to an OMF v1 project
+ * The project holds a VolumeElement on a regular VolumeGridGeometry (origin at the lower corner
+ * of the model, axis vectors from the grid rotation, one tensor size per cell) and, when given,
+ * the topography as a SurfaceElement on a SurfaceGridGeometry. Cell data runs U fastest, then V,
+ * then W upwards, as in blocksToGslib: numeric fields are ScalarData, ROCKTYPE, ZONE and
+ * OXIDATION are MappedData with a name legend (ROCKTYPE also has a legend of material colours).
+ * Empty cells are NaN or index -1; sub-blocked models are regularized to the parent cells.
+ * @param {Array} blocks - Blocks in world coordinates (sub-blocks allowed)
+ * @param {Object} gridParams - Grid parameters (origin, increments, counts and rotation)
+ * @param {Object} [options={}] - Export options
+ * @param {string} [options.name='Block Model'] - Project and block model name
+ * @param {string} [options.description] - Project description
+ * @param {Object|null} [options.surface=null] - Ground surface (see buildTopographySurface)
+ * @param {Array} [options.gradeAttributes] - Extra grade attributes (defaults to getGradeAttributeDefinitions())
+ * @param {Date} [options.date] - Creation date (defaults to now)
+ * @returns {Promise<ArrayBuffer>} File contents
+ * @throws {Error} If there are no blocks
+ */
+async function blocksToOmf(blocks, gridParams, options = {}) {
+    const {
+        name = 'Block Model',
+        description = 'Block Model Generator',
+        surface = null,
+        gradeAttributes = getGradeAttributeDefinitions(),
+        date = new Date()
+    } = options;
+    
+    if (!blocks || blocks.length === 0) {
+        throw new Error('The model has no blocks to export');
+    }
+    
+    const stamp = date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const registry = {};
+    const chunks = [];
+    let offset = OMF_HEADER_BYTES;
+    
+    // Objects are keyed by uid; arrays are written after the header in the order they are added
+    const addObject = (className, properties) => {
+        const uid = createOmfUid();
+        registry[uid] = { __class__: className, ...properties, date_created: stamp, date_modified: stamp };
+        return uid;
+    };
+    const addArray = async (values, dtype) => {
+        const bytes = new Uint8Array(values.length * 8);
+        const view = new DataView(bytes.buffer);
+        for (let n = 0; n < values.length; n++) {
+            if (dtype === '<i8') {
+                view.setInt32(n * 8, values[n], true);
+                view.setInt32(n * 8 + 4, values[n] < 0 ? -1 : 0, true);
+            } else {
+                view.setFloat64(n * 8, values[n], true);
+            }
+        }
+        const compressed = await zlibCompress(bytes);
+        const index = { start: offset, length: compressed.length, dtype: dtype };
+        chunks.push(compressed);
+        offset += compressed.length;
+        return addObject('ScalarArray', { array: index });
+    };
+    
+    // Block model geometry: lower corner of the model, grid axes in world coordinates
+    const { xmOrig, ymOrig, zmOrig, xInc, yInc, zInc, nx, ny, nz } = gridParams;
+    const rotation = getGridRotationMatrix(gridParams.bearing || 0, gridParams.dip || 0, gridParams.plunge || 0);
+    const corner = gridToWorld(rotation, gridParams, xmOrig, ymOrig, zmOrig - nz * zInc);
+    const geometry = addObject('VolumeGridGeometry', {
+        tensor_u: new Array(nx).fill(xInc),
+        tensor_v: new Array(ny).fill(yInc),
+        tensor_w: new Array(nz).fill(zInc),
+        axis_u: [rotation[0][0], rotation[1][0], rotation[2][0]],
+        axis_v: [rotation[0][1], rotation[1][1], rotation[2][1]],
+        axis_w: [rotation[0][2], rotation[1][2], rotation[2][2]],
+        origin: [corner.x, corner.y, corner.z]
+    });
+    
+    // Cell data in the variable order of the GSLIB export
+    const { cells, grid } = getGslibGridCells(blocks, gridParams, gradeAttributes);
+    const { variables, legends } = getGslibVariables(cells, gradeAttributes);
+    const data = [];
+    for (const variable of variables) {
+        const legend = legends.find(entry => entry.column === variable.name);
+        if (legend) {
+            const legendUids = [addObject('Legend', {
+                name: variable.name,
+                description: '',
+                values: addObject('StringArray', { array: legend.values })
+            })];
+            if (variable.name === 'ROCKTYPE') {
+                legendUids.push(addObject('Legend', {
+                    name: 'Colors',
+                    description: 'Material colours',
+                    values: addObject('ColorArray', { array: legend.values.map(getOmfMaterialColor) })
+                }));
+            }
+            const indices = grid.map(block => {
+                const code = block ? variable.value(block) : undefined;
+                return code !== undefined ? code - 1 : -1;
+            });
+            data.push(addObject('MappedData', {
+                name: variable.name,
+                description: '',
+                location: 'cells',
+                array: await addArray(indices, '<i8'),
+                legends: legendUids
+            }));
+        } else {
+            const values = grid.map(block => {
+                const value = block ? variable.value(block) : undefined;
+                return value !== undefined && value !== null && isFinite(value) ? value : NaN;
+            });
+            data.push(addObject('ScalarData', {
+                name: variable.name,
+                description: '',
+                location: 'cells',
+                array: await addArray(values, '<f8')
+            }));
+        }
+    }
+    
+    const elements = [addObject('VolumeElement', {
+        name: name,
+        description: `${nx} × ${ny} × ${nz} blocks of ${xInc} × ${yInc} × ${zInc} m`,
+        geometry: geometry,
+        data: data,
+        color: OMF_DEFAULT_COLOR,
+        subtype: 'volume'
+    })];
+    
+    // Topography as a grid surface with absolute elevations (node order: U fastest, then V)
+    if (surface) {
+        const surfaceGeometry = addObject('SurfaceGridGeometry', {
+            tensor_u: new Array(surface.columns - 1).fill(surface.stepX),
+            tensor_v: new Array(surface.rows - 1).fill(surface.stepY),
+            axis_u: [1, 0, 0],
+            axis_v: [0, 1, 0],
+            origin: [surface.minX, surface.minY, 0],
+            offset_w: await addArray(surface.elevations, '<f8')
+        });
+        elements.push(addObject('SurfaceElement', {
+            name: 'Topography',
+            description: 'Ground surface',
+            geometry: surfaceGeometry,
+            data: [addObject('ScalarData', {
+                name: 'ELEVATION',
+                description: '',
+                location: 'vertices',
+                array: await addArray(surface.elevations, '<f8')
+            })],
+            color: [139, 115, 85],
+            subtype: 'surface'
+        }));
+    }
+    
+    const projectUid = addObject('Project', {
+        name: name,
+        description: description,
+        author: '',
+        revision: '',
+        date: stamp,
+        units: 'm',
+        origin: [0, 0, 0],
+        elements: elements
+    });
+    
+    // Header, arrays, then the JSON
+    const json = new TextEncoder().encode(JSON.stringify(registry));
+    const output = new Uint8Array(offset + json.length);
+    const view = new DataView(output.buffer);
+    output.set(OMF_MAGIC, 0);
+    for (let c = 0; c < OMF_VERSION.length; c++) {
+        output[4 + c] = OMF_VERSION.charCodeAt(c);
+    }
+    const uidHex = projectUid.replace(/-/g, '');
+    for (let b = 0; b < 16; b++) {
+        output[36 + b] = parseInt(uidHex.substr(b * 2, 2), 16);
+    }
+    view.setUint32(52, offset, true);
+    view.setUint32(56, Math.floor(offset / 4294967296), true);
+    
+    let position = OMF_HEADER_BYTES;
+    chunks.forEach(chunk => {
+        output.set(chunk, position);
+        position += chunk.length;
+    });
+    output.set(json, offset);
+    return output.buffer;
+}
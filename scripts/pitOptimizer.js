@@ -0,0 +1,589 @@
+/**
+ * Pit Optimization
+ * Ultimate pit and nested pit shells from block economic values (maximum closure solved as a
+ * minimum cut, equivalent to Lerchs-Grossmann)
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Pit Parameters
+// ============================================================================
+
+/**
+ * Maximum number of grid cells the optimizer accepts (it runs on the page, so larger grids would
+ * freeze it; precedence arcs grow with the slope template)
+ */
+const MAX_PIT_CELLS = 30000;
+
+/**
+ * Maximum number of revenue factors (nested shells)
+ */
+const MAX_PIT_SHELLS = 50;
+
+/**
+ * Default pit parameters
+ *   slopes           - overall slope angles in degrees at azimuths (clockwise from north); the
+ *                      angle between two azimuths is interpolated
+ *   zoneSlopes       - slope angles of blocks whose zone or weathering zone matches (all azimuths)
+ *   revenueFactors   - revenue factor sweep; one nested shell per factor
+ *   precedenceLevels - levels above a block covered by its precedence template
+ */
+const DEFAULT_PIT_PARAMS = {
+    slopes: [
+        { azimuth: 0, angle: 45 },
+        { azimuth: 90, angle: 45 },
+        { azimuth: 180, angle: 45 },
+        { azimuth: 270, angle: 45 }
+    ],
+    zoneSlopes: [],
+    revenueFactors: { min: 0.5, max: 1.0, step: 0.1 },
+    precedenceLevels: 8
+};
+
+/**
+ * Validate pit parameters
+ * @param {Object} params - Pit parameters (see DEFAULT_PIT_PARAMS)
+ * @throws {Error} If the parameters are invalid
+ */
+function validatePitParams(params) {
+    if (!params || !Array.isArray(params.slopes) || params.slopes.length === 0) {
+        throw new Error('Pit optimization needs at least one slope angle');
+    }
+    const validAngle = angle => angle >= 10 && angle <= 90;
+    params.slopes.forEach(slope => {
+        if (!(slope.azimuth >= 0 && slope.azimuth < 360) || !validAngle(slope.angle)) {
+            throw new Error('Slope azimuths must be 0-360 and slope angles 10-90 degrees');
+        }
+    });
+    if (!Array.isArray(params.zoneSlopes) || params.zoneSlopes.some(slope => !slope.zone || !validAngle(slope.angle))) {
+        throw new Error('Zone slopes need a zone and a slope angle of 10-90 degrees');
+    }
+    
+    const { min, max, step } = params.revenueFactors || {};
+    if (!(min > 0) || !(max >= min) || !(step > 0)) {
+        throw new Error('Revenue factors need 0 < minimum <= maximum and a positive step');
+    }
+    if (getRevenueFactors(params).length > MAX_PIT_SHELLS) {
+        throw new Error(`At most ${MAX_PIT_SHELLS} revenue factors are supported`);
+    }
+    if (!Number.isInteger(params.precedenceLevels) || params.precedenceLevels < 1 || params.precedenceLevels > 20) {
+        throw new Error('Precedence levels must be between 1 and 20');
+    }
+}
+
+/**
+ * Revenue factors of the sweep (ascending)
+ * @param {Object} params - Pit parameters
+ * @returns {Array} Revenue factors
+ */
+function getRevenueFactors(params) {
+    const { min, max, step } = params.revenueFactors;
+    const factors = [];
+    for (let n = 0; min + n * step <= max + step * 1e-6; n++) {
+        factors.push(Number((min + n * step).toFixed(6)));
+    }
+    return factors;
+}
+
+/**
+ * Parse zone slopes written as ZONE=angle pairs (e.g. "OXIDE=35, LEACHED=38")
+ * @param {string} text - Zone slopes
+ * @returns {Array} Zone slopes [{ zone, angle }]
+ * @throws {Error} If a pair cannot be read
+ */
+function parseZoneSlopes(text) {
+    return String(text || '').split(/[,;\n]/).map(part => part.trim()).filter(part => part.length > 0).map(part => {
+        const match = part.match(/^(.+?)\s*[=:]\s*([\d.]+)$/);
+        if (!match) {
+            throw new Error(`Cannot read zone slope "${part}" (use ZONE=angle)`);
+        }
+        return { zone: match[1].trim(), angle: parseFloat(match[2]) };
+    });
+}
+
+/**
+ * Format zone slopes as ZONE=angle pairs
+ * @param {Array} zoneSlopes - Zone slopes [{ zone, angle }]
+ * @returns {string} Text
+ */
+function formatZoneSlopes(zoneSlopes) {
+    return zoneSlopes.map(slope => `${slope.zone}=${slope.angle}`).join(', ');
+}
+
+// ============================================================================
+// Slope Precedence
+// ============================================================================
+
+/**
+ * Slope angle at an azimuth, interpolated between the slope azimuths
+ * @param {Array} slopes - Slope angles [{ azimuth, angle }]
+ * @param {number} azimuth - Azimuth in degrees
+ * @returns {number} Slope angle in degrees
+ */
+function getSlopeAngle(slopes, azimuth) {
+    const sorted = slopes.slice().sort((a, b) => a.azimuth - b.azimuth);
+    if (sorted.length === 1) {
+        return sorted[0].angle;
+    }
+    
+    const target = ((azimuth % 360) + 360) % 360;
+    for (let n = 0; n < sorted.length; n++) {
+        const from = sorted[n];
+        const to = sorted[(n + 1) % sorted.length];
+        const span = ((to.azimuth - from.azimuth) + 360) % 360 || 360;
+        const offset = ((target - from.azimuth) + 360) % 360;
+        if (offset <= span) {
+            return from.angle + (to.angle - from.angle) * offset / span;
+        }
+    }
+    return sorted[0].angle;
+}
+
+/**
+ * Overall slope angle of a block (e.g. for a MiningMath /Slope column)
+ * A matching zone slope wins; other blocks get the mean of the slope angles.
+ * @param {Object} block - Block object
+ * @param {Object} params - Pit parameters (see DEFAULT_PIT_PARAMS)
+ * @returns {number} Slope angle in degrees
+ */
+function getBlockSlopeAngle(block, params) {
+    const zoneSlope = params.zoneSlopes.find(slope => slope.zone === block.zone || slope.zone === block.oxidation);
+    if (zoneSlope) {
+        return zoneSlope.angle;
+    }
+    return params.slopes.reduce((sum, slope) => sum + slope.angle, 0) / params.slopes.length;
+}
+
+/**
+ * Build the precedence template of a slope
+ * Lists the blocks (offsets up to precedenceLevels above) that must be mined before a block.
+ * Offsets already implied by shorter offsets are left out.
+ * @param {Function} angleAt - Slope angle in degrees at a world azimuth
+ * @param {Object} gridParams - Grid parameters (increments and bearing)
+ * @param {number} levels - Number of levels above the block
+ * @returns {Array} Offsets [{ di, dj, dk }] (dk levels up)
+ */
+function buildPrecedenceTemplate(angleAt, gridParams, levels) {
+    const { xInc, yInc, zInc } = gridParams;
+    const bearing = gridParams.bearing || 0;
+    
+    // Horizontal reach per level at each azimuth; search radius uses the flattest slope
+    let maxReach = 0;
+    for (let azimuth = 0; azimuth < 360; azimuth += 5) {
+        maxReach = Math.max(maxReach, zInc / Math.tan(angleAt(azimuth) * Math.PI / 180));
+    }
+    
+    const key = (di, dj) => `${di},${dj}`;
+    const closures = [null];
+    const template = [];
+    
+    for (let m = 1; m <= levels; m++) {
+        // Offsets implied by combining shorter levels
+        const implied = new Set();
+        for (let a = 1; a < m; a++) {
+            closures[a].forEach(first => {
+                closures[m - a].forEach(second => {
+                    implied.add(key(first[0] + second[0], first[1] + second[1]));
+                });
+            });
+        }
+        
+        const closure = new Map();
+        implied.forEach(offset => closure.set(offset, offset.split(',').map(Number)));
+        
+        const rangeI = Math.floor(m * maxReach / xInc + 1e-9);
+        const rangeJ = Math.floor(m * maxReach / yInc + 1e-9);
+        for (let di = -rangeI; di <= rangeI; di++) {
+            for (let dj = -rangeJ; dj <= rangeJ; dj++) {
+                const dx = di * xInc;
+                const dy = dj * yInc;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                const azimuth = Math.atan2(dx, dy) * 180 / Math.PI + bearing;
+                const reach = m * zInc / Math.tan(angleAt(azimuth) * Math.PI / 180);
+                if (distance <= reach + 1e-9 && !implied.has(key(di, dj))) {
+                    template.push({ di, dj, dk: m });
+                    closure.set(key(di, dj), [di, dj]);
+                }
+            }
+        }
+        closures.push(Array.from(closure.values()));
+    }
+    
+    return template;
+}
+
+// ============================================================================
+// Maximum Closure
+// ============================================================================
+
+/**
+ * Flow network of the pit: a source arc into every block, an arc from every block to the
+ * sink and infinite precedence arcs; arcs are stored in pairs (arc ^ 1 is the reverse arc)
+ * The network keeps the residual capacities of its last solve (see solveMaximumClosure).
+ * @param {number} nodeCount - Number of blocks
+ * @param {Array} arcs - Precedence arcs as [from, to] pairs flattened into one array
+ * @returns {Object} Network
+ */
+function buildPitNetwork(nodeCount, arcs) {
+    const source = nodeCount;
+    const sink = nodeCount + 1;
+    const arcCount = arcs.length / 2 + 2 * nodeCount;
+    const to = new Int32Array(arcCount * 2);
+    const from = new Int32Array(arcCount * 2);
+    const baseCapacity = new Float64Array(arcCount * 2);
+    let e = 0;
+    
+    const addArc = (u, v, capacity) => {
+        from[e] = u; to[e] = v; baseCapacity[e] = capacity; e++;
+        from[e] = v; to[e] = u; baseCapacity[e] = 0; e++;
+    };
+    for (let n = 0; n < nodeCount; n++) {
+        addArc(source, n, 0);
+        addArc(n, sink, 0);
+    }
+    for (let n = 0; n < arcs.length; n += 2) {
+        addArc(arcs[n], arcs[n + 1], Infinity);
+    }
+    
+    // Adjacency (arc ids grouped by tail node)
+    const totalNodes = nodeCount + 2;
+    const start = new Int32Array(totalNodes + 1);
+    for (let a = 0; a < e; a++) {
+        start[from[a] + 1]++;
+    }
+    for (let n = 0; n < totalNodes; n++) {
+        start[n + 1] += start[n];
+    }
+    const fill = start.slice(0, totalNodes);
+    const adjacency = new Int32Array(e);
+    for (let a = 0; a < e; a++) {
+        adjacency[fill[from[a]]++] = a;
+    }
+    
+    return { nodeCount, source, sink, to, from, baseCapacity, capacity: baseCapacity.slice(), start, adjacency };
+}
+
+/**
+ * Solve the maximum closure of the network for block revenues and costs (Dinic maximum flow)
+ * The blocks still reachable from the source after the maximum flow form the smallest
+ * maximum-value closure, so shells of increasing values are nested.
+ * The flow of the previous solve is kept while it fits the new capacities (no revenue lower and
+ * no cost lower than before), so a revenue factor sweep only augments it from shell to shell.
+ * @param {Object} network - Network (see buildPitNetwork)
+ * @param {Float64Array} revenues - Block revenues (source arc capacities, at least 0)
+ * @param {Float64Array} costs - Block costs (sink arc capacities, at least 0)
+ * @returns {Uint8Array} 1 for blocks in the pit
+ */
+function solveMaximumClosure(network, revenues, costs) {
+    const { nodeCount, source, sink, to, baseCapacity, start, adjacency } = network;
+    const totalNodes = nodeCount + 2;
+    const EPSILON = 1e-9;
+    
+    // Source and sink arcs come first: arc 4n is source -> n, arc 4n + 2 is n -> sink, and the
+    // reverse arcs 4n + 1 and 4n + 3 hold their flow
+    let capacity = network.capacity;
+    for (let n = 0; n < nodeCount; n++) {
+        if (revenues[n] < capacity[4 * n + 1] || costs[n] < capacity[4 * n + 3]) {
+            capacity = network.capacity = baseCapacity.slice();
+            break;
+        }
+    }
+    for (let n = 0; n < nodeCount; n++) {
+        capacity[4 * n] = revenues[n] - capacity[4 * n + 1];
+        capacity[4 * n + 2] = costs[n] - capacity[4 * n + 3];
+    }
+    
+    const level = new Int32Array(totalNodes);
+    const queue = new Int32Array(totalNodes);
+    const next = new Int32Array(totalNodes);
+    const pathArcs = new Int32Array(totalNodes);
+    
+    const buildLevels = () => {
+        level.fill(-1);
+        level[source] = 0;
+        let head = 0, tail = 0;
+        queue[tail++] = source;
+        while (head < tail) {
+            const u = queue[head++];
+            // Nodes at or beyond the sink level cannot be on a shortest path
+            if (level[sink] >= 0 && level[u] >= level[sink]) {
+                break;
+            }
+            for (let p = start[u]; p < start[u + 1]; p++) {
+                const a = adjacency[p];
+                if (capacity[a] > EPSILON && level[to[a]] < 0) {
+                    level[to[a]] = level[u] + 1;
+                    queue[tail++] = to[a];
+                }
+            }
+        }
+        return level[sink] >= 0;
+    };
+    
+    while (buildLevels()) {
+        for (let n = 0; n < totalNodes; n++) {
+            next[n] = start[n];
+        }
+        
+        // Blocking flow with an explicit path stack
+        let depth = 0;
+        let u = source;
+        while (true) {
+            if (u === sink) {
+                let bottleneck = Infinity;
+                for (let d = 0; d < depth; d++) {
+                    bottleneck = Math.min(bottleneck, capacity[pathArcs[d]]);
+                }
+                let retreat = depth;
+                for (let d = depth - 1; d >= 0; d--) {
+                    const a = pathArcs[d];
+                    capacity[a] -= bottleneck;
+                    capacity[a ^ 1] += bottleneck;
+                    if (capacity[a] <= EPSILON) {
+                        retreat = d;
+                    }
+                }
+                // Continue from the tail of the first saturated arc
+                depth = retreat;
+                u = depth === 0 ? source : to[pathArcs[depth - 1]];
+                continue;
+            }
+            
+            let advanced = false;
+            for (; next[u] < start[u + 1]; next[u]++) {
+                const a = adjacency[next[u]];
+                if (capacity[a] > EPSILON && level[to[a]] === level[u] + 1) {
+                    pathArcs[depth++] = a;
+                    u = to[a];
+                    advanced = true;
+                    break;
+                }
+            }
+            if (advanced) {
+                continue;
+            }
+            
+            // Dead end: retreat
+            if (u === source) {
+                break;
+            }
+            level[u] = -1;
+            depth--;
+            u = depth === 0 ? source : to[pathArcs[depth - 1]];
+            next[u]++;
+        }
+    }
+    
+    // Closure: blocks reachable from the source in the residual network
+    const inPit = new Uint8Array(nodeCount);
+    const visited = new Uint8Array(totalNodes);
+    let head = 0, tail = 0;
+    queue[tail++] = source;
+    visited[source] = 1;
+    while (head < tail) {
+        const u = queue[head++];
+        for (let p = start[u]; p < start[u + 1]; p++) {
+            const a = adjacency[p];
+            const v = to[a];
+            if (capacity[a] > EPSILON && !visited[v]) {
+                visited[v] = 1;
+                queue[tail++] = v;
+            }
+        }
+    }
+    for (let n = 0; n < nodeCount; n++) {
+        inPit[n] = visited[n];
+    }
+    return inPit;
+}
+
+// ============================================================================
+// Pit Optimizer
+// ============================================================================
+
+/**
+ * Optimize the ultimate pit and nested pit shells
+ * Block values are the economic values with positive values scaled by each revenue factor
+ * (costs are unchanged); air blocks are free to mine. Sub-blocks are summed into their parent
+ * cell. Every block gets a PIT attribute (pit): the first shell that mines it, or 0 outside the
+ * pits. Slope angles depend on the azimuth from the block to the block above it and on the
+ * zone of the lower block (zoneSlopes).
+ * @param {Array} blocks - Blocks in world coordinates (sub-blocks allowed)
+ * @param {Object} gridParams - Grid parameters (see generateRegularGrid)
+ * @param {Object} [params] - Pit parameters (see DEFAULT_PIT_PARAMS)
+ * @returns {Object} { blocks, shells } Blocks with pit and one summary per shell
+ * ({ shell, revenueFactor, cells, tonnes, value })
+ * @throws {Error} If the parameters are invalid or the grid is tilted or too large
+ */
+function optimizePit(blocks, gridParams, params = DEFAULT_PIT_PARAMS) {
+    validatePitParams(params);
+    if ((gridParams.dip || 0) !== 0 || (gridParams.plunge || 0) !== 0) {
+        throw new Error('Pit optimization needs a grid without dip or plunge');
+    }
+    
+    const { nx, ny, nz } = gridParams;
+    const cellCount = nx * ny * nz;
+    if (cellCount > MAX_PIT_CELLS) {
+        throw new Error(`Pit optimization supports at most ${MAX_PIT_CELLS.toLocaleString()} cells`);
+    }
+    
+    // Cell values split into revenue (positive values) and cost (negative values)
+    const revenue = new Float64Array(cellCount);
+    const cost = new Float64Array(cellCount);
+    const tonnes = new Float64Array(cellCount);
+    const value = new Float64Array(cellCount);
+    const zones = new Array(cellCount);
+    blocks.forEach(block => {
+        const index = (block.i * ny + block.j) * nz + block.k;
+        const econValue = block.econValue || 0;
+        if (econValue > 0) {
+            revenue[index] += econValue;
+        } else {
+            cost[index] += econValue;
+        }
+        value[index] += econValue;
+        tonnes[index] += getBlockVolume(block, gridParams.xInc, gridParams.yInc, gridParams.zInc) * (block.density || 0);
+        if (zones[index] === undefined && !isAirBlock(block)) {
+            zones[index] = [block.zone, block.oxidation];
+        }
+    });
+    
+    // Precedence templates: the default slopes and one per zone slope
+    const levels = params.precedenceLevels;
+    const templates = [buildPrecedenceTemplate(azimuth => getSlopeAngle(params.slopes, azimuth), gridParams, levels)];
+    params.zoneSlopes.forEach(slope => {
+        templates.push(buildPrecedenceTemplate(() => slope.angle, gridParams, levels));
+    });
+    
+    const templateOf = index => {
+        const cellZones = zones[index] || [];
+        return templates[params.zoneSlopes.findIndex(slope => cellZones.includes(slope.zone)) + 1];
+    };
+    
+    // Only blocks with revenue and the blocks above them (their cones) can be mined; cones are
+    // marked from the bottom up so every block is marked before its own cone is visited
+    const candidate = new Uint8Array(cellCount);
+    for (let k = nz - 1; k >= 0; k--) {
+        for (let i = 0; i < nx; i++) {
+            for (let j = 0; j < ny; j++) {
+                const index = (i * ny + j) * nz + k;
+                if (revenue[index] > 0) {
+                    candidate[index] = 1;
+                }
+                if (!candidate[index] || k === 0) {
+                    continue;
+                }
+                templateOf(index).forEach(({ di, dj, dk }) => {
+                    const pi = i + di, pj = j + dj, pk = k - dk;
+                    if (pi >= 0 && pi < nx && pj >= 0 && pj < ny && pk >= 0) {
+                        candidate[(pi * ny + pj) * nz + pk] = 1;
+                    }
+                });
+            }
+        }
+    }
+    
+    const nodeOf = new Int32Array(cellCount).fill(-1);
+    const cells = [];
+    for (let c = 0; c < cellCount; c++) {
+        if (candidate[c]) {
+            nodeOf[c] = cells.length;
+            cells.push(c);
+        }
+    }
+    
+    const arcs = [];
+    cells.forEach((index, node) => {
+        const k = index % nz;
+        const j = Math.floor(index / nz) % ny;
+        const i = Math.floor(index / (nz * ny));
+        templateOf(index).forEach(({ di, dj, dk }) => {
+            const pi = i + di, pj = j + dj, pk = k - dk;
+            if (pi >= 0 && pi < nx && pj >= 0 && pj < ny && pk >= 0) {
+                arcs.push(node, nodeOf[(pi * ny + pj) * nz + pk]);
+            }
+        });
+    });
+    
+    // Costs stay the same and revenues grow with the (ascending) revenue factors, so each shell
+    // continues from the flow of the previous one
+    const network = buildPitNetwork(cells.length, arcs);
+    const pit = new Int32Array(cellCount);
+    const revenues = new Float64Array(cells.length);
+    const costs = new Float64Array(cells.length);
+    cells.forEach((c, node) => {
+        costs[node] = -cost[c];
+    });
+    const shells = getRevenueFactors(params).map((revenueFactor, n) => {
+        cells.forEach((c, node) => {
+            revenues[node] = revenueFactor * revenue[c];
+        });
+        const inPit = solveMaximumClosure(network, revenues, costs);
+        
+        const summary = { shell: n + 1, revenueFactor, cells: 0, tonnes: 0, value: 0 };
+        cells.forEach((c, node) => {
+            if (inPit[node]) {
+                if (pit[c] === 0) {
+                    pit[c] = n + 1;
+                }
+                summary.cells++;
+                summary.tonnes += tonnes[c];
+                summary.value += value[c];
+            }
+        });
+        return summary;
+    });
+    
+    return {
+        blocks: blocks.map(block => ({ ...block, pit: pit[(block.i * ny + block.j) * nz + block.k] })),
+        shells: shells
+    };
+}
+
+/**
+ * Build the surface of a pit shell for display
+ * Each grid column gets one node at its center: the base of the deepest block of the shell,
+ * or the top of the rock where the shell mines nothing.
+ * @param {Array} blocks - Blocks with pit (see optimizePit)
+ * @param {Object} gridParams - Grid parameters
+ * @param {number} shell - Shell number
+ * @returns {Object} { columns, rows, positions } Nodes in world coordinates (x, y, z per node,
+ * row-major by grid J)
+ */
+function buildPitShellSurface(blocks, gridParams, shell) {
+    const { xmOrig, ymOrig, zmOrig, xInc, yInc, zInc, nx, ny, nz } = gridParams;
+    const bottom = new Int32Array(nx * ny).fill(-1);
+    const rockTop = new Int32Array(nx * ny).fill(nz);
+    
+    blocks.forEach(block => {
+        const column = block.j * nx + block.i;
+        if (block.pit > 0 && block.pit <= shell) {
+            bottom[column] = Math.max(bottom[column], block.k);
+        }
+        if (!isAirBlock(block)) {
+            rockTop[column] = Math.min(rockTop[column], block.k);
+        }
+    });
+    
+    const rotation = isGridRotated(gridParams)
+        ? getGridRotationMatrix(gridParams.bearing, gridParams.dip, gridParams.plunge)
+        : null;
+    const positions = new Float64Array(nx * ny * 3);
+    for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++) {
+            const column = j * nx + i;
+            const depth = bottom[column] >= 0 ? bottom[column] + 1 : rockTop[column];
+            const x = xmOrig + (i + 0.5) * xInc;
+            const y = ymOrig + (j + 0.5) * yInc;
+            const z = zmOrig - depth * zInc;
+            const world = rotation ? gridToWorld(rotation, gridParams, x, y, z) : { x, y, z };
+            positions[column * 3] = world.x;
+            positions[column * 3 + 1] = world.y;
+            positions[column * 3 + 2] = world.z;
+        }
+    }
+    
+    return { columns: nx, rows: ny, positions: positions };
+}
@@ -0,0 +1,350 @@
+/**
+ * Geological Scenarios
+ * Ordered geological events (stratigraphy, intrusions, dykes, oxidation) composed into one model
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Scenario Definitions
+// ============================================================================
+
+/**
+ * Supported event types
+ *   pattern   - any built-in pattern (stratigraphy, ore bodies, simulation, ...)
+ *   dyke      - planar barren body (strike, dip, thickness, offset from the model center)
+ *   oxidation - near-surface overprint that turns ore into oxide ore
+ */
+const SCENARIO_EVENT_TYPES = ['pattern', 'dyke', 'oxidation'];
+
+/**
+ * Patterns that can be used as scenario events
+ */
+const SCENARIO_PATTERNS = [
+    'uniform', 'layered', 'gradient', 'checkerboard', 'random', 'ore_horizon', 'inclined_vein',
+    'random_clusters', 'ellipsoid_ore', 'vein_ore', 'porphyry_ore', 'salt_dome', 'coal_seams', 'kimberlite_pipe', 'stockwork', 'sgs'
+];
+
+/**
+ * Region rules: which blocks an event may replace
+ *   all   - every block the event produces (pattern: all blocks, dyke: the slab, oxidation: the oxide zone)
+ *   body  - only blocks the event classifies as something other than Waste (intrusions cutting earlier events)
+ *   waste - only blocks that are still Waste (mineralization filling barren rock)
+ *   ore   - only blocks that are already ore (overprints)
+ * Later events take priority over earlier ones within their region.
+ */
+const SCENARIO_REGION_RULES = ['all', 'body', 'waste', 'ore'];
+
+/**
+ * Maximum number of events in a scenario
+ */
+const MAX_SCENARIO_EVENTS = 10;
+
+/**
+ * Default parameters per event type (top and bottom limit the event to a depth range,
+ * as fractions of the model height: 0 = top, 1 = bottom)
+ */
+const SCENARIO_EVENT_DEFAULTS = {
+    pattern: { pattern: 'layered', rule: 'all', top: 0, bottom: 1 },
+    dyke: { strike: 45, dip: 80, thickness: 15, offset: 0, rule: 'all', top: 0, bottom: 1 },
+    oxidation: { depth: 30, cuFactor: 0.5, auFactor: 1.0, rule: 'ore', top: 0, bottom: 1 }
+};
+
+/**
+ * Default scenario: layered stratigraphy, porphyry intrusion cutting it,
+ * post-mineral dyke cutting everything and an oxidation overprint near surface
+ */
+const DEFAULT_SCENARIO = [
+    { type: 'pattern', pattern: 'layered', rule: 'all', top: 0, bottom: 1 },
+    { type: 'pattern', pattern: 'porphyry_ore', rule: 'body', top: 0, bottom: 1 },
+    { type: 'dyke', strike: 45, dip: 80, thickness: 15, offset: 0, rule: 'all', top: 0, bottom: 1 },
+    { type: 'oxidation', depth: 30, cuFactor: 0.5, auFactor: 1.0, rule: 'ore', top: 0, bottom: 1 }
+];
+
+/**
+ * Active scenario (edited in the Scenario Builder)
+ */
+let activeScenario = cloneScenario(DEFAULT_SCENARIO);
+
+/**
+ * Create a scenario event with default parameters
+ * @param {string} type - Event type (see SCENARIO_EVENT_TYPES)
+ * @returns {Object} Scenario event
+ */
+function createScenarioEvent(type) {
+    const defaults = SCENARIO_EVENT_DEFAULTS[type];
+    if (!defaults) {
+        throw new Error(`Unknown scenario event type "${type}"`);
+    }
+    return { type: type, ...defaults };
+}
+
+/**
+ * Copy a scenario (events are plain objects)
+ * @param {Array} events - Scenario events
+ * @returns {Array} Copy of the events
+ */
+function cloneScenario(events) {
+    return events.map(event => ({ ...event }));
+}
+
+/**
+ * Get a copy of the active scenario
+ * @returns {Array} Scenario events
+ */
+function getScenario() {
+    return cloneScenario(activeScenario);
+}
+
+/**
+ * Replace the active scenario
+ * @param {Array} events - Scenario events
+ * @throws {Error} If an event is invalid
+ */
+function setScenario(events) {
+    validateScenario(events);
+    activeScenario = cloneScenario(events);
+}
+
+/**
+ * Validate a scenario
+ * @param {Array} events - Scenario events
+ * @throws {Error} If an event is invalid
+ */
+function validateScenario(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new Error('A scenario needs at least one event');
+    }
+    if (events.length > MAX_SCENARIO_EVENTS) {
+        throw new Error(`At most ${MAX_SCENARIO_EVENTS} scenario events are supported`);
+    }
+    
+    events.forEach((event, index) => {
+        const label = `Event ${index + 1}`;
+        if (!event || !SCENARIO_EVENT_TYPES.includes(event.type)) {
+            throw new Error(`${label} has an unknown type`);
+        }
+        if (!SCENARIO_REGION_RULES.includes(event.rule)) {
+            throw new Error(`${label} has an unknown region rule`);
+        }
+        if (!(event.top >= 0 && event.bottom <= 1 && event.top < event.bottom)) {
+            throw new Error(`${label} depth range must satisfy 0 <= top < bottom <= 1`);
+        }
+        
+        if (event.type === 'pattern' && !SCENARIO_PATTERNS.includes(event.pattern)) {
+            throw new Error(`${label} has an unknown pattern`);
+        }
+        if (event.type === 'dyke') {
+            if (!(event.strike >= 0 && event.strike < 360) || !(event.dip >= 0 && event.dip <= 90)) {
+                throw new Error(`${label} strike must be 0-360 and dip 0-90`);
+            }
+            if (!(event.thickness > 0) || !isFinite(event.offset)) {
+                throw new Error(`${label} needs a positive thickness and a finite offset`);
+            }
+        }
+        if (event.type === 'oxidation') {
+            if (!(event.depth > 0)) {
+                throw new Error(`${label} needs a positive depth`);
+            }
+            if (!(event.cuFactor >= 0) || !(event.auFactor >= 0)) {
+                throw new Error(`${label} grade factors must not be negative`);
+            }
+        }
+    });
+}
+
+/**
+ * Check whether a scenario uses a pattern (e.g. to apply the SGS model size limit)
+ * @param {Array} events - Scenario events
+ * @param {string} patternType - Pattern type
+ * @returns {boolean} True if a pattern event uses the pattern
+ */
+function scenarioUsesPattern(events, patternType) {
+    return (events || []).some(event => event.type === 'pattern' && event.pattern === patternType);
+}
+
+// ============================================================================
+// Scenario Events
+// ============================================================================
+
+/**
+ * Check whether a pattern class is ore (same test as the model statistics)
+ * @param {Object} block - Block object
+ * @returns {boolean} True for ore classes
+ */
+function isScenarioOre(block) {
+    return /ore/i.test(block.rockType || '');
+}
+
+/**
+ * Model extent of the (unrotated) blocks
+ * @param {Array} blocks - Array of block objects
+ * @returns {Object} { minX, maxX, minY, maxY, minZ, maxZ }
+ */
+function getScenarioBounds(blocks) {
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+    let minZ = Infinity, maxZ = -Infinity;
+    
+    blocks.forEach(block => {
+        minX = Math.min(minX, block.x);
+        maxX = Math.max(maxX, block.x);
+        minY = Math.min(minY, block.y);
+        maxY = Math.max(maxY, block.y);
+        minZ = Math.min(minZ, block.z);
+        maxZ = Math.max(maxZ, block.z);
+    });
+    
+    return { minX, maxX, minY, maxY, minZ, maxZ };
+}
+
+/**
+ * Dyke event: a planar slab through the model center
+ * @param {Array} blocks - Grid blocks
+ * @param {Object} event - Dyke event (strike, dip, thickness, offset in metres along the pole)
+ * @param {Object} bounds - Model bounds (see getScenarioBounds)
+ * @returns {Array} Dyke blocks, null outside the slab
+ */
+function evaluateDykeEvent(blocks, event, bounds) {
+    const material = getPatternMaterial('Dyke');
+    const strike = event.strike * Math.PI / 180;
+    const dip = event.dip * Math.PI / 180;
+    
+    // Pole to the plane (X east, Y north, Z up); the plane dips towards strike + 90
+    const dipDirection = strike + Math.PI / 2;
+    const normal = {
+        x: Math.sin(dip) * Math.sin(dipDirection),
+        y: Math.sin(dip) * Math.cos(dipDirection),
+        z: Math.cos(dip)
+    };
+    const center = {
+        x: (bounds.minX + bounds.maxX) / 2,
+        y: (bounds.minY + bounds.maxY) / 2,
+        z: (bounds.minZ + bounds.maxZ) / 2
+    };
+    
+    return blocks.map(block => {
+        const distance = (block.x - center.x) * normal.x +
+            (block.y - center.y) * normal.y +
+            (block.z - center.z) * normal.z - event.offset;
+        if (Math.abs(distance) > event.thickness / 2) {
+            return null;
+        }
+        return {
+            ...block,
+            rockType: 'Dyke',
+            density: material.density,
+            gradeCu: material.gradeCu,
+            gradeAu: material.gradeAu,
+            econValue: material.econValue,
+            zone: material.zone
+        };
+    });
+}
+
+/**
+ * Oxidation event: ore within a depth below the model top becomes oxide ore
+ * Cu is leached (cuFactor < 1) and Au is kept or enriched (auFactor >= 1)
+ * @param {Array} current - Blocks produced by the earlier events
+ * @param {Object} event - Oxidation event (depth in metres, cuFactor, auFactor)
+ * @param {Object} bounds - Model bounds (see getScenarioBounds)
+ * @param {number} cellSizeZ - Block height (the model top is half a block above the top centroids)
+ * @returns {Array} Oxidized blocks, null outside the oxide zone or for non-ore blocks
+ */
+function evaluateOxidationEvent(current, event, bounds, cellSizeZ) {
+    const material = getPatternMaterial('Oxide_Ore');
+    const top = bounds.maxZ + cellSizeZ / 2;
+    
+    return current.map(block => {
+        if (top - block.z > event.depth || !isScenarioOre(block)) {
+            return null;
+        }
+        const gradeCu = (block.gradeCu || 0) * event.cuFactor;
+        const gradeAu = (block.gradeAu || 0) * event.auFactor;
+        return {
+            ...block,
+            rockType: 'Oxide_Ore',
+            density: material.density,
+            gradeCu: gradeCu,
+            gradeAu: gradeAu,
+            econValue: (gradeCu * 20 + gradeAu * 50) - 10,
+            zone: material.zone
+        };
+    });
+}
+
+/**
+ * Apply a geological scenario: events are evaluated in order and each one replaces
+ * the blocks allowed by its region rule and depth range
+ * Every event draws from its own stream (model seed + event position), so the same
+ * seed and scenario replay the same model.
+ * @param {Array} blocks - Array of block objects (unrotated grid)
+ * @param {number} cellsX - Number of cells in X direction
+ * @param {number} cellsY - Number of cells in Y direction
+ * @param {number} cellsZ - Number of cells in Z direction
+ * @param {number} seed - Model seed (see createSeededRandom)
+ * @param {Array} events - Scenario events (defaults to the active scenario)
+ * @param {Object} options - Pattern-specific options passed to pattern events (e.g. options.sgs, options.kimberlite, options.stockwork)
+ * @returns {Array} Blocks with material assigned
+ */
+function applyScenario(blocks, cellsX, cellsY, cellsZ, seed = null, events = activeScenario, options = {}) {
+    validateScenario(events);
+    if (blocks.length === 0) {
+        return blocks;
+    }
+    
+    const baseSeed = normalizeSeed(seed);
+    const bounds = getScenarioBounds(blocks);
+    const cellSizeZ = cellsZ > 1 ? (bounds.maxZ - bounds.minZ) / (cellsZ - 1) : 1;
+    
+    // Events start from barren rock
+    const waste = getPatternMaterial('Waste');
+    let current = blocks.map(block => ({
+        ...block,
+        rockType: 'Waste',
+        density: waste.density,
+        gradeCu: waste.gradeCu,
+        gradeAu: waste.gradeAu,
+        econValue: waste.econValue,
+        zone: waste.zone
+    }));
+    
+    events.forEach((event, index) => {
+        const eventSeed = baseSeed !== null ? (baseSeed ^ hashString(`event${index}`)) >>> 0 : null;
+        
+        let produced;
+        if (event.type === 'pattern') {
+            produced = applyPatternClasses(blocks, event.pattern, cellsX, cellsY, cellsZ, eventSeed, options);
+        } else if (event.type === 'dyke') {
+            produced = evaluateDykeEvent(blocks, event, bounds);
+        } else {
+            produced = evaluateOxidationEvent(current, event, bounds, cellSizeZ);
+        }
+        
+        current = current.map((block, i) => {
+            const candidate = produced[i];
+            if (!candidate) {
+                return block;
+            }
+            
+            const depth = (block.k + 0.5) / cellsZ;
+            if (depth < event.top || depth > event.bottom) {
+                return block;
+            }
+            
+            switch (event.rule) {
+                case 'body':
+                    return candidate.rockType !== 'Waste' ? candidate : block;
+                case 'waste':
+                    return block.rockType === 'Waste' ? candidate : block;
+                case 'ore':
+                    return isScenarioOre(block) ? candidate : block;
+                default:
+                    return candidate;
+            }
+        });
+    });
+    
+    return current;
+}
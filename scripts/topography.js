@@ -0,0 +1,443 @@
+/**
+ * Topography
+ * Ground surfaces (fractal hills, valleys or an imported DEM) that turn blocks above
+ * the surface into air blocks
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Topography Parameters
+// ============================================================================
+
+/**
+ * Supported surface types
+ *   flat   - no topography (the model top is the ground surface)
+ *   hills  - fractal hills and hollows below the model top
+ *   valley - a valley through the model center with rough slopes
+ *   dem    - an imported DEM (XYZ points or ESRI ASCII grid, absolute elevations)
+ */
+const TOPOGRAPHY_TYPES = ['flat', 'hills', 'valley', 'dem'];
+
+/**
+ * Default topography parameters
+ *   relief     - height difference between the highest and lowest ground (metres)
+ *   wavelength - typical hill spacing (metres)
+ *   azimuth    - valley axis azimuth (degrees clockwise from north)
+ *   width      - valley width (metres)
+ */
+const DEFAULT_TOPOGRAPHY_PARAMS = {
+    type: 'flat',
+    relief: 40,
+    wavelength: 200,
+    azimuth: 0,
+    width: 150
+};
+
+/**
+ * Maximum number of surface nodes along each axis
+ */
+const MAX_SURFACE_NODES = 201;
+
+/**
+ * Maximum number of DEM points that can be imported
+ */
+const MAX_DEM_POINTS = 2000000;
+
+/**
+ * Imported DEM ({ name, signature, coordinates: [x0, y0, z0, x1, y1, z1, ...] }) or null
+ */
+let topographyDem = null;
+
+/**
+ * Validate topography parameters
+ * @param {Object} params - Topography parameters (see DEFAULT_TOPOGRAPHY_PARAMS)
+ * @throws {Error} If a parameter is invalid
+ */
+function validateTopographyParams(params) {
+    if (!params || !TOPOGRAPHY_TYPES.includes(params.type)) {
+        throw new Error('Unknown topography type');
+    }
+    if (!(params.relief >= 0)) {
+        throw new Error('Topography relief must not be negative');
+    }
+    if (!(params.wavelength > 0) || !(params.width > 0)) {
+        throw new Error('Hill wavelength and valley width must be greater than 0');
+    }
+    if (!(params.azimuth >= 0 && params.azimuth < 360)) {
+        throw new Error('Valley azimuth must be 0-360');
+    }
+}
+
+/**
+ * Get the imported DEM
+ * @returns {Object|null} DEM or null if none is imported
+ */
+function getTopographyDem() {
+    return topographyDem;
+}
+
+/**
+ * Replace the imported DEM
+ * @param {Object|null} dem - DEM (see parseDemText) or null to remove it
+ * @throws {Error} If the DEM has no points
+ */
+function setTopographyDem(dem) {
+    if (dem !== null && (!dem || !Array.isArray(dem.coordinates) || dem.coordinates.length < 9)) {
+        throw new Error('A DEM needs at least 3 points');
+    }
+    topographyDem = dem;
+}
+
+/**
+ * Parse a DEM from text
+ * ESRI ASCII grids are recognised by their ncols header; anything else is read as XYZ
+ * points (one point per line, separated by commas, semicolons, tabs or spaces; header
+ * and comment lines are skipped).
+ * @param {string} text - File contents
+ * @param {string} name - File name (shown in the Topography section)
+ * @returns {Object} DEM { name, signature, coordinates }
+ * @throws {Error} If the file has fewer than 3 points or too many points
+ */
+function parseDemText(text, name = 'DEM') {
+    const coordinates = /^\s*ncols\b/i.test(text)
+        ? parseAsciiGridDem(text)
+        : parseXyzDem(text);
+    
+    if (coordinates.length < 9) {
+        throw new Error('A DEM needs at least 3 points');
+    }
+    if (coordinates.length / 3 > MAX_DEM_POINTS) {
+        throw new Error(`A DEM can have at most ${MAX_DEM_POINTS.toLocaleString()} points`);
+    }
+    
+    return {
+        name: name,
+        signature: hashString(text).toString(36),
+        coordinates: coordinates
+    };
+}
+
+/**
+ * Read XYZ points
+ * @param {string} text - File contents
+ * @returns {Array} Flat coordinate list
+ */
+function parseXyzDem(text) {
+    const coordinates = [];
+    text.split(/\r?\n/).forEach(line => {
+        const values = line.trim().split(/[\s,;]+/).slice(0, 3).map(Number);
+        if (values.length === 3 && values.every(value => isFinite(value))) {
+            coordinates.push(values[0], values[1], values[2]);
+        }
+    });
+    return coordinates;
+}
+
+/**
+ * Read an ESRI ASCII grid (rows run from north to south)
+ * @param {string} text - File contents
+ * @returns {Array} Flat coordinate list (one point per cell center, no-data cells skipped)
+ * @throws {Error} If the header is incomplete
+ */
+function parseAsciiGridDem(text) {
+    const lines = text.split(/\r?\n/);
+    const header = {};
+    let row = 0;
+    while (row < lines.length && /^\s*[a-z_]+\s/i.test(lines[row])) {
+        const [key, value] = lines[row].trim().split(/\s+/);
+        header[key.toLowerCase()] = parseFloat(value);
+        row++;
+    }
+    
+    const ncols = header.ncols;
+    const nrows = header.nrows;
+    const cellsize = header.cellsize;
+    if (!(ncols > 0) || !(nrows > 0) || !(cellsize > 0)) {
+        throw new Error('ASCII grid header needs ncols, nrows and cellsize');
+    }
+    // Corner coordinates refer to the lower left corner of the grid
+    const x0 = header.xllcenter !== undefined ? header.xllcenter : header.xllcorner + cellsize / 2;
+    const y0 = header.yllcenter !== undefined ? header.yllcenter : header.yllcorner + cellsize / 2;
+    if (!isFinite(x0) || !isFinite(y0)) {
+        throw new Error('ASCII grid header needs xllcorner/xllcenter and yllcorner/yllcenter');
+    }
+    
+    const values = lines.slice(row).join(' ').trim().split(/\s+/).map(Number);
+    const coordinates = [];
+    for (let r = 0; r < nrows; r++) {
+        for (let c = 0; c < ncols; c++) {
+            const z = values[r * ncols + c];
+            if (isFinite(z) && z !== header.nodata_value) {
+                coordinates.push(x0 + c * cellsize, y0 + (nrows - 1 - r) * cellsize, z);
+            }
+        }
+    }
+    return coordinates;
+}
+
+// ============================================================================
+// Ground Surface
+// ============================================================================
+
+/**
+ * World extent of a (possibly rotated) grid
+ * @param {Object} gridParams - Grid parameters (see generateRegularGrid)
+ * @returns {Object} { minX, maxX, minY, maxY, minZ, maxZ }
+ */
+function getGridWorldBounds(gridParams) {
+    const { xmOrig, ymOrig, zmOrig, xInc, yInc, zInc, nx, ny, nz } = gridParams;
+    const rotation = isGridRotated(gridParams)
+        ? getGridRotationMatrix(gridParams.bearing, gridParams.dip, gridParams.plunge)
+        : null;
+    const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    
+    [0, 1].forEach(a => [0, 1].forEach(b => [0, 1].forEach(c => {
+        const x = xmOrig + a * nx * xInc;
+        const y = ymOrig + b * ny * yInc;
+        const z = zmOrig - c * nz * zInc;
+        const corner = rotation ? gridToWorld(rotation, gridParams, x, y, z) : { x, y, z };
+        bounds.minX = Math.min(bounds.minX, corner.x);
+        bounds.maxX = Math.max(bounds.maxX, corner.x);
+        bounds.minY = Math.min(bounds.minY, corner.y);
+        bounds.maxY = Math.max(bounds.maxY, corner.y);
+        bounds.minZ = Math.min(bounds.minZ, corner.z);
+        bounds.maxZ = Math.max(bounds.maxZ, corner.z);
+    })));
+    
+    return bounds;
+}
+
+/**
+ * Fractal noise at a point (four octaves of simpleNoise3D)
+ * @param {number} x - X in wavelengths
+ * @param {number} y - Y in wavelengths
+ * @param {Object} offset - Noise-space offset { x, y, z } drawn from the seed
+ * @returns {number} Noise value (roughly 0-1)
+ */
+function fractalNoise2D(x, y, offset) {
+    let value = 0;
+    let amplitude = 1;
+    let total = 0;
+    for (let octave = 0; octave < 4; octave++) {
+        const frequency = Math.pow(2, octave);
+        value += amplitude * simpleNoise3D(x * frequency + offset.x, y * frequency + offset.y, offset.z + octave, 1);
+        total += amplitude;
+        amplitude /= 2;
+    }
+    return value / total;
+}
+
+/**
+ * Build the ground surface of a model
+ * The surface is a regular grid of elevation nodes covering the world extent of the model.
+ * Procedural surfaces lie between the model top and relief metres below it; DEM surfaces
+ * use the DEM elevations (points are averaged per node and gaps take their neighbours' values).
+ * @param {Object} params - Topography parameters (see DEFAULT_TOPOGRAPHY_PARAMS)
+ * @param {Object} gridParams - Grid parameters (see generateRegularGrid)
+ * @param {number} seed - Model seed (the surface draws from its own stream)
+ * @param {Object} dem - Imported DEM (defaults to getTopographyDem())
+ * @returns {Object|null} Surface { minX, minY, stepX, stepY, columns, rows, elevations }
+ * or null for flat topography
+ * @throws {Error} If the parameters are invalid or the DEM is missing or outside the model
+ */
+function buildTopographySurface(params, gridParams, seed = null, dem = topographyDem) {
+    validateTopographyParams(params);
+    if (params.type === 'flat') {
+        return null;
+    }
+    if (params.type === 'dem' && !dem) {
+        throw new Error('Import a DEM before using DEM topography');
+    }
+    
+    const bounds = getGridWorldBounds(gridParams);
+    const spacing = Math.min(gridParams.xInc, gridParams.yInc);
+    const columns = Math.min(MAX_SURFACE_NODES, Math.ceil((bounds.maxX - bounds.minX) / spacing) + 1);
+    const rows = Math.min(MAX_SURFACE_NODES, Math.ceil((bounds.maxY - bounds.minY) / spacing) + 1);
+    const surface = {
+        minX: bounds.minX,
+        minY: bounds.minY,
+        stepX: (bounds.maxX - bounds.minX) / (columns - 1),
+        stepY: (bounds.maxY - bounds.minY) / (rows - 1),
+        columns: columns,
+        rows: rows,
+        elevations: new Array(columns * rows)
+    };
+    
+    if (params.type === 'dem') {
+        fillSurfaceFromDem(surface, dem);
+        return surface;
+    }
+    
+    const baseSeed = normalizeSeed(seed);
+    const random = createSeededRandom(baseSeed !== null ? (baseSeed ^ hashString('topography')) >>> 0 : null);
+    const offset = {
+        x: randomBetween(random, 0, 10000),
+        y: randomBetween(random, 0, 10000),
+        z: randomBetween(random, 0, 10000)
+    };
+    
+    // Rescale the noise so the relief is exact
+    const noise = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < columns; c++) {
+            const x = surface.minX + c * surface.stepX;
+            const y = surface.minY + r * surface.stepY;
+            noise.push(fractalNoise2D(x / params.wavelength, y / params.wavelength, offset));
+        }
+    }
+    const minNoise = noise.reduce((min, value) => Math.min(min, value), Infinity);
+    const noiseRange = noise.reduce((max, value) => Math.max(max, value), -Infinity) - minNoise || 1;
+    
+    const azimuth = params.azimuth * Math.PI / 180;
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerY = (bounds.minY + bounds.maxY) / 2;
+    
+    noise.forEach((value, index) => {
+        const height = (value - minNoise) / noiseRange;
+        let depth = 1 - height;
+        if (params.type === 'valley') {
+            // Distance from the valley axis (through the model center along the azimuth)
+            const dx = surface.minX + (index % columns) * surface.stepX - centerX;
+            const dy = surface.minY + Math.floor(index / columns) * surface.stepY - centerY;
+            const distance = Math.abs(dx * Math.cos(azimuth) - dy * Math.sin(azimuth));
+            const profile = Math.exp(-Math.pow(2 * distance / params.width, 2));
+            depth = 0.85 * profile + 0.15 * (1 - height);
+        }
+        surface.elevations[index] = bounds.maxZ - params.relief * depth;
+    });
+    
+    return surface;
+}
+
+/**
+ * Grid DEM points onto the surface nodes
+ * @param {Object} surface - Surface with empty elevations
+ * @param {Object} dem - DEM (see parseDemText)
+ * @throws {Error} If no DEM point falls on the model
+ */
+function fillSurfaceFromDem(surface, dem) {
+    const { columns, rows } = surface;
+    const sums = new Float64Array(columns * rows);
+    const counts = new Uint32Array(columns * rows);
+    const coordinates = dem.coordinates;
+    
+    for (let p = 0; p < coordinates.length; p += 3) {
+        const c = Math.round((coordinates[p] - surface.minX) / surface.stepX);
+        const r = Math.round((coordinates[p + 1] - surface.minY) / surface.stepY);
+        if (c >= 0 && c < columns && r >= 0 && r < rows) {
+            sums[r * columns + c] += coordinates[p + 2];
+            counts[r * columns + c]++;
+        }
+    }
+    
+    let filled = 0;
+    for (let n = 0; n < sums.length; n++) {
+        if (counts[n] > 0) {
+            surface.elevations[n] = sums[n] / counts[n];
+            filled++;
+        }
+    }
+    if (filled === 0) {
+        throw new Error('The DEM does not cover the model');
+    }
+    
+    // Grow the gridded elevations into empty nodes (sparse DEMs or DEMs smaller than the model)
+    while (filled < sums.length) {
+        const next = surface.elevations.slice();
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < columns; c++) {
+                if (surface.elevations[r * columns + c] !== undefined) continue;
+                let sum = 0;
+                let count = 0;
+                [[-1, 0], [1, 0], [0, -1], [0, 1]].forEach(([dc, dr]) => {
+                    const value = surface.elevations[(r + dr) * columns + (c + dc)];
+                    if (c + dc >= 0 && c + dc < columns && r + dr >= 0 && r + dr < rows && value !== undefined) {
+                        sum += value;
+                        count++;
+                    }
+                });
+                if (count > 0) {
+                    next[r * columns + c] = sum / count;
+                    filled++;
+                }
+            }
+        }
+        surface.elevations = next;
+    }
+}
+
+/**
+ * Ground elevation at a point (bilinear between surface nodes, clamped to the surface extent)
+ * @param {Object} surface - Surface (see buildTopographySurface)
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ * @returns {number} Elevation
+ */
+function getSurfaceElevation(surface, x, y) {
+    const u = Math.min(surface.columns - 1, Math.max(0, (x - surface.minX) / surface.stepX));
+    const v = Math.min(surface.rows - 1, Math.max(0, (y - surface.minY) / surface.stepY));
+    const c = Math.min(surface.columns - 2, Math.floor(u));
+    const r = Math.min(surface.rows - 2, Math.floor(v));
+    const fu = u - c;
+    const fv = v - r;
+    const at = (cc, rr) => surface.elevations[rr * surface.columns + cc];
+    
+    return (at(c, r) * (1 - fu) + at(c + 1, r) * fu) * (1 - fv) +
+        (at(c, r + 1) * (1 - fu) + at(c + 1, r + 1) * fu) * fv;
+}
+
+// ============================================================================
+// Air Blocks
+// ============================================================================
+
+/**
+ * Check whether a block is an air block (above the topography)
+ * @param {Object} block - Block object
+ * @returns {boolean} True for density 0 blocks
+ */
+function isAirBlock(block) {
+    return block.density === 0;
+}
+
+/**
+ * Turn blocks whose centroid is above the ground surface into air blocks
+ * Air blocks keep their position, size and fault block; they have rock type Air,
+ * density 0 and zero grades and value, so blocksToCsv's filterAirBlocks removes them.
+ * @param {Array} blocks - Blocks in world coordinates
+ * @param {Object|null} surface - Surface (see buildTopographySurface); null leaves the blocks unchanged
+ * @returns {Array} Blocks with air above the surface
+ */
+function applyTopography(blocks, surface) {
+    if (!surface) {
+        return blocks;
+    }
+    
+    return blocks.map(block => {
+        if (block.z <= getSurfaceElevation(surface, block.x, block.y)) {
+            return block;
+        }
+        
+        const air = {
+            x: block.x,
+            y: block.y,
+            z: block.z,
+            i: block.i,
+            j: block.j,
+            k: block.k,
+            rockType: 'Air',
+            density: 0,
+            zone: undefined,
+            gradeAu: 0,
+            gradeCu: 0,
+            econValue: 0
+        };
+        ['dX', 'dY', 'dZ', 'faultBlock'].forEach(field => {
+            if (block[field] !== undefined) {
+                air[field] = block[field];
+            }
+        });
+        return air;
+    });
+}
@@ -0,0 +1,395 @@
+/**
+ * Variogram Analysis
+ * Experimental variograms, nested model fitting and chart rendering for generated models
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Experimental Variograms
+// ============================================================================
+
+/**
+ * Numeric block fields that can be analysed
+ */
+const VARIOGRAM_FIELDS = ['gradeCu', 'gradeAu', 'density', 'econValue'];
+
+/**
+ * Maximum number of grid offsets used per lag for user-defined directions
+ */
+const MAX_OFFSETS_PER_LAG = 40;
+
+/**
+ * Regularize block values onto the parent grid
+ * Sub-blocks are volume-averaged into their parent cell; air blocks are ignored.
+ * @param {Array} blocks - Array of block objects
+ * @param {string} field - Numeric field name
+ * @param {Object} gridParams - Grid parameters (nx, ny, nz, increments, rotation)
+ * @returns {Float64Array} Values indexed (i * ny + j) * nz + k (NaN where empty)
+ */
+function buildVariogramGrid(blocks, field, gridParams) {
+    const { nx, ny, nz, xInc, yInc, zInc } = gridParams;
+    const sums = new Float64Array(nx * ny * nz);
+    const weights = new Float64Array(nx * ny * nz);
+    
+    blocks.forEach(block => {
+        const value = block[field];
+        if (value === undefined || value === null || isNaN(value) || isAirBlock(block)) {
+            return;
+        }
+        if (block.i < 0 || block.i >= nx || block.j < 0 || block.j >= ny || block.k < 0 || block.k >= nz) {
+            return;
+        }
+        const index = (block.i * ny + block.j) * nz + block.k;
+        const volume = getBlockVolume(block, xInc, yInc, zInc);
+        sums[index] += value * volume;
+        weights[index] += volume;
+    });
+    
+    const values = new Float64Array(nx * ny * nz);
+    for (let n = 0; n < values.length; n++) {
+        values[n] = weights[n] > 0 ? sums[n] / weights[n] : NaN;
+    }
+    return values;
+}
+
+/**
+ * Convert an azimuth/dip direction to a unit vector in mining coordinates
+ * @param {number} azimuth - Degrees clockwise from north
+ * @param {number} dip - Degrees below horizontal
+ * @returns {Array} Unit vector [x, y, z]
+ */
+function directionToVector(azimuth, dip) {
+    const a = azimuth * Math.PI / 180;
+    const d = dip * Math.PI / 180;
+    return [Math.sin(a) * Math.cos(d), Math.cos(a) * Math.cos(d), -Math.sin(d)];
+}
+
+/**
+ * Collect grid offsets for each lag of a variogram direction
+ * Axis directions ('i', 'j', 'k') use exact multiples of one cell; other directions
+ * use every offset within the angular tolerance, binned by world distance.
+ * @param {Object} direction - { axis } or { azimuth, dip, tolerance }
+ * @param {Object} gridParams - Grid parameters
+ * @param {number} lagSize - Lag spacing (meters)
+ * @param {number} nLags - Number of lags
+ * @returns {Array} Offsets per lag: [[{di, dj, dk, distance}], ...]
+ */
+function getVariogramLagOffsets(direction, gridParams, lagSize, nLags) {
+    const { nx, ny, nz, xInc, yInc, zInc } = gridParams;
+    const lags = Array.from({ length: nLags }, () => []);
+    
+    if (direction.axis) {
+        const step = { i: [1, 0, 0, xInc], j: [0, 1, 0, yInc], k: [0, 0, 1, zInc] }[direction.axis];
+        const maxSteps = { i: nx, j: ny, k: nz }[direction.axis] - 1;
+        for (let l = 1; l <= Math.min(nLags, maxSteps); l++) {
+            lags[l - 1].push({ di: step[0] * l, dj: step[1] * l, dk: step[2] * l, distance: step[3] * l });
+        }
+        return lags;
+    }
+    
+    const rotation = getGridRotationMatrix(gridParams.bearing || 0, gridParams.dip || 0, gridParams.plunge || 0);
+    const target = directionToVector(direction.azimuth, direction.dip);
+    const cosTolerance = Math.cos((direction.tolerance !== undefined ? direction.tolerance : 22.5) * Math.PI / 180);
+    const maxDistance = (nLags + 0.5) * lagSize;
+    const ri = Math.min(nx - 1, Math.ceil(maxDistance / xInc));
+    const rj = Math.min(ny - 1, Math.ceil(maxDistance / yInc));
+    const rk = Math.min(nz - 1, Math.ceil(maxDistance / zInc));
+    
+    for (let di = -ri; di <= ri; di++) {
+        for (let dj = -rj; dj <= rj; dj++) {
+            for (let dk = -rk; dk <= rk; dk++) {
+                // Offset in world coordinates (K increases downward)
+                const gx = di * xInc, gy = dj * yInc, gz = -dk * zInc;
+                const wx = rotation[0][0] * gx + rotation[0][1] * gy + rotation[0][2] * gz;
+                const wy = rotation[1][0] * gx + rotation[1][1] * gy + rotation[1][2] * gz;
+                const wz = rotation[2][0] * gx + rotation[2][1] * gy + rotation[2][2] * gz;
+                const distance = Math.sqrt(wx * wx + wy * wy + wz * wz);
+                if (distance === 0 || distance > maxDistance) {
+                    continue;
+                }
+                
+                // Pairs are symmetric, so only offsets pointing along the direction are kept
+                const cosAngle = (wx * target[0] + wy * target[1] + wz * target[2]) / distance;
+                if (cosAngle < cosTolerance) {
+                    continue;
+                }
+                
+                const lag = Math.round(distance / lagSize);
+                if (lag >= 1 && lag <= nLags) {
+                    lags[lag - 1].push({ di, dj, dk, distance, cosAngle });
+                }
+            }
+        }
+    }
+    
+    // Keep the offsets closest to the direction to bound the pair count
+    return lags.map(offsets => offsets
+        .sort((a, b) => b.cosAngle - a.cosAngle)
+        .slice(0, MAX_OFFSETS_PER_LAG));
+}
+
+/**
+ * Compute an experimental (semi-)variogram along one direction
+ * @param {Float64Array} values - Regularized values from buildVariogramGrid()
+ * @param {Object} gridParams - Grid parameters
+ * @param {Object} direction - { axis: 'i'|'j'|'k' } or { azimuth, dip, tolerance }
+ * @param {Object} options - { lagSize, nLags }
+ * @returns {Array} Points {lag, gamma, pairs} (lags without pairs are omitted)
+ */
+function computeExperimentalVariogram(values, gridParams, direction, options = {}) {
+    const { nx, ny, nz, xInc, yInc, zInc } = gridParams;
+    const lagSize = options.lagSize || Math.min(xInc, yInc, zInc);
+    const nLags = options.nLags || 15;
+    
+    if (!(lagSize > 0) || !Number.isInteger(nLags) || nLags < 1) {
+        throw new Error('Variogram lag size and lag count must be greater than 0');
+    }
+    
+    const lagOffsets = getVariogramLagOffsets(direction, gridParams, lagSize, nLags);
+    const points = [];
+    
+    lagOffsets.forEach(offsets => {
+        let sum = 0;
+        let distanceSum = 0;
+        let pairs = 0;
+        
+        offsets.forEach(({ di, dj, dk, distance }) => {
+            for (let i = Math.max(0, -di); i < Math.min(nx, nx - di); i++) {
+                for (let j = Math.max(0, -dj); j < Math.min(ny, ny - dj); j++) {
+                    const row = (i * ny + j) * nz;
+                    const rowOffset = ((i + di) * ny + (j + dj)) * nz;
+                    for (let k = Math.max(0, -dk); k < Math.min(nz, nz - dk); k++) {
+                        const head = values[row + k];
+                        const tail = values[rowOffset + k + dk];
+                        if (isNaN(head) || isNaN(tail)) {
+                            continue;
+                        }
+                        const diff = head - tail;
+                        sum += diff * diff;
+                        distanceSum += distance;
+                        pairs++;
+                    }
+                }
+            }
+        });
+        
+        if (pairs > 0) {
+            points.push({ lag: distanceSum / pairs, gamma: sum / (2 * pairs), pairs });
+        }
+    });
+    
+    return points;
+}
+
+/**
+ * Variance of the regularized values (the expected sill)
+ * @param {Float64Array} values - Regularized values
+ * @returns {number} Variance
+ */
+function computeVariogramSill(values) {
+    let sum = 0, sumSq = 0, count = 0;
+    values.forEach(value => {
+        if (!isNaN(value)) {
+            sum += value;
+            sumSq += value * value;
+            count++;
+        }
+    });
+    if (count === 0) {
+        return 0;
+    }
+    const mean = sum / count;
+    return Math.max(0, sumSq / count - mean * mean);
+}
+
+// ============================================================================
+// Model Fitting
+// ============================================================================
+
+/**
+ * Evaluate a nested variogram model
+ * @param {Object} model - { nugget, structures: [{ type, sill, range }] }
+ * @param {number} h - Lag distance
+ * @returns {number} Variogram value
+ */
+function evaluateVariogramModel(model, h) {
+    if (h <= 0) {
+        return 0;
+    }
+    return model.structures.reduce(
+        (gamma, structure) => gamma + structure.sill * unitVariogram(structure.type, h / structure.range),
+        model.nugget
+    );
+}
+
+/**
+ * Weighted least squares with non-negative coefficients (exhaustive active set)
+ * Suitable for the small systems used here (nugget plus up to two structures)
+ * @param {Array} columns - Basis columns (one array per coefficient)
+ * @param {Array} target - Target values
+ * @param {Array} weights - Observation weights
+ * @returns {Object} { coefficients, sse }
+ */
+function solveNonNegativeLeastSquares(columns, target, weights) {
+    const m = columns.length;
+    let best = { coefficients: new Array(m).fill(0), sse: Infinity };
+    
+    for (let mask = 0; mask < (1 << m); mask++) {
+        const active = [];
+        for (let c = 0; c < m; c++) {
+            if (mask & (1 << c)) {
+                active.push(c);
+            }
+        }
+        
+        let coefficients = new Array(m).fill(0);
+        if (active.length > 0) {
+            // Normal equations for the active coefficients
+            const ata = active.map(a => active.map(b =>
+                columns[a].reduce((s, v, n) => s + weights[n] * v * columns[b][n], 0)));
+            const atb = active.map(a =>
+                columns[a].reduce((s, v, n) => s + weights[n] * v * target[n], 0));
+            const solution = solveCholesky(ata, atb);
+            if (!solution || solution.some(v => v < 0)) {
+                continue;
+            }
+            active.forEach((c, n) => { coefficients[c] = solution[n]; });
+        }
+        
+        const sse = target.reduce((s, value, n) => {
+            const predicted = columns.reduce((p, column, c) => p + coefficients[c] * column[n], 0);
+            return s + weights[n] * (value - predicted) * (value - predicted);
+        }, 0);
+        
+        if (sse < best.sse) {
+            best = { coefficients, sse };
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * Fit a nested variogram model (nugget + one or two structures) to experimental points
+ * Ranges are found by grid search; nugget and sills by non-negative weighted least squares
+ * (weights are the pair counts).
+ * @param {Array} points - Experimental points {lag, gamma, pairs}
+ * @param {Object} options - { structures: ['spherical', ...], maxRange }
+ * @returns {Object|null} { nugget, structures: [{ type, sill, range }], sse } or null without data
+ */
+function fitVariogramModel(points, options = {}) {
+    const types = options.structures && options.structures.length > 0 ? options.structures : ['spherical'];
+    if (points.length === 0) {
+        return null;
+    }
+    if (types.length > 2 || types.some(type => !VARIOGRAM_STRUCTURES.includes(type))) {
+        throw new Error('Variogram model supports up to two spherical, exponential or Gaussian structures');
+    }
+    
+    const maxRange = options.maxRange || points[points.length - 1].lag * 1.5;
+    const RANGE_STEPS = 40;
+    const candidates = Array.from({ length: RANGE_STEPS }, (_, n) => maxRange * (n + 1) / RANGE_STEPS);
+    const target = points.map(p => p.gamma);
+    const weights = points.map(p => p.pairs);
+    const nuggetColumn = points.map(() => 1);
+    
+    let best = null;
+    const tryRanges = ranges => {
+        const columns = [nuggetColumn].concat(ranges.map((range, s) =>
+            points.map(p => unitVariogram(types[s], p.lag / range))));
+        const fit = solveNonNegativeLeastSquares(columns, target, weights);
+        if (!best || fit.sse < best.sse) {
+            best = {
+                nugget: fit.coefficients[0],
+                structures: ranges.map((range, s) => ({ type: types[s], sill: fit.coefficients[s + 1], range })),
+                sse: fit.sse
+            };
+        }
+    };
+    
+    if (types.length === 1) {
+        candidates.forEach(range => tryRanges([range]));
+    } else {
+        candidates.forEach((shortRange, a) => {
+            candidates.slice(a + 1).forEach(longRange => tryRanges([shortRange, longRange]));
+        });
+    }
+    
+    return best;
+}
+
+// ============================================================================
+// Chart Rendering
+// ============================================================================
+
+/**
+ * Series colors for variogram directions
+ */
+const VARIOGRAM_SERIES_COLORS = ['#7c8aff', '#ff9f43', '#2ecc71', '#e74c3c'];
+
+/**
+ * Render experimental variograms and fitted models as an SVG chart
+ * @param {Array} series - [{ label, points, model }]
+ * @param {number} sill - Data variance (drawn as a dashed line)
+ * @param {Object} labels - Axis labels { x, y }
+ * @returns {string} SVG markup
+ */
+function renderVariogramChart(series, sill, labels) {
+    const width = 400, height = 260;
+    const margin = { top: 12, right: 12, bottom: 36, left: 52 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    
+    const allPoints = series.flatMap(s => s.points);
+    const maxLag = Math.max(1e-9, ...allPoints.map(p => p.lag));
+    const maxGamma = Math.max(1e-9, sill, ...allPoints.map(p => p.gamma)) * 1.1;
+    const sx = h => margin.left + (h / maxLag) * plotWidth;
+    const sy = g => margin.top + plotHeight - (g / maxGamma) * plotHeight;
+    
+    const svg = [];
+    svg.push(`<svg viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg" style="background: #1f1f1f; border-radius: 4px;">`);
+    
+    // Axes and ticks
+    svg.push(`<line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${margin.left + plotWidth}" y2="${margin.top + plotHeight}" stroke="#888"/>`);
+    svg.push(`<line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${margin.top + plotHeight}" stroke="#888"/>`);
+    for (let n = 0; n <= 4; n++) {
+        const lag = maxLag * n / 4;
+        const gamma = maxGamma * n / 4;
+        svg.push(`<text x="${sx(lag)}" y="${margin.top + plotHeight + 14}" fill="#aaa" font-size="10" text-anchor="middle">${lag.toFixed(0)}</text>`);
+        svg.push(`<text x="${margin.left - 6}" y="${sy(gamma) + 3}" fill="#aaa" font-size="10" text-anchor="end">${gamma.toPrecision(2)}</text>`);
+    }
+    svg.push(`<text x="${margin.left + plotWidth / 2}" y="${height - 4}" fill="#ccc" font-size="11" text-anchor="middle">${escapeHtml(labels.x)}</text>`);
+    svg.push(`<text x="12" y="${margin.top + plotHeight / 2}" fill="#ccc" font-size="11" text-anchor="middle" transform="rotate(-90 12 ${margin.top + plotHeight / 2})">${escapeHtml(labels.y)}</text>`);
+    
+    // Data variance
+    if (sill > 0) {
+        svg.push(`<line x1="${margin.left}" y1="${sy(sill)}" x2="${margin.left + plotWidth}" y2="${sy(sill)}" stroke="#666" stroke-dasharray="4 3"/>`);
+    }
+    
+    series.forEach((s, n) => {
+        const color = VARIOGRAM_SERIES_COLORS[n % VARIOGRAM_SERIES_COLORS.length];
+        
+        if (s.model) {
+            const path = [];
+            for (let step = 0; step <= 60; step++) {
+                const h = maxLag * step / 60;
+                const gamma = Math.min(evaluateVariogramModel(s.model, h), maxGamma);
+                path.push(`${step === 0 ? 'M' : 'L'}${sx(h).toFixed(1)},${sy(gamma).toFixed(1)}`);
+            }
+            svg.push(`<path d="${path.join(' ')}" fill="none" stroke="${color}" stroke-width="1.5"/>`);
+        }
+        
+        s.points.forEach(p => {
+            svg.push(`<circle cx="${sx(p.lag).toFixed(1)}" cy="${sy(p.gamma).toFixed(1)}" r="3" fill="${color}"><title>${escapeHtml(s.label)}: ${p.lag.toFixed(1)} / ${p.gamma.toPrecision(3)} (${p.pairs})</title></circle>`);
+        });
+        
+        // Legend
+        svg.push(`<rect x="${margin.left + plotWidth - 110}" y="${margin.top + 4 + n * 14}" width="8" height="8" fill="${color}"/>`);
+        svg.push(`<text x="${margin.left + plotWidth - 98}" y="${margin.top + 12 + n * 14}" fill="#ddd" font-size="10">${escapeHtml(s.label)}</text>`);
+    });
+    
+    svg.push('</svg>');
+    return svg.join('');
+}
@@ -14,12 +14,17 @@ let currentViewMode = 'solid'; // 'solid', 'points', 'transparent', 'squares', '
 let currentVisualizationField = 'rockType'; // Field to visualize
 let vizCurrentBlocks = []; // Blocks currently in visualization (renamed to avoid conflict with main.js)
 let currentCellSizes = { x: 10, y: 10, z: 10 };
+let currentGridRotation = null; // Grid-to-world rotation matrix (mining coordinates) for rotated grids
 
 // Cache for field value ranges (to avoid recalculating min/max for each block)
 let fieldValueRanges = {
     econValue: { min: 0, max: 1, cached: false }
 };
 
+// Fields that can always be visualized; grade attributes present in the blocks are added to these
+const BASE_VISUALIZATION_FIELDS = ['rockType', 'density', 'gradeCu', 'gradeAu', 'econValue'];
+let vizGradeAttributes = []; // Grade attribute definitions present in the current blocks
+
 // Slice tool
 let slicePlane = null;
 let slicePlaneHelper = null;
@@ -48,6 +53,13 @@ let visibleCategories = new Set(); // Set of category values to show (empty = sh
 // Ground layer
 let groundMesh = null;
 let groundEnabled = false;
+let topographySurface = null; // Ground surface of the current model (null = flat ground at Z=0)
+
+// Pit shell
+let pitShellMesh = null;
+
+// Drillhole traces
+let drillholeTraces = null;
 
 // Tooltip
 let tooltipElement = null;
@@ -474,6 +486,20 @@ function updateFieldValueRanges(blocks, field) {
             fieldValueRanges.econValue.blockCount = blocks.length;
             fieldValueRanges.econValue.cached = true;
         }
+    } else if (vizGradeAttributes.some(attribute => attribute.field === field)) {
+        // Attribute ranges depend on the configured distribution, so they are recalculated on every render
+        let min = Infinity, max = -Infinity;
+        blocks.forEach(block => {
+            const value = block[field];
+            if (value !== undefined && value !== null && !isNaN(value)) {
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+        });
+        fieldValueRanges[field] = {
+            min: min === Infinity ? 0 : min,
+            max: max === -Infinity ? 1 : max
+        };
     }
 }
 
@@ -516,6 +542,13 @@ function getBlockColor(block, field) {
             min = fieldValueRanges.econValue.min;
             max = fieldValueRanges.econValue.max;
             break;
+        default:
+            // Grade attributes use the range of the rendered blocks
+            if (fieldValueRanges[field]) {
+                min = fieldValueRanges[field].min;
+                max = fieldValueRanges[field].max;
+            }
+            break;
     }
     
     normalized = Math.max(0, Math.min(1, (value - min) / (max - min || 1)));
@@ -1295,7 +1328,7 @@ function updateClippingPlanes() {
         // Combine rectangle rotation with arrow direction rotation
         const finalQuaternion = rectangleQuaternion.clone().multiply(quaternion);
         sliceHandle.quaternion.copy(finalQuaternion);
-        
+    
     } else if (sliceHandle) {
         sliceHandle.visible = false;
     }
@@ -1568,7 +1601,15 @@ function renderAsCubes(blocks, cellSizeX, cellSizeY, cellSizeZ, transparent) {
             const block = blocks[blockIndex];
             // Transform mining coordinates to Three.js coordinates:
             // (x, z, y) - depth maps to vertical axis
-            matrix.makeTranslation(block.x, block.z, block.y);
+            if (currentGridRotation) {
+                setRotatedBlockMatrix(matrix, block, cellSizeX, cellSizeY, cellSizeZ);
+            } else if (block.dX !== undefined) {
+                // Sub-blocked model: scale the shared geometry to this block's dimensions
+                matrix.makeScale(block.dX / cellSizeX, block.dZ / cellSizeY, block.dY / cellSizeZ);
+                matrix.setPosition(block.x, block.z, block.y);
+            } else {
+                matrix.makeTranslation(block.x, block.z, block.y);
+            }
             instancedMesh.setMatrixAt(instanceIndex, matrix);
             
             // Store block data for tooltip (using instance index as key)
@@ -1583,6 +1624,48 @@ function renderAsCubes(blocks, cellSizeX, cellSizeY, cellSizeZ, transparent) {
     });
 }
 
+/**
+ * Set the instance matrix for a block in a rotated grid
+ * The grid rotation is in mining coordinates, so its rows and columns are swapped
+ * into Three.js (x, z, y) order before scaling the shared box geometry
+ * @param {THREE.Matrix4} matrix - Matrix to fill
+ * @param {Object} block - Block object (world centroid, optional dX/dY/dZ)
+ * @param {number} cellSizeX - Size of each cell in X direction
+ * @param {number} cellSizeY - Size of each cell in Y direction
+ * @param {number} cellSizeZ - Size of each cell in Z direction
+ */
+function setRotatedBlockMatrix(matrix, block, cellSizeX, cellSizeY, cellSizeZ) {
+    const r = currentGridRotation;
+    const axis = [0, 2, 1]; // Three.js axis -> mining axis
+    
+    // Block extent along each Three.js axis of the shared geometry
+    const scale = [
+        (block.dX !== undefined ? block.dX : cellSizeX) / cellSizeX,
+        (block.dZ !== undefined ? block.dZ : cellSizeZ) / cellSizeY,
+        (block.dY !== undefined ? block.dY : cellSizeY) / cellSizeZ
+    ];
+    const m = (row, col) => r[axis[row]][axis[col]] * scale[col];
+    
+    matrix.set(
+        m(0, 0), m(0, 1), m(0, 2), block.x,
+        m(1, 0), m(1, 1), m(1, 2), block.z,
+        m(2, 0), m(2, 1), m(2, 2), block.y,
+        0, 0, 0, 1
+    );
+}
+
+/**
+ * Set the grid rotation used to orient cubes in rotated block models
+ * @param {number} bearing - Grid bearing in degrees
+ * @param {number} dip - Grid dip in degrees
+ * @param {number} plunge - Grid plunge in degrees
+ */
+function setGridRotation(bearing = 0, dip = 0, plunge = 0) {
+    currentGridRotation = isGridRotated({ bearing, dip, plunge })
+        ? getGridRotationMatrix(bearing, dip, plunge)
+        : null;
+}
+
 /**
  * Calculate and store model bounds
  * @param {Array} blocks - Array of block objects
@@ -1930,7 +2013,51 @@ function zoomToFit() {
  * @param {boolean} centerCamera - Whether to center camera on model (default: false)
  */
 function updateVisualization(blocks, cellSizeX, cellSizeY, cellSizeZ, centerCamera = false) {
-    renderBlocks(blocks, cellSizeX, cellSizeY, cellSizeZ, centerCamera);
+    // Air blocks above the topography are shown by the ground layer instead
+    const solidBlocks = blocks.some(isAirBlock) ? blocks.filter(block => !isAirBlock(block)) : blocks;
+    updateVisualizationFieldOptions(solidBlocks);
+    renderBlocks(solidBlocks, cellSizeX, cellSizeY, cellSizeZ, centerCamera);
+}
+
+/**
+ * Check whether a field can be visualized for the current blocks
+ * @param {string} field - Field name
+ * @returns {boolean} True for the base fields and grade attributes present in the blocks
+ */
+function isVisualizationField(field) {
+    return BASE_VISUALIZATION_FIELDS.includes(field) ||
+        vizGradeAttributes.some(attribute => attribute.field === field);
+}
+
+/**
+ * Add the grade attributes present in the blocks to the field dropdown
+ * Falls back to rock type if the selected attribute is no longer present
+ * @param {Array} blocks - Array of block objects
+ */
+function updateVisualizationFieldOptions(blocks) {
+    vizGradeAttributes = getGradeAttributeDefinitions().filter(attribute =>
+        blocks.some(block => block[attribute.field] !== undefined && block[attribute.field] !== null));
+    
+    if (!isVisualizationField(currentVisualizationField)) {
+        currentVisualizationField = 'rockType';
+        const modeSelect = document.getElementById('valueVisibilityMode');
+        if (modeSelect) {
+            modeSelect.disabled = true;
+        }
+    }
+    
+    const fieldSelect = document.getElementById('visualizationField');
+    if (!fieldSelect) return;
+    
+    fieldSelect.querySelectorAll('option[data-grade-attribute]').forEach(option => option.remove());
+    vizGradeAttributes.forEach(attribute => {
+        const option = document.createElement('option');
+        option.value = attribute.field;
+        option.textContent = `${attribute.name} (${attribute.unit})`;
+        option.dataset.gradeAttribute = 'true';
+        fieldSelect.appendChild(option);
+    });
+    fieldSelect.value = currentVisualizationField;
 }
 
 /**
@@ -1954,10 +2081,10 @@ function setViewMode(mode) {
 
 /**
  * Set the field to visualize
- * @param {string} field - Field name: 'rockType', 'density', 'gradeCu', 'gradeAu', 'econValue'
+ * @param {string} field - Field name: 'rockType', 'density', 'gradeCu', 'gradeAu', 'econValue' or a grade attribute field
  */
 function setVisualizationField(field) {
-    if (['rockType', 'density', 'gradeCu', 'gradeAu', 'econValue'].includes(field)) {
+    if (isVisualizationField(field)) {
         const previousField = currentVisualizationField;
         currentVisualizationField = field;
         
@@ -2393,6 +2520,15 @@ function updateGroundLayer(blocks) {
         scene.add(groundMesh);
     }
     
+    // Topography: the ground is the surface mesh (already in world coordinates)
+    if (topographySurface) {
+        groundMesh.geometry.dispose();
+        groundMesh.geometry = createTopographyGeometry(topographySurface);
+        groundMesh.position.set(0, 0, 0);
+        groundMesh.rotation.x = 0;
+        return;
+    }
+    
     // Position ground at Y=0 in Three.js (ground surface)
     // After coordinate transformation: Mining (x, y, z) -> Three.js (x, z, y)
     // Ground should be horizontal in XZ plane at Y=0
@@ -2407,6 +2543,164 @@ function updateGroundLayer(blocks) {
     groundMesh.geometry = new THREE.PlaneGeometry(sizeX, sizeZ);
 }
 
+/**
+ * Build the ground mesh geometry of a topography surface
+ * @param {Object} surface - Surface (see buildTopographySurface)
+ * @returns {THREE.BufferGeometry} Triangulated surface (mining (x, y, z) -> Three.js (x, z, y))
+ */
+function createTopographyGeometry(surface) {
+    const { columns, rows } = surface;
+    const positions = new Float32Array(columns * rows * 3);
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < columns; c++) {
+            const n = r * columns + c;
+            positions[n * 3] = surface.minX + c * surface.stepX;
+            positions[n * 3 + 1] = surface.elevations[n];
+            positions[n * 3 + 2] = surface.minY + r * surface.stepY;
+        }
+    }
+    
+    const indices = [];
+    for (let r = 0; r < rows - 1; r++) {
+        for (let c = 0; c < columns - 1; c++) {
+            const n = r * columns + c;
+            indices.push(n, n + columns, n + 1, n + 1, n + columns, n + columns + 1);
+        }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Set the ground surface of the current model
+ * @param {Object|null} surface - Surface (see buildTopographySurface) or null for flat ground
+ */
+function setTopographySurface(surface) {
+    topographySurface = surface;
+}
+
+/**
+ * Show a pit shell surface (replaces the previous shell)
+ * @param {Object|null} surface - Shell surface (see buildPitShellSurface) or null to hide the shell
+ */
+function setPitShell(surface) {
+    if (pitShellMesh) {
+        scene.remove(pitShellMesh);
+        pitShellMesh.geometry.dispose();
+        pitShellMesh.material.dispose();
+        pitShellMesh = null;
+    }
+    if (!surface || !scene) {
+        return;
+    }
+    
+    // Mining (x, y, z) -> Three.js (x, z, y)
+    const { columns, rows } = surface;
+    const positions = new Float32Array(columns * rows * 3);
+    for (let n = 0; n < columns * rows; n++) {
+        positions[n * 3] = surface.positions[n * 3];
+        positions[n * 3 + 1] = surface.positions[n * 3 + 2];
+        positions[n * 3 + 2] = surface.positions[n * 3 + 1];
+    }
+    
+    const indices = [];
+    for (let r = 0; r < rows - 1; r++) {
+        for (let c = 0; c < columns - 1; c++) {
+            const n = r * columns + c;
+            indices.push(n, n + columns, n + 1, n + 1, n + columns, n + columns + 1);
+        }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    
+    pitShellMesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({
+        color: 0x00bcd4,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.6,
+        depthWrite: false
+    }));
+    scene.add(pitShellMesh);
+}
+
+/**
+ * Show drillhole traces (replaces the previous traces)
+ * Traces are drawn in grey with the assayed intervals colored by Cu grade, and stay visible
+ * through the blocks.
+ * @param {Array|null} holes - Drillholes (see simulateDrillholes) or null to hide the traces
+ */
+function setDrillholeTraces(holes) {
+    if (drillholeTraces) {
+        scene.remove(drillholeTraces);
+        drillholeTraces.children.forEach(line => {
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+        drillholeTraces = null;
+    }
+    if (!holes || holes.length === 0 || !scene) {
+        return;
+    }
+    
+    // Mining (x, y, z) -> Three.js (x, z, y)
+    const tracePositions = [];
+    const samplePositions = [];
+    const sampleColors = [];
+    let maxCu = 0;
+    holes.forEach(hole => hole.samples.forEach(sample => {
+        maxCu = Math.max(maxCu, sample.values.CU || 0);
+    }));
+    
+    holes.forEach(hole => {
+        for (let s = 1; s < hole.path.length; s++) {
+            const a = hole.path[s - 1], b = hole.path[s];
+            tracePositions.push(a.x, a.z, a.y, b.x, b.z, b.y);
+        }
+        hole.samples.forEach(sample => {
+            const a = getDrillholePosition(hole.surveys, hole.path, sample.from);
+            const b = getDrillholePosition(hole.surveys, hole.path, sample.to);
+            const color = new THREE.Color(getColorFromValue(maxCu > 0 ? (sample.values.CU || 0) / maxCu : 0));
+            samplePositions.push(a.x, a.z, a.y, b.x, b.z, b.y);
+            sampleColors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+        });
+    });
+    
+    const buildLines = (positions, material, colors) => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        if (colors) {
+            geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        }
+        const lines = new THREE.LineSegments(geometry, material);
+        lines.renderOrder = 10;
+        return lines;
+    };
+    
+    drillholeTraces = new THREE.Group();
+    drillholeTraces.add(buildLines(tracePositions, new THREE.LineBasicMaterial({
+        color: 0xbbbbbb,
+        depthTest: false,
+        transparent: true
+    })));
+    if (samplePositions.length > 0) {
+        const samples = buildLines(samplePositions, new THREE.LineBasicMaterial({
+            vertexColors: true,
+            depthTest: false,
+            transparent: true
+        }), sampleColors);
+        samples.renderOrder = 11;
+        drillholeTraces.add(samples);
+    }
+    scene.add(drillholeTraces);
+}
+
 /**
  * Set ground layer enabled state
  * @param {boolean} enabled - Whether ground layer is enabled
@@ -2847,6 +3141,10 @@ function showTooltip(event, block) {
     let content = `<div class="tooltip-header">${escapeHtml(t('tooltip.title'))}</div>`;
     content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(t('tooltip.position'))}</span> <span class="tooltip-value">(${block.x.toFixed(2)}, ${block.y.toFixed(2)}, ${block.z.toFixed(2)})</span></div>`;
     content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(t('tooltip.indices'))}</span> <span class="tooltip-value">I=${block.i}, J=${block.j}, K=${block.k}</span></div>`;
+    
+    if (block.dX !== undefined && block.dY !== undefined && block.dZ !== undefined) {
+        content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(t('tooltip.size'))}</span> <span class="tooltip-value">${block.dX.toFixed(2)} × ${block.dY.toFixed(2)} × ${block.dZ.toFixed(2)}</span></div>`;
+    }
     content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(t('tooltip.rockType'))}</span> <span class="tooltip-value">${safeRockType}</span></div>`;
     
     if (block.density !== undefined && block.density !== null) {
@@ -2861,6 +3159,13 @@ function showTooltip(event, block) {
         content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(t('tooltip.auGrade'))}</span> <span class="tooltip-value">${block.gradeAu.toFixed(2)} ${escapeHtml(t('tooltip.units.auGrade'))}</span></div>`;
     }
     
+    vizGradeAttributes.forEach(attribute => {
+        const value = block[attribute.field];
+        if (value !== undefined && value !== null) {
+            content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(attribute.name)}:</span> <span class="tooltip-value">${value.toFixed(2)} ${escapeHtml(attribute.unit)}</span></div>`;
+        }
+    });
+    
     if (block.econValue !== undefined && block.econValue !== null) {
         content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(t('tooltip.econValue'))}</span> <span class="tooltip-value">${block.econValue.toFixed(2)}</span></div>`;
     }
@@ -2869,6 +3174,22 @@ function showTooltip(event, block) {
         content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(t('tooltip.zone'))}</span> <span class="tooltip-value">${safeZone}</span></div>`;
     }
     
+    if (block.oxidation !== undefined) {
+        content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(t('tooltip.oxidation'))}</span> <span class="tooltip-value">${escapeHtml(t(`weathering.zones.${block.oxidation}`))} (${escapeHtml(t('tooltip.recovery'))} ${(block.recovery * 100).toFixed(0)}%)</span></div>`;
+    }
+    
+    if (block.faultBlock !== undefined) {
+        content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(t('tooltip.faultBlock'))}</span> <span class="tooltip-value">${block.faultBlock}</span></div>`;
+    }
+    
+    if (block.resCat !== undefined) {
+        content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(t('tooltip.resCat'))}</span> <span class="tooltip-value">${block.resCat} ${escapeHtml(t(`classification.categories.${block.resCat}`))}</span></div>`;
+    }
+    
+    if (block.pit !== undefined) {
+        content += `<div class="tooltip-row"><span class="tooltip-label">${escapeHtml(t('tooltip.pit'))}</span> <span class="tooltip-value">${block.pit > 0 ? block.pit : escapeHtml(t('tooltip.pitOutside'))}</span></div>`;
+    }
+    
     tooltipElement.innerHTML = content;
     tooltipElement.style.display = 'block';
     
@@ -3011,7 +3332,7 @@ function restoreVisualizationState(state) {
     // But DON'T call setVisualizationField yet - we'll call it after all filter settings are restored
     // to ensure filters are applied correctly
     let fieldToSet = null;
-    if (state.field && ['rockType', 'density', 'gradeCu', 'gradeAu', 'econValue'].includes(state.field)) {
+    if (state.field && isVisualizationField(state.field)) {
         const fieldSelect = document.getElementById('visualizationField');
         if (fieldSelect) {
             fieldSelect.value = state.field;
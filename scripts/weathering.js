@@ -0,0 +1,175 @@
+/**
+ * Weathering Profile
+ * Supergene overprint (oxide cap, leached zone, enrichment blanket, fresh hypogene rock)
+ * applied below the ground surface
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+// ============================================================================
+// Profile Definitions
+// ============================================================================
+
+/**
+ * Weathering zones from the surface down (written to the OXIDATION attribute)
+ */
+const WEATHERING_ZONES = ['OXIDE', 'LEACHED', 'SUPERGENE', 'FRESH'];
+
+/**
+ * Profile references
+ *   topography - zone depths follow the ground surface (topography-parallel)
+ *   flat       - zone depths are measured from the model top (flat-lying, cut by valleys)
+ */
+const WEATHERING_REFERENCES = ['topography', 'flat'];
+
+/**
+ * Default weathering profile (disabled)
+ * Each zone has a thickness in metres (the fresh zone extends to the model base), a density
+ * factor, a metallurgical recovery (fraction) and a Cu grade factor. Cu is leached from the
+ * oxide cap and leached zone and redeposited in the supergene blanket.
+ */
+const DEFAULT_WEATHERING_PROFILE = {
+    enabled: false,
+    reference: 'topography',
+    zones: {
+        OXIDE: { thickness: 20, densityFactor: 0.85, recovery: 0.6, cuFactor: 0.6 },
+        LEACHED: { thickness: 15, densityFactor: 0.9, recovery: 0.5, cuFactor: 0.2 },
+        SUPERGENE: { thickness: 25, densityFactor: 1.0, recovery: 0.85, cuFactor: 2.0 },
+        FRESH: { thickness: 0, densityFactor: 1.0, recovery: 0.9, cuFactor: 1.0 }
+    }
+};
+
+/**
+ * Active weathering profile (edited in the Weathering Profile section)
+ */
+let activeWeatheringProfile = cloneWeatheringProfile(DEFAULT_WEATHERING_PROFILE);
+
+/**
+ * Copy a weathering profile
+ * @param {Object} profile - Weathering profile
+ * @returns {Object} Copy of the profile
+ */
+function cloneWeatheringProfile(profile) {
+    const zones = {};
+    WEATHERING_ZONES.forEach(zone => {
+        zones[zone] = { ...profile.zones[zone] };
+    });
+    return { enabled: profile.enabled, reference: profile.reference, zones: zones };
+}
+
+/**
+ * Get a copy of the active weathering profile
+ * @returns {Object} Weathering profile
+ */
+function getWeatheringProfile() {
+    return cloneWeatheringProfile(activeWeatheringProfile);
+}
+
+/**
+ * Replace the active weathering profile
+ * @param {Object} profile - Weathering profile
+ * @throws {Error} If the profile is invalid
+ */
+function setWeatheringProfile(profile) {
+    validateWeatheringProfile(profile);
+    activeWeatheringProfile = cloneWeatheringProfile(profile);
+}
+
+/**
+ * Validate a weathering profile
+ * @param {Object} profile - Weathering profile
+ * @throws {Error} If the profile is invalid
+ */
+function validateWeatheringProfile(profile) {
+    if (!profile || typeof profile.enabled !== 'boolean' || !profile.zones) {
+        throw new Error('A weathering profile needs enabled and zones');
+    }
+    if (!WEATHERING_REFERENCES.includes(profile.reference)) {
+        throw new Error('Unknown weathering profile reference');
+    }
+    
+    WEATHERING_ZONES.forEach(name => {
+        const zone = profile.zones[name];
+        if (!zone) {
+            throw new Error(`${name} zone is missing`);
+        }
+        if (!(zone.thickness >= 0)) {
+            throw new Error(`${name} thickness must not be negative`);
+        }
+        if (!(zone.densityFactor > 0) || !(zone.cuFactor >= 0)) {
+            throw new Error(`${name} density factor must be positive and Cu factor must not be negative`);
+        }
+        if (!(zone.recovery >= 0 && zone.recovery <= 1)) {
+            throw new Error(`${name} recovery must be between 0 and 1`);
+        }
+    });
+}
+
+// ============================================================================
+// Weathering Overprint
+// ============================================================================
+
+/**
+ * Weathering zone at a depth below the profile reference
+ * @param {Object} profile - Weathering profile
+ * @param {number} depth - Depth below the reference (metres)
+ * @returns {string} Zone name (see WEATHERING_ZONES)
+ */
+function getWeatheringZone(profile, depth) {
+    let base = 0;
+    for (const zone of ['OXIDE', 'LEACHED', 'SUPERGENE']) {
+        base += profile.zones[zone].thickness;
+        if (depth < base) {
+            return zone;
+        }
+    }
+    return 'FRESH';
+}
+
+/**
+ * Apply a weathering profile to a generated model
+ * Every rock block gets its zone (oxidation) and recovery; density and Cu grade are scaled by
+ * the zone factors and the economic value changes by the value of the recovered Cu relative to
+ * fresh rock (20 per % Cu, as in the ore body patterns). Air blocks are left unchanged.
+ * @param {Array} blocks - Blocks in world coordinates
+ * @param {Object} profile - Weathering profile (see DEFAULT_WEATHERING_PROFILE)
+ * @param {Object} gridParams - Grid parameters (model top of flat-lying profiles)
+ * @param {Object|null} surface - Ground surface (see buildTopographySurface); topography-parallel
+ * profiles follow the model top when there is none
+ * @returns {Array} Weathered blocks (the input is returned unchanged when the profile is disabled)
+ */
+function applyWeathering(blocks, profile, gridParams, surface = null) {
+    validateWeatheringProfile(profile);
+    if (!profile.enabled) {
+        return blocks;
+    }
+    
+    const top = getGridWorldBounds(gridParams).maxZ;
+    const fresh = profile.zones.FRESH;
+    
+    return blocks.map(block => {
+        if (isAirBlock(block)) {
+            return block;
+        }
+        
+        const reference = profile.reference === 'topography' && surface
+            ? getSurfaceElevation(surface, block.x, block.y)
+            : top;
+        const zoneName = getWeatheringZone(profile, reference - block.z);
+        const zone = profile.zones[zoneName];
+        const gradeCu = (block.gradeCu || 0) * zone.cuFactor;
+        const recoveredCu = fresh.recovery > 0 ? gradeCu * zone.recovery / fresh.recovery : 0;
+        
+        return {
+            ...block,
+            density: block.density * zone.densityFactor,
+            gradeCu: gradeCu,
+            econValue: block.econValue !== undefined && block.econValue !== null
+                ? block.econValue + 20 * (recoveredCu - (block.gradeCu || 0))
+                : block.econValue,
+            oxidation: zoneName,
+            recovery: zone.recovery
+        };
+    });
+}
@@ -0,0 +1,49 @@
+/**
+ * CSV Export Tests
+ *
+ * Run with: node --test tests/
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const context = loadScripts(['blockModel.js', 'drillholes.js']);
+
+test('zone text with commas, quotes and line breaks is quoted', () => {
+    const { blocksToCsv } = context;
+    const block = { x: 5, y: 5, z: -5, i: 0, j: 0, k: 0, rockType: 'Waste', density: 2.7 };
+    const csv = blocksToCsv([
+        { ...block, zone: 'Oxide, upper' },
+        { ...block, zone: 'The "Core"' },
+        { ...block, zone: 'Two\nlines' },
+        { ...block, zone: 'PLAIN' }
+    ]);
+    const rows = csv.split('\n').slice(1).join('\n');
+    assert.ok(rows.includes(',"Oxide, upper"'));
+    assert.ok(rows.includes(',"The ""Core"""'));
+    assert.ok(rows.includes(',"Two\nlines"'));
+    assert.ok(rows.includes(',PLAIN'));
+});
+
+test('drillhole hole ids and lithology text are quoted', () => {
+    const { drillholesToCsvTables } = context;
+    const hole = {
+        id: 'DH,001',
+        collar: { x: 0, y: 0, z: 0 },
+        length: 20,
+        surveys: [{ depth: 0, azimuth: 0, dip: 90 }],
+        samples: [
+            { from: 0, to: 10, rockType: 'Ore "High", oxide', values: { CU: 1, AU: 0.5 } },
+            { from: 10, to: 20, rockType: 'Waste', values: { CU: 0, AU: 0 } }
+        ]
+    };
+    const tables = drillholesToCsvTables([hole]);
+    assert.strictEqual(tables.lithology.split('\n')[1], '"DH,001",0.0000,10.0000,"Ore ""High"", oxide"');
+    assert.strictEqual(tables.lithology.split('\n')[2], '"DH,001",10.0000,20.0000,Waste');
+    assert.ok(tables.assay.split('\n')[1].startsWith('"DH,001",0.0000,10.0000,'));
+    assert.ok(tables.collar.split('\n')[1].startsWith('"DH,001",'));
+});
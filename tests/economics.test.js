@@ -0,0 +1,51 @@
+/**
+ * Economic Scenario Tests
+ *
+ * Run with: node --test tests/
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const context = loadScripts(['blockModel.js', 'topography.js', 'economics.js']);
+
+const GRID_PARAMS = {
+    xmOrig: 0, ymOrig: 0, zmOrig: 0,
+    xInc: 10, yInc: 10, zInc: 10,
+    nx: 4, ny: 4, nz: 4
+};
+
+/**
+ * Economic parameters with the given scenarios
+ * @param {Array} scenarios - Scenarios ({ name, changes })
+ * @returns {Object} Economic parameters
+ */
+function getParams(scenarios) {
+    return { ...context.cloneEconomicParameters(context.getEconomicParameters()), enabled: true, processColumns: true, scenarios };
+}
+
+test('scenario names that repeat a built-in column are rejected', () => {
+    for (const name of ['ECON VALUE', 'Density', 'Value', 'Process1', 'grade cu', 'Prop_Waste']) {
+        assert.throws(() => context.validateEconomicScenarios([{ name, changes: {} }]), /built-in column/, name);
+    }
+    assert.doesNotThrow(() => context.validateEconomicScenarios([{ name: 'P1 CU +5', changes: { cuPrice: 5 } }]));
+});
+
+test('MiningMath headers keep the built-in column types next to scenario columns', () => {
+    const { applyMaterialPattern, generateRegularGrid, applyEconomicParameters, blocksToCsv } = context;
+    const blocks = applyMaterialPattern(generateRegularGrid(GRID_PARAMS), 'porphyry_ore', 4, 4, 4, 1);
+    const valued = applyEconomicParameters(blocks, getParams([
+        { name: 'P1 CU +5', changes: { cuPrice: 5 } },
+        { name: 'Costs -10', changes: { miningCost: -10 } }
+    ]), GRID_PARAMS);
+    
+    const headers = blocksToCsv(valued, { headerStyle: 'miningmath' }).split('\n')[0].split(',');
+    assert.strictEqual(new Set(headers).size, headers.length);
+    for (const header of ['%Density', '$Value', '$Process1', '$Waste', '$P1 CU +5', '$Costs -10']) {
+        assert.ok(headers.includes(header), header);
+    }
+});
@@ -0,0 +1,46 @@
+/**
+ * GSLIB Export and Import Tests
+ *
+ * Run with: node --test tests/
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const context = loadScripts(['blockModel.js', 'geostatistics.js', 'gradeTonnage.js', 'topography.js', 'economics.js', 'gslib.js']);
+
+const GRID_PARAMS = {
+    xmOrig: 100, ymOrig: 200, zmOrig: 50,
+    xInc: 10, yInc: 5, zInc: 4,
+    nx: 6, ny: 5, nz: 4,
+    bearing: 0, dip: 0, plunge: 0
+};
+
+// Zone names with the title delimiters, the escape character and whitespace
+const ZONES = ['Oxide; upper', 'A | B', 'Cu=0.5%', '100% sulphide', '  two  spaces ', 'tab\there', 'Zone%3B'];
+
+test('text values with title delimiters survive a round trip', () => {
+    const { applyMaterialPattern, generateRegularGrid, blocksToGslib, parseGslib, gslibToBlocks } = context;
+    const blocks = applyMaterialPattern(generateRegularGrid(GRID_PARAMS), 'porphyry_ore', 6, 5, 4, 5)
+        .map((block, n) => ({ ...block, zone: ZONES[n % ZONES.length] }));
+    
+    const text = blocksToGslib(blocks, GRID_PARAMS);
+    assert.strictEqual(text.split('\n')[0].split(' | ').length, 4, 'title, grid, ROCKTYPE and ZONE sections');
+    
+    const result = gslibToBlocks(parseGslib(text), null);
+    assert.strictEqual(result.blocks.length, blocks.length);
+    blocks.forEach((block, n) => {
+        assert.strictEqual(result.blocks[n].zone, block.zone);
+        assert.strictEqual(result.blocks[n].rockType, block.rockType);
+    });
+});
+
+test('titles without escapes keep their legend values', () => {
+    const { parseGslibTitle } = context;
+    const { legends } = parseGslibTitle('Model | ZONE 1=OXIDE;2=50%;3=Core');
+    assert.deepStrictEqual({ ...legends.ZONE }, { 1: 'OXIDE', 2: '50%', 3: 'Core' });
+});
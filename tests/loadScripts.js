@@ -0,0 +1,48 @@
+/**
+ * Test Script Loader
+ * Runs browser scripts from scripts/ in a shared Node vm context, as the page loads them
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+
+/**
+ * Load scripts into a new context with the browser globals they use at load time
+ * Top-level function declarations become properties of the returned context.
+ * @param {Array} files - Script file names in page order (e.g. ['blockModel.js'])
+ * @returns {Object} vm context
+ */
+function loadScripts(files) {
+    const storage = new Map();
+    const context = {
+        console,
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        document: {
+            readyState: 'complete',
+            getElementById: () => null,
+            querySelectorAll: () => [],
+            addEventListener: () => {}
+        },
+        t: key => key
+    };
+    context.window = context;
+    vm.createContext(context);
+    
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(SCRIPTS_DIR, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { loadScripts };
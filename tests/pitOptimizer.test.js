@@ -0,0 +1,44 @@
+/**
+ * Pit Optimizer Tests
+ *
+ * Run with: node --test tests/
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const context = loadScripts(['blockModel.js', 'topography.js', 'economics.js', 'pitOptimizer.js']);
+
+const GRID_PARAMS = {
+    xmOrig: 0, ymOrig: 0, zmOrig: 0,
+    xInc: 10, yInc: 10, zInc: 10,
+    nx: 20, ny: 20, nz: 15
+};
+
+const PIT_PARAMS = {
+    slopes: [{ azimuth: 0, angle: 45 }, { azimuth: 180, angle: 40 }],
+    zoneSlopes: [],
+    revenueFactors: { min: 0.3, max: 1.2, step: 0.15 },
+    precedenceLevels: 8
+};
+
+test('each nested shell matches a pit solved on its own', () => {
+    const { applyMaterialPattern, generateRegularGrid, optimizePit, getRevenueFactors } = context;
+    const blocks = applyMaterialPattern(generateRegularGrid(GRID_PARAMS), 'porphyry_ore', 20, 20, 15, 3);
+    const sweep = optimizePit(blocks, GRID_PARAMS, PIT_PARAMS);
+    assert.ok(sweep.shells[sweep.shells.length - 1].cells > 0);
+    
+    getRevenueFactors(PIT_PARAMS).forEach((revenueFactor, n) => {
+        const single = optimizePit(blocks, GRID_PARAMS, {
+            ...PIT_PARAMS,
+            revenueFactors: { min: revenueFactor, max: revenueFactor, step: 0.1 }
+        });
+        const inSweep = sweep.blocks.map(block => block.pit > 0 && block.pit <= n + 1);
+        const inSingle = single.blocks.map(block => block.pit === 1);
+        assert.deepStrictEqual(inSweep, inSingle, `revenue factor ${revenueFactor}`);
+    });
+});
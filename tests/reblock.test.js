@@ -0,0 +1,78 @@
+/**
+ * Reblocking Tests
+ *
+ * Run with: node --test tests/
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const context = loadScripts(['blockModel.js', 'topography.js', 'economics.js']);
+
+const GRID_PARAMS = {
+    xmOrig: 0, ymOrig: 0, zmOrig: 0,
+    xInc: 10, yInc: 10, zInc: 10,
+    nx: 4, ny: 4, nz: 4
+};
+
+const FACTORS = { x: 2, y: 2, z: 2 };
+
+/**
+ * Porphyry model valued with the given economic scenarios
+ * @param {Array} scenarios - Scenarios ({ name, changes })
+ * @returns {Array} Blocks with economic values
+ */
+function getValuedBlocks(scenarios) {
+    const { applyMaterialPattern, generateRegularGrid, applyEconomicParameters, cloneEconomicParameters, getEconomicParameters } = context;
+    const blocks = applyMaterialPattern(generateRegularGrid(GRID_PARAMS), 'porphyry_ore', 4, 4, 4, 1);
+    const params = { ...cloneEconomicParameters(getEconomicParameters()), enabled: true, processColumns: true, scenarios };
+    return applyEconomicParameters(blocks, params, GRID_PARAMS);
+}
+
+/**
+ * Sum of a block value over the children of each parent cell
+ * @param {Array} blocks - Child blocks
+ * @param {Function} value - Value of a block
+ * @returns {Map} Parent key (i,j,k) to summed value
+ */
+function sumByParent(blocks, value) {
+    const sums = new Map();
+    blocks.forEach(block => {
+        const key = `${Math.floor(block.i / FACTORS.x)},${Math.floor(block.j / FACTORS.y)},${Math.floor(block.k / FACTORS.z)}`;
+        sums.set(key, (sums.get(key) || 0) + value(block));
+    });
+    return sums;
+}
+
+test('process and waste values are summed into the parent cells', () => {
+    const blocks = getValuedBlocks([]);
+    const { blocks: parents } = context.reblockModel(blocks, GRID_PARAMS, FACTORS);
+    for (const field of ['econValue', 'processValue', 'wasteValue']) {
+        const sums = sumByParent(blocks, block => block[field]);
+        parents.forEach(parent => {
+            assert.ok(Math.abs(parent[field] - sums.get(`${parent.i},${parent.j},${parent.k}`)) < 1e-6, field);
+        });
+    }
+    const headers = context.blocksToCsv(parents).split('\n')[0].split(',');
+    assert.ok(headers.includes('VALUE_PROCESS1') && headers.includes('VALUE_WASTE'));
+});
+
+test('scenario values are summed into the parent cells', () => {
+    const blocks = getValuedBlocks([
+        { name: 'P1 CU +5', changes: { cuPrice: 5 } },
+        { name: 'Costs -10', changes: { miningCost: -10 } }
+    ]);
+    const { blocks: parents } = context.reblockModel(blocks, GRID_PARAMS, FACTORS);
+    for (const name of ['P1 CU +5', 'Costs -10']) {
+        const sums = sumByParent(blocks, block => block.econScenarios[name]);
+        parents.forEach(parent => {
+            assert.ok(Math.abs(parent.econScenarios[name] - sums.get(`${parent.i},${parent.j},${parent.k}`)) < 1e-6, name);
+        });
+    }
+    const headers = context.blocksToCsv(parents).split('\n')[0].split(',');
+    assert.ok(headers.includes('P1_CU_+5') && headers.includes('COSTS_-10'));
+});
@@ -0,0 +1,61 @@
+/**
+ * Seed Reproducibility Tests
+ * Every pattern generated twice with the same seed must give a byte-identical CSV
+ *
+ * Run with: node --test tests/
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const context = loadScripts(['blockModel.js', 'geostatistics.js', 'scenario.js']);
+
+const PATTERNS = [
+    'uniform', 'layered', 'gradient', 'checkerboard', 'random', 'ore_horizon', 'inclined_vein',
+    'random_clusters', 'ellipsoid_ore', 'vein_ore', 'porphyry_ore', 'salt_dome', 'coal_seams',
+    'kimberlite_pipe', 'stockwork', 'sgs', 'scenario'
+];
+
+const GRID_PARAMS = {
+    xmOrig: 0, ymOrig: 0, zmOrig: 0,
+    xInc: 10, yInc: 10, zInc: 10,
+    nx: 12, ny: 10, nz: 8
+};
+
+const SEED = 12345;
+
+/**
+ * Generate a pattern on the test grid and write it as CSV
+ * @param {string} patternType - Type of pattern
+ * @param {number} seed - Model seed
+ * @returns {string} CSV content
+ */
+function generateCsv(patternType, seed) {
+    const { generateRegularGrid, applyMaterialPattern, blocksToCsv } = context;
+    const blocks = applyMaterialPattern(
+        generateRegularGrid(GRID_PARAMS),
+        patternType,
+        GRID_PARAMS.nx,
+        GRID_PARAMS.ny,
+        GRID_PARAMS.nz,
+        seed
+    );
+    return blocksToCsv(blocks);
+}
+
+for (const patternType of PATTERNS) {
+    test(`${patternType} gives the same CSV for the same seed`, () => {
+        const first = generateCsv(patternType, SEED);
+        const second = generateCsv(patternType, SEED);
+        assert.ok(first.length > 0);
+        assert.strictEqual(first, second);
+    });
+}
+
+test('random gives a different CSV for a different seed', () => {
+    assert.notStrictEqual(generateCsv('random', SEED), generateCsv('random', SEED + 1));
+});
@@ -0,0 +1,31 @@
+/**
+ * SGS Search Template Tests
+ *
+ * Run with: node --test tests/
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const context = loadScripts(['blockModel.js', 'geostatistics.js']);
+
+const SPACING = { x: 10, y: 10, z: 10 };
+
+test('search radius reaches the full range when the box is small enough', () => {
+    const params = { rangeMajor: 50, rangeSemi: 30, rangeMinor: 20 };
+    const radius = context.getSgsSearchRadius(params, SPACING, { nx: 40, ny: 40, nz: 40 });
+    assert.deepStrictEqual({ ...radius }, { ri: 5, rj: 5, rk: 5, clamped: false });
+});
+
+test('long ranges shorten only the long axes', () => {
+    const params = { rangeMajor: 3000, rangeSemi: 3000, rangeMinor: 10 };
+    const radius = context.getSgsSearchRadius(params, SPACING, { nx: 400, ny: 400, nz: 2 });
+    assert.strictEqual(radius.clamped, true);
+    assert.strictEqual(radius.rk, 1);
+    assert.ok(radius.ri > 1 && radius.ri === radius.rj);
+    assert.ok((2 * radius.ri + 1) * (2 * radius.rj + 1) * (2 * radius.rk + 1) <= 100000);
+});
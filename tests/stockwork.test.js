@@ -0,0 +1,30 @@
+/**
+ * Stockwork Pattern Tests
+ *
+ * Run with: node --test tests/
+ *
+ * @license MIT License
+ * @copyright Copyright (c) 2026 BuildIT Design Labs, LLC
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const context = loadScripts(['blockModel.js']);
+
+// Default grid of the form: 12 x 10 x 8 cells of 10 m
+const GRID_PARAMS = {
+    xmOrig: 0, ymOrig: 0, zmOrig: 0,
+    xInc: 10, yInc: 10, zInc: 10,
+    nx: 12, ny: 10, nz: 8
+};
+
+test('default stockwork parameters give ore blocks on the default grid', () => {
+    const { generateRegularGrid, generateStockwork } = context;
+    for (const seed of [1, 2, 3, 12345]) {
+        const blocks = generateStockwork(generateRegularGrid(GRID_PARAMS), GRID_PARAMS.nx, GRID_PARAMS.ny, GRID_PARAMS.nz, seed);
+        const oreBlocks = blocks.filter(block => block.rockType !== 'Waste').length;
+        assert.ok(oreBlocks > 0, `seed ${seed} gave only Waste blocks`);
+    }
+});